@@ -8,6 +8,16 @@ import {
   detectPlatformFromUrl,
   isSupportedUrl
 } from './core/platform-registry.js';
+import { STORAGE_KEYS } from './core/storage.js';
+import { prepareDataStore, handleDataStoreRequest } from './core/data-store.js';
+import { SYNC_KEYS, syncSettings, syncBranchRecords } from './core/sync.js';
+import {
+  registerPendingBranch,
+  notePendingBranchTab,
+  claimPendingBranch,
+  removePendingBranchTab,
+  clearPendingBranches
+} from './core/pending-branches.js';
 
 // Aliases for existing code patterns
 const isChatUrl = isSupportedUrl;
@@ -102,6 +112,20 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, _tab) => {
   }
 });
 
+// A branch click may open its conversation in a new tab; link that tab to
+// the click so it can record the branch
+chrome.tabs.onCreated.addListener((tab) => {
+  notePendingBranchTab(tab).catch((err) =>
+    console.warn('[Background] Pending branch tab link failed:', err)
+  );
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  removePendingBranchTab(tabId).catch((err) =>
+    console.warn('[Background] Pending branch tab cleanup failed:', err)
+  );
+});
+
 // ============================================
 // API Request Monitoring for All Platforms
 // ============================================
@@ -237,6 +261,58 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     return false;
   }
 
+  // Pending branches are keyed by the tab the message comes from
+  if (msg?.type === 'SET_PENDING_BRANCH') {
+    if (!sender?.tab?.id || !msg.pendingBranch?.parentId) {
+      sendResponse({ ok: false, error: 'No tab or pending branch' });
+      return false;
+    }
+    registerPendingBranch(sender.tab, msg.pendingBranch)
+      .then(() => sendResponse({ ok: true }))
+      .catch((err) => {
+        sendResponse({ ok: false, error: err?.message || String(err) });
+      });
+    return true; // async
+  }
+
+  if (msg?.type === 'CLAIM_PENDING_BRANCH') {
+    if (!sender?.tab?.id) {
+      sendResponse({ ok: false, error: 'No tab' });
+      return false;
+    }
+    claimPendingBranch(sender.tab, msg.conversationId)
+      .then((pendingBranch) => sendResponse({ ok: true, pendingBranch }))
+      .catch((err) => {
+        sendResponse({ ok: false, error: err?.message || String(err) });
+      });
+    return true; // async
+  }
+
+  if (msg?.type === 'CLEAR_PENDING_BRANCHES') {
+    clearPendingBranches()
+      .then(() => sendResponse({ ok: true }))
+      .catch((err) => {
+        sendResponse({ ok: false, error: err?.message || String(err) });
+      });
+    return true; // async
+  }
+
+  // The IndexedDB stores live in this worker's origin; content scripts and
+  // the panel reach them through here
+  if (msg?.type === 'DATA_STORE_REQUEST') {
+    handleDataStoreRequest(msg.method, msg.args)
+      .then((result) => sendResponse({ ok: true, result }))
+      .catch((err) => {
+        sendResponse({ ok: false, error: err?.message || String(err) });
+      });
+    return true; // async
+  }
+
+  if (msg?.type === 'SYNC_BRANCHES') {
+    runBranchSync().then(sendResponse);
+    return true; // async
+  }
+
   if (msg?.type === 'OPEN_OR_FOCUS_CONVERSATION') {
     openOrFocusConversation(msg.conversationId, msg.preferredHost)
       .then(sendResponse)
@@ -251,6 +327,51 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 
 // Side panel is opened automatically via setPanelBehavior({ openPanelOnActionClick: true })
 
+// Import legacy data and upgrade the branch schema before any tab reads the
+// stores; requests wait for this too
+prepareDataStore();
+
+// Pending branches used to be a single entry shared by every tab
+chrome.storage.local.remove(STORAGE_KEYS.PENDING_BRANCH).catch(() => {});
+
+// Branch syncs are asked for by content scripts, which refresh when records
+// arrive from another device; they run one at a time
+let branchSyncQueue = Promise.resolve();
+
+/**
+ * Queue a branch sync after the data store is up to date
+ * @returns {Promise<Object>} - syncBranchRecords result, or
+ *   { ok: false, error }
+ */
+function runBranchSync() {
+  const result = branchSyncQueue
+    .then(() => prepareDataStore())
+    .then(() => syncBranchRecords())
+    .catch((err) => ({ ok: false, error: err?.message || String(err) }));
+  branchSyncQueue = result;
+  return result;
+}
+
+// Sync settings across devices
+function runSettingsSync() {
+  syncSettings().then((result) => {
+    if (!result.ok) {
+      console.warn('[Background] Settings sync failed:', result.error);
+    }
+  });
+}
+
+runSettingsSync();
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (
+    (areaName === 'local' && changes[STORAGE_KEYS.SETTINGS]) ||
+    (areaName === 'sync' && changes[SYNC_KEYS.SETTINGS])
+  ) {
+    runSettingsSync();
+  }
+});
+
 // Initialize panel state for all existing tabs on startup
 chrome.tabs.query({}).then((tabs) => {
   tabs.forEach((tab) => {
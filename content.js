@@ -1,2207 +1,116 @@
 /**
  * AI Conversation Index - Content Script Router
- * Detects the current platform and loads the appropriate adapter
- * Provides unified message handling for the side panel
+ * Resolves the platform adapter for the current page and routes side panel
+ * requests through it
  */
 
 'use strict';
 
 // Lazy-load ES modules to avoid static import errors in classic content scripts.
 let graphModulesPromise = null;
-let fetchInterceptorPromise = null;
+let platformModulesPromise = null;
 
 function loadGraphModules() {
   if (!graphModulesPromise) {
     graphModulesPromise = Promise.all([
       import(chrome.runtime.getURL('core/conversation-graph.js')),
-      import(chrome.runtime.getURL('core/tree-builder.js'))
-    ]).then(([graphModule, treeModule]) => ({
-      ConversationGraph: graphModule.ConversationGraph,
-      TreeBuilder: treeModule
-    }));
-  }
-  return graphModulesPromise;
-}
-
-function loadFetchInterceptor() {
-  if (!fetchInterceptorPromise) {
-    fetchInterceptorPromise = import(
-      chrome.runtime.getURL('core/fetch-interceptor-factory.js')
-    ).then((module) => module.injectFetchInterceptor);
-  }
-  return fetchInterceptorPromise;
-}
-
-// Feature flag for graph builder (Phase 1: ChatGPT only)
-const USE_GRAPH_BUILDER = true; // Enabled for testing
-
-// ============================================
-// Platform Detection
-// ============================================
-
-// Platform URL patterns for detection
-const PLATFORM_URL_PATTERNS = {
-  chatgpt: [
-    /^https:\/\/(www\.)?chatgpt\.com(?!\/codex(?:[/?#]|$))/,
-    /^https:\/\/(www\.)?chat\.openai\.com(?!\/codex(?:[/?#]|$))/
-  ],
-  claude: [/^https:\/\/(www\.)?claude\.ai/],
-  gemini: [/^https:\/\/(www\.)?gemini\.google\.com/],
-  perplexity: [/^https:\/\/(www\.)?perplexity\.ai/]
-};
-
-function detectPlatform() {
-  const url = window.location.href;
-  if (!url) return null;
-  for (const [platformId, patterns] of Object.entries(PLATFORM_URL_PATTERNS)) {
-    if (patterns.some((pattern) => pattern.test(url))) {
-      return platformId;
-    }
-  }
-  return null;
-}
-
-// ============================================
-// Storage Helpers
-// ============================================
-
-// Storage keys (inlined from core/storage.js)
-const STORAGE_KEY = 'chatgpt_branch_data';
-const CONV_CACHE_PREFIX = 'conv_cache_';
-const CURRENT_CONV_TTL_MS = 2 * 60 * 1000; // 2 minutes
-const HISTORY_CONV_TTL_MS = 15 * 60 * 1000; // 15 minutes
-const TOKEN_TTL_MS = 5 * 60 * 1000; // 5 minutes
-
-const memoryCache = new Map();
-const MAX_CACHE_SIZE = 50;
-let cachedToken = null;
-let tokenExpiry = 0;
-
-// ============================================
-// Raw Conversation Cache for Markdown Export
-// ============================================
-// Stores original message content (with Markdown) from API responses
-// Structure: { conversationId, title, messages: [{id, role, content, createTime}], lastUpdate }
-const rawConversationCache = {
-  chatgpt: null,
-  claude: null,
-  gemini: null,
-  perplexity: null
-};
-
-/**
- * Update raw conversation cache for a platform
- * @param {string} platform - Platform identifier
- * @param {Object} data - Conversation data with messages
- */
-function updateRawCache(platform, data) {
-  if (!platform || !data) return;
-  rawConversationCache[platform] = {
-    ...data,
-    lastUpdate: Date.now()
-  };
-}
-
-/**
- * Get raw conversation cache for a platform
- * @param {string} platform - Platform identifier
- * @returns {Object|null} - Cached conversation data or null
- */
-function getRawCache(platform, conversationId = null) {
-  const cached = rawConversationCache[platform];
-  if (!cached) return null;
-  if (conversationId && cached.conversationId !== conversationId) {
-    return null;
-  }
-  // Cache is valid for 10 minutes for export purposes
-  const EXPORT_CACHE_TTL_MS = 10 * 60 * 1000;
-  if (Date.now() - cached.lastUpdate > EXPORT_CACHE_TTL_MS) {
-    rawConversationCache[platform] = null;
-    return null;
-  }
-  return cached;
-}
-
-// ============================================
-// Markdown Export Generation
-// ============================================
-
-/**
- * Platform display names
- */
-const PLATFORM_NAMES = {
-  chatgpt: 'ChatGPT',
-  claude: 'Claude',
-  gemini: 'Gemini',
-  perplexity: 'Perplexity'
-};
-
-/**
- * Generate Markdown content from conversation messages
- * @param {Object} options - Export options
- * @param {string} options.title - Conversation title
- * @param {string} options.platform - Platform identifier
- * @param {string} options.conversationId - Conversation ID
- * @param {Array} options.messages - Array of {id, role, content, createTime}
- * @returns {string} - Markdown formatted string
- */
-function generateMarkdown({ title, platform, conversationId, messages }) {
-  const platformName = PLATFORM_NAMES[platform] || platform;
-  const exportDate = new Date().toISOString();
-  const sanitizedTitle = title || 'Conversation';
-
-  let md = `# ${sanitizedTitle}\n\n`;
-  md += `> **Platform:** ${platformName}  \n`;
-  md += `> **Exported:** ${exportDate}  \n`;
-  if (conversationId) {
-    md += `> **Conversation ID:** ${conversationId}  \n`;
-  }
-  md += '\n---\n\n';
-
-  if (!messages || messages.length === 0) {
-    md += '*No messages found in this conversation.*\n';
-    return md;
-  }
-
-  for (const msg of messages) {
-    const role = msg.role === 'user' ? 'User' : 'Assistant';
-    const content = msg.content || msg.text || '';
-
-    md += `## ${role}\n\n`;
-    md += `${content}\n\n`;
-    md += `---\n\n`;
-  }
-
-  return md;
-}
-
-/**
- * Generate a safe filename from title
- * @param {string} title - Conversation title
- * @param {string} platform - Platform name
- * @returns {string} - Safe filename
- */
-function generateFilename(title, platform) {
-  // Remove or replace unsafe characters
-  const safeTitle = (title || 'conversation')
-    .replace(/[<>:"/\\|?*]/g, '-')
-    .replace(/\s+/g, '_')
-    .slice(0, 50);
-
-  const timestamp = new Date().toISOString().slice(0, 10);
-  return `${safeTitle}_${platform}_${timestamp}.md`;
-}
-
-/**
- * Trigger file download in browser
- * @param {string} content - File content
- * @param {string} filename - File name
- */
-function downloadFile(content, filename) {
-  const blob = new Blob([content], { type: 'text/markdown;charset=utf-8' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = filename;
-  a.style.display = 'none';
-  document.body.appendChild(a);
-  a.click();
-  setTimeout(() => {
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-  }, 100);
-}
-
-async function loadBranchData() {
-  const data = await chrome.storage.local.get(STORAGE_KEY);
-  return data?.[STORAGE_KEY] || { branches: {}, titles: {} };
-}
-
-async function saveBranchData(data) {
-  await chrome.storage.local.set({ [STORAGE_KEY]: data });
-}
-
-async function getCachedConversation(conversationId, isCurrent = false) {
-  const memCached = memoryCache.get(conversationId);
-  if (memCached) {
-    const ttl = isCurrent ? CURRENT_CONV_TTL_MS : HISTORY_CONV_TTL_MS;
-    if (Date.now() - memCached.timestamp < ttl) {
-      return memCached.data;
-    }
-    memoryCache.delete(conversationId);
-  }
-
-  const key = `${CONV_CACHE_PREFIX}${conversationId}`;
-  try {
-    const stored = await chrome.storage.local.get(key);
-    const cached = stored?.[key];
-    if (!cached) return null;
-
-    const ttl = isCurrent ? CURRENT_CONV_TTL_MS : HISTORY_CONV_TTL_MS;
-    if (Date.now() - cached.timestamp > ttl) {
-      chrome.storage.local.remove(key).catch(() => {});
-      return null;
-    }
-
-    memoryCache.set(conversationId, cached);
-    return cached.data;
-  } catch {
-    return null;
-  }
-}
-
-async function setCachedConversation(conversationId, data) {
-  const cacheEntry = { data, timestamp: Date.now() };
-  memoryCache.set(conversationId, cacheEntry);
-
-  // LRU eviction: remove oldest entries if over limit
-  if (memoryCache.size > MAX_CACHE_SIZE) {
-    const oldest = memoryCache.keys().next().value;
-    memoryCache.delete(oldest);
-  }
-
-  const key = `${CONV_CACHE_PREFIX}${conversationId}`;
-  try {
-    await chrome.storage.local.set({ [key]: cacheEntry });
-  } catch {
-    // Ignore storage errors silently
-  }
-}
-
-async function clearConversationCache() {
-  memoryCache.clear();
-  try {
-    const allData = await chrome.storage.local.get(null);
-    const keysToRemove = Object.keys(allData).filter((k) =>
-      k.startsWith(CONV_CACHE_PREFIX)
-    );
-    if (keysToRemove.length > 0) {
-      await chrome.storage.local.remove(keysToRemove);
-    }
-  } catch {
-    // Ignore storage errors silently
-  }
-}
-
-async function clearConversationCacheById(conversationId) {
-  if (!conversationId) return;
-  memoryCache.delete(conversationId);
-  const key = `${CONV_CACHE_PREFIX}${conversationId}`;
-  try {
-    await chrome.storage.local.remove(key);
-  } catch {
-    // Ignore storage errors silently
-  }
-}
-
-// ============================================
-// ChatGPT-Specific Functions
-// ============================================
-
-function getBaseUrl() {
-  return location.hostname.includes('openai')
-    ? 'https://chat.openai.com'
-    : 'https://chatgpt.com';
-}
-
-async function getAccessToken() {
-  if (cachedToken && Date.now() < tokenExpiry) {
-    return cachedToken;
-  }
-
-  const res = await fetch(`${getBaseUrl()}/api/auth/session`, {
-    credentials: 'include'
-  });
-  if (!res.ok) throw new Error(`Session fetch failed: ${res.status}`);
-  const data = await res.json();
-  if (!data?.accessToken) throw new Error('No access token');
-
-  cachedToken = data.accessToken;
-  tokenExpiry = Date.now() + TOKEN_TTL_MS;
-  return cachedToken;
-}
-
-function clearTokenCache() {
-  cachedToken = null;
-  tokenExpiry = 0;
-}
-
-async function fetchChatGPTConversation(
-  conversationId,
-  useCache = true,
-  isCurrent = false,
-  retryOnAuthError = true
-) {
-  const cleanId = cleanChatGPTConversationId(conversationId);
-  if (!cleanId) throw new Error('No conversation ID found');
-
-  if (useCache) {
-    const cached = await getCachedConversation(cleanId, isCurrent);
-    if (cached) return cached;
-  }
-
-  const token = await getAccessToken();
-  const res = await fetch(
-    `${getBaseUrl()}/backend-api/conversation/${cleanId}`,
-    {
-      headers: {
-        Authorization: `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      credentials: 'include'
-    }
-  );
-
-  if (res.status === 401 && retryOnAuthError) {
-    clearTokenCache();
-    return fetchChatGPTConversation(conversationId, useCache, isCurrent, false);
-  }
-
-  if (!res.ok) throw new Error(`Conversation fetch failed: ${res.status}`);
-  const data = await res.json();
-  await setCachedConversation(cleanId, data);
-  return data;
-}
-
-// ============================================
-// Message Extraction
-// ============================================
-
-function toSeconds(ts) {
-  if (!ts || ts <= 0) return 0;
-  return ts > 1e12 ? ts / 1000 : ts;
-}
-
-function normalizeContent(content) {
-  if (!content) return '';
-  if (typeof content === 'string') return content.trim();
-
-  if (Array.isArray(content)) {
-    const parts = content
-      .map((part) => {
-        if (typeof part === 'string') return part;
-        if (typeof part?.text === 'string') return part.text;
-        if (typeof part?.content === 'string') return part.content;
-        if (Array.isArray(part?.parts)) {
-          return part.parts
-            .map((subPart) => {
-              if (typeof subPart === 'string') return subPart;
-              if (typeof subPart?.text === 'string') return subPart.text;
-              if (typeof subPart?.content === 'string') return subPart.content;
-              return '';
-            })
-            .filter(Boolean)
-            .join('\n');
-        }
-        return '';
-      })
-      .filter(Boolean);
-    return parts.join('\n').trim();
-  }
-
-  if (Array.isArray(content.parts)) {
-    const parts = content.parts
-      .map((part) => {
-        if (typeof part === 'string') return part;
-        if (typeof part?.text === 'string') return part.text;
-        if (typeof part?.content === 'string') return part.content;
-        return '';
-      })
-      .filter(Boolean);
-    return parts.join('\n').trim();
-  }
-
-  if (typeof content.text === 'string') return content.text.trim();
-  if (typeof content.content === 'string') return content.content.trim();
-  return '';
-}
-
-function extractText(message) {
-  if (!message) return '';
-  const contentText = normalizeContent(message.content);
-  if (contentText) return contentText;
-  const text = normalizeContent(message.text);
-  if (text) return text;
-  return '';
-}
-
-const CHATGPT_INTERNAL_MESSAGE_TYPES = new Set([
-  'analysis',
-  'thinking',
-  'thought',
-  'reasoning',
-  'tool_call',
-  'tool_calls',
-  'tool_result',
-  'tool_response',
-  'function_call',
-  'function_result',
-  'browser_call',
-  'browser_result',
-  'system',
-  'internal'
-]);
-
-const CHATGPT_INTERNAL_CONTENT_TYPES = new Set([
-  'analysis',
-  'thinking',
-  'thought',
-  'reasoning',
-  'tool_call',
-  'tool_calls',
-  'tool_result',
-  'tool_response',
-  'function_call',
-  'function_result',
-  'browser_call',
-  'browser_result',
-  'system',
-  'internal'
-]);
-
-const CHATGPT_TOOL_CALL_KEYS = new Set([
-  'search_query',
-  'open',
-  'find',
-  'click',
-  'screenshot',
-  'image_query',
-  'browser',
-  'web',
-  'finance',
-  'weather',
-  'sports',
-  'calculator',
-  'time'
-]);
-
-const CHATGPT_TOOL_CALL_HINTS = Array.from(CHATGPT_TOOL_CALL_KEYS);
-
-function getChatGPTContentType(message) {
-  const content = message?.content;
-  const rawType =
-    content?.content_type || content?.contentType || content?.type || '';
-  if (!rawType || typeof rawType !== 'string') return '';
-  return rawType.toLowerCase();
-}
-
-function hasInternalMetadata(message) {
-  const metadata = message?.metadata;
-  if (!metadata || typeof metadata !== 'object') return false;
-
-  if (metadata.is_internal === true) return true;
-  if (metadata.is_hidden === true) return true;
-  if (metadata.is_hidden_from_conversation === true) return true;
-  if (metadata.hidden === true) return true;
-  if (metadata.is_visible === false) return true;
-
-  const messageType = `${metadata.message_type || metadata.type || ''}`
-    .toLowerCase()
-    .trim();
-  if (messageType && CHATGPT_INTERNAL_MESSAGE_TYPES.has(messageType)) {
-    return true;
-  }
-
-  const finishType = `${metadata.finish_details?.type || ''}`
-    .toLowerCase()
-    .trim();
-  if (finishType && CHATGPT_INTERNAL_MESSAGE_TYPES.has(finishType)) {
-    return true;
-  }
-
-  const recipient = metadata.recipient;
-  if (
-    typeof recipient === 'string' &&
-    recipient.trim() &&
-    recipient !== 'all'
-  ) {
-    return true;
-  }
-
-  return false;
-}
-
-function looksLikeToolCall(text) {
-  if (!text) return false;
-  const trimmed = text.trim();
-  if (!trimmed.startsWith('{') || !trimmed.endsWith('}')) return false;
-
-  const lower = trimmed.toLowerCase();
-  const hasHint = CHATGPT_TOOL_CALL_HINTS.some(
-    (hint) => lower.includes(`"${hint}"`) || lower.includes(`'${hint}'`)
-  );
-  if (!hasHint) return false;
-
-  try {
-    const parsed = JSON.parse(trimmed);
-    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
-      return false;
-    }
-
-    const keys = Object.keys(parsed);
-    if (keys.length === 0) return false;
-
-    const allToolKeys = keys.every((key) => CHATGPT_TOOL_CALL_KEYS.has(key));
-    if (allToolKeys) return true;
-
-    const toolName =
-      parsed.tool || parsed.tool_name || parsed.name || parsed.function;
-    const args = parsed.args || parsed.arguments || parsed.params;
-    if (
-      typeof toolName === 'string' &&
-      CHATGPT_TOOL_CALL_KEYS.has(toolName) &&
-      typeof args === 'object'
-    ) {
-      return true;
-    }
-
-    return false;
-  } catch {
-    return false;
-  }
-}
-
-function isThinkingLabel(text) {
-  if (!text) return false;
-  const trimmed = text.trim();
-  if (!trimmed) return false;
-
-  if (
-    /^thought for\s+\d+(?:\.\d+)?\s*(?:ms|s|sec|secs|seconds|m|min|mins|minutes|h|hr|hrs|hours)?$/i.test(
-      trimmed
-    )
-  ) {
-    return true;
-  }
-
-  if (
-    /^reasoned for\s+\d+(?:\.\d+)?\s*(?:ms|s|sec|secs|seconds|m|min|mins|minutes|h|hr|hrs|hours)?$/i.test(
-      trimmed
-    )
-  ) {
-    return true;
-  }
-
-  if (/^thinking\.{0,3}$/i.test(trimmed)) return true;
-  if (/^reasoning\.{0,3}$/i.test(trimmed)) return true;
-
-  return false;
-}
-
-function isInternalMessage(text, message) {
-  if (!text && !message) return false;
-  const normalizedText = typeof text === 'string' ? text.trim() : '';
-  if (normalizedText.startsWith('Original custom instructions')) return true;
-
-  const contentType = getChatGPTContentType(message);
-  if (contentType && CHATGPT_INTERNAL_CONTENT_TYPES.has(contentType)) {
-    return true;
-  }
-
-  if (hasInternalMetadata(message)) return true;
-
-  const role = message?.author?.role || message?.role;
-  if (role === 'assistant') {
-    if (isThinkingLabel(normalizedText)) return true;
-    if (looksLikeToolCall(normalizedText)) return true;
-  }
-
-  return false;
-}
-
-/**
- * Build path from root to current node in ChatGPT mapping
- */
-function buildCurrentPath(mapping, rootId, targetId) {
-  if (!rootId || !targetId) return [];
-
-  const parentOf = {};
-  for (const [id, entry] of Object.entries(mapping)) {
-    if (entry.parent) {
-      parentOf[id] = entry.parent;
-    }
-  }
-
-  const path = [];
-  let current = targetId;
-  while (current) {
-    path.unshift(current);
-    current = parentOf[current];
-  }
-  return path;
-}
-
-/**
- * Count descendants of a node in the mapping tree
- */
-function countDescendants(nodeId, childrenMap, mapping) {
-  let count = 0;
-  const stack = [nodeId];
-  while (stack.length > 0) {
-    const id = stack.pop();
-    const children = childrenMap[id] || [];
-    for (const childId of children) {
-      const msg = mapping[childId]?.message;
-      if (
-        msg &&
-        (msg.author?.role === 'user' || msg.author?.role === 'assistant')
-      ) {
-        count++;
-      }
-      stack.push(childId);
-    }
-  }
-  return count;
-}
-
-/**
- * Find the leaf node of a branch subtree (for switching)
- */
-function findBranchLeaf(nodeId, childrenMap) {
-  let current = nodeId;
-  while (true) {
-    const children = childrenMap[current] || [];
-    if (children.length === 0) return current;
-    // Follow the last child (most recent path)
-    current = children[children.length - 1];
-  }
-}
-
-/**
- * Extract ChatGPT conversation as a tree with edit branches.
- * Walks the current path and emits editBranch nodes for siblings.
- */
-function extractChatGPTTree(mapping, currentNode) {
-  if (!mapping) return [];
-
-  // Build parent->children map
-  const childrenMap = {};
-  const parentMap = {};
-  let rootId = null;
-
-  for (const [id, entry] of Object.entries(mapping)) {
-    const parentId = entry.parent;
-    if (!parentId) {
-      rootId = id;
-    } else {
-      parentMap[id] = parentId;
-      if (!childrenMap[parentId]) {
-        childrenMap[parentId] = [];
-      }
-      childrenMap[parentId].push(id);
-    }
-  }
-
-  const currentPath = buildCurrentPath(mapping, rootId, currentNode);
-  const messages = [];
-
-  for (const nodeId of currentPath) {
-    const entry = mapping[nodeId];
-    const msg = entry?.message;
-    if (!msg) continue;
-
-    const role = msg.author?.role;
-    if (role !== 'user' && role !== 'assistant') continue;
-
-    const text = extractText(msg);
-    if (!text || !text.trim()) continue;
-    if (isInternalMessage(text, msg)) continue;
-
-    // Check for siblings (edit versions)
-    const parent = parentMap[nodeId];
-    const siblings = parent ? childrenMap[parent] || [] : [];
-    const sortedSiblings = siblings
-      .map((id) => ({
-        id,
-        createTime: mapping[id]?.message?.create_time || 0
-      }))
-      .sort((a, b) => a.createTime - b.createTime);
-
-    const hasSiblings = sortedSiblings.length > 1;
-    const editVersionIndex = hasSiblings
-      ? sortedSiblings.findIndex((s) => s.id === nodeId) + 1
-      : 1;
-
-    // Emit the current-path message
-    messages.push({
-      id: nodeId,
-      type: 'message',
-      role,
-      text,
-      createTime: toSeconds(msg.create_time || 0),
-      parentId: parent,
-      hasEditVersions: hasSiblings,
-      editVersionIndex: hasSiblings ? editVersionIndex : undefined,
-      totalVersions: hasSiblings ? sortedSiblings.length : undefined,
-      siblingIds: hasSiblings ? sortedSiblings.map((s) => s.id) : undefined
-    });
-
-    // Emit edit branch nodes for non-current siblings
-    if (hasSiblings) {
-      for (const sib of sortedSiblings) {
-        if (sib.id === nodeId) continue;
-        const sibEntry = mapping[sib.id];
-        const sibMsg = sibEntry?.message;
-        const sibText = sibMsg ? extractText(sibMsg) : '';
-        const sibRole = sibMsg?.author?.role;
-        if (!sibText || !sibText.trim()) continue;
-        if (isInternalMessage(sibText, sibMsg)) continue;
-
-        const sibIndex = sortedSiblings.findIndex((s) => s.id === sib.id) + 1;
-
-        messages.push({
-          id: `edit-branch:${sib.id}`,
-          type: 'editBranch',
-          role: sibRole,
-          text: sibText,
-          createTime: toSeconds(sib.createTime || 0),
-          depth: 1,
-          branchNodeId: sib.id,
-          editVersionIndex: sibIndex,
-          totalVersions: sortedSiblings.length,
-          siblingIds: sortedSiblings.map((s) => s.id),
-          editVersionLabel: `Edit v${sibIndex}/${sortedSiblings.length}`,
-          descendantCount: countDescendants(sib.id, childrenMap, mapping),
-          icon: 'edit' // Icon type for visual distinction
-        });
-      }
-    }
-  }
-
-  return messages;
-}
-
-/**
- * Extract messages from DOM (for non-ChatGPT platforms)
- */
-// Minimum message length to filter out UI elements
-const MIN_MESSAGE_LENGTH = 15;
-
-// Blacklist patterns for UI text that should not be captured (Gemini specific)
-const GEMINI_UI_BLACKLIST = [
-  /^show thinking$/i,
-  /^hide thinking$/i,
-  /^show drafts$/i,
-  /^copy$/i,
-  /^share$/i,
-  /^google search$/i,
-  /^tools$/i,
-  /^thinking$/i,
-  /^pro$/i,
-  /^ask gemini/i,
-  /^what do you want/i,
-  /^gemini can make mistakes/i,
-  /^contents$/i,
-  /^create$/i,
-  /^share and export$/i,
-  /^updated$/i
-];
-
-// ============================================
-// Claude-Specific Selectors and State
-// ============================================
-
-const CLAUDE_SELECTORS = {
-  // User message - must be non-streaming state
-  userMessage:
-    '[data-is-streaming="false"] .font-user-message, [data-test-render-count] .font-user-message, .font-user-message',
-  // Claude response
-  assistantMessage: '.font-claude-message',
-  // Streaming state detection
-  streamingIndicator: '[data-is-streaming="true"]',
-  // Conversation container
-  conversationContainer:
-    'main[class*="conversation"], [class*="overflow-y-auto"]',
-  // Any message content
-  messageContent: '.font-claude-message, .font-user-message'
-};
-
-// Cache for Claude API data (from fetch interception)
-let claudeApiCache = {
-  conversationId: null,
-  messages: [],
-  lastUpdate: 0
-};
-
-let claudeOrgId = null;
-const CLAUDE_ORG_ID_REGEX = /^[a-f0-9-]{36}$/i;
-
-function extractClaudeConversationIdFromUrl(url) {
-  if (!url) return null;
-  const match = url.match(/chat_conversations\/([a-zA-Z0-9-]+)/i);
-  return match?.[1] || null;
-}
-
-function extractClaudeOrgIdFromUrl(url) {
-  if (!url) return null;
-  const match = url.match(/organizations\/([a-zA-Z0-9-]+)/i);
-  const orgId = match?.[1] || null;
-  if (!orgId) return null;
-  return CLAUDE_ORG_ID_REGEX.test(orgId) ? orgId : null;
-}
-
-function extractClaudeOrgIdFromStorage(storage) {
-  if (!storage) return null;
-  const keys = Object.keys(storage);
-  for (const key of keys) {
-    if (!key.toLowerCase().includes('org')) continue;
-    const value = storage.getItem(key);
-    if (!value) continue;
-    if (CLAUDE_ORG_ID_REGEX.test(value)) return value;
-    try {
-      const parsed = JSON.parse(value);
-      if (typeof parsed === 'string' && CLAUDE_ORG_ID_REGEX.test(parsed)) {
-        return parsed;
-      }
-      if (parsed && typeof parsed === 'object') {
-        for (const candidate of Object.values(parsed)) {
-          if (
-            typeof candidate === 'string' &&
-            CLAUDE_ORG_ID_REGEX.test(candidate)
-          ) {
-            return candidate;
-          }
-        }
-      }
-    } catch {
-      // Ignore JSON parse errors
-    }
-  }
-  return null;
-}
-
-function extractClaudeOrgIdFromWindow() {
-  const pageProps = window.__NEXT_DATA__?.props?.pageProps;
-  const candidates = [
-    pageProps?.organization?.uuid,
-    pageProps?.organization_uuid,
-    pageProps?.currentOrganization?.uuid,
-    pageProps?.user?.organization?.uuid,
-    pageProps?.user?.organization_uuid
-  ];
-
-  for (const candidate of candidates) {
-    if (typeof candidate === 'string' && CLAUDE_ORG_ID_REGEX.test(candidate)) {
-      return candidate;
-    }
-  }
-
-  return (
-    extractClaudeOrgIdFromStorage(localStorage) ||
-    extractClaudeOrgIdFromStorage(sessionStorage)
-  );
-}
-
-function extractClaudeOrgIdFromPerformance() {
-  try {
-    const entries = performance.getEntriesByType('resource') || [];
-    for (const entry of entries) {
-      const orgId = extractClaudeOrgIdFromUrl(entry.name);
-      if (orgId) return orgId;
-    }
-  } catch {
-    // Ignore performance access errors
-  }
-  return null;
-}
-
-function getClaudeOrgId() {
-  if (claudeOrgId) return claudeOrgId;
-  const orgId =
-    extractClaudeOrgIdFromWindow() || extractClaudeOrgIdFromPerformance();
-  if (orgId) {
-    claudeOrgId = orgId;
-  }
-  return claudeOrgId;
-}
-
-// Claude fetch interceptor moved to core/fetch-interceptor-factory.js
-
-function extractClaudeMessagesFromApi(data) {
-  if (!data) {
-    return { messages: [], conversationId: null, title: null };
-  }
-
-  let extractedMessages = [];
-  const conversationId = data.uuid || null;
-  const title = data.name || null;
-
-  const sourceMessages = Array.isArray(data.chat_messages)
-    ? data.chat_messages
-    : Array.isArray(data.messages)
-      ? data.messages
-      : [];
-
-  if (sourceMessages.length > 0) {
-    // Group messages by parent_message_uuid to detect edits
-    const parentGroups = new Map();
-
-    const mapped = sourceMessages
-      .map((msg, idx) => {
-        const contentText = normalizeContent(msg.text ?? msg.content);
-        const parentMsgId = msg.parent_message_uuid || msg.parent || null;
-        return {
-          id: msg.uuid || msg.id || `claude-api-${idx}`,
-          role:
-            msg.sender === 'human' || msg.role === 'user'
-              ? 'user'
-              : 'assistant',
-          content: contentText,
-          text: contentText,
-          createTime: msg.created_at
-            ? new Date(msg.created_at).getTime() / 1000
-            : Date.now() / 1000,
-          parentMsgId,
-          index: msg.index ?? idx
-        };
-      })
-      .filter((msg) => msg.content && msg.content.trim().length > 0);
-
-    // Build parent groups for edit detection
-    for (const msg of mapped) {
-      if (msg.parentMsgId) {
-        const group = parentGroups.get(msg.parentMsgId) || [];
-        group.push(msg);
-        parentGroups.set(msg.parentMsgId, group);
-      }
-    }
-
-    // Mark edit versions for messages sharing a parent
-    for (const msg of mapped) {
-      const siblings = msg.parentMsgId
-        ? parentGroups.get(msg.parentMsgId) || []
-        : [];
-      // Only mark as edits if siblings share the same role
-      const sameRoleSiblings = siblings.filter((s) => s.role === msg.role);
-
-      if (sameRoleSiblings.length > 1) {
-        sameRoleSiblings.sort((a, b) => a.createTime - b.createTime);
-        const versionIndex =
-          sameRoleSiblings.findIndex((s) => s.id === msg.id) + 1;
-
-        msg.hasEditVersions = true;
-        msg.editVersionIndex = versionIndex;
-        msg.totalVersions = sameRoleSiblings.length;
-        msg.siblingIds = sameRoleSiblings.map((s) => s.id);
-      }
-    }
-
-    extractedMessages = mapped;
-  }
-
-  return { messages: extractedMessages, conversationId, title };
-}
-
-/**
- * Build Claude edit branch nodes from API messages.
- * Keeps the latest version visible and adds edit branches for older versions.
- * @param {Message[]} messages
- * @returns {Message[]}
- */
-function buildClaudeEditBranchNodes(messages) {
-  if (!Array.isArray(messages) || messages.length === 0) return messages;
-
-  const messageById = new Map();
-  for (const msg of messages) {
-    if (msg?.id) {
-      messageById.set(msg.id, msg);
-    }
-  }
-
-  const processedGroups = new Set();
-  const groupedIds = new Set();
-  const visibleIds = new Set();
-  const editBranches = [];
-
-  for (const msg of messages) {
-    const siblingIds = Array.isArray(msg.siblingIds) ? msg.siblingIds : [];
-    if (siblingIds.length < 2) continue;
-
-    const siblingMessages = siblingIds
-      .map((id) => messageById.get(id))
-      .filter((sibling) => sibling && sibling.text);
-
-    if (siblingMessages.length < 2) continue;
-
-    siblingMessages.sort((a, b) => (a.createTime || 0) - (b.createTime || 0));
-
-    const orderedIds = siblingMessages.map((sibling) => sibling.id);
-    const groupKey = orderedIds.join('|');
-    if (processedGroups.has(groupKey)) continue;
-    processedGroups.add(groupKey);
-
-    const currentMessage = siblingMessages[siblingMessages.length - 1];
-    const totalVersions = siblingMessages.length;
-    const currentIndex = orderedIds.indexOf(currentMessage.id);
-
-    orderedIds.forEach((id) => groupedIds.add(id));
-
-    currentMessage.hasEditVersions = true;
-    currentMessage.editVersionIndex = currentIndex + 1;
-    currentMessage.totalVersions = totalVersions;
-    currentMessage.siblingIds = orderedIds;
-    visibleIds.add(currentMessage.id);
-
-    siblingMessages.forEach((sibling, index) => {
-      if (sibling.id === currentMessage.id) return;
-
-      editBranches.push({
-        id: `edit-branch:${sibling.id}`,
-        type: 'editBranch',
-        role: sibling.role,
-        text: sibling.text,
-        createTime: sibling.createTime,
-        depth: 1,
-        branchNodeId: sibling.id,
-        editVersionIndex: index + 1,
-        totalVersions,
-        siblingIds: orderedIds,
-        editVersionLabel: `Edit v${index + 1}/${totalVersions}`,
-        icon: 'edit'
-      });
-    });
-  }
-
-  const baseMessages = messages.filter((msg) => {
-    const siblingIds = Array.isArray(msg.siblingIds) ? msg.siblingIds : [];
-    if (siblingIds.length < 2) return true;
-    if (!groupedIds.has(msg.id)) return true;
-    return visibleIds.has(msg.id);
-  });
-
-  return [...baseMessages, ...editBranches];
-}
-
-async function fetchClaudeConversation(conversationId) {
-  const orgId = getClaudeOrgId();
-  if (!orgId) {
-    throw new Error('No Claude organization ID available');
-  }
-
-  const url = `${location.origin}/api/organizations/${orgId}/chat_conversations/${conversationId}`;
-  const res = await fetch(url, { credentials: 'include' });
-  if (!res.ok) {
-    throw new Error(`Claude conversation fetch failed: ${res.status}`);
-  }
-
-  const data = await res.json();
-  const extracted = extractClaudeMessagesFromApi(data);
-  const resolvedConversationId =
-    extracted.conversationId || conversationId || null;
-
-  if (extracted.messages.length > 0) {
-    claudeApiCache = {
-      conversationId: resolvedConversationId,
-      messages: extracted.messages,
-      lastUpdate: Date.now()
-    };
-
-    updateRawCache('claude', {
-      conversationId: resolvedConversationId,
-      title:
-        extracted.title ||
-        document.title?.replace(/\s*[-–]\s*Claude\s*$/i, '').trim() ||
-        'Claude Conversation',
-      messages: extracted.messages
-    });
-  }
-
-  return {
-    conversationId: resolvedConversationId,
-    title: extracted.title,
-    messages: extracted.messages
-  };
-}
-
-/**
- * Handle Claude API response data from fetch interceptor
- */
-function handleClaudeApiResponse(data, url) {
-  if (!data) return;
-
-  const orgId = extractClaudeOrgIdFromUrl(url);
-  if (orgId) {
-    claudeOrgId = orgId;
-  }
-
-  const extracted = extractClaudeMessagesFromApi(data);
-  const conversationId =
-    extracted.conversationId ||
-    extractClaudeConversationIdFromUrl(url) ||
-    getConversationId('claude');
-  const title = extracted.title || null;
-
-  if (extracted.messages.length > 0) {
-    claudeApiCache = {
-      conversationId,
-      messages: extracted.messages,
-      lastUpdate: Date.now()
-    };
-
-    // Also update the raw conversation cache for Markdown export
-    updateRawCache('claude', {
-      conversationId,
-      title:
-        title ||
-        document.title?.replace(/\s*[-–]\s*Claude\s*$/i, '').trim() ||
-        'Claude Conversation',
-      messages: extracted.messages
-    });
-
-    // Trigger a refresh
-    scheduleRefresh(100);
-  }
-}
-
-// Listen for messages from injected script
-window.addEventListener('message', (event) => {
-  if (event.source !== window) return;
-
-  if (event.data?.type === 'CLAUDE_API_RESPONSE') {
-    handleClaudeApiResponse(event.data.data, event.data.url);
-  }
-
-  if (event.data?.type === 'GEMINI_API_RESPONSE') {
-    handleGeminiApiResponse(event.data.data, event.data.url);
-  }
-
-  if (event.data?.type === 'PERPLEXITY_API_RESPONSE') {
-    handlePerplexityApiResponse(event.data.data, event.data.url);
-  }
-});
-
-// ============================================
-// Gemini API Interception
-// ============================================
-
-// Gemini fetch interceptor moved to core/fetch-interceptor-factory.js
-
-/**
- * Handle Gemini API response data
- */
-function handleGeminiApiResponse(data, _url) {
-  if (!data) return;
-
-  let extractedMessages = [];
-  const conversationId = getConversationId('gemini');
-
-  // Gemini has complex nested response structures
-  // Try to extract conversation messages from various formats
-
-  // Format 1: Look for conversation array in nested structure
-  function extractFromNested(obj, messages = []) {
-    if (!obj || typeof obj !== 'object') return messages;
-
-    // Look for message-like structures
-    if (obj.text && typeof obj.text === 'string' && obj.text.length > 10) {
-      const role =
-        obj.author === 'user' || obj.role === 'user' ? 'user' : 'assistant';
-      messages.push({
-        id: obj.id || `gemini-api-${messages.length}`,
-        role,
-        content: obj.text,
-        text: obj.text,
-        createTime: Date.now() / 1000
-      });
-    } else if (Array.isArray(obj.parts)) {
-      const partsText = normalizeContent(obj.parts);
-      if (partsText.length > 10) {
-        const role =
-          obj.author === 'user' || obj.role === 'user' ? 'user' : 'assistant';
-        messages.push({
-          id: obj.id || `gemini-api-${messages.length}`,
-          role,
-          content: partsText,
-          text: partsText,
-          createTime: Date.now() / 1000
-        });
-      }
-    }
-
-    // Recursively search arrays and objects
-    if (Array.isArray(obj)) {
-      for (const item of obj) {
-        extractFromNested(item, messages);
-      }
-    } else {
-      for (const key of Object.keys(obj)) {
-        extractFromNested(obj[key], messages);
-      }
-    }
-
-    return messages;
-  }
-
-  extractedMessages = extractFromNested(data);
-
-  // Filter for meaningful messages
-  extractedMessages = extractedMessages.filter(
-    (m) => m.content && m.content.length >= MIN_MESSAGE_LENGTH
-  );
-
-  if (extractedMessages.length > 0) {
-    updateRawCache('gemini', {
-      conversationId: conversationId || 'gemini-conv',
-      title:
-        document.title?.replace(/\s*[-–]\s*Google Gemini\s*$/i, '').trim() ||
-        'Gemini Conversation',
-      messages: extractedMessages
-    });
-    scheduleRefresh(100);
-  }
-}
-
-// ============================================
-// Perplexity API Interception
-// ============================================
-
-// Perplexity fetch interceptor moved to core/fetch-interceptor-factory.js
-
-/**
- * Handle Perplexity API response data
- */
-function handlePerplexityApiResponse(data, _url) {
-  if (!data) return;
-
-  let extractedMessages = [];
-  const conversationId = getConversationId('perplexity');
-
-  // Perplexity response formats
-  // Format 1: Search results with query and answer
-  if (data.query || data.answer || data.text) {
-    if (data.query) {
-      extractedMessages.push({
-        id: 'pplx-query',
-        role: 'user',
-        content: data.query,
-        text: data.query,
-        createTime: Date.now() / 1000 - 60
-      });
-    }
-
-    if (data.answer || data.text) {
-      extractedMessages.push({
-        id: 'pplx-answer',
-        role: 'assistant',
-        content: data.answer || data.text,
-        text: data.answer || data.text,
-        createTime: Date.now() / 1000
-      });
-    }
-  }
-
-  // Format 2: Messages array
-  if (data.messages && Array.isArray(data.messages)) {
-    for (const msg of data.messages) {
-      extractedMessages.push({
-        id: msg.id || `pplx-api-${extractedMessages.length}`,
-        role: msg.role === 'user' ? 'user' : 'assistant',
-        content: msg.content || msg.text || '',
-        text: msg.content || msg.text || '',
-        createTime: msg.created_at
-          ? new Date(msg.created_at).getTime() / 1000
-          : Date.now() / 1000
-      });
-    }
-  }
-
-  // Format 3: Threads/turns
-  if (data.thread && Array.isArray(data.thread)) {
-    for (const turn of data.thread) {
-      if (turn.query) {
-        extractedMessages.push({
-          id: `pplx-q-${extractedMessages.length}`,
-          role: 'user',
-          content: turn.query,
-          text: turn.query,
-          createTime: Date.now() / 1000
-        });
-      }
-      if (turn.answer || turn.response) {
-        extractedMessages.push({
-          id: `pplx-a-${extractedMessages.length}`,
-          role: 'assistant',
-          content: turn.answer || turn.response,
-          text: turn.answer || turn.response,
-          createTime: Date.now() / 1000
-        });
-      }
-    }
-  }
-
-  // Filter for meaningful messages
-  extractedMessages = extractedMessages.filter(
-    (m) => m.content && m.content.length >= MIN_MESSAGE_LENGTH
-  );
-
-  if (extractedMessages.length > 0) {
-    updateRawCache('perplexity', {
-      conversationId: conversationId || 'pplx-conv',
-      title:
-        document.title?.replace(/\s*[-–]\s*Perplexity\s*$/i, '').trim() ||
-        'Perplexity Search',
-      messages: extractedMessages
-    });
-    scheduleRefresh(100);
-  }
-}
-
-function isGeminiBlacklistedText(text) {
-  if (!text) return true;
-  const trimmed = text.trim();
-  return GEMINI_UI_BLACKLIST.some((pattern) => pattern.test(trimmed));
-}
-
-/**
- * Check if we're in Gemini Deep Research mode
- */
-function isGeminiDeepResearchMode() {
-  const indicators = [
-    '[class*="canvas"]',
-    '[class*="document-view"]',
-    '[class*="research-output"]',
-    '[class*="report-content"]'
-  ];
-  for (const sel of indicators) {
-    if (document.querySelector(sel)) return true;
-  }
-  return false;
-}
-
-/**
- * Check if element is in Gemini document area (Deep Research)
- */
-function isInGeminiDocumentArea(el) {
-  const docSelectors = [
-    '[class*="canvas"]',
-    '[class*="document"]',
-    '[class*="research-output"]',
-    '[class*="report-content"]'
-  ];
-  for (const sel of docSelectors) {
-    if (el.closest(sel)) return true;
-  }
-  return false;
-}
-
-/**
- * Extract Gemini messages with deduplication and filtering
- * Also tags DOM elements for accurate scroll-to-message
- */
-function extractGeminiMessages() {
-  const messages = [];
-  const seenTexts = new Set();
-  const isDeepResearch = isGeminiDeepResearchMode();
-  let index = 0;
-
-  // Clear previous tags
-  document.querySelectorAll('[data-branch-tree-id]').forEach((el) => {
-    el.removeAttribute('data-branch-tree-id');
-  });
-
-  // Find user queries - look for user message containers
-  const userElements = document.querySelectorAll(
-    '[class*="query-content"], [class*="user-query"], [data-message-author-role="user"]'
-  );
-
-  // Find model responses
-  const modelElements = document.querySelectorAll(
-    '[class*="response-container"], [class*="model-response"], [data-message-author-role="model"]'
-  );
-
-  // Combine and process all elements
-  const allElements = [];
-
-  for (const el of userElements) {
-    if (isDeepResearch && isInGeminiDocumentArea(el)) continue;
-    allElements.push({ element: el, role: 'user' });
-  }
-
-  for (const el of modelElements) {
-    if (isDeepResearch && isInGeminiDocumentArea(el)) continue;
-    allElements.push({ element: el, role: 'assistant' });
-  }
-
-  // Sort by DOM position
-  allElements.sort((a, b) => {
-    const position = a.element.compareDocumentPosition(b.element);
-    if (position & Node.DOCUMENT_POSITION_FOLLOWING) return -1;
-    if (position & Node.DOCUMENT_POSITION_PRECEDING) return 1;
-    return 0;
-  });
-
-  // If no elements found with specific selectors, try fallback
-  if (allElements.length === 0) {
-    const fallbackElements = document.querySelectorAll(
-      '[class*="markdown"]:not([class*="markdown-"] *), [class*="prose"]:not([class*="prose-"] *)'
-    );
-
-    for (const el of fallbackElements) {
-      if (isDeepResearch && isInGeminiDocumentArea(el)) continue;
-      const role = determineRole(el, 'gemini');
-      if (role === 'user' || role === 'assistant') {
-        allElements.push({ element: el, role });
-      }
-    }
-  }
-
-  // Process elements with deduplication
-  for (const { element, role } of allElements) {
-    // Extract text, cleaning up UI elements
-    let text = '';
-
-    // Try to find the main text content
-    const textContainers = element.querySelectorAll(
-      '[class*="markdown-content"], [class*="response-text"], [class*="query-text"], [class*="prose"]'
-    );
-
-    if (textContainers.length > 0) {
-      for (const tc of textContainers) {
-        const clone = tc.cloneNode(true);
-        // Remove UI elements
-        const uiElements = clone.querySelectorAll(
-          'button, [role="button"], svg, [class*="icon"], [class*="action"]'
-        );
-        uiElements.forEach((ui) => ui.remove());
-        text = clone.textContent?.trim() || '';
-        if (text.length >= MIN_MESSAGE_LENGTH) break;
-      }
-    }
-
-    if (!text || text.length < MIN_MESSAGE_LENGTH) {
-      text = element.textContent?.trim() || '';
-    }
-
-    // Skip if too short or blacklisted
-    if (!text || text.length < MIN_MESSAGE_LENGTH) continue;
-    if (isGeminiBlacklistedText(text)) continue;
-
-    // Deduplication
-    const textKey = text.slice(0, 150).toLowerCase().replace(/\s+/g, ' ');
-    if (seenTexts.has(textKey)) continue;
-    seenTexts.add(textKey);
-
-    const msgId = `gemini-msg-${index}`;
-
-    // Tag the DOM element for accurate scroll targeting
-    element.setAttribute('data-branch-tree-id', msgId);
-
-    messages.push({
-      id: msgId,
-      type: 'message',
-      role,
-      text,
-      createTime: Date.now() / 1000 - (allElements.length - index) * 60,
-      hasEditVersions: false
-    });
-
-    index++;
-  }
-
-  return messages;
-}
-
-/**
- * Extract Claude messages with improved selectors and streaming awareness
- * Only extracts completed messages (data-is-streaming="false")
- */
-function extractClaudeMessages(minLength = MIN_MESSAGE_LENGTH) {
-  const messages = [];
-  const seenTexts = new Set();
-  let index = 0;
-  const conversationId = getConversationId('claude');
-
-  // Clear previous tags
-  document.querySelectorAll('[data-branch-tree-id]').forEach((el) => {
-    el.removeAttribute('data-branch-tree-id');
-  });
-
-  // Strategy 1: Use API cache if available and recent (within 30 seconds)
-  if (
-    claudeApiCache.messages.length > 0 &&
-    claudeApiCache.conversationId === conversationId &&
-    Date.now() - claudeApiCache.lastUpdate < 30000
-  ) {
-    // Use API data as authoritative source
-    for (const msg of claudeApiCache.messages) {
-      if (msg.role !== 'user' && msg.role !== 'assistant') continue;
-
-      const textKey = msg.text.slice(0, 150).toLowerCase().replace(/\s+/g, ' ');
-      if (seenTexts.has(textKey)) continue;
-      seenTexts.add(textKey);
-
-      messages.push({
-        id: msg.id || `claude-msg-${index}`,
-        type: 'message',
-        role: msg.role,
-        text: msg.text,
-        createTime: msg.createTime || Date.now() / 1000,
-        hasEditVersions: Boolean(msg.hasEditVersions),
-        editVersionIndex: msg.editVersionIndex,
-        totalVersions: msg.totalVersions,
-        siblingIds: msg.siblingIds
-      });
-      index++;
-    }
-
-    // If we got messages from API, return them
-    if (messages.length > 0) {
-      return buildClaudeEditBranchNodes(messages);
-    }
-  }
-
-  // Strategy 2: DOM extraction with precise selectors
-
-  // Find conversation container
-  let conversationContainer = document.querySelector(
-    CLAUDE_SELECTORS.conversationContainer
-  );
-  if (!conversationContainer) {
-    conversationContainer = document.body;
-  }
-
-  // Find user messages using precise selector
-  const userElements = conversationContainer.querySelectorAll(
-    CLAUDE_SELECTORS.userMessage
-  );
-  // Find assistant messages using precise selector
-  const assistantElements = conversationContainer.querySelectorAll(
-    CLAUDE_SELECTORS.assistantMessage
-  );
-
-  // Combine all message elements with their roles
-  const allElements = [];
-
-  for (const el of userElements) {
-    // Skip if this element is inside a streaming container
-    if (el.closest('[data-is-streaming="true"]')) continue;
-    allElements.push({ element: el, role: 'user' });
-  }
-
-  for (const el of assistantElements) {
-    // Skip streaming assistant messages - only capture completed ones
-    if (el.closest('[data-is-streaming="true"]')) continue;
-    allElements.push({ element: el, role: 'assistant' });
-  }
-
-  // Sort by DOM position
-  allElements.sort((a, b) => {
-    const position = a.element.compareDocumentPosition(b.element);
-    if (position & Node.DOCUMENT_POSITION_FOLLOWING) return -1;
-    if (position & Node.DOCUMENT_POSITION_PRECEDING) return 1;
-    return 0;
-  });
-
-  // Process elements
-  for (const { element, role } of allElements) {
-    const text = element.textContent?.trim() || '';
-    if (!text || text.length < MIN_MESSAGE_LENGTH) continue;
-
-    // Deduplication
-    const textKey = text.slice(0, 150).toLowerCase().replace(/\s+/g, ' ');
-    if (seenTexts.has(textKey)) continue;
-    seenTexts.add(textKey);
-
-    const msgId = `claude-msg-${index}`;
-
-    // Find the best container for scroll targeting
-    const container =
-      element.closest('[class*="group"]') ||
-      element.closest('[data-is-streaming]') ||
-      element.parentElement;
-    if (container) {
-      container.setAttribute('data-branch-tree-id', msgId);
-    }
-
-    messages.push({
-      id: msgId,
-      type: 'message',
-      role,
-      text,
-      createTime: Date.now() / 1000 - (allElements.length - index) * 60,
-      hasEditVersions: false
-    });
-
-    index++;
-  }
-
-  // Strategy 3: Fallback to generic selectors if nothing found
-  if (messages.length === 0) {
-    const fallbackSelectors = [
-      '[data-testid*="message"]',
-      '[class*="Message"]',
-      '.prose',
-      '[class*="break-words"][class*="whitespace-pre-wrap"]'
-    ];
-
-    let fallbackElements = [];
-    for (const sel of fallbackSelectors) {
-      fallbackElements = document.querySelectorAll(sel);
-      if (fallbackElements.length > 0) break;
-    }
-
-    for (const el of fallbackElements) {
-      // Skip streaming elements
-      if (el.closest('[data-is-streaming="true"]')) continue;
-
-      const role = determineRole(el, 'claude');
-      if (role !== 'user' && role !== 'assistant') continue;
-
-      const text = el.textContent?.trim() || '';
-      if (!text || text.length < minLength) continue;
-
-      const textKey = text.slice(0, 150).toLowerCase().replace(/\s+/g, ' ');
-      if (seenTexts.has(textKey)) continue;
-      seenTexts.add(textKey);
-
-      const msgId = `claude-msg-${index}`;
-      el.setAttribute('data-branch-tree-id', msgId);
-
-      messages.push({
-        id: msgId,
-        type: 'message',
-        role,
-        text,
-        createTime: Date.now() / 1000 - (fallbackElements.length - index) * 60,
-        hasEditVersions: false
-      });
-
-      index++;
-    }
-  }
-
-  return messages;
-}
-
-function extractDOMMessages(platform) {
-  // Use specialized extractors for specific platforms
-  if (platform === 'gemini') {
-    return extractGeminiMessages();
-  }
-
-  if (platform === 'claude') {
-    return extractClaudeMessages();
-  }
-
-  const messages = [];
-  const seenTexts = new Set(); // Add dedup for all platforms
-  let index = 0;
-
-  // Platform-specific selectors
-  const selectors = {
-    perplexity: [
-      '[class*="query-block"]',
-      '[class*="answer-block"]',
-      '[class*="prose"]'
-    ]
-  };
-
-  const platformSelectors = selectors[platform] || [];
-  let elements = [];
-
-  for (const sel of platformSelectors) {
-    elements = document.querySelectorAll(sel);
-    if (elements.length > 0) break;
-  }
-
-  // Fallback: look for common patterns
-  if (elements.length === 0) {
-    elements = document.querySelectorAll(
-      '[class*="message"], [class*="prose"], [role="article"]'
-    );
-  }
-
-  for (const el of elements) {
-    const role = determineRole(el, platform);
-    if (role !== 'user' && role !== 'assistant') continue;
-
-    const text = el.textContent?.trim() || '';
-    if (!text || text.length < MIN_MESSAGE_LENGTH) continue;
-
-    // Deduplication
-    const textKey = text.slice(0, 150).toLowerCase().replace(/\s+/g, ' ');
-    if (seenTexts.has(textKey)) continue;
-    seenTexts.add(textKey);
-
-    messages.push({
-      id: `${platform}-msg-${index}`,
-      type: 'message',
-      role,
-      text,
-      createTime: Date.now() / 1000 - (elements.length - index) * 60,
-      hasEditVersions: false
-    });
-
-    index++;
-  }
-
-  return messages;
-}
-
-function determineRole(el, platform) {
-  const className = el.className || '';
-  const testId = el.dataset?.testid || '';
-  const roleAttr = el.dataset?.messageAuthorRole;
-
-  // Direct role attribute
-  if (roleAttr === 'user' || roleAttr === 'human') return 'user';
-  if (roleAttr === 'model' || roleAttr === 'assistant') return 'assistant';
-
-  // Class-based detection
-  const userPatterns = ['user', 'human', 'query'];
-  const assistantPatterns = ['assistant', 'model', 'response', 'answer'];
-
-  for (const p of userPatterns) {
-    if (className.includes(p) || testId.includes(p)) return 'user';
-  }
-  for (const p of assistantPatterns) {
-    if (className.includes(p) || testId.includes(p)) return 'assistant';
-  }
-
-  // Claude-specific: look for font-claude-message class (assistant) vs regular styling
-  if (platform === 'claude') {
-    if (
-      className.includes('font-claude-message') ||
-      className.includes('font-tiempos')
-    ) {
-      return 'assistant';
-    }
-    // Check parent for role hints
-    const parent = el.closest('[data-testid]');
-    if (parent) {
-      const parentTestId = parent.dataset.testid || '';
-      if (parentTestId.includes('user')) return 'user';
-      if (parentTestId.includes('assistant') || parentTestId.includes('bot'))
-        return 'assistant';
-    }
-  }
-
-  // 'prose' class alone could be either - need context
-  if (className.includes('prose')) {
-    // Check ancestors for role hints
-    const ancestor = el.closest('[class*="user"], [class*="human"]');
-    if (ancestor) return 'user';
-    const assistantAncestor = el.closest(
-      '[class*="assistant"], [class*="response"], [class*="bot"]'
-    );
-    if (assistantAncestor) return 'assistant';
-  }
-
-  return 'unknown';
-}
-
-// ============================================
-// Tree Building (simplified for multi-platform)
-// ============================================
-
-function cleanChatGPTConversationId(id) {
-  if (!id) return null;
-  return id.replace(/^WEB:/i, '');
-}
-
-function extractChatGPTConversationIdFromPath(pathname = '') {
-  const match = pathname.match(/\/c\/((?:WEB:)?[0-9a-f-]+)/i);
-  return match?.[1] || null;
-}
-
-function isPreBranchChatGPTId(id) {
-  return typeof id === 'string' ? /^WEB:/i.test(id) : false;
-}
-
-function selectFirstMessageAfterTimestamp(messages, timestampSeconds) {
-  if (!Array.isArray(messages) || messages.length === 0) return null;
-  const sorted = messages
-    .map((message) => ({
-      text: typeof message?.text === 'string' ? message.text : '',
-      createTime:
-        typeof message?.createTime === 'number' ? message.createTime : 0
-    }))
-    .filter((message) => message.text)
-    .sort((a, b) => a.createTime - b.createTime);
-
-  if (!sorted.length) return null;
-  if (typeof timestampSeconds === 'number') {
-    const match = sorted.find(
-      (message) => message.createTime >= timestampSeconds
-    );
-    if (match) return match.text;
-  }
-  return sorted[0].text;
-}
-
-function findParentBranch(branchData, childId) {
-  if (!branchData?.branches || !childId) return null;
-  for (const [parentId, branches] of Object.entries(branchData.branches)) {
-    const idx = branches.findIndex((branch) => branch.childId === childId);
-    if (idx >= 0) {
-      return { parentId, branchIndex: idx, branch: branches[idx] };
-    }
-  }
-  return null;
-}
-
-function buildBranchContextNodes({
-  branchData,
-  parentId,
-  currentConversationId
-}) {
-  if (!branchData || !parentId) {
-    return { ancestorTitle: null, branchRoot: null, branchNodes: [] };
-  }
-
-  const parentTitle = branchData.titles?.[parentId] || 'Conversation';
-
-  const ancestorTitle = {
-    id: `ancestor-title:${parentId}`,
-    type: 'ancestor-title',
-    text: parentTitle,
-    depth: 0,
-    targetConversationId: parentId,
-    isMainViewing: false
-  };
-
-  const branchRoot = {
-    id: `branch-root:${parentId}`,
-    type: 'branchRoot',
-    text: parentTitle,
-    depth: 0,
-    targetConversationId: parentId
-  };
-
-  const branches = branchData.branches?.[parentId] || [];
-  const branchNodes = branches.map((branch, idx) => ({
-    id: `branch:${branch.childId}`,
-    type: 'branch',
-    text: branch.firstMessage || branch.title || 'Branched conversation',
-    createTime: toSeconds(branch.createdAt || 0),
-    targetConversationId: branch.childId,
-    branchIndex: idx,
-    branchLabel: `Branch: ${branch.title || 'New Chat'}`,
-    depth: 1,
-    icon: 'branch',
-    isViewing: branch.childId === currentConversationId
-  }));
-
-  return { ancestorTitle, branchRoot, branchNodes };
-}
-
-function buildDisplayList(messages, branchData, conversationId, title) {
-  const result = [];
-  const branches = branchData?.branches?.[conversationId] || [];
-
-  // Separate edit branch nodes from regular messages
-  const editBranches = messages.filter((m) => m.type === 'editBranch');
-  const regularMessages = messages.filter((m) => m.type !== 'editBranch');
-
-  // Filter to user messages for display
-  const userMessages = regularMessages.filter((m) => m.role === 'user');
-
-  // Add title node
-  if (title) {
-    result.push({
-      id: 'title-node',
-      type: 'title',
-      text: title,
-      depth: 0,
-      targetConversationId: conversationId
-    });
-  }
-
-  // Create external branch nodes
-  const branchNodes = branches.map((branch, idx) => ({
-    id: `branch:${branch.childId}`,
-    type: 'branch',
-    text: branch.firstMessage || branch.title || 'Branched conversation',
-    createTime: toSeconds(branch.createdAt || 0),
-    targetConversationId: branch.childId,
-    branchIndex: idx,
-    branchLabel: `Branch: ${branch.title || 'New Chat'}`,
-    depth: 1,
-    icon: 'branch' // Icon type for visual distinction
-  }));
-
-  // Combine user messages + external branches + edit branches
-  const allItems = [...userMessages, ...branchNodes, ...editBranches].sort(
-    (a, b) => toSeconds(a.createTime) - toSeconds(b.createTime)
-  );
-
-  // Add to result
-  for (const item of allItems) {
-    if (item.type === 'branch') {
-      result.push({ ...item, depth: 1 });
-    } else if (item.type === 'editBranch') {
-      result.push({
-        ...item,
-        targetConversationId: conversationId
-      });
-    } else {
-      result.push({
-        ...item,
-        type: 'message',
-        depth: 0,
-        targetConversationId: conversationId
-      });
-    }
+      import(chrome.runtime.getURL('core/tree-builder.js')),
+      import(chrome.runtime.getURL('core/graph-store.js')),
+      import(chrome.runtime.getURL('core/graph-diff.js')),
+      import(chrome.runtime.getURL('core/graph-export.js'))
+    ]).then(
+      ([graphModule, treeModule, graphStore, graphDiff, graphExport]) => ({
+        ConversationGraph: graphModule.ConversationGraph,
+        TreeBuilder: treeModule,
+        graphStore,
+        graphDiff,
+        graphExport
+      })
+    );
   }
-
-  return result;
+  return graphModulesPromise;
 }
 
-// ============================================
-// Conversation ID Extraction
-// ============================================
-
-function getConversationId(platform) {
-  const pathname = location.pathname;
-  const search = location.search;
-
-  switch (platform) {
-    case 'chatgpt': {
-      const rawId = extractChatGPTConversationIdFromPath(pathname);
-      return cleanChatGPTConversationId(rawId);
-    }
-
-    case 'claude': {
-      const claudeMatch = pathname.match(/\/chat\/([a-zA-Z0-9-]+)/i);
-      return claudeMatch?.[1] || null;
-    }
-
-    case 'gemini': {
-      const geminiMatch = pathname.match(/\/(app|share)\/([a-zA-Z0-9_-]+)/i);
-      return geminiMatch?.[2] || null;
-    }
-
-    case 'perplexity': {
-      const pplxPathMatch = pathname.match(/\/search\/([a-zA-Z0-9-]+)/i);
-      if (pplxPathMatch) return pplxPathMatch[1];
-      const params = new URLSearchParams(search);
-      return params.get('uuid') || null;
-    }
-
-    default:
-      return null;
+function loadPlatformModules() {
+  if (!platformModulesPromise) {
+    platformModulesPromise = Promise.all([
+      import(chrome.runtime.getURL('core/platform-registry.js')),
+      import(chrome.runtime.getURL('core/storage.js')),
+      import(chrome.runtime.getURL('core/chatgpt-branch-utils.js')),
+      import(chrome.runtime.getURL('core/family-export.js')),
+      import(chrome.runtime.getURL('core/markdown-export.js')),
+      import(chrome.runtime.getURL('core/vault-export.js'))
+    ]).then(
+      ([
+        registry,
+        storage,
+        branchUtils,
+        familyExport,
+        markdownExport,
+        vaultExport
+      ]) => {
+        registry.registerDefaultAdapters();
+        return {
+          registry,
+          storage,
+          branchUtils,
+          familyExport,
+          markdownExport,
+          vaultExport
+        };
+      }
+    );
   }
+  return platformModulesPromise;
 }
 
+// Feature flag for graph builder
+const USE_GRAPH_BUILDER = true; // Enabled for testing
+// Platforms whose edit relationships the graph understands
+const GRAPH_BUILDER_PLATFORMS = new Set(['chatgpt', 'claude']);
+
 // ============================================
-// Branch Detection (ChatGPT only)
+// Platform Adapter
 // ============================================
 
-let pendingBranch = null;
-
 /**
- * Detect if a click target is a "Branch in new chat" button.
- * Uses multiple heuristics for resilience against UI changes.
+ * Resolve the adapter for the current URL
+ * @returns {Promise<Object|null>} - Platform adapter or null if unsupported
  */
-function isBranchButton(target) {
-  if (!target) return false;
-
-  // Check text content (case-insensitive, partial match)
-  const text = (target.textContent || '').trim().toLowerCase();
-  if (text.includes('branch')) return true;
-
-  // Check aria-label
-  const ariaLabel = (target.getAttribute('aria-label') || '').toLowerCase();
-  if (ariaLabel.includes('branch')) return true;
-
-  // Check data-testid
-  const testId = target.dataset?.testid || '';
-  if (testId.includes('branch')) return true;
-
-  // Check closest parent with branch indicators
-  const branchParent = target.closest(
-    '[data-testid*="branch"], [aria-label*="branch" i]'
-  );
-  if (branchParent) return true;
-
-  return false;
-}
-
-document.addEventListener(
-  'click',
-  (e) => {
-    if (isBranchButton(e.target)) {
-      const platform = detectPlatform();
-      if (platform === 'chatgpt') {
-        const convId = getConversationId(platform);
-        if (convId) {
-          const timestampSeconds = Math.floor(Date.now() / 1000);
-          pendingBranch = {
-            parentId: convId,
-            timestamp: timestampSeconds
-          };
-          chrome.storage.local.set({ pendingBranch });
-        }
-      }
-    }
-  },
-  true
-);
-
-// URL change detection for branch creation backup
-let lastContentUrl = location.href;
-
-function checkUrlChange() {
-  const currentUrl = location.href;
-  if (currentUrl !== lastContentUrl) {
-    const platform = detectPlatform();
-    if (platform === 'chatgpt') {
-      const oldRaw = extractChatGPTConversationIdFromPath(
-        new URL(lastContentUrl).pathname
-      );
-      const newRaw = extractChatGPTConversationIdFromPath(
-        new URL(currentUrl).pathname
-      );
-      const oldClean = cleanChatGPTConversationId(oldRaw);
-      const newClean = cleanChatGPTConversationId(newRaw);
-      const preBranchChanged =
-        isPreBranchChatGPTId(oldRaw) !== isPreBranchChatGPTId(newRaw);
-      if (oldClean && newClean && (oldClean !== newClean || preBranchChanged)) {
-        // Navigation to a different conversation - check pending
-        scheduleRefresh(300);
-      }
-    }
-    lastContentUrl = currentUrl;
-  }
+async function getActiveAdapter() {
+  const { registry } = await loadPlatformModules();
+  return registry.getCurrentAdapter();
 }
 
-// Poll for URL changes (pushState doesn't fire events)
-setInterval(checkUrlChange, 1000);
-
-async function checkPendingBranch(
-  currentConvId,
-  currentTitle,
-  mapping,
-  branchData
-) {
-  const data = await chrome.storage.local.get('pendingBranch');
-  const pending = data?.pendingBranch;
-  if (!pending) return null;
-
-  const nowInSeconds = Math.floor(Date.now() / 1000);
-  if (nowInSeconds - pending.timestamp > 120) {
-    await chrome.storage.local.remove('pendingBranch');
-    return null;
-  }
-
-  if (pending.parentId === currentConvId) return null;
-
-  // Get first user message for better branch naming
-  const userMessages = [];
-  for (const [_id, entry] of Object.entries(mapping || {})) {
-    const msg = entry?.message;
-    if (!msg || msg.author?.role !== 'user') continue;
-    const text = extractText(msg);
-    if (!text || isInternalMessage(text, msg)) continue;
-    const createTime = toSeconds(msg.create_time || 0);
-    userMessages.push({ text, createTime });
-  }
-  const firstMessage = selectFirstMessageAfterTimestamp(
-    userMessages,
-    pending.timestamp
-  );
-
-  // Record branch
-  if (!branchData.branches[pending.parentId]) {
-    branchData.branches[pending.parentId] = [];
-  }
-
-  const exists = branchData.branches[pending.parentId].some(
-    (b) => b.childId === currentConvId
-  );
-  if (!exists) {
-    branchData.branches[pending.parentId].push({
-      childId: currentConvId,
-      title: currentTitle || 'Conversation',
-      firstMessage,
-      createdAt: pending.timestamp
-    });
-  }
-
-  branchData.titles[currentConvId] =
-    currentTitle || branchData.titles[currentConvId] || 'Conversation';
-  await saveBranchData(branchData);
-  await chrome.storage.local.remove('pendingBranch');
-
-  return branchData;
+/**
+ * Trigger file download in browser
+ * @param {string} content - File content
+ * @param {string} filename - File name
+ * @param {string} [type] - MIME type
+ */
+function downloadFile(content, filename, type = 'text/markdown;charset=utf-8') {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.style.display = 'none';
+  document.body.appendChild(a);
+  a.click();
+  setTimeout(() => {
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }, 100);
 }
 
 // ============================================
 // DOM Interaction
 // ============================================
 
-const HIGHLIGHT_CLASS = 'branch-tree-highlight';
-
-function injectStyles() {
-  if (document.getElementById('branch-tree-styles')) return;
-  const style = document.createElement('style');
-  style.id = 'branch-tree-styles';
-  style.textContent = `
-    .${HIGHLIGHT_CLASS} {
-      outline: 3px solid #6b8af7 !important;
-      outline-offset: 2px;
-      border-radius: 8px;
-      transition: outline 0.2s ease;
-    }
-  `;
-  document.head.appendChild(style);
-}
-
-function findMessageElement(nodeId, platform) {
-  if (!nodeId || nodeId.startsWith('branch') || nodeId.startsWith('title'))
-    return null;
-
-  // Try our custom data attribute first (set during extraction)
-  let el = document.querySelector(`[data-branch-tree-id="${nodeId}"]`);
-  if (el) return el;
-
-  // Try data-message-id attribute
-  el = document.querySelector(`[data-message-id="${nodeId}"]`);
-  if (el) return el;
-
-  // ChatGPT specific
-  if (platform === 'chatgpt') {
-    el =
-      document.querySelector(`[data-testid="conversation-turn-${nodeId}"]`) ||
-      document.getElementById(nodeId);
-    if (el) return el;
-  }
-
-  // For Gemini, re-extract to find the element (last resort)
-  if (platform === 'gemini' && nodeId.startsWith('gemini-msg-')) {
-    // Re-run extraction which will re-tag elements
-    extractGeminiMessages();
-    el = document.querySelector(`[data-branch-tree-id="${nodeId}"]`);
-    if (el) return el;
-  }
-
-  // For other platforms, try to find by index as fallback
-  const match = nodeId.match(/(claude|pplx)-msg-(\d+)/);
-  if (match) {
-    const index = parseInt(match[2], 10);
-    const messages = document.querySelectorAll(
-      '[class*="message"], [class*="prose"], [role="article"]'
-    );
-    return messages[index] || null;
-  }
-
-  return null;
-}
-
-function scrollToMessage(nodeId, platform) {
-  const el = findMessageElement(nodeId, platform);
-  if (!el) return false;
-
-  el.scrollIntoView({ behavior: 'smooth', block: 'center' });
-  el.classList.add(HIGHLIGHT_CLASS);
-  setTimeout(() => el.classList.remove(HIGHLIGHT_CLASS), 1500);
-  return true;
-}
-
-async function scrollToMessageWithRetry(nodeId, platform, attempts = 6) {
+async function scrollToMessageWithRetry(adapter, nodeId, attempts = 6) {
   if (!nodeId) return false;
   for (let i = 0; i < attempts; i++) {
-    if (scrollToMessage(nodeId, platform)) return true;
+    if (adapter.scrollToMessage(nodeId)) return true;
     await new Promise((resolve) => setTimeout(resolve, 250 + i * 150));
   }
   return false;
@@ -2328,14 +237,14 @@ async function handleSwitchEditVersion({
   messageId,
   direction,
   steps = 1,
-  platform: requestedPlatform,
   targetMessageId
 }) {
-  const platform = requestedPlatform || detectPlatform();
-  if (!platform) return { ok: false, error: 'Unsupported platform' };
+  const adapter = await getActiveAdapter();
+  if (!adapter) return { ok: false, error: 'Unsupported platform' };
+  const platform = adapter.platformId;
 
-  injectStyles();
-  let messageEl = findMessageElement(messageId, platform);
+  adapter.injectStyles();
+  let messageEl = adapter.findMessageElement(messageId);
   if (!messageEl) return { ok: false, error: 'Message not found' };
   try {
     messageEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
@@ -2349,7 +258,7 @@ async function handleSwitchEditVersion({
 
   for (let attempt = 0; attempt < 3; attempt++) {
     if (attempt > 0) {
-      messageEl = findMessageElement(messageId, platform) || messageEl;
+      messageEl = adapter.findMessageElement(messageId) || messageEl;
     }
     let controls = findVersionControls(messageEl, platform);
     if (controls) {
@@ -2361,18 +270,13 @@ async function handleSwitchEditVersion({
         btn.click();
         if (i < stepCount - 1) {
           await new Promise((resolve) => setTimeout(resolve, 200));
-          messageEl = findMessageElement(messageId, platform) || messageEl;
+          messageEl = adapter.findMessageElement(messageId) || messageEl;
           const nextControls = findVersionControls(messageEl, platform);
           if (nextControls) controls = nextControls;
         }
       }
-      if (platform === 'chatgpt') {
-        const convId = getConversationId(platform);
-        if (convId) {
-          await clearConversationCacheById(convId);
-        }
-      }
-      await scrollToMessageWithRetry(scrollTargetId, platform);
+      await adapter.invalidateCurrentConversation?.();
+      await scrollToMessageWithRetry(adapter, scrollTargetId);
       scheduleRefresh(200);
       return { ok: true };
     }
@@ -2387,188 +291,375 @@ async function handleSwitchEditVersion({
 // Main Handler
 // ============================================
 
-async function handleGetTree() {
-  const platform = detectPlatform();
-  if (!platform) {
-    return { error: 'Unsupported platform' };
+/**
+ * Extract the conversation through the adapter, record any pending branch
+ * and persist the title
+ * @param {Object} adapter - Platform adapter
+ * @param {Object} [previous] - Last extraction, which the adapter may reuse
+ * @returns {Promise<Object>} - { conversation, branchData }
+ */
+async function loadConversation(adapter, previous = null) {
+  const { storage } = await loadPlatformModules();
+  const conversation = await adapter.extractConversation({ previous });
+  const { conversationId, title } = conversation;
+  let branchData = await storage.loadBranchData();
+
+  if (adapter.supportsBranching()) {
+    const updatedData = await adapter.checkPendingBranch(
+      conversationId,
+      title,
+      conversation.raw,
+      branchData
+    );
+    if (updatedData) {
+      branchData = updatedData;
+    }
+    scheduleBranchSync();
   }
 
-  const rawChatGPTId =
-    platform === 'chatgpt'
-      ? extractChatGPTConversationIdFromPath(location.pathname)
-      : null;
-  const isPreBranch =
-    platform === 'chatgpt' ? isPreBranchChatGPTId(rawChatGPTId) : false;
-  const conversationId = getConversationId(platform);
-  if (!conversationId) {
-    return { error: 'No conversation ID found' };
-  }
+  // Update title in branch data
+  branchData.titles[conversationId] = title;
+  await storage.recordConversation(conversationId, {
+    title,
+    platform: adapter.platformId
+  });
 
-  try {
-    let messages = [];
-    let title = 'Conversation';
-    let branchData = await loadBranchData();
-    let hasAncestry = false;
-
-    if (platform === 'chatgpt') {
-      // Use API for ChatGPT
-      const conv = await fetchChatGPTConversation(conversationId, true, true);
-      title = conv.title || 'Conversation';
-
-      // Check for pending branch
-      const updatedData = await checkPendingBranch(
-        conversationId,
-        title,
-        conv.mapping,
-        branchData
-      );
-      if (updatedData) {
-        branchData = updatedData;
-      }
+  return { conversation, branchData };
+}
 
-      // Extract messages as tree with edit branches
-      messages = extractChatGPTTree(conv.mapping, conv.current_node);
-    } else {
-      // Use DOM for other platforms
-      messages = extractDOMMessages(platform);
+/**
+ * Prepend parent-conversation context when the current conversation is a
+ * recorded branch of another one
+ * @returns {Promise<Object|null>} - { nodes } with context, or null
+ */
+async function buildAncestryNodes(adapter, branchData, conversationId, title) {
+  if (!adapter.supportsBranching()) return null;
 
-      // Try to get title from page
-      const pageTitle = document.title;
-      if (pageTitle && !pageTitle.includes(platform)) {
-        title = pageTitle;
-      }
-    }
+  const { branchUtils } = await loadPlatformModules();
+  const parentInfo = branchUtils.findParentBranch(branchData, conversationId);
+  if (!parentInfo) return null;
 
-    // Update title in branch data
-    branchData.titles[conversationId] = title;
-    await saveBranchData(branchData);
+  const context = branchUtils.buildBranchContextNodes({
+    branchData,
+    parentId: parentInfo.parentId,
+    currentConversationId: conversationId
+  });
 
-    // Build display list
-    const parentInfo =
-      platform === 'chatgpt'
-        ? findParentBranch(branchData, conversationId)
-        : null;
-    const baseNodes = buildDisplayList(
-      messages,
-      branchData,
-      conversationId,
-      parentInfo ? null : title
-    );
+  const currentTitleNode = {
+    id: `current-title:${conversationId}`,
+    type: 'current-title',
+    text: title,
+    depth: 0,
+    targetConversationId: conversationId,
+    isMainViewing: true
+  };
 
-    let nodes = baseNodes;
+  return [
+    context.ancestorTitle,
+    context.branchRoot,
+    ...context.branchNodes,
+    currentTitleNode
+  ].filter(Boolean);
+}
 
-    if (parentInfo) {
-      const context = buildBranchContextNodes({
-        branchData,
-        parentId: parentInfo.parentId,
-        currentConversationId: conversationId
-      });
+/**
+ * Mark a conversation as deleted when an error says the platform no longer
+ * has it
+ * @param {Object} adapter - Platform adapter
+ * @param {*} err - Error from an adapter fetch
+ * @returns {Promise<boolean>} - Whether the error was a deleted conversation
+ */
+async function noteDeletedConversation(adapter, err) {
+  if (err?.name !== 'ConversationNotFoundError') return false;
+  const { storage } = await loadPlatformModules();
+  await storage.markConversationDeleted(err.conversationId, {
+    platform: adapter.platformId
+  });
+  return true;
+}
 
-      const currentTitleNode = {
-        id: `current-title:${conversationId}`,
-        type: 'current-title',
-        text: title,
-        depth: 0,
-        targetConversationId: conversationId,
-        isMainViewing: true
+/**
+ * Load the recorded parent and child conversations of the current one so
+ * the graph can deduplicate shared history. Conversations with a persisted
+ * graph are taken from the graph store instead of being refetched.
+ * Failures are non-critical.
+ * @returns {Promise<Object>} - { parentId, conversations, errors }
+ */
+async function loadRelatedConversations(adapter, branchData, conversationId) {
+  const result = { parentId: null, conversations: [], errors: [] };
+  if (!adapter.supportsBranching()) return result;
+
+  const { branchUtils } = await loadPlatformModules();
+  const parentInfo = branchUtils.findParentBranch(branchData, conversationId);
+  result.parentId = parentInfo?.parentId || null;
+
+  const relatedIds = [
+    result.parentId,
+    ...(branchData.branches?.[conversationId] || []).map((b) => b.childId)
+  ].filter((id) => id && id !== conversationId);
+
+  const { graphStore } = await loadGraphModules();
+  const settled = await Promise.allSettled(
+    relatedIds.map(async (id) => {
+      const stored = await graphStore.loadGraph(id);
+      if (stored?.hasConversation(id)) {
+        return { conversationId: id, graph: stored };
+      }
+      const conversation = await adapter.extractConversationById(id);
+      return conversation
+        ? { conversationId: id, messages: conversation.messages }
+        : null;
+    })
+  );
+  for (const [idx, outcome] of settled.entries()) {
+    if (outcome.status === 'fulfilled' && outcome.value) {
+      result.conversations.push(outcome.value);
+    } else if (await noteDeletedConversation(adapter, outcome.reason)) {
+      // Grayed out in this render, not only the next one
+      branchData.deleted = {
+        ...branchData.deleted,
+        [relatedIds[idx]]: Date.now()
       };
-
-      nodes = [
-        context.ancestorTitle,
-        context.branchRoot,
-        ...context.branchNodes,
-        currentTitleNode,
-        ...baseNodes
-      ].filter(Boolean);
-      hasAncestry = true;
+      result.errors.push({
+        type: 'related_deleted',
+        conversationId: relatedIds[idx],
+        error: 'Conversation was deleted'
+      });
+    } else if (outcome.status === 'rejected') {
+      result.errors.push({
+        type: 'related_load',
+        conversationId: relatedIds[idx],
+        error: outcome.reason?.message || String(outcome.reason)
+      });
     }
+  }
 
-    if (platform === 'chatgpt' && isPreBranch) {
-      const indicator = {
-        id: 'pre-branch-indicator',
-        type: 'preBranchIndicator',
-        text: 'You are viewing a branch preview. Send a message to create a new branch.',
-        depth: 0,
-        isPersistent: true
-      };
-      const insertAfterIndex = nodes.findIndex(
-        (node) =>
-          node.type === 'current-title' ||
-          node.type === 'title' ||
-          node.type === 'ancestor-title'
-      );
-      if (insertAfterIndex >= 0) {
-        nodes.splice(insertAfterIndex + 1, 0, indicator);
-      } else {
-        nodes.unshift(indicator);
-      }
+  return result;
+}
+
+function insertPreBranchIndicator(nodes) {
+  const indicator = {
+    id: 'pre-branch-indicator',
+    type: 'preBranchIndicator',
+    text: 'You are viewing a branch preview. Send a message to create a new branch.',
+    depth: 0,
+    isPersistent: true
+  };
+  const insertAfterIndex = nodes.findIndex(
+    (node) =>
+      node.type === 'current-title' ||
+      node.type === 'title' ||
+      node.type === 'ancestor-title'
+  );
+  if (insertAfterIndex >= 0) {
+    nodes.splice(insertAfterIndex + 1, 0, indicator);
+  } else {
+    nodes.unshift(indicator);
+  }
+}
+
+async function handleGetTree() {
+  const adapter = await getActiveAdapter();
+  if (!adapter) {
+    return { error: 'Unsupported platform' };
+  }
+  if (!adapter.getConversationId()) {
+    return { error: 'No conversation ID found' };
+  }
+
+  try {
+    const { storage } = await loadPlatformModules();
+    const { TreeBuilder } = await loadGraphModules();
+    const { conversation, branchData } = await loadConversation(adapter);
+    const { conversationId, title, messages } = conversation;
+    const settings = await storage.loadSettings();
+
+    const ancestryNodes = await buildAncestryNodes(
+      adapter,
+      branchData,
+      conversationId,
+      title
+    );
+    const baseNodes = TreeBuilder.buildDisplayList(messages, {
+      conversationId,
+      title: ancestryNodes ? null : title,
+      branchData,
+      showRegenerations: settings.showRegenerations
+    });
+    const nodes = ancestryNodes ? [...ancestryNodes, ...baseNodes] : baseNodes;
+
+    if (conversation.isPreBranch) {
+      insertPreBranchIndicator(nodes);
     }
 
     return {
       conversationId,
       title,
       nodes,
-      platform,
-      hasAncestry
+      platform: adapter.platformId,
+      hasAncestry: Boolean(ancestryNodes),
+      deletedCount: Object.keys(branchData.deleted || {}).length
     };
   } catch (err) {
-    return { error: err.message || String(err) };
+    return treeErrorResult(adapter, err);
   }
 }
 
 /**
- * Handle GET_CONVERSATION_TREE using graph builder
- * Phase 1: ChatGPT only
+ * Error result for a failed tree build
+ * @param {Object} adapter - Platform adapter
+ * @param {*} err - The error
+ * @returns {Promise<Object>} - { error }
  */
-async function handleGetTreeWithGraph() {
-  const platform = detectPlatform();
-  if (!platform) {
-    return { error: 'Unsupported platform' };
+async function treeErrorResult(adapter, err) {
+  if (await noteDeletedConversation(adapter, err)) {
+    return { error: 'This conversation was deleted' };
   }
+  return { error: err.message || String(err) };
+}
 
-  const rawChatGPTId =
-    platform === 'chatgpt'
-      ? extractChatGPTConversationIdFromPath(location.pathname)
-      : null;
-  const isPreBranch =
-    platform === 'chatgpt' ? isPreBranchChatGPTId(rawChatGPTId) : false;
-  const conversationId = getConversationId(platform);
-  if (!conversationId) {
-    return { error: 'No conversation ID found' };
-  }
+// Graph of the last tree build, kept so auto-refreshes can apply a diff
+// instead of rebuilding:
+// { conversationId, platform, conversation, graph, related, diagnostics }
+let liveGraph = null;
+let graphSaveTimer = null;
+const GRAPH_SAVE_DELAY_MS = 3000;
 
-  try {
-    const { ConversationGraph, TreeBuilder } = await loadGraphModules();
-    let messages = [];
-    let title = 'Conversation';
-    let branchData = await loadBranchData();
-    let hasAncestry = false;
-
-    // Extract messages (platform-specific)
-    if (platform === 'chatgpt') {
-      const conv = await fetchChatGPTConversation(conversationId, true, true);
-      title = conv.title || 'Conversation';
-
-      // Check for pending branch
-      const updatedData = await checkPendingBranch(
-        conversationId,
-        title,
-        conv.mapping,
-        branchData
-      );
-      if (updatedData) {
-        branchData = updatedData;
-      }
+/**
+ * Persist the live graph once diffs stop arriving, so a reload restores it
+ * as of the last update rather than the last full build
+ */
+function scheduleGraphSave() {
+  clearTimeout(graphSaveTimer);
+  graphSaveTimer = setTimeout(async () => {
+    graphSaveTimer = null;
+    if (!liveGraph) return;
+    const { graphStore } = await loadGraphModules();
+    const { conversationId, platform, graph } = liveGraph;
+    graphStore.saveGraph(conversationId, platform, graph);
+  }, GRAPH_SAVE_DELAY_MS);
+}
 
-      // Extract messages (excluding editBranch nodes - graph handles them)
-      messages = extractChatGPTTree(conv.mapping, conv.current_node);
-    }
+/**
+ * The last extraction of the conversation the live graph was built for, so
+ * the adapter can skip extracting again when nothing changed
+ * @param {Object} adapter - Platform adapter
+ * @returns {Object|null} - ConversationData or null
+ */
+function liveConversation(adapter) {
+  return liveGraph?.platform === adapter.platformId &&
+    liveGraph.conversationId === adapter.getConversationId()
+    ? liveGraph.conversation
+    : null;
+}
+
+/**
+ * Get the graph for the extracted conversation. With `incremental`, the
+ * previous graph of the same conversation is updated with a message diff
+ * when possible and saved once the diffs settle; otherwise it is rebuilt
+ * with related conversations, validated, repaired and saved.
+ * @returns {Promise<Object>} - { graph, related, errors, diagnostics }
+ */
+async function getConversationGraph(
+  adapter,
+  conversation,
+  branchData,
+  incremental
+) {
+  const { ConversationGraph, graphStore, graphDiff } = await loadGraphModules();
+  const { conversationId, messages } = conversation;
+  const platform = adapter.platformId;
+
+  if (
+    incremental &&
+    liveGraph?.conversationId === conversationId &&
+    liveGraph.platform === platform
+  ) {
+    // The adapter hands back the same messages when nothing changed
+    const previous = liveGraph.conversation.messages;
+    const diff =
+      previous === messages ? null : graphDiff.diffMessages(previous, messages);
+    const unchanged = !diff || graphDiff.isEmptyDiff(diff);
+    if (unchanged || liveGraph.graph.applyDiff(conversationId, diff)) {
+      liveGraph.conversation = conversation;
+      if (!unchanged) scheduleGraphSave();
+      const { graph, related, diagnostics } = liveGraph;
+      return { graph, related, errors: [], diagnostics };
+    }
+  }
+
+  liveGraph = null;
+  clearTimeout(graphSaveTimer);
+  const related = await loadRelatedConversations(
+    adapter,
+    branchData,
+    conversationId
+  );
 
-    // Build conversation graph
-    const { graph, errors } = await ConversationGraph.buildFromConversation(
+  // Build conversation graph across the current, parent and child
+  // conversations so shared history appears once
+  const { graph, errors, repairs, remaining } =
+    await ConversationGraph.buildFromConversation(
       conversationId,
       platform,
-      messages
+      messages,
+      { relatedConversations: related.conversations }
+    );
+  errors.push(...related.errors);
+
+  // What the last full build found and fixed, for the panel's diagnostics
+  const diagnostics = {
+    builtAt: Date.now(),
+    issues: errors.filter((e) => e.type !== 'critical'),
+    repairs: repairs || [],
+    remaining: remaining || []
+  };
+
+  if (graph) {
+    liveGraph = {
+      conversationId,
+      platform,
+      conversation,
+      graph,
+      related,
+      diagnostics
+    };
+    // Persist for later visits to related conversations (non-blocking)
+    graphStore.saveGraph(conversationId, platform, graph);
+  }
+
+  return { graph, related, errors, diagnostics };
+}
+
+/**
+ * Handle GET_CONVERSATION_TREE using graph builder
+ * @param {Object} [options]
+ * @param {boolean} [options.incremental=false] - Reuse the previous graph
+ *   of the same conversation when only messages changed
+ */
+async function handleGetTreeWithGraph({ incremental = false } = {}) {
+  const adapter = await getActiveAdapter();
+  if (!adapter) {
+    return { error: 'Unsupported platform' };
+  }
+  if (!adapter.getConversationId()) {
+    return { error: 'No conversation ID found' };
+  }
+
+  try {
+    const { TreeBuilder } = await loadGraphModules();
+    const { storage } = await loadPlatformModules();
+    const { conversation, branchData } = await loadConversation(
+      adapter,
+      incremental ? liveConversation(adapter) : null
+    );
+    const { conversationId, title } = conversation;
+    const settings = await storage.loadSettings();
+    const { graph, related, errors, diagnostics } = await getConversationGraph(
+      adapter,
+      conversation,
+      branchData,
+      incremental
     );
 
     if (!graph) {
@@ -2578,85 +669,46 @@ async function handleGetTreeWithGraph() {
       };
     }
 
-    // Update title in branch data
-    branchData.titles[conversationId] = title;
-    await saveBranchData(branchData);
+    // Shared history with the parent is rendered by the tree builder when
+    // the parent loaded and the two conversations actually share messages
+    const graphHasAncestry = Boolean(
+      related.parentId &&
+        graph.findDivergencePoint(conversationId, related.parentId)
+    );
 
     // Build display tree from graph
     const baseNodes = TreeBuilder.buildTreeFromGraph(
       graph,
       conversationId,
-      branchData
+      branchData,
+      {
+        parentConversationId: graphHasAncestry ? related.parentId : null,
+        title,
+        showRegenerations: settings.showRegenerations
+      }
     );
 
-    let nodes = baseNodes;
-
-    // Build branch context if this is a child conversation
-    const parentInfo =
-      platform === 'chatgpt'
-        ? findParentBranch(branchData, conversationId)
-        : null;
-
-    if (parentInfo) {
-      const context = buildBranchContextNodes({
-        branchData,
-        parentId: parentInfo.parentId,
-        currentConversationId: conversationId
-      });
+    // Otherwise fall back to the recorded branch context
+    const ancestryNodes = graphHasAncestry
+      ? null
+      : await buildAncestryNodes(adapter, branchData, conversationId, title);
+    const nodes = ancestryNodes ? [...ancestryNodes, ...baseNodes] : baseNodes;
+    const hasAncestry = graphHasAncestry || Boolean(ancestryNodes);
 
-      const currentTitleNode = {
-        id: `current-title:${conversationId}`,
-        type: 'current-title',
+    // Add title node if no ancestry
+    if (!hasAncestry && title && !nodes.some((n) => n.type === 'title')) {
+      nodes.unshift({
+        id: 'title-node',
+        type: 'title',
         text: title,
         depth: 0,
-        targetConversationId: conversationId,
-        isMainViewing: true
-      };
-
-      nodes = [
-        context.ancestorTitle,
-        context.branchRoot,
-        ...context.branchNodes,
-        currentTitleNode,
-        ...baseNodes
-      ].filter(Boolean);
-      hasAncestry = true;
-    }
-
-    // Add title node if no ancestry
-    if (!hasAncestry) {
-      const hasTitleNode = nodes.some((n) => n.type === 'title');
-      if (!hasTitleNode && title) {
-        nodes.unshift({
-          id: 'title-node',
-          type: 'title',
-          text: title,
-          depth: 0,
-          targetConversationId: conversationId
-        });
-      }
+        targetConversationId: conversationId
+      });
     }
 
-    // Add pre-branch indicator if viewing a branch preview
-    if (platform === 'chatgpt' && isPreBranch) {
-      const indicator = {
-        id: 'pre-branch-indicator',
-        type: 'preBranchIndicator',
-        text: 'You are viewing a branch preview. Send a message to create a new branch.',
-        depth: 0,
-        isPersistent: true
-      };
-      const insertAfterIndex = nodes.findIndex(
-        (node) =>
-          node.type === 'current-title' ||
-          node.type === 'title' ||
-          node.type === 'ancestor-title'
-      );
-      if (insertAfterIndex >= 0) {
-        nodes.splice(insertAfterIndex + 1, 0, indicator);
-      } else {
-        nodes.unshift(indicator);
-      }
+    // Add pre-branch indicator if viewing a branch preview
+    if (conversation.isPreBranch) {
+      insertPreBranchIndicator(nodes);
     }
 
     // Add warnings if any non-critical errors
@@ -2669,10 +721,73 @@ async function handleGetTreeWithGraph() {
       conversationId,
       title,
       nodes,
-      platform,
+      platform: adapter.platformId,
       hasAncestry,
-      warnings: warnings.length > 0 ? warnings : undefined
+      warnings: warnings.length > 0 ? warnings : undefined,
+      diagnostics,
+      deletedCount: Object.keys(branchData.deleted || {}).length
     };
+  } catch (err) {
+    return treeErrorResult(adapter, err);
+  }
+}
+
+/**
+ * Build the tree with the builder enabled for the current platform
+ * @param {Object} [options] - Passed to the graph builder handler
+ * @returns {Promise<Object>}
+ */
+async function getConversationTree(options = {}) {
+  const adapter = await getActiveAdapter();
+  // Use graph builder for supported platforms if enabled
+  if (USE_GRAPH_BUILDER && GRAPH_BUILDER_PLATFORMS.has(adapter?.platformId)) {
+    return handleGetTreeWithGraph(options);
+  }
+  return handleGetTree();
+}
+
+// Last tree handed to the panel; auto-refresh patches are computed against
+// it and carry its revision so the panel can detect a missed update
+let lastSentTree = null;
+let treeRevision = 0;
+
+/**
+ * Record a tree result as the panel's current tree
+ * @param {Object} result - Tree result
+ * @returns {Object} - The result with its revision
+ */
+function rememberSentTree(result) {
+  treeRevision++;
+  lastSentTree = {
+    revision: treeRevision,
+    conversationId: result.conversationId,
+    title: result.title,
+    platform: result.platform,
+    hasAncestry: result.hasAncestry,
+    nodes: result.nodes
+  };
+  return { ...result, revision: treeRevision };
+}
+
+/**
+ * Build the explore-mode tree covering every branch of the conversation
+ * @returns {Promise<Object>} - { conversationId, title, roots, platform }
+ */
+async function handleGetExploreTree() {
+  const adapter = await getActiveAdapter();
+  if (!adapter) {
+    return { error: 'Unsupported platform' };
+  }
+  if (!adapter.getConversationId()) {
+    return { error: 'No conversation ID found' };
+  }
+
+  try {
+    const tree = await adapter.extractExploreTree();
+    if (!tree) {
+      return { error: 'Explore mode is not available on this platform' };
+    }
+    return { ...tree, platform: adapter.platformId };
   } catch (err) {
     return { error: err.message || String(err) };
   }
@@ -2682,422 +797,502 @@ async function handleGetTreeWithGraph() {
 // Message Handlers
 // ============================================
 
-chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
-  const platform = detectPlatform();
+/**
+ * Handle a side panel request once the adapter is resolved
+ * @param {Object} msg - Runtime message
+ * @returns {Promise<Object>} - Response
+ */
+async function handleRuntimeMessage(msg) {
+  const adapter = await getActiveAdapter();
 
-  if (msg?.type === 'GET_CONVERSATION_TREE') {
-    // Use graph builder for ChatGPT if enabled
-    if (platform === 'chatgpt' && USE_GRAPH_BUILDER) {
-      handleGetTreeWithGraph().then(sendResponse);
-    } else {
-      handleGetTree().then(sendResponse);
+  switch (msg.type) {
+    case 'GET_CONVERSATION_TREE': {
+      const result = await getConversationTree();
+      return result.error ? result : rememberSentTree(result);
     }
-    return true;
-  }
-
-  if (msg?.type === 'FOCUS_MESSAGE') {
-    injectStyles();
-    const ok = scrollToMessage(msg.nodeId, platform);
-    sendResponse({ ok });
-    return false;
-  }
 
-  if (msg?.type === 'SWITCH_EDIT_VERSION') {
-    handleSwitchEditVersion(msg).then(sendResponse);
-    return true;
-  }
+    case 'GET_EXPLORE_TREE':
+      return handleGetExploreTree();
 
-  if (msg?.type === 'OPEN_CONVERSATION') {
-    const baseUrl =
-      platform === 'chatgpt' ? getBaseUrl() : window.location.origin;
-    const url = `${baseUrl}/c/${msg.conversationId}`;
-    window.location.href = url;
-    sendResponse({ ok: true });
-    return false;
-  }
+    case 'FOCUS_MESSAGE': {
+      if (!adapter) return { ok: false };
+      adapter.injectStyles();
+      return { ok: adapter.scrollToMessage(msg.nodeId) };
+    }
 
-  if (msg?.type === 'CLEAR_CACHE') {
-    clearConversationCache().then(() => {
-      clearTokenCache();
-      sendResponse({ ok: true });
-    });
-    return true;
-  }
+    case 'SWITCH_EDIT_VERSION':
+      return handleSwitchEditVersion(msg);
 
-  // Handle Claude API completion notification from background script
-  if (msg?.type === 'CLAUDE_API_COMPLETED') {
-    // Background script detected Claude API request completed
-    const orgId = extractClaudeOrgIdFromUrl(msg.url);
-    if (orgId) {
-      claudeOrgId = orgId;
+    case 'OPEN_CONVERSATION': {
+      if (!adapter) return { ok: false, error: 'Unsupported platform' };
+      window.location.href = adapter.getConversationUrl(msg.conversationId);
+      return { ok: true };
     }
-    // Trigger a refresh to pick up new messages
-    scheduleRefresh(200);
-    sendResponse({ ok: true });
-    return false;
-  }
 
-  // Handle Gemini API completion notification from background script
-  if (msg?.type === 'GEMINI_API_COMPLETED') {
-    scheduleRefresh(200);
-    sendResponse({ ok: true });
-    return false;
-  }
+    case 'CLEAR_CACHE': {
+      const { storage } = await loadPlatformModules();
+      await storage.clearConversationCache();
+      if (msg.clearBranchData) {
+        // Leaves deletion records that sync carries to other devices
+        await storage.clearBranchData();
+        scheduleBranchSync(0);
+      }
+      const { graphStore } = await loadGraphModules();
+      await graphStore.clearGraphs();
+      await adapter?.clearCache();
+      return { ok: true };
+    }
 
-  // Handle Perplexity API completion notification from background script
-  if (msg?.type === 'PERPLEXITY_API_COMPLETED') {
-    scheduleRefresh(200);
-    sendResponse({ ok: true });
-    return false;
-  }
+    // API completion notifications from the background script
+    case 'CLAUDE_API_COMPLETED':
+    case 'GEMINI_API_COMPLETED':
+    case 'PERPLEXITY_API_COMPLETED':
+      adapter?.onApiCompleted(msg.url);
+      // Trigger a refresh to pick up new messages
+      scheduleRefresh(200);
+      return { ok: true };
 
-  if (msg?.type === 'SWITCH_CHATGPT_BRANCH') {
-    (async () => {
+    case 'SWITCH_CHATGPT_BRANCH': {
+      if (!adapter?.switchToBranch) {
+        return { ok: false, error: 'Unsupported platform' };
+      }
       try {
-        const convId = getConversationId('chatgpt');
-        if (!convId || !msg.branchNodeId) {
-          sendResponse({ ok: false, error: 'Missing data' });
-          return;
-        }
-
-        // Build children map to find leaf of the branch
-        const conv = await fetchChatGPTConversation(convId, true, true);
-        const childrenMap = {};
-        for (const [id, entry] of Object.entries(conv.mapping || {})) {
-          const parentId = entry.parent;
-          if (parentId) {
-            if (!childrenMap[parentId]) {
-              childrenMap[parentId] = [];
-            }
-            childrenMap[parentId].push(id);
-          }
-        }
-
-        const leafId = findBranchLeaf(msg.branchNodeId, childrenMap);
-
-        // PATCH the conversation to switch current_node
-        const token = await getAccessToken();
-        const res = await fetch(
-          `${getBaseUrl()}/backend-api/conversation/${convId}`,
-          {
-            method: 'PATCH',
-            headers: {
-              Authorization: `Bearer ${token}`,
-              'Content-Type': 'application/json'
-            },
-            credentials: 'include',
-            body: JSON.stringify({ current_node: leafId })
-          }
-        );
-
-        if (res.ok) {
-          // Clear cache to force fresh extraction
-          memoryCache.delete(convId);
-          const cacheKey = `${CONV_CACHE_PREFIX}${convId}`;
-          try {
-            await chrome.storage.local.remove(cacheKey);
-          } catch {
-            // Ignore
-          }
+        const result = await adapter.switchToBranch(msg.branchNodeId);
+        if (result.ok) {
           // Refresh tree data without forcing a page reload
           scheduleRefresh(200);
-          sendResponse({ ok: true });
-        } else {
-          sendResponse({
-            ok: false,
-            error: `API returned ${res.status}`
-          });
         }
+        return result;
       } catch (err) {
-        sendResponse({
+        return { ok: false, error: err.message || 'Switch failed' };
+      }
+    }
+
+    case 'GET_PLATFORM':
+      return { platform: adapter?.platformId || null };
+
+    case 'EXPORT_MARKDOWN':
+      return handleExportMarkdown(adapter, msg.mode);
+
+    case 'EXPORT_BRANCH_FAMILY':
+      return handleExportBranchFamily(adapter);
+
+    case 'EXPORT_VAULT':
+      return handleExportVault(adapter);
+
+    case 'EXPORT_GRAPH_JSON':
+      return handleExportGraphJson(adapter);
+
+    case 'GET_EXPORT_MESSAGES':
+      return handleGetExportMessages(adapter);
+
+    case 'GET_CACHE_USAGE':
+      return handleGetCacheUsage(adapter);
+
+    case 'SET_CACHE_PIN': {
+      const conversationId = adapter?.getCacheConversationId();
+      if (!conversationId) {
+        return { ok: false, error: 'No cached conversation to pin' };
+      }
+      const { storage } = await loadPlatformModules();
+      const { saved, overBudget } = await storage.setCachePinned(
+        conversationId,
+        msg.pinned
+      );
+      if (overBudget) {
+        return {
           ok: false,
-          error: err.message || 'Switch failed'
-        });
+          error: 'Pinned conversations would exceed the cache budget'
+        };
       }
-    })();
-    return true;
-  }
+      return saved
+        ? { ok: true }
+        : { ok: false, error: 'Could not update pin' };
+    }
 
-  if (msg?.type === 'GET_PLATFORM') {
-    sendResponse({ platform });
-    return false;
+    default:
+      return null;
   }
+}
 
-  if (msg?.type === 'EXPORT_MARKDOWN') {
-    handleExportMarkdown(platform).then(sendResponse);
-    return true;
-  }
+const HANDLED_MESSAGE_TYPES = new Set([
+  'GET_CONVERSATION_TREE',
+  'GET_EXPLORE_TREE',
+  'FOCUS_MESSAGE',
+  'SWITCH_EDIT_VERSION',
+  'OPEN_CONVERSATION',
+  'CLEAR_CACHE',
+  'CLAUDE_API_COMPLETED',
+  'GEMINI_API_COMPLETED',
+  'PERPLEXITY_API_COMPLETED',
+  'SWITCH_CHATGPT_BRANCH',
+  'GET_PLATFORM',
+  'EXPORT_MARKDOWN',
+  'EXPORT_BRANCH_FAMILY',
+  'EXPORT_VAULT',
+  'EXPORT_GRAPH_JSON',
+  'GET_CACHE_USAGE',
+  'SET_CACHE_PIN'
+]);
 
-  return false;
+chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
+  if (!HANDLED_MESSAGE_TYPES.has(msg?.type)) return false;
+
+  handleRuntimeMessage(msg)
+    .then(sendResponse)
+    .catch((err) => {
+      sendResponse({ ok: false, error: err.message || String(err) });
+    });
+  return true;
 });
 
 /**
  * Handle Markdown export request
- * @param {string} platform - Current platform
+ * @param {Object|null} adapter - Current platform adapter
+ * @param {string} [mode='current'] - 'current' | 'alternates' | 'all'
  * @returns {Promise<Object>} - Result with success/error status
  */
-async function handleExportMarkdown(platform) {
-  if (!platform) {
+async function handleExportMarkdown(adapter, mode = 'current') {
+  if (!adapter) {
     return { ok: false, error: 'Unsupported platform' };
   }
 
-  const conversationId = getConversationId(platform);
-  if (!conversationId) {
+  if (!adapter.getConversationId()) {
     return { ok: false, error: 'No conversation found' };
   }
 
   try {
-    let messages = [];
-    let title = document.title || 'Conversation';
-
-    if (platform === 'chatgpt') {
-      // ChatGPT: Use API to get complete conversation with original Markdown
-      const conv = await fetchChatGPTConversation(conversationId, false, true);
-      title = conv.title || title;
-
-      // Extract ALL messages (both user and assistant) with original Markdown
-      messages = extractChatGPTMessagesForExport(
-        conv.mapping,
-        conv.current_node
-      );
+    const { conversationId, title, messages, allMessages } =
+      await adapter.extractConversationForExport();
 
-      // Also update raw cache for future use
-      updateRawCache('chatgpt', { conversationId, title, messages });
-    } else if (platform === 'claude') {
-      const cached = getRawCache('claude', conversationId);
-
-      if (cached && cached.messages && cached.messages.length > 0) {
-        title = cached.title || getPageTitle('claude') || title;
-        messages = cached.messages;
-      } else {
-        let apiResult = null;
-        try {
-          apiResult = await fetchClaudeConversation(conversationId);
-        } catch (err) {
-          console.warn('[ConversationIndex] Claude export fetch failed:', err);
-        }
-
-        if (apiResult?.messages?.length > 0) {
-          title = apiResult.title || getPageTitle('claude') || title;
-          messages = apiResult.messages;
-        } else {
-          // Fallback: Extract from DOM (may lose some Markdown formatting)
-          const domMessages = extractClaudeMessagesForExport();
-          if (domMessages.length > 0) {
-            messages = domMessages;
-            title = getPageTitle('claude') || title;
-          }
-        }
-      }
-    } else {
-      // Other platforms: Try to use cached API data first
-      const cached = getRawCache(platform, conversationId);
-
-      if (cached && cached.messages && cached.messages.length > 0) {
-        title = cached.title || title;
-        messages = cached.messages;
-      } else {
-        // Fallback: Extract from DOM (may lose some Markdown formatting)
-        const domMessages = extractDOMMessagesForExport(platform);
-        if (domMessages.length > 0) {
-          messages = domMessages;
-          title = getPageTitle(platform) || title;
-        }
-      }
-    }
-
-    if (messages.length === 0) {
+    if (!messages || messages.length === 0) {
       return { ok: false, error: 'No messages found to export' };
     }
 
     // Generate Markdown content
-    const markdown = generateMarkdown({
+    const { markdownExport } = await loadPlatformModules();
+    const markdown = markdownExport.generateMarkdown({
       title,
-      platform,
+      platformName: adapter.platformName,
       conversationId,
-      messages
+      messages,
+      mode,
+      allMessages
     });
 
     // Generate filename and trigger download
-    const filename = generateFilename(title, platform);
+    const filename = markdownExport.generateFilename(title, adapter.platformId);
     downloadFile(markdown, filename);
 
-    return { ok: true, filename, messageCount: messages.length };
+    const messageCount =
+      mode !== 'current' && allMessages?.length > 0
+        ? allMessages.length
+        : messages.length;
+    return { ok: true, filename, messageCount };
   } catch (err) {
+    if (await noteDeletedConversation(adapter, err)) {
+      return { ok: false, error: 'This conversation was deleted' };
+    }
     console.error('[ConversationIndex] Export error:', err);
     return { ok: false, error: err.message || 'Export failed' };
   }
 }
 
 /**
- * Extract all messages from ChatGPT mapping for export (both user AND assistant)
- * @param {Object} mapping - ChatGPT conversation mapping
- * @param {string} currentNode - Current node ID
- * @returns {Array} - Array of messages with content
+ * Load the current conversation's branch family: its root ancestor and
+ * every branch recorded below it, each node carrying its messages or the
+ * reason they couldn't be loaded
+ * @param {Object} adapter - Current platform adapter (ChatGPT)
+ * @param {string} conversationId - Current conversation
+ * @returns {Promise<{root: Object, nodes: Object[], messageCount: number}>}
  */
-function extractChatGPTMessagesForExport(mapping, currentNode) {
-  if (!mapping) return [];
-
-  // Build parent->children map
-  const parentMap = {};
-  let rootId = null;
-
-  for (const [id, entry] of Object.entries(mapping)) {
-    const parentId = entry.parent;
-    if (!parentId) {
-      rootId = id;
-    } else {
-      parentMap[id] = parentId;
+async function loadBranchFamily(adapter, conversationId) {
+  const { storage, familyExport } = await loadPlatformModules();
+  const branchData = await storage.loadBranchData();
+  const root = familyExport.collectBranchFamily(
+    branchData,
+    familyExport.findFamilyRoot(branchData, conversationId)
+  );
+  const nodes = familyExport.flattenFamily(root);
+
+  // One at a time; most relatives come from the conversation cache
+  let messageCount = 0;
+  for (const node of nodes) {
+    if (branchData.deleted?.[node.conversationId]) {
+      node.error = 'This conversation was deleted.';
+      continue;
+    }
+    try {
+      const conversation =
+        node.conversationId === conversationId
+          ? await adapter.extractConversationForExport()
+          : await adapter.extractConversationForExportById(node.conversationId);
+      node.messages = conversation.messages;
+      messageCount += conversation.messages.length;
+    } catch (err) {
+      node.error = (await noteDeletedConversation(adapter, err))
+        ? 'This conversation was deleted.'
+        : `Could not load this conversation: ${err.message || err}`;
     }
   }
 
-  const currentPath = buildCurrentPath(mapping, rootId, currentNode);
-  const messages = [];
+  return { root, nodes, messageCount };
+}
 
-  for (const nodeId of currentPath) {
-    const entry = mapping[nodeId];
-    const msg = entry?.message;
-    if (!msg) continue;
+/**
+ * Handle a branch family export: the current conversation's root ancestor
+ * and every branch recorded below it, in one Markdown document
+ * @param {Object|null} adapter - Current platform adapter
+ * @returns {Promise<Object>} - Result with success/error status
+ */
+async function handleExportBranchFamily(adapter) {
+  if (!adapter?.supportsBranching()) {
+    return { ok: false, error: 'Branches are only tracked on ChatGPT' };
+  }
 
-    const role = msg.author?.role;
-    if (role !== 'user' && role !== 'assistant') continue;
+  const conversationId = adapter.getCacheConversationId();
+  if (!conversationId) {
+    return { ok: false, error: 'No conversation found' };
+  }
 
-    const text = extractText(msg);
-    if (!text || !text.trim()) continue;
-    if (isInternalMessage(text, msg)) continue;
+  try {
+    const { familyExport, markdownExport } = await loadPlatformModules();
+    const { root, nodes, messageCount } = await loadBranchFamily(
+      adapter,
+      conversationId
+    );
+    if (messageCount === 0) {
+      return { ok: false, error: 'No messages found to export' };
+    }
 
-    messages.push({
-      id: nodeId,
-      role,
-      content: text, // Original Markdown content from API
-      text: text,
-      createTime: toSeconds(msg.create_time || 0)
+    const markdown = familyExport.generateFamilyMarkdown({
+      root,
+      platformName: adapter.platformName
     });
-  }
-
-  return messages;
-}
+    const filename = markdownExport.generateFilename(
+      `${root.title} family`,
+      adapter.platformId
+    );
+    downloadFile(markdown, filename);
 
-/**
- * Extract Claude messages for export (fallback to DOM)
- * @returns {Array} - Array of messages
- */
-function extractClaudeMessagesForExport() {
-  const domMessages = extractClaudeMessages(1).filter(
-    (msg) => msg.type !== 'editBranch'
-  );
-  return domMessages.map((msg, index) => {
-    const content = msg.text || '';
     return {
-      id: msg.id || `claude-export-${index}`,
-      role: msg.role,
-      content,
-      text: content,
-      createTime: msg.createTime || Date.now() / 1000
+      ok: true,
+      filename,
+      conversationCount: nodes.length,
+      messageCount
     };
-  });
+  } catch (err) {
+    console.error('[ConversationIndex] Family export error:', err);
+    return { ok: false, error: err.message || 'Export failed' };
+  }
 }
 
 /**
- * Extract messages from DOM for export (fallback when API cache not available)
- * @param {string} platform - Platform identifier
- * @returns {Array} - Array of messages
+ * Handle a vault export: the current conversation's branch family as a zip
+ * of linked notes for Obsidian or Logseq
+ * @param {Object|null} adapter - Current platform adapter
+ * @returns {Promise<Object>} - Result with success/error status
  */
-function extractDOMMessagesForExport(platform) {
-  const messages = [];
-  const seenTexts = new Set();
-
-  // Get platform-specific selectors
-  const selectors = {
-    claude: ['.font-user-message', '.font-claude-message'],
-    gemini: [
-      '[data-message-author-role="user"]',
-      '[data-message-author-role="model"]',
-      '[class*="query-content"]',
-      '[class*="response-container"]'
-    ],
-    perplexity: [
-      '[class*="query-block"]',
-      '[class*="answer-block"]',
-      '[class*="prose"]'
-    ]
-  };
-
-  const platformSelectors = selectors[platform] || [
-    '[class*="message"]',
-    '[class*="prose"]'
-  ];
-
-  // Collect all message elements
-  const allElements = [];
-  for (const sel of platformSelectors) {
-    const elements = document.querySelectorAll(sel);
-    for (const el of elements) {
-      allElements.push(el);
-    }
+async function handleExportVault(adapter) {
+  if (!adapter?.supportsBranching()) {
+    return { ok: false, error: 'Branches are only tracked on ChatGPT' };
   }
 
-  // Sort by DOM position
-  allElements.sort((a, b) => {
-    const position = a.compareDocumentPosition(b);
-    if (position & Node.DOCUMENT_POSITION_FOLLOWING) return -1;
-    if (position & Node.DOCUMENT_POSITION_PRECEDING) return 1;
-    return 0;
-  });
+  const conversationId = adapter.getCacheConversationId();
+  if (!conversationId) {
+    return { ok: false, error: 'No conversation found' };
+  }
 
-  let index = 0;
-  for (const el of allElements) {
-    const role = determineRole(el, platform);
-    if (role !== 'user' && role !== 'assistant') continue;
+  try {
+    const { vaultExport } = await loadPlatformModules();
+    const { root, messageCount } = await loadBranchFamily(
+      adapter,
+      conversationId
+    );
+    if (messageCount === 0) {
+      return { ok: false, error: 'No messages found to export' };
+    }
 
-    // Try to extract HTML and convert to text (preserving some structure)
-    let content = '';
+    const { filename, bytes, noteCount } = vaultExport.createVaultArchive({
+      root,
+      platform: adapter.platformId,
+      platformName: adapter.platformName
+    });
+    downloadFile(bytes, filename, 'application/zip');
 
-    // Look for markdown/prose content
-    const proseEl =
-      el.querySelector('[class*="prose"], [class*="markdown"]') || el;
-    content = proseEl.textContent?.trim() || '';
+    return { ok: true, filename, noteCount, messageCount };
+  } catch (err) {
+    console.error('[ConversationIndex] Vault export error:', err);
+    return { ok: false, error: err.message || 'Export failed' };
+  }
+}
 
-    if (!content || content.length < 10) continue;
+/**
+ * Handle a graph export: the conversation graph, with its related
+ * conversations and branch links, as versioned JSON
+ * @param {Object|null} adapter - Current platform adapter
+ * @returns {Promise<Object>} - Result with success/error status
+ */
+async function handleExportGraphJson(adapter) {
+  if (!GRAPH_BUILDER_PLATFORMS.has(adapter?.platformId)) {
+    return { ok: false, error: 'Graph export needs ChatGPT or Claude' };
+  }
+  if (!adapter.getConversationId()) {
+    return { ok: false, error: 'No conversation found' };
+  }
 
-    // Deduplication
-    const textKey = content.slice(0, 150).toLowerCase();
-    if (seenTexts.has(textKey)) continue;
-    seenTexts.add(textKey);
+  try {
+    const { graphExport } = await loadGraphModules();
+    const { conversation, branchData } = await loadConversation(adapter);
+    const { graph, errors } = await getConversationGraph(
+      adapter,
+      conversation,
+      branchData,
+      true
+    );
+    if (!graph) {
+      return { ok: false, error: 'Failed to build conversation graph', errors };
+    }
 
-    messages.push({
-      id: `${platform}-export-${index}`,
-      role,
-      content,
-      text: content,
-      createTime: Date.now() / 1000
+    const data = graphExport.createGraphExport({
+      graph,
+      conversationId: conversation.conversationId,
+      platform: adapter.platformId,
+      branchData
     });
+    const filename = graphExport.getGraphExportFilename(
+      conversation.conversationId
+    );
+    downloadFile(
+      JSON.stringify(data, null, 2),
+      filename,
+      'application/json;charset=utf-8'
+    );
+
+    return {
+      ok: true,
+      filename,
+      conversationCount: data.conversations.length,
+      messageCount: data.messages.length
+    };
+  } catch (err) {
+    if (await noteDeletedConversation(adapter, err)) {
+      return { ok: false, error: 'This conversation was deleted' };
+    }
+    console.error('[ConversationIndex] Graph export error:', err);
+    return { ok: false, error: err.message || 'Export failed' };
+  }
+}
 
-    index++;
+/**
+ * Hand the panel the conversation's messages, assistant replies included,
+ * for the HTML export: the current path first, then every other branch
+ * @param {Object|null} adapter - Current platform adapter
+ * @returns {Promise<Object>} - { ok, messages } or { ok: false, error }
+ */
+async function handleGetExportMessages(adapter) {
+  if (!adapter) {
+    return { ok: false, error: 'Unsupported platform' };
+  }
+  if (!adapter.getConversationId()) {
+    return { ok: false, error: 'No conversation found' };
   }
 
-  return messages;
+  try {
+    const { messages, allMessages } =
+      await adapter.extractConversationForExport();
+    const onPath = new Set(messages.map((msg) => msg.id));
+    const others = (allMessages || []).filter((msg) => !onPath.has(msg.id));
+    return {
+      ok: true,
+      messages: [...messages, ...others].map(
+        ({ id, role, content, text, parentId }) => ({
+          id,
+          role,
+          content,
+          text,
+          parentId
+        })
+      )
+    };
+  } catch (err) {
+    if (await noteDeletedConversation(adapter, err)) {
+      return { ok: false, error: 'This conversation was deleted' };
+    }
+    console.error('[ConversationIndex] Export messages error:', err);
+    return { ok: false, error: err.message || 'Export failed' };
+  }
 }
 
 /**
- * Get page title cleaned for the platform
- * @param {string} platform - Platform identifier
- * @returns {string} - Cleaned title
+ * Report conversation cache usage and whether the current conversation is
+ * pinned
+ * @param {Object|null} adapter - Current platform adapter
+ * @returns {Promise<Object>} - { ok, usage, conversationId, pinned }
  */
-function getPageTitle(platform) {
-  const title = document.title || '';
-  const suffixes = {
-    claude: /\s*[-–]\s*Claude\s*$/i,
-    gemini: /\s*[-–]\s*Google Gemini\s*$/i,
-    perplexity: /\s*[-–]\s*Perplexity\s*$/i,
-    chatgpt: /\s*[-–]\s*ChatGPT\s*$/i
+async function handleGetCacheUsage(adapter) {
+  const { storage } = await loadPlatformModules();
+  const usage = await storage.getCacheUsage();
+  if (!usage) {
+    return { ok: false, error: 'Could not read the cache' };
+  }
+
+  const conversationId = adapter?.getCacheConversationId() || null;
+  return {
+    ok: true,
+    usage,
+    conversationId,
+    pinned: await storage.isCachePinned(conversationId)
   };
+}
+
+// ============================================
+// Device Sync
+// ============================================
+
+let branchSyncTimer = null;
+
+/**
+ * Ask the background service worker, which owns the branch records, to sync
+ * them with chrome.storage.sync after a delay. Calls made while one is
+ * pending join it, so steady refreshes can't postpone it.
+ * @param {number} [delay=3000] - Delay in milliseconds
+ */
+function scheduleBranchSync(delay = 3000) {
+  if (branchSyncTimer) return;
+  branchSyncTimer = setTimeout(async () => {
+    branchSyncTimer = null;
+    try {
+      const result = await chrome.runtime.sendMessage({
+        type: 'SYNC_BRANCHES'
+      });
+      // Branches or titles arrived from another device
+      if (result?.applied > 0) {
+        scheduleRefresh(200);
+      }
+    } catch (err) {
+      console.error('[ConversationIndex] Sync error:', err);
+    }
+  }, delay);
+}
 
-  const suffix = suffixes[platform];
-  if (suffix) {
-    return title.replace(suffix, '').trim();
+/**
+ * Sync when another device writes branches and as soon as sync is turned on
+ */
+async function handleStorageChange(changes, areaName) {
+  const { storage } = await loadPlatformModules();
+  const { STORAGE_KEYS, SYNC_KEYS } = storage;
+  if (areaName === 'sync' && changes[SYNC_KEYS.BRANCHES]) {
+    scheduleBranchSync(500);
+  }
+  const settingsChange = changes[STORAGE_KEYS.SETTINGS];
+  if (
+    areaName === 'local' &&
+    settingsChange?.newValue?.syncEnabled &&
+    !settingsChange.oldValue?.syncEnabled
+  ) {
+    scheduleBranchSync(0);
   }
-  return title;
 }
 
 // ============================================
@@ -3109,37 +1304,18 @@ let isRefreshing = false;
 let lastObserverTrigger = 0;
 const OBSERVER_THROTTLE_MS = 500; // Balanced throttle
 
-// Track message hash for change detection (polling fallback)
-let lastMessageHash = '';
-
-// Track tree signature to prevent sending duplicate updates
-let lastTreeSignature = '';
-
 /**
- * Compute a signature of the tree result for change detection
- * Only sends TREE_UPDATED when content actually changes
+ * Check whether a tree result only differs from the last sent tree in its
+ * nodes, so a TREE_PATCH can describe the change
  */
-function computeTreeSignature(result) {
-  if (!result || result.error) return '';
-  try {
-    return JSON.stringify({
-      conversationId: result.conversationId,
-      title: result.title,
-      nodeCount: result.nodes?.length || 0,
-      // Use summary of node content to detect changes without full serialization
-      nodesSummary:
-        result.nodes
-          ?.map(
-            (n) =>
-              `${n.id}:${n.text?.slice(0, 50)}:${n.editVersionIndex || ''}/${
-                n.totalVersions || ''
-              }`
-          )
-          .join('|') || ''
-    });
-  } catch {
-    return '';
-  }
+function isPatchableTree(base, result) {
+  return (
+    base &&
+    base.conversationId === result.conversationId &&
+    base.title === result.title &&
+    base.platform === result.platform &&
+    base.hasAncestry === result.hasAncestry
+  );
 }
 
 async function refreshTree() {
@@ -3147,13 +1323,33 @@ async function refreshTree() {
   isRefreshing = true;
 
   try {
-    const result = await handleGetTree();
+    const result = await getConversationTree({ incremental: true });
     if (!result.error) {
-      const signature = computeTreeSignature(result);
-      // Only send update if content actually changed
-      if (signature !== lastTreeSignature) {
-        lastTreeSignature = signature;
-        chrome.runtime.sendMessage({ type: 'TREE_UPDATED', ...result });
+      const base = lastSentTree;
+      if (isPatchableTree(base, result)) {
+        // Send only the changed nodes, and nothing if nothing changed
+        const { graphDiff } = await loadGraphModules();
+        const patch = graphDiff.diffDisplayNodes(base.nodes, result.nodes);
+        if (!graphDiff.isEmptyPatch(patch)) {
+          const { revision } = rememberSentTree(result);
+          chrome.runtime.sendMessage({
+            type: 'TREE_PATCH',
+            conversationId: result.conversationId,
+            title: result.title,
+            platform: result.platform,
+            hasAncestry: result.hasAncestry,
+            diagnostics: result.diagnostics,
+            deletedCount: result.deletedCount,
+            baseRevision: base.revision,
+            revision,
+            patch
+          });
+        }
+      } else {
+        chrome.runtime.sendMessage({
+          type: 'TREE_UPDATED',
+          ...rememberSentTree(result)
+        });
       }
     }
   } catch {
@@ -3180,165 +1376,37 @@ function throttledScheduleRefresh() {
 }
 
 /**
- * Compute a simple hash of current messages for change detection.
- * Debounced: returns cached result if called within 300ms.
+ * Observe callback handed to the adapter: DOM churn is throttled, while an
+ * explicit delay (new API data, polling hit) schedules a prompt refresh
+ * @param {number} [delay] - Refresh delay in ms
  */
-let lastHashTime = 0;
-let cachedHash = '';
-
-function computeMessageHash() {
-  const now = Date.now();
-  if (now - lastHashTime < 300 && cachedHash) {
-    return cachedHash;
-  }
-  lastHashTime = now;
-  const platform = detectPlatform();
-  if (!platform) return '';
-
-  // Get all potential message elements
-  const selectors = {
-    chatgpt: '[data-message-id]',
-    claude:
-      '[data-testid*="message"], [class*="font-claude-message"], .prose, [class*="grid-cols-1"] > div',
-    gemini:
-      '[data-message-author-role], [class*="response-container"], [class*="query-content"]',
-    perplexity:
-      '[class*="prose"], [class*="query-block"], [class*="answer-block"]'
-  };
-
-  const sel = selectors[platform] || '[class*="message"]';
-  const elements = document.querySelectorAll(sel);
-
-  // Build a hash from element count and total text length
-  let totalTextLength = 0;
-  for (const el of elements) {
-    totalTextLength += el.textContent?.length || 0;
-  }
-
-  cachedHash = `${elements.length}:${totalTextLength}`;
-  return cachedHash;
-}
-
-// Watch for DOM changes - enhanced to catch streaming updates
-const observer = new MutationObserver((mutations) => {
-  let shouldRefresh = false;
-
-  for (const m of mutations) {
-    // Check for added/removed nodes
-    if (m.addedNodes.length || m.removedNodes.length) {
-      shouldRefresh = true;
-      break;
-    }
-
-    // Check for text content changes (streaming responses)
-    if (m.type === 'characterData') {
-      shouldRefresh = true;
-      break;
-    }
-
-    // Check for attribute changes on message containers
-    if (m.type === 'attributes' && m.target instanceof Element) {
-      // Special handling for Claude streaming state change
-      if (m.attributeName === 'data-is-streaming') {
-        const streamingValue = m.target.getAttribute('data-is-streaming');
-        // Trigger refresh when streaming completes (changes to "false")
-        if (streamingValue === 'false') {
-          shouldRefresh = true;
-          break;
-        }
-      }
-
-      const className = m.target.className || '';
-      if (
-        className.includes('message') ||
-        className.includes('prose') ||
-        className.includes('response') ||
-        className.includes('Message')
-      ) {
-        shouldRefresh = true;
-        break;
-      }
-    }
-  }
-
-  if (shouldRefresh) {
+function handleAdapterChange(delay) {
+  if (typeof delay === 'number') {
+    scheduleRefresh(delay);
+  } else {
     throttledScheduleRefresh();
   }
-});
+}
 
 // ============================================
 // Initialize
 // ============================================
 
-/**
- * Polling-based change detection for platforms with streaming issues (Claude)
- * Checks if message content has changed and triggers refresh if so
- */
-let pollingInterval = null;
-
-function startPolling(intervalMs = 1000) {
-  if (pollingInterval) return;
-
-  pollingInterval = setInterval(() => {
-    const currentHash = computeMessageHash();
-    if (currentHash !== lastMessageHash) {
-      lastMessageHash = currentHash;
-      scheduleRefresh(100); // Quick refresh when change detected
-    }
-  }, intervalMs);
-}
-
-function _stopPolling() {
-  if (pollingInterval) {
-    clearInterval(pollingInterval);
-    pollingInterval = null;
-  }
-}
-
-function init() {
-  const platform = detectPlatform();
-  if (!platform) {
+async function init() {
+  const adapter = await getActiveAdapter();
+  if (!adapter) {
     console.log('[ConversationIndex] Unsupported platform');
     return;
   }
 
-  console.log(`[ConversationIndex] Initialized for ${platform}`);
-  injectStyles();
-
-  observer.observe(document.body, {
-    childList: true,
-    subtree: true,
-    attributes: true,
-    characterData: true,
-    // Include data-is-streaming for Claude streaming state detection
-    attributeFilter: [
-      'class',
-      'data-testid',
-      'data-message-id',
-      'data-is-streaming'
-    ]
-  });
-
-  // For Claude, use polling as fallback with longer interval
-  // Primary detection is via fetch interceptor events
-  if (platform === 'claude') {
-    startPolling(2000); // Poll every 2s as fallback
-    loadFetchInterceptor().then((injectFetchInterceptor) => {
-      injectFetchInterceptor('claude');
-    });
-  }
-
-  // Inject fetch interceptors for other platforms to capture raw Markdown
-  if (platform === 'gemini') {
-    loadFetchInterceptor().then((injectFetchInterceptor) => {
-      injectFetchInterceptor('gemini');
-    });
-  }
+  console.log(`[ConversationIndex] Initialized for ${adapter.platformId}`);
+  adapter.init();
+  adapter.observe(handleAdapterChange);
 
-  if (platform === 'perplexity') {
-    loadFetchInterceptor().then((injectFetchInterceptor) => {
-      injectFetchInterceptor('perplexity');
-    });
+  if (adapter.supportsBranching()) {
+    // Navigation to a different conversation - check pending branch
+    adapter.setupBranchDetection(() => scheduleRefresh(300));
+    chrome.storage.onChanged.addListener(handleStorageChange);
   }
 
   scheduleRefresh(100);
@@ -3351,8 +1419,14 @@ function init() {
   });
 }
 
+function start() {
+  init().catch((err) => {
+    console.error('[ConversationIndex] Failed to initialize:', err);
+  });
+}
+
 if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', init);
+  document.addEventListener('DOMContentLoaded', start);
 } else {
-  init();
+  start();
 }
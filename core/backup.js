@@ -0,0 +1,227 @@
+/**
+ * Backup - Versioned JSON backups of branch data and settings
+ * Restoring merges by conversation ID instead of overwriting, so importing a
+ * backup where branches are already tracked only adds what is missing.
+ */
+
+import { upgradeBranchData, validateBranchData } from './branch-schema.js';
+import { LOCAL_ONLY_SETTINGS } from './storage.js';
+
+export const BACKUP_FORMAT = 'ai-conversation-index-backup';
+export const BACKUP_VERSION = 1;
+
+/**
+ * @typedef {Object} Backup
+ * @property {string} format - Always BACKUP_FORMAT
+ * @property {number} version - Backup file format version
+ * @property {string} exportedAt - ISO timestamp
+ * @property {Object} branchData - Branch data at the current schema version
+ * @property {Object} settings - Panel settings
+ */
+
+/**
+ * @typedef {Object} BranchMergeChanges
+ * @property {Array<{parentId: string, childId: string, title: string}>} addedBranches
+ * @property {Array<{parentId: string, childId: string, fields: string[]}>} updatedBranches
+ *   Existing branches that gained fields they were missing
+ * @property {string[]} addedTitles - Conversations that gained a title
+ * @property {string[]} addedDeletions - Conversations the backup marks
+ *   deleted that aren't marked here
+ */
+
+// Branch fields a backup may fill in when the local entry lacks them
+const FILLABLE_BRANCH_FIELDS = ['firstMessage', 'forkMessageId', 'platform'];
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Build a backup of the given data
+ * @param {Object} data
+ * @param {Object} data.branchData - Branch data
+ * @param {Object} data.settings - Panel settings
+ * @returns {Backup}
+ */
+export function createBackup({ branchData, settings }) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    branchData: validateBranchData(branchData).data,
+    settings: { ...(settings || {}) }
+  };
+}
+
+/**
+ * Backup file name for a date
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export function getBackupFilename(date = new Date()) {
+  return `ai-conversation-index-backup_${date.toISOString().slice(0, 10)}.json`;
+}
+
+/**
+ * Read a backup file, migrating its branch data to the current schema
+ * @param {string|Object} input - File contents or parsed JSON
+ * @returns {{ok: true, backup: Backup, issues: Object[]}|{ok: false, error: string}}
+ */
+export function parseBackup(input) {
+  let parsed = input;
+  if (typeof input === 'string') {
+    try {
+      parsed = JSON.parse(input);
+    } catch {
+      return { ok: false, error: 'File is not valid JSON' };
+    }
+  }
+
+  if (!isPlainObject(parsed) || parsed.format !== BACKUP_FORMAT) {
+    return { ok: false, error: 'Not an AI Conversation Index backup' };
+  }
+  if (!Number.isInteger(parsed.version) || parsed.version < 1) {
+    return { ok: false, error: 'Backup has no valid version' };
+  }
+  if (parsed.version > BACKUP_VERSION) {
+    return { ok: false, error: 'Backup was made by a newer version' };
+  }
+
+  const upgrade = upgradeBranchData(parsed.branchData);
+  if (!upgrade) {
+    return { ok: false, error: 'Branch data was made by a newer version' };
+  }
+
+  return {
+    ok: true,
+    backup: {
+      format: BACKUP_FORMAT,
+      version: parsed.version,
+      exportedAt: parsed.exportedAt || null,
+      branchData: upgrade.data,
+      settings: isPlainObject(parsed.settings) ? parsed.settings : {}
+    },
+    issues: upgrade.issues
+  };
+}
+
+/**
+ * Merge branch data by conversation ID. Local entries and titles win; the
+ * incoming data adds missing branches and titles and fills empty fields.
+ * @param {Object} current - Local branch data
+ * @param {Object} incoming - Branch data from a backup
+ * @returns {{data: Object, changes: BranchMergeChanges}} - Merged copy
+ */
+export function mergeBranchData(current, incoming) {
+  const { data } = validateBranchData(current);
+  const { data: source } = validateBranchData(incoming);
+  const changes = {
+    addedBranches: [],
+    updatedBranches: [],
+    addedTitles: [],
+    addedDeletions: []
+  };
+
+  for (const [parentId, entries] of Object.entries(source.branches)) {
+    const local = data.branches[parentId] || [];
+    for (const entry of entries) {
+      const index = local.findIndex((b) => b.childId === entry.childId);
+      if (index === -1) {
+        local.push({ ...entry });
+        changes.addedBranches.push({
+          parentId,
+          childId: entry.childId,
+          title: entry.title
+        });
+        continue;
+      }
+
+      const fields = FILLABLE_BRANCH_FIELDS.filter(
+        (field) => local[index][field] === null && entry[field] !== null
+      );
+      if (fields.length > 0) {
+        local[index] = {
+          ...local[index],
+          ...Object.fromEntries(fields.map((field) => [field, entry[field]])),
+          updatedAt: Date.now()
+        };
+        changes.updatedBranches.push({
+          parentId,
+          childId: entry.childId,
+          fields
+        });
+      }
+    }
+    if (local.length > 0) {
+      data.branches[parentId] = local;
+    }
+  }
+
+  for (const [conversationId, title] of Object.entries(source.titles)) {
+    if (data.titles[conversationId] === undefined) {
+      data.titles[conversationId] = title;
+      changes.addedTitles.push(conversationId);
+    }
+  }
+
+  // Deletions noticed on the other device still apply here
+  for (const [conversationId, deletedAt] of Object.entries(source.deleted)) {
+    if (data.deleted[conversationId] === undefined) {
+      data.deleted[conversationId] = deletedAt;
+      changes.addedDeletions.push(conversationId);
+    }
+  }
+
+  return { data, changes };
+}
+
+/**
+ * Apply backed-up settings over the current ones. Only known settings with
+ * the same type are taken, and settings that describe the device the backup
+ * was made on (LOCAL_ONLY_SETTINGS) are skipped.
+ * @param {Object} current - Current settings, including defaults
+ * @param {Object} incoming - Settings from a backup
+ * @returns {{settings: Object, changed: string[]}}
+ */
+export function mergeSettings(current, incoming) {
+  const settings = { ...current };
+  const changed = [];
+  for (const [key, value] of Object.entries(incoming || {})) {
+    if (!(key in current) || typeof value !== typeof current[key]) continue;
+    if (LOCAL_ONLY_SETTINGS.includes(key)) continue;
+    if (value !== current[key]) {
+      settings[key] = value;
+      changed.push(key);
+    }
+  }
+  return { settings, changed };
+}
+
+/**
+ * Work out what importing a backup would change, without changing anything
+ * @param {Object} current - { branchData, settings } as stored now
+ * @param {Backup} backup - Parsed backup
+ * @returns {{branchData: {data: Object, changes: BranchMergeChanges}, settings: {settings: Object, changed: string[]}, isEmpty: boolean}}
+ */
+export function planImport(current, backup) {
+  const branchData = mergeBranchData(current.branchData, backup.branchData);
+  const settings = mergeSettings(current.settings, backup.settings);
+  return {
+    branchData,
+    settings,
+    isEmpty:
+      Object.values(branchData.changes).every((list) => list.length === 0) &&
+      settings.changed.length === 0
+  };
+}
+
+export default {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  createBackup,
+  getBackupFilename,
+  parseBackup,
+  mergeBranchData,
+  mergeSettings,
+  planImport
+};
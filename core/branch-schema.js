@@ -0,0 +1,316 @@
+/**
+ * Branch Schema - Versioning, migrations and validation for branch data
+ * Branch data ({ version, branches: { parentId: [entry] }, titles, deleted })
+ * is written by recordBranch and imported from chrome.storage.local, so every
+ * reader and writer goes through the same migrations before trusting it.
+ */
+
+/**
+ * @typedef {Object} BranchEntry
+ * @property {string} childId - Child conversation ID
+ * @property {string} title - Child conversation title
+ * @property {string|null} firstMessage - First user message in the branch
+ * @property {number} createdAt - Creation time in seconds
+ * @property {string|null} forkMessageId - Parent message the branch split from
+ * @property {string|null} platform - Platform identifier
+ * @property {number} updatedAt - Last change in milliseconds, used to merge
+ *   edits made on different devices
+ */
+
+/**
+ * @typedef {Object} BranchSchemaIssue
+ * @property {string} type - invalid_branches | invalid_branch_list |
+ *   invalid_entry | self_branch | duplicate_entry | invalid_field |
+ *   invalid_titles | invalid_title | invalid_deleted | invalid_deleted_entry
+ * @property {string} [parentId] - Parent conversation of the entry
+ * @property {string} [childId] - Child conversation of the entry
+ * @property {string} [field] - Field that was reset
+ * @property {string} action - 'dropped' | 'repaired'
+ */
+
+// Data without a version field predates versioning
+export const BRANCH_SCHEMA_VERSION = 4;
+
+const UNVERSIONED = 1;
+
+// Seconds values stay below this until the year 33658
+const MILLISECONDS_THRESHOLD = 1e12;
+
+/**
+ * Migrations keyed by the version they produce; each receives data at the
+ * previous version and returns data at its own
+ */
+const MIGRATIONS = {
+  // v2: explicit version, fork message and platform on every entry,
+  // createdAt always in seconds
+  2: (data) => {
+    const branches = {};
+    for (const [parentId, entries] of Object.entries(data.branches || {})) {
+      branches[parentId] = Array.isArray(entries)
+        ? entries.map((entry) =>
+            entry && typeof entry === 'object'
+              ? {
+                  ...entry,
+                  firstMessage: entry.firstMessage ?? null,
+                  createdAt:
+                    entry.createdAt > MILLISECONDS_THRESHOLD
+                      ? Math.floor(entry.createdAt / 1000)
+                      : entry.createdAt,
+                  forkMessageId: entry.forkMessageId ?? null,
+                  // Branch tracking only existed for ChatGPT before v2
+                  platform: entry.platform ?? 'chatgpt'
+                }
+              : entry
+          )
+        : entries;
+    }
+    return { ...data, version: 2, branches };
+  },
+
+  // v3: updatedAt on every entry, starting from its creation time
+  3: (data) => {
+    const branches = {};
+    for (const [parentId, entries] of Object.entries(data.branches || {})) {
+      branches[parentId] = Array.isArray(entries)
+        ? entries.map((entry) =>
+            entry && typeof entry === 'object'
+              ? {
+                  ...entry,
+                  updatedAt:
+                    entry.updatedAt ??
+                    (Number.isFinite(entry.createdAt)
+                      ? entry.createdAt * 1000
+                      : 0)
+                }
+              : entry
+          )
+        : entries;
+    }
+    return { ...data, version: 3, branches };
+  },
+
+  // v4: deleted map of conversations the platform no longer has, keyed by
+  // conversation ID with the time (milliseconds) the deletion was noticed
+  4: (data) => ({ ...data, version: 4, deleted: data.deleted ?? {} })
+};
+
+/**
+ * Read the schema version of branch data
+ * @param {Object} data - Branch data
+ * @returns {number}
+ */
+export function getSchemaVersion(data) {
+  return Number.isInteger(data?.version) ? data.version : UNVERSIONED;
+}
+
+/**
+ * Bring branch data up to the current schema version
+ * @param {Object} data - Branch data at any known version
+ * @returns {{data: Object, fromVersion: number, migrated: boolean}|null} -
+ *   Null for data written by a newer version, which is left untouched
+ */
+export function migrateBranchData(data) {
+  const fromVersion = getSchemaVersion(data);
+  if (fromVersion > BRANCH_SCHEMA_VERSION) {
+    console.warn(
+      `[BranchSchema] Data is at version ${fromVersion}, newer than ${BRANCH_SCHEMA_VERSION}`
+    );
+    return null;
+  }
+
+  let migrated = data && typeof data === 'object' ? data : {};
+  for (
+    let version = fromVersion + 1;
+    version <= BRANCH_SCHEMA_VERSION;
+    version++
+  ) {
+    migrated = MIGRATIONS[version](migrated);
+  }
+  return {
+    data: migrated,
+    fromVersion,
+    migrated: fromVersion !== BRANCH_SCHEMA_VERSION
+  };
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+/**
+ * Check current-version branch data, dropping entries that cannot be used
+ * and resetting fields that have the wrong type
+ * @param {Object} data - Branch data at BRANCH_SCHEMA_VERSION
+ * @returns {{data: Object, issues: BranchSchemaIssue[]}} - Repaired copy
+ */
+export function validateBranchData(data) {
+  const issues = [];
+  const result = {
+    version: BRANCH_SCHEMA_VERSION,
+    branches: {},
+    titles: {},
+    deleted: {}
+  };
+
+  const branches = data?.branches;
+  if (!branches || typeof branches !== 'object' || Array.isArray(branches)) {
+    if (branches !== undefined) {
+      issues.push({ type: 'invalid_branches', action: 'dropped' });
+    }
+  } else {
+    for (const [parentId, entries] of Object.entries(branches)) {
+      if (!Array.isArray(entries)) {
+        issues.push({
+          type: 'invalid_branch_list',
+          parentId,
+          action: 'dropped'
+        });
+        continue;
+      }
+
+      const byChild = new Map();
+      for (const entry of entries) {
+        if (
+          !entry ||
+          typeof entry !== 'object' ||
+          !isNonEmptyString(entry.childId)
+        ) {
+          issues.push({ type: 'invalid_entry', parentId, action: 'dropped' });
+          continue;
+        }
+        const { childId } = entry;
+        if (childId === parentId) {
+          issues.push({
+            type: 'self_branch',
+            parentId,
+            childId,
+            action: 'dropped'
+          });
+          continue;
+        }
+
+        const repaired = repairEntry(entry, parentId, issues);
+        const existing = byChild.get(childId);
+        if (existing) {
+          // Keep the first entry, filling what it is missing
+          for (const field of ['firstMessage', 'forkMessageId', 'platform']) {
+            if (existing[field] === null) existing[field] = repaired[field];
+          }
+          issues.push({
+            type: 'duplicate_entry',
+            parentId,
+            childId,
+            action: 'dropped'
+          });
+          continue;
+        }
+        byChild.set(childId, repaired);
+      }
+
+      if (byChild.size > 0) {
+        result.branches[parentId] = [...byChild.values()];
+      }
+    }
+  }
+
+  const titles = data?.titles;
+  if (!titles || typeof titles !== 'object' || Array.isArray(titles)) {
+    if (titles !== undefined) {
+      issues.push({ type: 'invalid_titles', action: 'dropped' });
+    }
+  } else {
+    for (const [conversationId, title] of Object.entries(titles)) {
+      if (typeof title === 'string') {
+        result.titles[conversationId] = title;
+      } else {
+        issues.push({
+          type: 'invalid_title',
+          childId: conversationId,
+          action: 'dropped'
+        });
+      }
+    }
+  }
+
+  const deleted = data?.deleted;
+  if (!deleted || typeof deleted !== 'object' || Array.isArray(deleted)) {
+    if (deleted !== undefined) {
+      issues.push({ type: 'invalid_deleted', action: 'dropped' });
+    }
+  } else {
+    for (const [conversationId, deletedAt] of Object.entries(deleted)) {
+      if (Number.isFinite(deletedAt) && deletedAt >= 0) {
+        result.deleted[conversationId] = deletedAt;
+      } else {
+        issues.push({
+          type: 'invalid_deleted_entry',
+          childId: conversationId,
+          action: 'dropped'
+        });
+      }
+    }
+  }
+
+  return { data: result, issues };
+}
+
+/**
+ * Copy an entry with every field at its expected type
+ * @param {Object} entry - Entry with a valid childId
+ * @param {string} parentId - Parent conversation of the entry
+ * @param {BranchSchemaIssue[]} issues - Receives one issue per reset field
+ * @returns {BranchEntry}
+ */
+function repairEntry(entry, parentId, issues) {
+  const repaired = { ...entry };
+  const reset = (field, value) => {
+    repaired[field] = value;
+    issues.push({
+      type: 'invalid_field',
+      parentId,
+      childId: entry.childId,
+      field,
+      action: 'repaired'
+    });
+  };
+
+  if (!isNonEmptyString(entry.title)) reset('title', 'Conversation');
+  if (!Number.isFinite(entry.createdAt) || entry.createdAt < 0) {
+    reset('createdAt', 0);
+  }
+  if (!Number.isFinite(entry.updatedAt) || entry.updatedAt < 0) {
+    reset('updatedAt', repaired.createdAt * 1000);
+  }
+  for (const field of ['firstMessage', 'forkMessageId', 'platform']) {
+    if (entry[field] !== null && typeof entry[field] !== 'string') {
+      reset(field, null);
+    }
+  }
+  return repaired;
+}
+
+/**
+ * Migrate and validate branch data in one step
+ * @param {Object} data - Branch data at any known version
+ * @returns {{data: Object, fromVersion: number, issues: BranchSchemaIssue[], changed: boolean}|null}
+ *   Null for data written by a newer version
+ */
+export function upgradeBranchData(data) {
+  const migration = migrateBranchData(data);
+  if (!migration) return null;
+  const { data: validated, issues } = validateBranchData(migration.data);
+  return {
+    data: validated,
+    fromVersion: migration.fromVersion,
+    issues,
+    changed: migration.migrated || issues.length > 0
+  };
+}
+
+export default {
+  BRANCH_SCHEMA_VERSION,
+  getSchemaVersion,
+  migrateBranchData,
+  validateBranchData,
+  upgradeBranchData
+};
@@ -33,6 +33,25 @@ export function selectFirstMessageAfterTimestamp(messages, timestampSeconds) {
   return sorted[0].text;
 }
 
+// A click that captured its message can wait longer for the branch, but only
+// a conversation that holds that message proves it is the branch; any other
+// conversation is held to the short window, and its fork found by time
+export function matchPendingFork(
+  pending,
+  mapping,
+  nowSeconds,
+  shortTtlSeconds
+) {
+  if (!pending) return { matched: false, forkMessageId: null };
+  if (pending.forkMessageId && mapping?.[pending.forkMessageId]) {
+    return { matched: true, forkMessageId: pending.forkMessageId };
+  }
+  if (nowSeconds - pending.timestamp > shortTtlSeconds) {
+    return { matched: false, forkMessageId: null };
+  }
+  return { matched: true, forkMessageId: null };
+}
+
 export function findParentBranch(branchData, childId) {
   if (!branchData?.branches || !childId) return null;
   for (const [parentId, branches] of Object.entries(branchData.branches)) {
@@ -54,6 +73,7 @@ export function buildBranchContextNodes({
   }
 
   const parentTitle = branchData.titles?.[parentId] || 'Conversation';
+  const isDeleted = (id) => Boolean(branchData.deleted?.[id]);
 
   const ancestorTitle = {
     id: `ancestor-title:${parentId}`,
@@ -61,7 +81,8 @@ export function buildBranchContextNodes({
     text: parentTitle,
     depth: 0,
     targetConversationId: parentId,
-    isMainViewing: false
+    isMainViewing: false,
+    isDeleted: isDeleted(parentId)
   };
 
   const branchRoot = {
@@ -69,7 +90,8 @@ export function buildBranchContextNodes({
     type: 'branchRoot',
     text: parentTitle,
     depth: 0,
-    targetConversationId: parentId
+    targetConversationId: parentId,
+    isDeleted: isDeleted(parentId)
   };
 
   const branches = branchData.branches?.[parentId] || [];
@@ -83,7 +105,8 @@ export function buildBranchContextNodes({
     branchLabel: `Branch: ${branch.title || 'New Chat'}`,
     depth: 1,
     icon: 'branch',
-    isViewing: branch.childId === currentConversationId
+    isViewing: branch.childId === currentConversationId,
+    isDeleted: isDeleted(branch.childId)
   }));
 
   return { ancestorTitle, branchRoot, branchNodes };
@@ -18,6 +18,20 @@
  * @property {string} [actualGroup] - For 'edit_group_mismatch': actual group ID
  */
 
+/**
+ * Repair applied by ConversationGraph.repair()
+ * @typedef {Object} GraphRepair
+ * @property {string} type - Repair type: 'reattached', 'made_root',
+ *   'cycle_broken', 'linked_child' or 'edit_groups_rebuilt'
+ * @property {string} [messageId] - ID of the repaired message
+ * @property {string|null} [parentId] - New parent ID
+ * @property {string} [previousParentId] - Parent ID before the repair
+ * @property {number} [groupCount] - For 'edit_groups_rebuilt': groups kept
+ */
+
+// Version of the toJSON() format; bump when the shape changes
+export const GRAPH_FORMAT_VERSION = 1;
+
 /**
  * Represents a single message node in the graph
  * @class
@@ -64,6 +78,42 @@ export class MessageNode {
   isShared() {
     return this.conversationIds.size > 1;
   }
+
+  /**
+   * Serialize to a plain object (Sets become arrays)
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      text: this.text,
+      role: this.role,
+      createTime: this.createTime,
+      parentId: this.parentId,
+      childIds: [...this.childIds],
+      editSiblingIds: [...this.editSiblingIds],
+      conversationIds: [...this.conversationIds],
+      isEditVersion: this.isEditVersion,
+      editGroupId: this.editGroupId,
+      hasUnknownEdits: this.hasUnknownEdits
+    };
+  }
+
+  /**
+   * Restore a node serialized with toJSON()
+   * @param {Object} data - Serialized node
+   * @returns {MessageNode}
+   */
+  static fromJSON(data) {
+    const node = new MessageNode(data.id, data);
+    node.childIds = new Set(data.childIds || []);
+    node.editSiblingIds = new Set(data.editSiblingIds || []);
+    node.conversationIds = new Set(data.conversationIds || []);
+    node.isEditVersion = Boolean(data.isEditVersion);
+    node.editGroupId = data.editGroupId || null;
+    node.hasUnknownEdits = Boolean(data.hasUnknownEdits);
+    return node;
+  }
 }
 
 /**
@@ -78,64 +128,80 @@ export class ConversationGraph {
     this.conversations = new Map(); // conversationId -> metadata
     /** @type {Map<string, Set<string>>} */
     this.editGroups = new Map(); // editGroupId -> Set<messageId>
+    /** @type {Set<string>} */
+    this.rootParentIds = new Set(); // Hidden platform roots (system messages)
   }
 
   /**
    * Build graph from conversation data with error handling
+   * Related conversations (recorded parent and children) are merged into the
+   * same graph so shared history deduplicates by message ID. Failing to add
+   * a related conversation is non-critical.
    * @param {string} conversationId - Current conversation ID
    * @param {string} platform - Platform identifier
    * @param {Array} messages - Messages to add
    * @param {Object} options - Build options
-   * @returns {Object} - { graph, errors }
+   * @param {Array<{conversationId: string, messages?: Array, graph?: ConversationGraph}>} [options.relatedConversations]
+   *   - Parent/child conversations to merge into the graph, as messages or
+   *   as a persisted graph containing them
+   * @returns {Object} - { graph, errors, repairs, remaining } where repairs
+   *   are the fixes applied for validation errors and remaining are the
+   *   validation errors left afterwards
    */
   static async buildFromConversation(
     conversationId,
     platform,
     messages,
-    _options = {}
+    options = {}
   ) {
     const graph = new ConversationGraph();
     const errors = [];
 
     try {
-      // Build path array from messages
-      const path = [];
-
-      // Add all messages to graph
-      for (const msg of messages) {
-        try {
-          // Skip edit branch nodes for now (they're handled separately)
-          if (msg.type === 'editBranch') continue;
-
-          graph.addMessage(msg, conversationId);
-
-          // Track path for regular messages
-          if (msg.role === 'user' || msg.role === 'assistant') {
-            path.push(msg.id);
-          }
-        } catch (e) {
-          errors.push({
-            type: 'message_add_failed',
-            messageId: msg.id,
-            error: e.message
-          });
-        }
-      }
-
-      // Store conversation path
-      graph.setConversationPath(conversationId, path, {
-        platform,
-        messageCount: messages.length
+      errors.push(...graph.addConversation(conversationId, platform, messages));
+    } catch (e) {
+      errors.push({
+        type: 'critical',
+        error: e.message
       });
+      return { graph: null, errors };
+    }
 
-      // Process edit relationships
-      if (messages.length > 0) {
-        graph.processEditVersions(messages, platform);
+    for (const related of options.relatedConversations || []) {
+      if (!related?.conversationId || related.conversationId === conversationId)
+        continue;
+      try {
+        // Persisted graphs are merged as-is, fetched messages are added
+        if (related.graph) {
+          graph.mergeConversation(related.graph, related.conversationId);
+          continue;
+        }
+        errors.push(
+          ...graph.addConversation(
+            related.conversationId,
+            platform,
+            related.messages || []
+          )
+        );
+      } catch (e) {
+        errors.push({
+          type: 'related_conversation_failed',
+          conversationId: related.conversationId,
+          error: e.message
+        });
       }
+    }
 
-      // Validate graph
+    let repairs = [];
+    let remaining = [];
+    try {
+      // Validate graph, then repair what validation found
       const validationErrors = graph.validate();
       errors.push(...validationErrors);
+      if (validationErrors.length > 0) {
+        repairs = graph.repair(validationErrors);
+        remaining = graph.validate();
+      }
     } catch (e) {
       errors.push({
         type: 'critical',
@@ -144,7 +210,285 @@ export class ConversationGraph {
       return { graph: null, errors };
     }
 
-    return { graph, errors };
+    return { graph, errors, repairs, remaining };
+  }
+
+  /**
+   * Serialize the graph to a plain, structured-clone safe object
+   * @returns {Object} - { version, nodes, conversations, editGroups }
+   */
+  toJSON() {
+    return {
+      version: GRAPH_FORMAT_VERSION,
+      nodes: [...this.nodes.values()].map((node) => node.toJSON()),
+      conversations: [...this.conversations].map(([id, meta]) => [
+        id,
+        { ...meta, path: [...(meta.path || [])] }
+      ]),
+      editGroups: [...this.editGroups].map(([id, ids]) => [id, [...ids]]),
+      rootParentIds: [...this.rootParentIds]
+    };
+  }
+
+  /**
+   * Restore a graph serialized with toJSON()
+   * @param {Object} data - Serialized graph
+   * @returns {ConversationGraph|null} - Graph, or null for unknown formats
+   */
+  static fromJSON(data) {
+    if (!data || typeof data !== 'object') {
+      console.warn('ConversationGraph.fromJSON: Invalid data');
+      return null;
+    }
+    if (data.version !== GRAPH_FORMAT_VERSION) {
+      console.warn(
+        'ConversationGraph.fromJSON: Unsupported format version',
+        data.version
+      );
+      return null;
+    }
+
+    const graph = new ConversationGraph();
+    for (const nodeData of data.nodes || []) {
+      if (!nodeData?.id) continue;
+      graph.nodes.set(nodeData.id, MessageNode.fromJSON(nodeData));
+    }
+    for (const [id, meta] of data.conversations || []) {
+      graph.conversations.set(id, { ...meta, path: [...(meta?.path || [])] });
+    }
+    for (const [id, ids] of data.editGroups || []) {
+      graph.editGroups.set(id, new Set(ids));
+    }
+    graph.rootParentIds = new Set(data.rootParentIds || []);
+    return graph;
+  }
+
+  /**
+   * Copy one conversation from another graph into this one, e.g. a
+   * persisted graph of a related conversation. Nodes already present are
+   * shared rather than duplicated.
+   * @param {ConversationGraph} source - Graph containing the conversation
+   * @param {string} conversationId - Conversation to copy
+   * @returns {boolean} - False when the source lacks the conversation
+   */
+  mergeConversation(source, conversationId) {
+    if (!source?.hasConversation(conversationId)) return false;
+
+    const ids = [];
+    for (const [id, node] of source.nodes) {
+      if (node.conversationIds.has(conversationId)) ids.push(id);
+    }
+    const idSet = new Set(ids);
+
+    // Add parents before children so relationships link up
+    const pending = new Set(ids);
+    const addWithAncestors = (id) => {
+      if (!pending.has(id)) return;
+      pending.delete(id);
+      const node = source.getNode(id);
+      if (node.parentId) addWithAncestors(node.parentId);
+      this.addMessage(node, conversationId);
+    };
+    ids.forEach(addWithAncestors);
+
+    // Children added before their parent was known
+    for (const id of ids) {
+      const node = this.nodes.get(id);
+      if (node?.parentId && this.nodes.has(node.parentId)) {
+        this.nodes.get(node.parentId).childIds.add(id);
+      }
+    }
+
+    const { path, ...metadata } = source.conversations.get(conversationId);
+    this.setConversationPath(conversationId, [...path], metadata);
+    source.rootParentIds.forEach((id) => this.rootParentIds.add(id));
+
+    for (const sibIds of source.editGroups.values()) {
+      if ([...sibIds].some((id) => idSet.has(id))) {
+        this._addEditGroup([...sibIds]);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Add one conversation's messages, path and edit groups to the graph
+   * Messages already in the graph are shared rather than duplicated
+   * @param {string} conversationId - Conversation ID
+   * @param {string} platform - Platform identifier
+   * @param {Array} messages - Messages in conversation order
+   * @returns {Array<Object>} - Non-critical errors
+   */
+  addConversation(conversationId, platform, messages) {
+    const errors = [];
+    // Build path array from messages
+    const path = [];
+    const editBranches = [];
+
+    // Add all messages to graph
+    for (const msg of messages) {
+      try {
+        // Alternate versions are added after the path, off the path
+        if (msg.type === 'editBranch') {
+          editBranches.push(msg);
+          continue;
+        }
+
+        this.addMessage(msg, conversationId);
+
+        // Track path for regular messages
+        if (msg.role === 'user' || msg.role === 'assistant') {
+          path.push(msg.id);
+        }
+      } catch (e) {
+        errors.push({
+          type: 'message_add_failed',
+          messageId: msg.id,
+          error: e.message
+        });
+      }
+    }
+
+    // Add alternate versions as nodes so edit groups can render them.
+    // They share the parent of the path message they are siblings of.
+    const siblingParents = new Map();
+    for (const msg of messages) {
+      if (msg.type === 'editBranch' || !Array.isArray(msg.siblingIds)) continue;
+      for (const sibId of msg.siblingIds) {
+        siblingParents.set(sibId, msg.parentId || null);
+      }
+    }
+    for (const msg of editBranches) {
+      if (!msg.branchNodeId) continue;
+      this.addMessage(
+        {
+          id: msg.branchNodeId,
+          role: msg.role,
+          text: msg.text,
+          createTime: msg.createTime,
+          parentId: msg.parentId ?? siblingParents.get(msg.branchNodeId)
+        },
+        conversationId
+      );
+    }
+
+    // The first message's parent is usually a hidden system message the
+    // adapter skipped; it is the conversation root, not a missing message
+    const first = messages.find((msg) => msg.id === path[0]);
+    if (first?.parentId && !messages.some((m) => m.id === first.parentId)) {
+      this.rootParentIds.add(first.parentId);
+    }
+
+    // Store conversation path
+    this.setConversationPath(conversationId, path, {
+      platform,
+      messageCount: messages.length
+    });
+
+    // Process edit relationships
+    if (messages.length > 0) {
+      this.processEditVersions(messages, platform);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Apply a keyed message diff (see graph-diff.js) to one conversation
+   * without rebuilding the graph. Only content changes, appended messages
+   * and removals outside edit groups are applied in place; anything that
+   * changes edit relationships returns false and leaves the graph untouched,
+   * so the caller rebuilds instead.
+   * @param {string} conversationId - Conversation the diff belongs to
+   * @param {MessageDiff} diff - { added, changed, removed, path }
+   * @returns {boolean} - Whether the diff was applied
+   */
+  applyDiff(conversationId, diff) {
+    if (!this.hasConversation(conversationId)) return false;
+    if (!this._isContentOnlyDiff(diff)) return false;
+
+    for (const id of diff.removed) {
+      const node = this.nodes.get(id);
+      if (!node) continue;
+      node.conversationIds.delete(conversationId);
+      if (node.conversationIds.size > 0) continue;
+      this.nodes.get(node.parentId)?.childIds.delete(id);
+      this.nodes.delete(id);
+    }
+
+    for (const msg of diff.changed) {
+      const node = this.nodes.get(msg.id);
+      if (!node) continue;
+      node.text = msg.text || '';
+      node.role = msg.role;
+      node.createTime = msg.createTime || 0;
+    }
+
+    for (const msg of diff.added) {
+      this.addMessage(msg, conversationId);
+    }
+
+    const { path: _path, ...metadata } = this.conversations.get(conversationId);
+    this.setConversationPath(conversationId, diff.path, {
+      ...metadata,
+      messageCount:
+        (metadata.messageCount || 0) + diff.added.length - diff.removed.length
+    });
+
+    return true;
+  }
+
+  /**
+   * Check that a diff leaves edit relationships and parent links alone
+   * @param {MessageDiff} diff
+   * @returns {boolean}
+   * @private
+   */
+  _isContentOnlyDiff(diff) {
+    const touchesEdits = (msg) =>
+      msg.type === 'editBranch' ||
+      msg.hasEditVersions ||
+      (Array.isArray(msg.siblingIds) && msg.siblingIds.length > 1);
+
+    for (const msg of diff.changed) {
+      const node = this.nodes.get(msg.id);
+      if (!node || msg.type === 'editBranch') return false;
+      if ((msg.parentId || null) !== node.parentId) return false;
+      // Versions of a message may stream; the set of versions may not change
+      const siblingIds = msg.siblingIds?.length > 1 ? msg.siblingIds : [msg.id];
+      const group = this.getEditSiblings(msg.id);
+      if (
+        siblingIds.length !== group.size ||
+        !siblingIds.every((id) => group.has(id))
+      ) {
+        return false;
+      }
+    }
+
+    for (const msg of diff.added) {
+      if (touchesEdits(msg)) return false;
+      // A second child with the same role is a new edit or regeneration
+      const parent = this.nodes.get(msg.parentId);
+      for (const childId of parent?.childIds || []) {
+        if (this.nodes.get(childId)?.role === msg.role) return false;
+      }
+    }
+
+    for (const id of diff.removed) {
+      if (this.nodes.get(id)?.editGroupId) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Check if a conversation has been added to the graph
+   * @param {string} conversationId - Conversation ID
+   * @returns {boolean}
+   */
+  hasConversation(conversationId) {
+    return this.conversations.has(conversationId);
   }
 
   /**
@@ -234,8 +578,9 @@ export class ConversationGraph {
   processEditVersions(messages, platform) {
     if (platform === 'chatgpt') {
       this._processChatGPTEdits(messages);
+    } else if (platform === 'claude') {
+      this._processClaudeEdits(messages);
     }
-    // Other platforms will be added in Phase 3
   }
 
   /**
@@ -261,33 +606,81 @@ export class ConversationGraph {
         continue;
 
       // Use first sibling ID (sorted) as canonical groupId
-      const sortedSiblings = [...msg.siblingIds].sort();
-      const groupId = sortedSiblings[0];
+      const groupId = [...msg.siblingIds].sort()[0];
 
       // Skip if we've already processed this group
       if (processedGroups.has(groupId)) continue;
       processedGroups.add(groupId);
 
-      // Create edit group if it doesn't exist
-      if (!this.editGroups.has(groupId)) {
-        this.editGroups.set(groupId, new Set());
+      this._addEditGroup(msg.siblingIds);
+    }
+  }
+
+  /**
+   * Process Claude edit relationships (uses parent_message_uuid)
+   * Messages and alternate versions with the same parent and role are edits
+   * of each other.
+   * @param {Array<{id: string, role: string, parentId?: string, type?: string, branchNodeId?: string}>} messages
+   *   - Messages, including editBranch entries for alternate versions
+   * @private
+   */
+  _processClaudeEdits(messages) {
+    // Validate input
+    if (!Array.isArray(messages)) {
+      console.warn(
+        'ConversationGraph._processClaudeEdits: messages must be an array'
+      );
+      return;
+    }
+
+    const groups = new Map(); // `${parentId}|${role}` -> Set<messageId>
+
+    for (const msg of messages) {
+      if (!msg || typeof msg !== 'object') continue;
+      const id = msg.type === 'editBranch' ? msg.branchNodeId : msg.id;
+      if (!id || typeof id !== 'string' || !msg.parentId) continue;
+
+      const key = `${msg.parentId}|${msg.role}`;
+      if (!groups.has(key)) groups.set(key, new Set());
+      groups.get(key).add(id);
+    }
+
+    for (const ids of groups.values()) {
+      if (ids.size > 1) {
+        this._addEditGroup([...ids]);
       }
+    }
+  }
+
+  /**
+   * Register a set of messages as edit versions of each other
+   * @param {string[]} siblingIds - IDs of all versions
+   * @private
+   */
+  _addEditGroup(siblingIds) {
+    // Use first sibling ID (sorted) as canonical groupId
+    const sortedSiblings = [...siblingIds].sort();
+    const groupId = sortedSiblings[0];
+
+    // Create edit group if it doesn't exist
+    if (!this.editGroups.has(groupId)) {
+      this.editGroups.set(groupId, new Set());
+    }
 
-      // Add all siblings to the group
-      for (const sibId of sortedSiblings) {
-        this.editGroups.get(groupId).add(sibId);
+    // Add all siblings to the group
+    for (const sibId of sortedSiblings) {
+      this.editGroups.get(groupId).add(sibId);
 
-        // Mark nodes as edit versions
-        const node = this.nodes.get(sibId);
-        if (node) {
-          node.editGroupId = groupId;
-          node.isEditVersion = true;
-
-          // Add sibling relationships
-          for (const otherId of sortedSiblings) {
-            if (otherId !== sibId) {
-              node.editSiblingIds.add(otherId);
-            }
+      // Mark nodes as edit versions
+      const node = this.nodes.get(sibId);
+      if (node) {
+        node.editGroupId = groupId;
+        node.isEditVersion = true;
+
+        // Add sibling relationships
+        for (const otherId of sortedSiblings) {
+          if (otherId !== sibId) {
+            node.editSiblingIds.add(otherId);
           }
         }
       }
@@ -435,6 +828,141 @@ export class ConversationGraph {
     return path.slice(divergenceIndex + 1);
   }
 
+  /**
+   * Get the ancestors of a message by following parent links
+   * @param {string} messageId - Message ID
+   * @param {Object} [options]
+   * @param {boolean} [options.includeSelf=false] - Start the list with the message
+   * @returns {Array<string>} Ancestor IDs, nearest first, ending at the root
+   */
+  getAncestors(messageId, { includeSelf = false } = {}) {
+    if (!this.nodes.has(messageId)) {
+      console.warn('ConversationGraph.getAncestors: Unknown messageId');
+      return [];
+    }
+
+    const ancestors = includeSelf ? [messageId] : [];
+    const seen = new Set([messageId]);
+    let parentId = this.nodes.get(messageId).parentId;
+    // Stop at missing parents and at cycles
+    while (parentId && this.nodes.has(parentId) && !seen.has(parentId)) {
+      ancestors.push(parentId);
+      seen.add(parentId);
+      parentId = this.nodes.get(parentId).parentId;
+    }
+    return ancestors;
+  }
+
+  /**
+   * Get all descendants of a message by following child links
+   * @param {string} messageId - Message ID
+   * @param {Object} [options]
+   * @param {boolean} [options.includeSelf=false] - Start the list with the message
+   * @returns {Array<string>} Descendant IDs in depth-first order, siblings
+   *   oldest first
+   */
+  getDescendants(messageId, { includeSelf = false } = {}) {
+    if (!this.nodes.has(messageId)) {
+      console.warn('ConversationGraph.getDescendants: Unknown messageId');
+      return [];
+    }
+
+    const result = [];
+    const seen = new Set();
+    const stack = [messageId];
+    while (stack.length > 0) {
+      const id = stack.pop();
+      if (seen.has(id)) continue;
+      seen.add(id);
+      if (id !== messageId || includeSelf) result.push(id);
+      stack.push(...this._getSortedChildIds(id).reverse());
+    }
+    return result;
+  }
+
+  /**
+   * Get the descendant subtree of a message as nested nodes
+   * @param {string} messageId - Message ID
+   * @returns {{node: MessageNode, children: Array<Object>}|null} Subtree, or
+   *   null for unknown messages
+   */
+  getSubtree(messageId) {
+    if (!this.nodes.has(messageId)) {
+      console.warn('ConversationGraph.getSubtree: Unknown messageId');
+      return null;
+    }
+
+    const seen = new Set();
+    const build = (id) => {
+      seen.add(id);
+      return {
+        node: this.nodes.get(id),
+        children: this._getSortedChildIds(id)
+          .filter((childId) => !seen.has(childId))
+          .map(build)
+      };
+    };
+    return build(messageId);
+  }
+
+  /**
+   * Find the lowest common ancestor of two messages. A message counts as
+   * its own ancestor, so for a message and its descendant it is the message.
+   * @param {string} messageIdA - First message ID
+   * @param {string} messageIdB - Second message ID
+   * @returns {string|null} Message ID, or null if they share no ancestor
+   */
+  findLowestCommonAncestor(messageIdA, messageIdB) {
+    if (!this.nodes.has(messageIdA) || !this.nodes.has(messageIdB)) {
+      console.warn(
+        'ConversationGraph.findLowestCommonAncestor: Unknown messageId'
+      );
+      return null;
+    }
+
+    const ancestorsOfA = new Set(
+      this.getAncestors(messageIdA, { includeSelf: true })
+    );
+    return (
+      this.getAncestors(messageIdB, { includeSelf: true }).find((id) =>
+        ancestorsOfA.has(id)
+      ) || null
+    );
+  }
+
+  /**
+   * Get the path between two messages through their lowest common ancestor
+   * @param {string} fromId - Start message ID
+   * @param {string} toId - End message ID
+   * @returns {Array<string>} IDs from `fromId` up to the common ancestor and
+   *   down to `toId`, or an empty array if they are not connected
+   */
+  getPathBetween(fromId, toId) {
+    const lcaId = this.findLowestCommonAncestor(fromId, toId);
+    if (!lcaId) return [];
+
+    const up = this.getAncestors(fromId, { includeSelf: true });
+    const down = this.getAncestors(toId, { includeSelf: true });
+    return [
+      ...up.slice(0, up.indexOf(lcaId) + 1),
+      ...down.slice(0, down.indexOf(lcaId)).reverse()
+    ];
+  }
+
+  /**
+   * Child IDs of a message that exist in the graph, oldest first
+   * @param {string} messageId - Message ID
+   * @returns {Array<string>}
+   * @private
+   */
+  _getSortedChildIds(messageId) {
+    return [...(this.nodes.get(messageId)?.childIds || [])]
+      .filter((id) => this.nodes.has(id))
+      .sort(
+        (a, b) => this.nodes.get(a).createTime - this.nodes.get(b).createTime
+      );
+  }
+
   /**
    * Validate graph integrity
    * Checks for orphaned nodes, circular references, parent-child consistency,
@@ -446,7 +974,11 @@ export class ConversationGraph {
 
     // Check for orphaned nodes (parent doesn't exist)
     for (const [id, node] of this.nodes) {
-      if (node.parentId && !this.nodes.has(node.parentId)) {
+      if (
+        node.parentId &&
+        !this.nodes.has(node.parentId) &&
+        !this.rootParentIds.has(node.parentId)
+      ) {
         errors.push({
           type: 'orphaned_node',
           messageId: id,
@@ -518,6 +1050,141 @@ export class ConversationGraph {
     return errors;
   }
 
+  /**
+   * Fix what validate() found: orphans are re-attached to their nearest
+   * known ancestor, cycles are broken, missing child links are added and
+   * edit groups are rebuilt from the members that still exist
+   * @param {Array<ValidationError>} [errors] - Errors to fix
+   * @returns {Array<GraphRepair>} - Repairs applied
+   */
+  repair(errors = this.validate()) {
+    const repairs = [];
+    let editGroupsBroken = false;
+
+    for (const error of errors) {
+      const node = this.nodes.get(error.messageId);
+      switch (error.type) {
+        case 'orphaned_node':
+          if (node && node.parentId && !this.nodes.has(node.parentId)) {
+            repairs.push(this._reattach(node));
+          }
+          break;
+        case 'circular_reference':
+          if (node) {
+            this.nodes.get(node.parentId)?.childIds.delete(node.id);
+            const repair = this._reattach(node);
+            repairs.push({ ...repair, type: 'cycle_broken' });
+          }
+          break;
+        case 'inconsistent_parent_child': {
+          const parent = this.nodes.get(error.parentId);
+          if (node && parent && node.parentId === parent.id) {
+            parent.childIds.add(node.id);
+            repairs.push({
+              type: 'linked_child',
+              messageId: node.id,
+              parentId: parent.id
+            });
+          }
+          break;
+        }
+        case 'missing_edit_sibling':
+        case 'edit_group_mismatch':
+        case 'orphaned_edit_group':
+          editGroupsBroken = true;
+          break;
+      }
+    }
+
+    if (editGroupsBroken) {
+      repairs.push({
+        type: 'edit_groups_rebuilt',
+        groupCount: this._rebuildEditGroups()
+      });
+    }
+
+    return repairs;
+  }
+
+  /**
+   * Give a node the nearest known ancestor as parent: the parent of an
+   * edit sibling, else the closest earlier message on a path containing it.
+   * Candidates that would create a cycle are skipped; with none left the
+   * node becomes a root.
+   * @param {MessageNode} node - Node whose parent is missing or invalid
+   * @returns {GraphRepair}
+   * @private
+   */
+  _reattach(node) {
+    const candidates = [];
+    for (const sibId of this.getEditSiblings(node.id)) {
+      const sibling = this.nodes.get(sibId);
+      if (sibId !== node.id && sibling?.parentId) {
+        candidates.push(sibling.parentId);
+      }
+    }
+    for (const { path } of this.conversations.values()) {
+      const index = path.indexOf(node.id);
+      for (let i = index - 1; i >= 0; i--) candidates.push(path[i]);
+    }
+
+    const previousParentId = node.parentId;
+    const parentId =
+      candidates.find(
+        (id) => this.nodes.has(id) && !this._hasAncestor(id, node.id)
+      ) || null;
+
+    node.parentId = parentId;
+    if (parentId) this.nodes.get(parentId).childIds.add(node.id);
+
+    return {
+      type: parentId ? 'reattached' : 'made_root',
+      messageId: node.id,
+      parentId,
+      previousParentId
+    };
+  }
+
+  /**
+   * Check whether a node is, or descends from, another node
+   * @param {string} messageId - Node to start from
+   * @param {string} ancestorId - Possible ancestor
+   * @returns {boolean}
+   * @private
+   */
+  _hasAncestor(messageId, ancestorId) {
+    const seen = new Set();
+    let currentId = messageId;
+    while (currentId && !seen.has(currentId)) {
+      if (currentId === ancestorId) return true;
+      seen.add(currentId);
+      currentId = this.nodes.get(currentId)?.parentId;
+    }
+    return false;
+  }
+
+  /**
+   * Recreate edit groups from their members that still exist
+   * @returns {number} - Number of groups kept
+   * @private
+   */
+  _rebuildEditGroups() {
+    const groups = [...this.editGroups.values()].map((ids) =>
+      [...ids].filter((id) => this.nodes.has(id))
+    );
+
+    this.editGroups.clear();
+    for (const node of this.nodes.values()) {
+      node.editGroupId = null;
+      node.isEditVersion = false;
+      node.editSiblingIds.clear();
+    }
+
+    const kept = groups.filter((ids) => ids.length > 1);
+    kept.forEach((ids) => this._addEditGroup(ids));
+    return kept.length;
+  }
+
   /**
    * Find circular reference in parent chain (optimized)
    * Uses shared visited set to avoid redundant traversals (O(n) total complexity)
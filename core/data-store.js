@@ -0,0 +1,1305 @@
+/**
+ * Data Store - IndexedDB stores kept by the background service worker
+ * Branch relationships, titles, conversation records, the conversation cache
+ * and persisted graphs live in the extension's own origin, so every chat
+ * site sees the same data and the sites' scripts can't read it. Content
+ * scripts and the panel reach these functions through DATA_STORE_REQUEST
+ * messages (see requestDataStore in storage.js).
+ */
+
+import { STORES, runTransaction } from './database.js';
+import { BRANCH_SCHEMA_VERSION, upgradeBranchData } from './branch-schema.js';
+import {
+  STORAGE_KEYS,
+  CACHE_TTL,
+  CACHE_BUDGET_BYTES,
+  remove,
+  branchDataToRecords,
+  recordsToBranchData,
+  keepUpdatedAt,
+  planCacheEviction,
+  pinnedCacheBytes
+} from './storage.js';
+
+// ============================================
+// Branch Data Operations
+// ============================================
+
+/**
+ * Insert or update a conversation record, keeping fields not given
+ * @param {IDBObjectStore} store - Conversations store in a readwrite transaction
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} fields - { platform, parentId } to set; deletedAt: null
+ *   clears a deletion mark
+ */
+function upsertConversation(store, conversationId, fields) {
+  const now = Date.now();
+  const request = store.get(conversationId);
+  request.onsuccess = () => {
+    const existing = request.result || {
+      conversationId,
+      platform: null,
+      parentId: null,
+      firstSeenAt: now
+    };
+    const updates = Object.fromEntries(
+      Object.entries(fields).filter(([, value]) => value != null)
+    );
+    const record = { ...existing, ...updates, lastSeenAt: now };
+    if (fields.deletedAt === null) delete record.deletedAt;
+    store.put(record);
+  };
+}
+
+/**
+ * Make the deletion marks on conversation records match a deleted map
+ * @param {IDBObjectStore} store - Conversations store in a readwrite transaction
+ * @param {Object<string, number>} deleted - Conversation ID -> deletedAt
+ */
+function markDeleted(store, deleted) {
+  const pending = new Set(Object.keys(deleted));
+  const request = store.openCursor();
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) {
+      const now = Date.now();
+      pending.forEach((conversationId) =>
+        store.put({
+          conversationId,
+          platform: null,
+          parentId: null,
+          firstSeenAt: now,
+          lastSeenAt: now,
+          deletedAt: deleted[conversationId]
+        })
+      );
+      return;
+    }
+
+    const record = cursor.value;
+    pending.delete(record.conversationId);
+    const deletedAt = deleted[record.conversationId] ?? null;
+    if ((record.deletedAt ?? null) !== deletedAt) {
+      const next = { ...record, deletedAt };
+      if (!deletedAt) delete next.deletedAt;
+      cursor.update(next);
+    }
+    cursor.continue();
+  };
+}
+
+/**
+ * Load branch relationship data
+ * @returns {Promise<Object>} - Branch data { version, branches: {}, titles: {},
+ *   deleted: {} }
+ */
+export async function loadBranchData() {
+  try {
+    const [branches, titles, conversations] = await runTransaction(
+      [STORES.BRANCHES, STORES.TITLES, STORES.CONVERSATIONS],
+      'readonly',
+      (branchStore, titleStore, conversationStore) => {
+        const branchRequest = branchStore.getAll();
+        const titleRequest = titleStore.getAll();
+        const conversationRequest = conversationStore.getAll();
+        return () => [
+          branchRequest.result,
+          titleRequest.result,
+          conversationRequest.result
+        ];
+      }
+    );
+    return recordsToBranchData(branches, titles, conversations);
+  } catch (err) {
+    console.error('[DataStore] Branch data load error:', err);
+    return {
+      version: BRANCH_SCHEMA_VERSION,
+      branches: {},
+      titles: {},
+      deleted: {}
+    };
+  }
+}
+
+const branchKey = (record) => `${record.parentId}\u0000${record.childId}`;
+const titleKey = (record) => record.conversationId;
+const branchIds = (record) => [record.parentId, record.childId];
+const titleIds = (record) => [record.conversationId];
+
+/**
+ * Give records that a deletion record would drop the time `now`: saving them
+ * again (an import) restores them on every device
+ * @param {Object[]} records - Records with updatedAt
+ * @param {Object[]} deletions - Records from the deletions store
+ * @param {function(Object): string[]} idsOf - Conversations a record names
+ * @param {number} now
+ * @returns {Object[]}
+ */
+function restoreDeleted(records, deletions, idsOf, now) {
+  const deletedAt = new Map(
+    deletions.map((record) => [record.conversationId, record.deletedAt])
+  );
+  return records.map((record) =>
+    idsOf(record).some((id) => deletedAt.get(id) >= record.updatedAt)
+      ? { ...record, updatedAt: now }
+      : record
+  );
+}
+
+/**
+ * Replace all branch relationship data. The data is migrated and validated
+ * first; data from a newer schema version is not saved. Branches and titles
+ * that didn't change keep their updatedAt, so they don't win sync merges
+ * against newer edits made elsewhere.
+ * @param {Object} data - Branch data to save
+ * @returns {Promise<boolean>}
+ */
+export async function saveBranchData(data) {
+  const upgrade = upgradeBranchData(data);
+  if (!upgrade) return false;
+  const { branches, titles } = branchDataToRecords(upgrade.data);
+  const { deleted } = upgrade.data;
+  const now = Date.now();
+  try {
+    await runTransaction(
+      [STORES.BRANCHES, STORES.TITLES, STORES.CONVERSATIONS, STORES.DELETIONS],
+      'readwrite',
+      (branchStore, titleStore, conversationStore, deletionStore) => {
+        const branchRequest = branchStore.getAll();
+        const titleRequest = titleStore.getAll();
+        const deletionRequest = deletionStore.getAll();
+        // Requests in a transaction succeed in order, so all reads are done
+        deletionRequest.onsuccess = () => {
+          const deletions = deletionRequest.result;
+          branchStore.clear();
+          titleStore.clear();
+          restoreDeleted(
+            keepUpdatedAt(branches, branchRequest.result, branchKey, now),
+            deletions,
+            branchIds,
+            now
+          ).forEach((record) => branchStore.put(record));
+          restoreDeleted(
+            keepUpdatedAt(titles, titleRequest.result, titleKey, now),
+            deletions,
+            titleIds,
+            now
+          ).forEach((record) => titleStore.put(record));
+        };
+        markDeleted(conversationStore, deleted);
+      }
+    );
+    return true;
+  } catch (err) {
+    console.error('[DataStore] Branch data save error:', err);
+    return false;
+  }
+}
+
+/**
+ * Record a branch relationship
+ * @param {string} parentId - Parent conversation ID
+ * @param {string} childId - Child conversation ID
+ * @param {string} childTitle - Title of child conversation
+ * @param {number} timestamp - When branch was created
+ * @param {string} [firstMessage] - First user message in branch
+ * @param {string} [forkMessageId] - Parent message the branch split from
+ * @param {string} [platform] - Platform both conversations belong to
+ * @returns {Promise<Object>} - Updated branch data
+ */
+export async function recordBranch(
+  parentId,
+  childId,
+  childTitle,
+  timestamp,
+  firstMessage,
+  forkMessageId = null,
+  platform = null
+) {
+  const data = await loadBranchData();
+
+  if (!data.branches[parentId]) {
+    data.branches[parentId] = [];
+  }
+
+  let branch = data.branches[parentId].find((b) => b.childId === childId);
+  if (branch) {
+    if (forkMessageId && !branch.forkMessageId) {
+      branch.forkMessageId = forkMessageId;
+      branch.updatedAt = Date.now();
+    }
+  } else {
+    const timestampSeconds = Math.floor((timestamp || Date.now()) / 1000);
+    branch = {
+      childId,
+      title: childTitle || 'Conversation',
+      firstMessage: firstMessage || null,
+      createdAt: timestampSeconds,
+      forkMessageId: forkMessageId || null,
+      platform: platform || null,
+      updatedAt: Date.now()
+    };
+    data.branches[parentId].push(branch);
+  }
+
+  data.titles[childId] = childTitle || data.titles[childId] || 'Conversation';
+
+  try {
+    await runTransaction(
+      [STORES.BRANCHES, STORES.TITLES, STORES.CONVERSATIONS],
+      'readwrite',
+      (branchStore, titleStore, conversationStore) => {
+        branchStore.put({ ...branch, parentId });
+        titleStore.put({
+          conversationId: childId,
+          title: data.titles[childId],
+          updatedAt: Date.now()
+        });
+        upsertConversation(conversationStore, childId, { platform, parentId });
+      }
+    );
+  } catch (err) {
+    console.error('[DataStore] Branch record error:', childId, err);
+  }
+
+  return data;
+}
+
+/**
+ * Record a visit to a conversation and its current title
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} [details]
+ * @param {string} [details.title] - Current title
+ * @param {string} [details.platform] - Platform identifier
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function recordConversation(
+  conversationId,
+  { title = null, platform = null } = {}
+) {
+  if (!conversationId) return false;
+  try {
+    await runTransaction(
+      [STORES.TITLES, STORES.CONVERSATIONS],
+      'readwrite',
+      (titleStore, conversationStore) => {
+        if (title) {
+          // Keep the timestamp of an unchanged title so it doesn't look
+          // like a new edit to sync
+          const request = titleStore.get(conversationId);
+          request.onsuccess = () => {
+            if (request.result?.title === title) return;
+            titleStore.put({ conversationId, title, updatedAt: Date.now() });
+          };
+        }
+        // A conversation that loads was not deleted after all
+        upsertConversation(conversationStore, conversationId, {
+          platform,
+          deletedAt: null
+        });
+      }
+    );
+    return true;
+  } catch (err) {
+    console.error(
+      '[DataStore] Conversation record error:',
+      conversationId,
+      err
+    );
+    return false;
+  }
+}
+
+/**
+ * Mark a conversation the platform no longer has as deleted. Its branch
+ * links stay until pruneDeletedConversations removes them.
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} [details]
+ * @param {string} [details.platform] - Platform identifier
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function markConversationDeleted(
+  conversationId,
+  { platform = null } = {}
+) {
+  if (!conversationId) return false;
+  try {
+    await runTransaction(STORES.CONVERSATIONS, 'readwrite', (store) => {
+      const request = store.get(conversationId);
+      request.onsuccess = () => {
+        const now = Date.now();
+        const existing = request.result || {
+          conversationId,
+          platform,
+          parentId: null,
+          firstSeenAt: now,
+          lastSeenAt: now
+        };
+        // Keep when the deletion was first noticed
+        if (existing.deletedAt) return;
+        store.put({ ...existing, deletedAt: now });
+      };
+    });
+    return true;
+  } catch (err) {
+    console.error(
+      '[DataStore] Conversation delete mark error:',
+      conversationId,
+      err
+    );
+    return false;
+  }
+}
+
+/**
+ * Remove conversations marked as deleted along with every branch link to or
+ * from them and their titles. Those in a branch relationship, the only ones
+ * whose records sync, get a deletion record so sync removes them on other
+ * devices too.
+ * @returns {Promise<{conversations: string[], branches: number}|null>} -
+ *   What was removed, or null on error
+ */
+export async function pruneDeletedConversations() {
+  try {
+    return await runTransaction(
+      [STORES.BRANCHES, STORES.TITLES, STORES.CONVERSATIONS, STORES.DELETIONS],
+      'readwrite',
+      (branchStore, titleStore, conversationStore, deletionStore) => {
+        const removed = { conversations: [], branches: 0 };
+        const request = conversationStore.getAll();
+        request.onsuccess = () => {
+          const deleted = new Set(
+            request.result
+              .filter((record) => record.deletedAt)
+              .map((record) => record.conversationId)
+          );
+          if (deleted.size === 0) return;
+
+          deleted.forEach((conversationId) => {
+            conversationStore.delete(conversationId);
+            titleStore.delete(conversationId);
+          });
+          removed.conversations = [...deleted];
+
+          const branchRequest = branchStore.getAll();
+          branchRequest.onsuccess = () => {
+            const synced = new Set();
+            for (const { parentId, childId } of branchRequest.result) {
+              if (deleted.has(parentId) || deleted.has(childId)) {
+                branchStore.delete([parentId, childId]);
+                removed.branches++;
+                [parentId, childId]
+                  .filter((id) => deleted.has(id))
+                  .forEach((id) => synced.add(id));
+              }
+            }
+            const now = Date.now();
+            synced.forEach((conversationId) =>
+              deletionStore.put({ conversationId, deletedAt: now })
+            );
+          };
+        };
+        return () => removed;
+      }
+    );
+  } catch (err) {
+    console.error('[DataStore] Deleted conversation prune error:', err);
+    return null;
+  }
+}
+
+/**
+ * List recorded conversations, optionally by parent or platform
+ * @param {Object} [filter]
+ * @param {string} [filter.parentId] - Only branches of this conversation
+ * @param {string} [filter.platform] - Only conversations on this platform
+ * @returns {Promise<Object[]>} - Conversation records, most recent first
+ */
+export async function listConversations({ parentId, platform } = {}) {
+  try {
+    const records = await runTransaction(
+      STORES.CONVERSATIONS,
+      'readonly',
+      (store) => {
+        if (parentId) return store.index('parentId').getAll(parentId);
+        if (platform) return store.index('platform').getAll(platform);
+        return store.getAll();
+      }
+    );
+    return (records || [])
+      .filter((record) => !platform || record.platform === platform)
+      .sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+  } catch (err) {
+    console.error('[DataStore] Conversation list error:', err);
+    return [];
+  }
+}
+
+/**
+ * Remove all branch relationships, titles and conversation records, leaving
+ * a deletion record for each conversation in a branch relationship (the
+ * only ones whose records sync) so sync clears other devices too
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function clearBranchData() {
+  try {
+    await runTransaction(
+      [STORES.BRANCHES, STORES.TITLES, STORES.CONVERSATIONS, STORES.DELETIONS],
+      'readwrite',
+      (branchStore, titleStore, conversationStore, deletionStore) => {
+        const request = branchStore.getAll();
+        request.onsuccess = () => {
+          const ids = new Set(request.result.flatMap(branchIds));
+          const now = Date.now();
+          ids.forEach((conversationId) =>
+            deletionStore.put({ conversationId, deletedAt: now })
+          );
+          [branchStore, titleStore, conversationStore].forEach((store) =>
+            store.clear()
+          );
+        };
+      }
+    );
+    return true;
+  } catch (err) {
+    console.error('[DataStore] Branch data clear error:', err);
+    return false;
+  }
+}
+
+// ============================================
+// Sync Records
+// ============================================
+
+/**
+ * Load branch, title and deletion records with their timestamps, for
+ * merging with the copy in chrome.storage.sync
+ * @returns {Promise<{branches: Object[], titles: Object[], deletions: Object[]}|null>}
+ *   Null on error
+ */
+export async function loadSyncRecords() {
+  try {
+    return await runTransaction(
+      [STORES.BRANCHES, STORES.TITLES, STORES.DELETIONS],
+      'readonly',
+      (branchStore, titleStore, deletionStore) => {
+        const branchRequest = branchStore.getAll();
+        const titleRequest = titleStore.getAll();
+        const deletionRequest = deletionStore.getAll();
+        return () => ({
+          branches: branchRequest.result || [],
+          titles: titleRequest.result || [],
+          deletions: deletionRequest.result || []
+        });
+      }
+    );
+  } catch (err) {
+    console.error('[DataStore] Sync records load error:', err);
+    return null;
+  }
+}
+
+/**
+ * Write records that won a sync merge over the local ones, and remove local
+ * records a synced deletion dropped
+ * @param {Object} updates - localUpdates from mergeSyncRecords
+ * @param {Object[]} [updates.branches] - Branch records to write
+ * @param {Object[]} [updates.titles] - Title records to write
+ * @param {Object[]} [updates.deletions] - Deletion records to write
+ * @param {Object[]} [updates.removedBranches] - Branch records to remove
+ * @param {Object[]} [updates.removedTitles] - Title records to remove
+ * @param {Object[]} [updates.removedDeletions] - Deletion records to remove
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function applySyncRecords({
+  branches = [],
+  titles = [],
+  deletions = [],
+  removedBranches = [],
+  removedTitles = [],
+  removedDeletions = []
+}) {
+  const count =
+    branches.length +
+    titles.length +
+    deletions.length +
+    removedBranches.length +
+    removedTitles.length +
+    removedDeletions.length;
+  if (count === 0) return true;
+  try {
+    await runTransaction(
+      [STORES.BRANCHES, STORES.TITLES, STORES.CONVERSATIONS, STORES.DELETIONS],
+      'readwrite',
+      (branchStore, titleStore, conversationStore, deletionStore) => {
+        removedBranches.forEach(({ parentId, childId }) =>
+          branchStore.delete([parentId, childId])
+        );
+        removedTitles.forEach(({ conversationId }) =>
+          titleStore.delete(conversationId)
+        );
+        removedDeletions.forEach(({ conversationId }) =>
+          deletionStore.delete(conversationId)
+        );
+        branches.forEach((record) => {
+          branchStore.put(record);
+          upsertConversation(conversationStore, record.childId, {
+            platform: record.platform,
+            parentId: record.parentId
+          });
+        });
+        titles.forEach((record) => titleStore.put(record));
+        deletions.forEach((record) => deletionStore.put(record));
+      }
+    );
+    return true;
+  } catch (err) {
+    console.error('[DataStore] Sync records apply error:', err);
+    return false;
+  }
+}
+
+// ============================================
+// Conversation Cache Operations
+// ============================================
+
+/**
+ * @typedef {Object} CacheIndexRow
+ * @property {string} conversationId - Conversation ID
+ * @property {number} bytes - Size of the cached payload; 0 for a pin on a
+ *   conversation that isn't cached right now
+ * @property {number} timestamp - When the payload was fetched
+ * @property {number} lastAccessedAt - Last read or write, for LRU eviction
+ * @property {boolean} pinned - Never evicted or pruned
+ */
+
+/**
+ * @typedef {Object} CacheUsage
+ * @property {number} bytes - Bytes used by cached payloads
+ * @property {number} budget - CACHE_BUDGET_BYTES
+ * @property {number} count - Cached conversations
+ * @property {number} pinnedCount - Pinned conversations
+ * @property {number} pinnedBytes - Bytes used by pinned payloads
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * Size of a payload as stored, measured on its JSON form
+ * @param {Object} data - Conversation data
+ * @returns {number}
+ */
+function measureCacheData(data) {
+  return encoder.encode(JSON.stringify(data ?? null)).length;
+}
+
+function isQuotaError(err) {
+  return err?.name === 'QuotaExceededError';
+}
+
+/**
+ * Read every row of the cache index
+ * @returns {Promise<CacheIndexRow[]>}
+ */
+function readCacheIndex() {
+  return runTransaction(STORES.CACHE_INDEX, 'readonly', (store) =>
+    store.getAll()
+  );
+}
+
+/**
+ * Drop least recently used entries until the cache fits in maxBytes
+ * @param {number} maxBytes - Bytes the cache may use
+ * @param {string} [exceptId] - Entry about to be replaced
+ * @returns {Promise<string[]>} - Evicted conversation IDs
+ */
+async function evictCacheEntries(maxBytes, exceptId = null) {
+  try {
+    const evicted = await runTransaction(
+      [STORES.CACHE, STORES.CACHE_INDEX],
+      'readwrite',
+      (cacheStore, indexStore) => {
+        let ids = [];
+        const request = indexStore.getAll();
+        request.onsuccess = () => {
+          ids = planCacheEviction(request.result, maxBytes, exceptId);
+          ids.forEach((id) => {
+            cacheStore.delete(id);
+            indexStore.delete(id);
+          });
+        };
+        return () => ids;
+      }
+    );
+    return evicted;
+  } catch (err) {
+    console.error('[DataStore] Cache eviction error:', err);
+    return [];
+  }
+}
+
+/**
+ * Remove a cached payload. A pin outlives its payload, so the next fetch of
+ * that conversation is pinned again.
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} [options]
+ * @param {boolean} [options.keepPinned=false] - Leave pinned payloads alone
+ * @returns {Promise<boolean>}
+ */
+export async function deleteCacheEntry(
+  conversationId,
+  { keepPinned = false } = {}
+) {
+  if (!conversationId) return false;
+  try {
+    await runTransaction(
+      [STORES.CACHE, STORES.CACHE_INDEX],
+      'readwrite',
+      (cacheStore, indexStore) => {
+        const request = indexStore.get(conversationId);
+        request.onsuccess = () => {
+          const row = request.result;
+          if (keepPinned && row?.pinned) return;
+          cacheStore.delete(conversationId);
+          if (row?.pinned) {
+            indexStore.put({ ...row, bytes: 0 });
+          } else {
+            indexStore.delete(conversationId);
+          }
+        };
+      }
+    );
+    return true;
+  } catch (err) {
+    console.error('[DataStore] Cache delete error:', conversationId, err);
+    return false;
+  }
+}
+
+/**
+ * Record a read of a cache entry so LRU eviction keeps it
+ * @param {string} conversationId - Conversation ID
+ * @param {number} accessedAt - When it was read
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function touchCacheEntry(conversationId, accessedAt) {
+  try {
+    await runTransaction(STORES.CACHE_INDEX, 'readwrite', (store) => {
+      const request = store.get(conversationId);
+      request.onsuccess = () => {
+        if (request.result) {
+          store.put({ ...request.result, lastAccessedAt: accessedAt });
+        }
+      };
+    });
+    return true;
+  } catch (err) {
+    console.error('[DataStore] Cache touch error:', conversationId, err);
+    return false;
+  }
+}
+
+/**
+ * Read a cache entry, expired or not
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Object|null>} - { conversationId, data, timestamp,
+ *   lastAccessedAt } or null
+ */
+export async function getCacheEntry(conversationId) {
+  try {
+    const entry = await runTransaction(STORES.CACHE, 'readonly', (store) =>
+      store.get(conversationId)
+    );
+    return entry || null;
+  } catch (err) {
+    console.error('[DataStore] Cache get error:', conversationId, err);
+    return null;
+  }
+}
+
+/**
+ * Write a cache entry and its index row, keeping the pin of an earlier entry
+ * @param {Object} cacheEntry - { conversationId, data, timestamp }
+ * @param {number} bytes - Size of the payload
+ * @returns {Promise<void>}
+ */
+function putCacheEntry(cacheEntry, bytes) {
+  return runTransaction(
+    [STORES.CACHE, STORES.CACHE_INDEX],
+    'readwrite',
+    (cacheStore, indexStore) => {
+      const request = indexStore.get(cacheEntry.conversationId);
+      request.onsuccess = () => {
+        cacheStore.put(cacheEntry);
+        indexStore.put({
+          conversationId: cacheEntry.conversationId,
+          bytes,
+          timestamp: cacheEntry.timestamp,
+          lastAccessedAt: cacheEntry.lastAccessedAt,
+          pinned: Boolean(request.result?.pinned)
+        });
+      };
+    }
+  );
+}
+
+/**
+ * Persist a cache entry. Least recently used entries are evicted to keep the
+ * cache within CACHE_BUDGET_BYTES; if the browser still refuses the write,
+ * the cache is evicted down to half its size and the write retried. Pinned
+ * payloads can't be evicted, so an entry that doesn't fit beside them isn't
+ * stored.
+ * @param {Object} cacheEntry - { conversationId, data, timestamp,
+ *   lastAccessedAt }
+ * @returns {Promise<{stored: boolean, evicted: string[]}>} - Whether the
+ *   entry was persisted, and the entries evicted to make room
+ */
+export async function storeCacheEntry(cacheEntry) {
+  const { conversationId } = cacheEntry;
+  const bytes = measureCacheData(cacheEntry.data);
+  if (bytes > CACHE_BUDGET_BYTES) {
+    console.warn(
+      '[DataStore] Conversation too large to cache:',
+      conversationId,
+      bytes
+    );
+    return { stored: false, evicted: [] };
+  }
+
+  try {
+    const rows = await readCacheIndex();
+    if (bytes + pinnedCacheBytes(rows, conversationId) > CACHE_BUDGET_BYTES) {
+      console.warn(
+        '[DataStore] No room beside pinned conversations to cache:',
+        conversationId,
+        bytes
+      );
+      return { stored: false, evicted: [] };
+    }
+  } catch (err) {
+    console.error('[DataStore] Cache index read error:', err);
+  }
+
+  const evicted = await evictCacheEntries(
+    CACHE_BUDGET_BYTES - bytes,
+    conversationId
+  );
+
+  try {
+    await putCacheEntry(cacheEntry, bytes);
+    return { stored: true, evicted };
+  } catch (err) {
+    if (!isQuotaError(err)) {
+      console.error('[DataStore] Cache set error:', conversationId, err);
+      return { stored: false, evicted };
+    }
+  }
+
+  console.warn('[DataStore] Storage quota reached, evicting and retrying');
+  const usage = await getCacheUsage();
+  evicted.push(
+    ...(await evictCacheEntries(
+      Math.max(0, Math.floor((usage?.bytes || 0) / 2) - bytes),
+      conversationId
+    ))
+  );
+  try {
+    await putCacheEntry(cacheEntry, bytes);
+    return { stored: true, evicted };
+  } catch (err) {
+    console.error(
+      '[DataStore] Cache set error after eviction:',
+      conversationId,
+      err
+    );
+    return { stored: false, evicted };
+  }
+}
+
+/**
+ * Clear all cached conversations, including pins
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function clearConversationCache() {
+  try {
+    await runTransaction(
+      [STORES.CACHE, STORES.CACHE_INDEX],
+      'readwrite',
+      (cacheStore, indexStore) => {
+        cacheStore.clear();
+        indexStore.clear();
+      }
+    );
+    return true;
+  } catch (err) {
+    console.error('[DataStore] Cache clear error:', err);
+    return false;
+  }
+}
+
+/**
+ * Prune expired cache entries, except pinned ones
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function pruneExpiredCache() {
+  const cutoff = Date.now() - CACHE_TTL.HISTORY_CONVERSATION;
+  try {
+    await runTransaction(
+      [STORES.CACHE, STORES.CACHE_INDEX],
+      'readwrite',
+      (cacheStore, indexStore) => {
+        const rowsRequest = indexStore.getAll();
+        rowsRequest.onsuccess = () => {
+          const pinned = new Set(
+            rowsRequest.result
+              .filter((row) => row.pinned)
+              .map((row) => row.conversationId)
+          );
+          // Walk only the expired range of the timestamp index
+          const request = cacheStore
+            .index('timestamp')
+            .openKeyCursor(IDBKeyRange.upperBound(cutoff, true));
+          request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            if (!pinned.has(cursor.primaryKey)) {
+              cacheStore.delete(cursor.primaryKey);
+              indexStore.delete(cursor.primaryKey);
+            }
+            cursor.continue();
+          };
+        };
+      }
+    );
+    return true;
+  } catch (err) {
+    console.error('[DataStore] Cache prune error:', err);
+    return false;
+  }
+}
+
+/**
+ * Pin or unpin a conversation in the cache. Pinned conversations are never
+ * evicted or pruned, and can be shown while offline. Pinned payloads count
+ * toward CACHE_BUDGET_BYTES, so a pin that would take them past it is
+ * refused.
+ * @param {string} conversationId - Conversation ID
+ * @param {boolean} pinned
+ * @returns {Promise<{saved: boolean, overBudget: boolean}>} - Whether the
+ *   pin was updated, and whether it was refused for the budget
+ */
+export async function setCachePinned(conversationId, pinned) {
+  if (!conversationId) return { saved: false, overBudget: false };
+  try {
+    const overBudget = await runTransaction(
+      STORES.CACHE_INDEX,
+      'readwrite',
+      (store) => {
+        let refused = false;
+        const request = store.getAll();
+        request.onsuccess = () => {
+          const rows = request.result;
+          const row = rows.find((r) => r.conversationId === conversationId);
+          if (!pinned && !(row?.bytes > 0)) {
+            store.delete(conversationId);
+            return;
+          }
+          if (
+            pinned &&
+            !row?.pinned &&
+            (row?.bytes || 0) + pinnedCacheBytes(rows) > CACHE_BUDGET_BYTES
+          ) {
+            refused = true;
+            return;
+          }
+          store.put({
+            conversationId,
+            bytes: 0,
+            timestamp: 0,
+            lastAccessedAt: Date.now(),
+            ...row,
+            pinned: Boolean(pinned)
+          });
+        };
+        return () => refused;
+      }
+    );
+    if (overBudget) {
+      console.warn('[DataStore] Pin refused, over budget:', conversationId);
+    }
+    return { saved: !overBudget, overBudget };
+  } catch (err) {
+    console.error('[DataStore] Cache pin error:', conversationId, err);
+    return { saved: false, overBudget: false };
+  }
+}
+
+/**
+ * Check whether a conversation is pinned in the cache
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<boolean>}
+ */
+export async function isCachePinned(conversationId) {
+  if (!conversationId) return false;
+  try {
+    const row = await runTransaction(STORES.CACHE_INDEX, 'readonly', (store) =>
+      store.get(conversationId)
+    );
+    return Boolean(row?.pinned);
+  } catch (err) {
+    console.error('[DataStore] Cache pin read error:', conversationId, err);
+    return false;
+  }
+}
+
+/**
+ * Summarize how much of the cache budget is in use
+ * @returns {Promise<CacheUsage|null>} - Null if the cache can't be read
+ */
+export async function getCacheUsage() {
+  try {
+    const rows = await readCacheIndex();
+    return {
+      bytes: rows.reduce((sum, row) => sum + row.bytes, 0),
+      budget: CACHE_BUDGET_BYTES,
+      count: rows.filter((row) => row.bytes > 0).length,
+      pinnedCount: rows.filter((row) => row.pinned).length,
+      pinnedBytes: pinnedCacheBytes(rows)
+    };
+  } catch (err) {
+    console.error('[DataStore] Cache usage error:', err);
+    return null;
+  }
+}
+
+// ============================================
+// Graphs
+// ============================================
+
+/**
+ * Persist a serialized conversation graph
+ * @param {Object} record - { conversationId, platform, conversationIds,
+ *   graph } where graph is ConversationGraph.toJSON() output
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function saveGraphRecord(record) {
+  if (!record?.conversationId || !record.graph) return false;
+  try {
+    await runTransaction(STORES.GRAPHS, 'readwrite', (store) =>
+      store.put({ ...record, savedAt: Date.now() })
+    );
+    return true;
+  } catch (err) {
+    console.error('[DataStore] Graph save error:', record.conversationId, err);
+    return false;
+  }
+}
+
+/**
+ * Load a persisted graph record
+ * @param {string} conversationId - Conversation the graph was built for
+ * @returns {Promise<Object|null>} - Record with the serialized graph, or null
+ */
+export async function loadGraphRecord(conversationId) {
+  if (!conversationId) return null;
+  try {
+    const record = await runTransaction(STORES.GRAPHS, 'readonly', (store) =>
+      store.get(conversationId)
+    );
+    return record || null;
+  } catch (err) {
+    console.error('[DataStore] Graph load error:', conversationId, err);
+    return null;
+  }
+}
+
+/**
+ * List persisted graphs without their contents
+ * @returns {Promise<Array<{conversationId: string, platform: string, conversationIds: string[], savedAt: number}>>}
+ */
+export async function listGraphs() {
+  try {
+    const records = await runTransaction(STORES.GRAPHS, 'readonly', (store) =>
+      store.getAll()
+    );
+    return (records || []).map(({ graph: _graph, ...meta }) => meta);
+  } catch (err) {
+    console.error('[DataStore] Graph list error:', err);
+    return [];
+  }
+}
+
+/**
+ * Remove a persisted graph
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function deleteGraph(conversationId) {
+  try {
+    await runTransaction(STORES.GRAPHS, 'readwrite', (store) =>
+      store.delete(conversationId)
+    );
+    return true;
+  } catch (err) {
+    console.error('[DataStore] Graph delete error:', conversationId, err);
+    return false;
+  }
+}
+
+/**
+ * Remove all persisted graphs
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function clearGraphs() {
+  try {
+    await runTransaction(STORES.GRAPHS, 'readwrite', (store) => store.clear());
+    return true;
+  } catch (err) {
+    console.error('[DataStore] Graph clear error:', err);
+    return false;
+  }
+}
+
+// ============================================
+// Legacy Migration
+// ============================================
+
+const LEGACY_MIGRATION_KEY = 'legacyStorageMigration';
+let migrationPromise = null;
+
+/**
+ * Import the branch data and conversation caches that were kept in
+ * chrome.storage.local. The legacy keys are removed only after the import
+ * has committed, so a failed import is retried from them.
+ * @returns {Promise<boolean>} - Whether anything was migrated
+ */
+export function migrateLegacyStorage() {
+  if (!migrationPromise) {
+    migrationPromise = runLegacyMigration().catch((err) => {
+      console.error('[DataStore] Migration error:', err);
+      // Retry on the next call
+      migrationPromise = null;
+      return false;
+    });
+  }
+  return migrationPromise;
+}
+
+async function runLegacyMigration() {
+  const done = await runTransaction(STORES.META, 'readonly', (store) =>
+    store.get(LEGACY_MIGRATION_KEY)
+  );
+  if (done) return false;
+
+  // The only full read of chrome.storage.local: cache entries have one key
+  // per conversation
+  const legacy = await chrome.storage.local.get(null);
+  const cacheKeys = Object.keys(legacy).filter((key) =>
+    key.startsWith(STORAGE_KEYS.CONV_CACHE_PREFIX)
+  );
+  const cacheEntries = cacheKeys
+    .filter((key) => legacy[key]?.timestamp)
+    .map((key) => ({
+      conversationId: key.slice(STORAGE_KEYS.CONV_CACHE_PREFIX.length),
+      data: legacy[key].data,
+      timestamp: legacy[key].timestamp,
+      lastAccessedAt: legacy[key].timestamp
+    }));
+  // Data from a newer schema version stays where it is
+  const upgrade = legacy[STORAGE_KEYS.BRANCH_DATA]
+    ? upgradeBranchData(legacy[STORAGE_KEYS.BRANCH_DATA])
+    : null;
+  const { branches, titles } = branchDataToRecords(upgrade?.data);
+  const now = Date.now();
+
+  await runTransaction(
+    [
+      STORES.BRANCHES,
+      STORES.TITLES,
+      STORES.CONVERSATIONS,
+      STORES.CACHE,
+      STORES.CACHE_INDEX,
+      STORES.META
+    ],
+    'readwrite',
+    (
+      branchStore,
+      titleStore,
+      conversationStore,
+      cacheStore,
+      cacheIndexStore,
+      metaStore
+    ) => {
+      branches.forEach((record) => {
+        branchStore.put(record);
+        upsertConversation(conversationStore, record.childId, {
+          platform: record.platform,
+          parentId: record.parentId
+        });
+      });
+      titles.forEach((record) => titleStore.put({ ...record, updatedAt: now }));
+      cacheEntries.forEach((entry) => {
+        cacheStore.put(entry);
+        cacheIndexStore.put({
+          conversationId: entry.conversationId,
+          bytes: measureCacheData(entry.data),
+          timestamp: entry.timestamp,
+          lastAccessedAt: entry.lastAccessedAt,
+          pinned: false
+        });
+      });
+      metaStore.put({
+        key: LEGACY_MIGRATION_KEY,
+        migratedAt: now,
+        branches: branches.length,
+        titles: titles.length,
+        cacheEntries: cacheEntries.length
+      });
+    }
+  );
+
+  const legacyKeys = [...cacheKeys];
+  if (upgrade) {
+    legacyKeys.push(STORAGE_KEYS.BRANCH_DATA);
+  }
+  if (legacyKeys.length > 0) {
+    await remove(legacyKeys);
+  }
+  return legacyKeys.length > 0;
+}
+
+// ============================================
+// Branch Schema Upgrades
+// ============================================
+
+const BRANCH_SCHEMA_KEY = 'branchSchema';
+let schemaUpgradePromise = null;
+
+/**
+ * Migrate and validate the branch data in IndexedDB when it was written at an
+ * older schema version. Call after migrateLegacyStorage.
+ * @returns {Promise<boolean>} - Whether the stored data was rewritten
+ */
+export function upgradeBranchSchema() {
+  if (!schemaUpgradePromise) {
+    schemaUpgradePromise = runBranchSchemaUpgrade().catch((err) => {
+      console.error('[DataStore] Branch schema upgrade error:', err);
+      schemaUpgradePromise = null;
+      return false;
+    });
+  }
+  return schemaUpgradePromise;
+}
+
+async function runBranchSchemaUpgrade() {
+  const meta = await runTransaction(STORES.META, 'readonly', (store) =>
+    store.get(BRANCH_SCHEMA_KEY)
+  );
+  // Records written before versioning count as the first version
+  const storedVersion = meta?.version ?? 1;
+  if (storedVersion >= BRANCH_SCHEMA_VERSION) return false;
+
+  const data = await loadBranchData();
+  const upgrade = upgradeBranchData({ ...data, version: storedVersion });
+  if (!upgrade) return false;
+  if (upgrade.issues.length > 0) {
+    console.warn('[DataStore] Repaired branch data:', upgrade.issues);
+  }
+  if (upgrade.changed && !(await saveBranchData(upgrade.data))) return false;
+
+  await runTransaction(STORES.META, 'readwrite', (store) =>
+    store.put({
+      key: BRANCH_SCHEMA_KEY,
+      version: BRANCH_SCHEMA_VERSION,
+      upgradedAt: Date.now(),
+      fromVersion: storedVersion
+    })
+  );
+  return upgrade.changed;
+}
+
+/**
+ * Bring the stores up to date: import the legacy chrome.storage.local data,
+ * then upgrade the branch schema. Requests wait for this, so nothing reads
+ * the stores before they are current.
+ * @returns {Promise<void>}
+ */
+export async function prepareDataStore() {
+  await migrateLegacyStorage();
+  await upgradeBranchSchema();
+}
+
+// ============================================
+// Requests
+// ============================================
+
+// Functions content scripts and the panel may call through DATA_STORE_REQUEST
+const REQUEST_METHODS = {
+  loadBranchData,
+  saveBranchData,
+  recordBranch,
+  recordConversation,
+  markConversationDeleted,
+  pruneDeletedConversations,
+  listConversations,
+  clearBranchData,
+  getCacheEntry,
+  storeCacheEntry,
+  touchCacheEntry,
+  deleteCacheEntry,
+  clearConversationCache,
+  pruneExpiredCache,
+  setCachePinned,
+  isCachePinned,
+  getCacheUsage,
+  saveGraphRecord,
+  loadGraphRecord,
+  listGraphs,
+  deleteGraph,
+  clearGraphs
+};
+
+/**
+ * Run a DATA_STORE_REQUEST once the stores are up to date
+ * @param {string} method - Name of a function in REQUEST_METHODS
+ * @param {Array} [args] - Arguments for it
+ * @returns {Promise<any>} - What the function returned
+ */
+export async function handleDataStoreRequest(method, args = []) {
+  if (!Object.hasOwn(REQUEST_METHODS, method)) {
+    throw new Error(`Unknown data store method: ${method}`);
+  }
+  await prepareDataStore();
+  return REQUEST_METHODS[method](...args);
+}
+
+export default {
+  loadBranchData,
+  saveBranchData,
+  recordBranch,
+  recordConversation,
+  markConversationDeleted,
+  pruneDeletedConversations,
+  listConversations,
+  clearBranchData,
+  loadSyncRecords,
+  applySyncRecords,
+  getCacheEntry,
+  storeCacheEntry,
+  touchCacheEntry,
+  deleteCacheEntry,
+  clearConversationCache,
+  pruneExpiredCache,
+  setCachePinned,
+  isCachePinned,
+  getCacheUsage,
+  saveGraphRecord,
+  loadGraphRecord,
+  listGraphs,
+  deleteGraph,
+  clearGraphs,
+  migrateLegacyStorage,
+  upgradeBranchSchema,
+  prepareDataStore,
+  handleDataStoreRequest
+};
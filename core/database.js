@@ -0,0 +1,132 @@
+/**
+ * Database - Shared IndexedDB connection for the extension's stores
+ * Graphs, branch relationships, titles, conversation records and the
+ * conversation cache live in one database, so a single upgrade handler owns
+ * the schema. Only the background service worker opens it (see
+ * data-store.js), so it belongs to the extension's origin rather than a chat
+ * site's.
+ */
+
+export const DB_NAME = 'ai-conversation-index';
+export const DB_VERSION = 1;
+
+export const STORES = {
+  GRAPHS: 'graphs',
+  BRANCHES: 'branches',
+  TITLES: 'titles',
+  CONVERSATIONS: 'conversations',
+  DELETIONS: 'deletions',
+  CACHE: 'cache',
+  CACHE_INDEX: 'cacheIndex',
+  META: 'meta'
+};
+
+// keyPath and indexes for each store
+const STORE_SCHEMA = {
+  [STORES.GRAPHS]: { keyPath: 'conversationId', indexes: ['savedAt'] },
+  [STORES.BRANCHES]: {
+    keyPath: ['parentId', 'childId'],
+    indexes: ['parentId', 'childId', 'platform', 'createdAt']
+  },
+  [STORES.TITLES]: { keyPath: 'conversationId', indexes: ['updatedAt'] },
+  [STORES.CONVERSATIONS]: {
+    keyPath: 'conversationId',
+    indexes: ['parentId', 'platform', 'lastSeenAt']
+  },
+  // When branch data of a conversation was cleared or pruned, synced so
+  // other devices drop their older copies
+  [STORES.DELETIONS]: { keyPath: 'conversationId', indexes: [] },
+  [STORES.CACHE]: { keyPath: 'conversationId', indexes: ['timestamp'] },
+  // Size, last access and pin of each cache entry, read without loading the
+  // cached payloads
+  [STORES.CACHE_INDEX]: {
+    keyPath: 'conversationId',
+    indexes: ['lastAccessedAt']
+  },
+  [STORES.META]: { keyPath: 'key', indexes: [] }
+};
+
+let dbPromise = null;
+
+/**
+ * Create the stores and their indexes in a new database
+ * @param {IDBDatabase} db
+ */
+function createSchema(db) {
+  for (const [name, { keyPath, indexes }] of Object.entries(STORE_SCHEMA)) {
+    const store = db.createObjectStore(name, { keyPath });
+    indexes.forEach((index) => store.createIndex(index, index));
+  }
+}
+
+/**
+ * Open (and create or upgrade on first use) the database
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+  if (dbPromise) return dbPromise;
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => createSchema(request.result);
+    request.onsuccess = () => {
+      const db = request.result;
+      // Let a newer version of the extension upgrade the schema
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+  }).catch((err) => {
+    // Allow a later call to retry
+    dbPromise = null;
+    throw err;
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Run work against one or more stores in a single transaction
+ * @param {string|string[]} storeNames - Store name(s) from STORES
+ * @param {IDBTransactionMode} mode - 'readonly' | 'readwrite'
+ * @param {function(...IDBObjectStore): any} work - Called with one object
+ *   store per name; may return an IDBRequest or a function
+ * @returns {Promise<any>} - Once the transaction commits: the request's
+ *   result, the function's return value, or whatever `work` returned
+ */
+export async function runTransaction(storeNames, mode, work) {
+  const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(names, mode);
+    const result = work(...names.map((name) => tx.objectStore(name)));
+    tx.oncomplete = () => {
+      if (typeof result === 'function') {
+        resolve(result());
+      } else if (
+        typeof IDBRequest !== 'undefined' &&
+        result instanceof IDBRequest
+      ) {
+        resolve(result.result);
+      } else {
+        resolve(result);
+      }
+    };
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+export default {
+  DB_NAME,
+  DB_VERSION,
+  STORES,
+  openDatabase,
+  runTransaction
+};
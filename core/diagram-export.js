@@ -0,0 +1,254 @@
+/**
+ * Diagram Export - The panel's display list as Mermaid, Graphviz DOT or
+ * OPML
+ * Display lists (buildTreeFromGraph, buildDisplayList,
+ * buildExploreDisplayList) are flat; a node continues the last node at its
+ * depth, while edit versions and external branches hang off the last node
+ * above them. Labels are cut to the panel's preview length.
+ */
+
+import { generateFilename } from './markdown-export.js';
+
+export const DIAGRAM_FORMATS = {
+  mermaid: { name: 'Mermaid', extension: '.mmd', type: 'text/plain' },
+  dot: { name: 'DOT', extension: '.dot', type: 'text/vnd.graphviz' },
+  opml: { name: 'OPML', extension: '.opml', type: 'text/x-opml' }
+};
+
+/**
+ * @typedef {Object} DiagramEdge
+ * @property {number} from - Index of the earlier node
+ * @property {number} to - Index of the later node
+ * @property {string} kind - 'next' | 'edit' | 'branch'
+ */
+
+function edgeKind(node) {
+  if (node.type === 'editBranch') return 'edit';
+  if (node.type === 'branch') return 'branch';
+  return 'next';
+}
+
+/**
+ * Work out which node each display node follows
+ * @param {TreeNode[]} nodes - Display list
+ * @returns {DiagramEdge[]}
+ */
+export function getDiagramEdges(nodes) {
+  const edges = [];
+  // Index of the last node seen at each depth, above the current one
+  const last = [];
+  const above = (depth) => {
+    for (let d = depth - 1; d >= 0; d--) {
+      if (last[d] !== undefined) return last[d];
+    }
+    return undefined;
+  };
+
+  nodes.forEach((node, index) => {
+    const depth = Math.max(0, node.depth || 0);
+    const kind = edgeKind(node);
+    const from =
+      kind === 'next' && last[depth] !== undefined ? last[depth] : above(depth);
+    if (from !== undefined) edges.push({ from, to: index, kind });
+    last.length = depth + 1;
+    last[depth] = index;
+  });
+
+  return edges;
+}
+
+/**
+ * Node label: the version or branch label, then the text, cut like the
+ * panel's previews
+ * @param {TreeNode} node
+ * @param {number} [previewLength=70]
+ * @returns {string}
+ */
+export function getNodeLabel(node, previewLength = 70) {
+  const prefix = node.editVersionLabel || node.branchLabel || '';
+  const text = (node.text || '').trim().replace(/\s+/g, ' ');
+  const clean = prefix && text ? `${prefix} · ${text}` : prefix || text;
+  if (!clean) return 'Untitled';
+  return clean.length <= previewLength
+    ? clean
+    : clean.slice(0, previewLength - 1) + '…';
+}
+
+function escapeMermaid(text) {
+  return text
+    .replace(/"/g, '#quot;')
+    .replace(/</g, '#lt;')
+    .replace(/>/g, '#gt;');
+}
+
+function escapeDot(text) {
+  return text.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const MERMAID_ARROWS = { next: '-->', edit: '-.->', branch: '==>' };
+
+/**
+ * Mermaid flowchart: edit versions are dotted, branches thick
+ * @param {Object} options
+ * @param {string} options.title - Conversation title
+ * @param {TreeNode[]} options.nodes - Display list
+ * @param {number} [options.previewLength]
+ * @returns {string}
+ */
+export function toMermaid({ title, nodes, previewLength }) {
+  const lines = [
+    '---',
+    `title: ${JSON.stringify(title || 'Conversation')}`,
+    '---',
+    'flowchart TD'
+  ];
+  nodes.forEach((node, index) => {
+    const label = escapeMermaid(getNodeLabel(node, previewLength));
+    // Branches are drawn as stadiums, other rows as boxes
+    lines.push(
+      node.type === 'branch'
+        ? `  n${index}(["${label}"])`
+        : `  n${index}["${label}"]`
+    );
+  });
+  for (const edge of getDiagramEdges(nodes)) {
+    lines.push(`  n${edge.from} ${MERMAID_ARROWS[edge.kind]} n${edge.to}`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+const DOT_EDGE_ATTRIBUTES = {
+  next: '',
+  edit: ' [style=dashed, label="edit"]',
+  branch: ' [style=bold, label="branch"]'
+};
+
+/**
+ * Graphviz DOT graph: edit versions are dashed, branches bold
+ * @param {Object} options - Same as toMermaid
+ * @returns {string}
+ */
+export function toDot({ title, nodes, previewLength }) {
+  const lines = [
+    'digraph conversation {',
+    `  label="${escapeDot(title || 'Conversation')}";`,
+    '  labelloc=t;',
+    '  node [shape=box, style=rounded, fontname="Helvetica"];',
+    '  edge [fontname="Helvetica", fontsize=10];'
+  ];
+  nodes.forEach((node, index) => {
+    const label = escapeDot(getNodeLabel(node, previewLength));
+    const style = node.type === 'branch' ? ', style="rounded,bold"' : '';
+    lines.push(`  n${index} [label="${label}"${style}];`);
+  });
+  for (const edge of getDiagramEdges(nodes)) {
+    lines.push(
+      `  n${edge.from} -> n${edge.to}${DOT_EDGE_ATTRIBUTES[edge.kind]};`
+    );
+  }
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * OPML outline nested like the panel rows. Edit versions and branches carry
+ * their kind in a kind attribute, since outlines have no edges.
+ * @param {Object} options - Same as toMermaid
+ * @param {Date} [options.exportedAt]
+ * @returns {string}
+ */
+export function toOpml({
+  title,
+  nodes,
+  previewLength,
+  exportedAt = new Date()
+}) {
+  const safeTitle = escapeXml(title || 'Conversation');
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    '  <head>',
+    `    <title>${safeTitle}</title>`,
+    `    <dateCreated>${exportedAt.toUTCString()}</dateCreated>`,
+    '  </head>',
+    '  <body>'
+  ];
+
+  // Depths of the outlines still open; rows may skip levels
+  const open = [];
+  const indent = () => '    ' + '  '.repeat(open.length);
+  nodes.forEach((node, index) => {
+    const depth = Math.max(0, node.depth || 0);
+    while (open.length > 0 && open[open.length - 1] >= depth) {
+      open.pop();
+      lines.push(`${indent()}</outline>`);
+    }
+    const kind = edgeKind(node);
+    const attributes = [
+      `text="${escapeXml(getNodeLabel(node, previewLength))}"`,
+      kind !== 'next' ? `kind="${kind}"` : null,
+      node.createTime
+        ? `created="${new Date(node.createTime * 1000).toUTCString()}"`
+        : null
+    ].filter(Boolean);
+    const next = nodes[index + 1];
+    if (next && (next.depth || 0) > depth) {
+      lines.push(`${indent()}<outline ${attributes.join(' ')}>`);
+      open.push(depth);
+    } else {
+      lines.push(`${indent()}<outline ${attributes.join(' ')}/>`);
+    }
+  });
+  while (open.length > 0) {
+    open.pop();
+    lines.push(`${indent()}</outline>`);
+  }
+
+  lines.push('  </body>', '</opml>');
+  return `${lines.join('\n')}\n`;
+}
+
+const RENDERERS = { mermaid: toMermaid, dot: toDot, opml: toOpml };
+
+/**
+ * Build a diagram file
+ * @param {string} format - Key of DIAGRAM_FORMATS
+ * @param {Object} options
+ * @param {string} options.title - Conversation title
+ * @param {TreeNode[]} options.nodes - Display list
+ * @param {string} options.platform - Platform identifier, for the file name
+ * @param {number} [options.previewLength] - Label length
+ * @returns {{content: string, filename: string, type: string}|null} - Null
+ *   for an unknown format
+ */
+export function createDiagramExport(
+  format,
+  { title, nodes, platform, previewLength }
+) {
+  const renderer = RENDERERS[format];
+  if (!renderer) return null;
+  const { extension, type } = DIAGRAM_FORMATS[format];
+  return {
+    content: renderer({ title, nodes, previewLength }),
+    filename: generateFilename(title, platform, { extension }),
+    type: `${type};charset=utf-8`
+  };
+}
+
+export default {
+  DIAGRAM_FORMATS,
+  getDiagramEdges,
+  getNodeLabel,
+  toMermaid,
+  toDot,
+  toOpml,
+  createDiagramExport
+};
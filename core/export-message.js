@@ -0,0 +1,201 @@
+/**
+ * Export Message - What an export keeps of a message besides its text
+ * normalizeContent and the internal-message filters reduce messages to the
+ * text shown in the tree. For exports, adapters also collect the sources a
+ * reply cites, the files attached to it and the code and tool output
+ * around it; renderMessageBody writes them out as Markdown.
+ */
+
+/**
+ * @typedef {Object} ExportSource
+ * @property {string} url - Cited page
+ * @property {string} [title] - Page title
+ */
+
+/**
+ * @typedef {Object} ExportAttachment
+ * @property {string} name - File name
+ * @property {string} [mimeType] - MIME type, when known
+ * @property {number} [size] - Size in bytes
+ * @property {string} [url] - Link to the file, or a data: URL
+ * @property {string} [text] - Text the platform extracted from it
+ * @property {string} [fileId] - Platform file ID, when there is no link
+ */
+
+/**
+ * @typedef {Object} ExportBlock
+ * @property {string} kind - 'code' (run by a tool) | 'output' (tool result)
+ * @property {string} text - Code or output
+ * @property {string} [language] - Fence language
+ * @property {string} [title] - Caption, e.g. an artifact title
+ */
+
+/**
+ * @typedef {Object} ExportMessage
+ * @property {string} id - Message ID
+ * @property {string} role - 'user' | 'assistant'
+ * @property {string} content - Original Markdown; [^n] marks a citation of
+ *   sources[n - 1]
+ * @property {number} createTime - Creation time in seconds
+ * @property {ExportSource[]} [sources] - Cited sources
+ * @property {ExportAttachment[]} [attachments] - Files and images
+ * @property {ExportBlock[]} [blocks] - Code run by tools and its output
+ */
+
+/**
+ * Add a source to a list, once per URL
+ * @param {ExportSource[]} sources - Changed in place
+ * @param {{url?: string, title?: string}} source
+ * @returns {number} - 1-based number of the source, 0 without a URL
+ */
+export function addSource(sources, source) {
+  const url = typeof source?.url === 'string' ? source.url.trim() : '';
+  if (!url) return 0;
+  const index = sources.findIndex((existing) => existing.url === url);
+  if (index >= 0) return index + 1;
+  sources.push({ url, title: source.title || '' });
+  return sources.length;
+}
+
+/**
+ * Citation marker for a source number
+ * @param {number} number
+ * @returns {string}
+ */
+export function citeMarker(number) {
+  return `[^${number}]`;
+}
+
+/**
+ * Fenced code block, with a fence longer than any backtick run inside
+ * @param {string} text
+ * @param {string} [language]
+ * @returns {string}
+ */
+export function fence(text, language = '') {
+  const longest = Math.max(
+    2,
+    ...(String(text).match(/`+/g) || []).map((run) => run.length)
+  );
+  const marks = '`'.repeat(longest + 1);
+  return `${marks}${language}\n${String(text).replace(/\n$/, '')}\n${marks}`;
+}
+
+function formatSize(bytes) {
+  if (!bytes) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function linkText(text) {
+  return String(text).replace(/([[\]\\])/g, '\\$1');
+}
+
+// Link destinations go in <...>, which allows spaces and parentheses; only
+// angle brackets and line breaks need encoding there
+function linkUrl(url) {
+  return `<${String(url).replace(/[<>\r\n]/g, encodeURIComponent)}>`;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function isImage(attachment) {
+  return (
+    attachment.mimeType?.startsWith('image/') ||
+    attachment.url?.startsWith('data:image/')
+  );
+}
+
+function renderBlock(block) {
+  const caption =
+    block.title || (block.kind === 'output' ? 'Output' : 'Code run by tool');
+  return `*${caption}:*\n\n${fence(block.text, block.language || '')}`;
+}
+
+function renderAttachment(attachment) {
+  const name = attachment.name || attachment.fileId || 'Attachment';
+  const details = [attachment.mimeType, formatSize(attachment.size)]
+    .filter(Boolean)
+    .join(', ');
+  const suffix = details ? ` (${details})` : '';
+
+  if (attachment.text) {
+    return (
+      `<details>\n<summary>📎 ${escapeHtml(name + suffix)}</summary>\n\n` +
+      `${fence(attachment.text)}\n\n</details>`
+    );
+  }
+  if (attachment.url && isImage(attachment)) {
+    return `![${linkText(name)}](${linkUrl(attachment.url)})`;
+  }
+  if (attachment.url) {
+    return `📎 [${linkText(name)}](${linkUrl(attachment.url)})${suffix}`;
+  }
+  const id = attachment.fileId && attachment.fileId !== name;
+  return `📎 ${name}${suffix}${id ? ` · ${attachment.fileId}` : ''}`;
+}
+
+/**
+ * Markdown for a message's content, tool blocks, attachments and sources.
+ * Footnote labels start with the given label so they stay unique in a
+ * document that holds many messages.
+ * @param {ExportMessage} msg
+ * @param {string|number} label - Unique within the document
+ * @returns {string}
+ */
+export function renderMessageBody(msg, label) {
+  const sources = msg.sources || [];
+  const cited = new Set();
+  let content = msg.content || msg.text || '';
+  if (sources.length > 0) {
+    content = content.replace(/\[\^(\d+)\]/g, (marker, digits) => {
+      const number = parseInt(digits, 10);
+      if (number < 1 || number > sources.length) return marker;
+      cited.add(number);
+      return `[^${label}-${number}]`;
+    });
+  }
+
+  const parts = [content];
+  for (const block of msg.blocks || []) {
+    parts.push(renderBlock(block));
+  }
+  if (msg.attachments?.length > 0) {
+    parts.push(msg.attachments.map(renderAttachment).join('\n\n'));
+  }
+
+  // Footnotes for cited sources; a footnote nothing points to is dropped
+  // by most renderers, so the rest are listed
+  const footnotes = [];
+  const uncited = [];
+  sources.forEach((source, i) => {
+    const link = `[${linkText(source.title || source.url)}](${linkUrl(source.url)})`;
+    if (cited.has(i + 1)) {
+      footnotes.push(`[^${label}-${i + 1}]: ${link}`);
+    } else {
+      uncited.push(`- ${link}`);
+    }
+  });
+  if (uncited.length > 0) {
+    parts.push(`**Sources:**\n\n${uncited.join('\n')}`);
+  }
+  if (footnotes.length > 0) {
+    parts.push(footnotes.join('\n'));
+  }
+
+  return parts.filter(Boolean).join('\n\n');
+}
+
+export default {
+  addSource,
+  citeMarker,
+  fence,
+  renderMessageBody
+};
@@ -0,0 +1,260 @@
+/**
+ * Family Export - One Markdown document for a conversation and every branch
+ * recorded from it
+ * The family is walked from the root ancestor through branch data. Branches
+ * share the history before their fork with the parent, so each section only
+ * holds the messages after its fork point and links to where the rest is.
+ */
+
+import { findParentBranch } from './chatgpt-branch-utils.js';
+import { renderMessageBody } from './export-message.js';
+
+/**
+ * @typedef {Object} FamilyNode
+ * @property {string} conversationId - Conversation ID
+ * @property {string} title - Conversation title
+ * @property {string|null} parentId - Parent conversation, null for the root
+ * @property {Object|null} branch - Branch entry linking it to the parent
+ * @property {number} depth - Distance from the root
+ * @property {FamilyNode[]} children - Branches, oldest first
+ */
+
+/**
+ * @typedef {Object} ExportMessage
+ * @property {string} id - Message ID, shared by branches that copied it
+ * @property {string} role - 'user' | 'assistant'
+ * @property {string} content - Original Markdown
+ * @property {number} createTime - Creation time in seconds
+ * @property {Object[]} [sources] - Cited sources, see export-message.js
+ * @property {Object[]} [attachments] - Files and images
+ * @property {Object[]} [blocks] - Code run by tools and its output
+ */
+
+/**
+ * Follow recorded parents up to the conversation the family started from
+ * @param {Object} branchData - Branch data
+ * @param {string} conversationId - Any conversation in the family
+ * @returns {string}
+ */
+export function findFamilyRoot(branchData, conversationId) {
+  const seen = new Set([conversationId]);
+  let rootId = conversationId;
+  let parent = findParentBranch(branchData, rootId);
+  // Branch data from older versions may hold a loop; stop where it closes
+  while (parent && !seen.has(parent.parentId)) {
+    rootId = parent.parentId;
+    seen.add(rootId);
+    parent = findParentBranch(branchData, rootId);
+  }
+  return rootId;
+}
+
+/**
+ * Build the tree of recorded branches below a conversation
+ * @param {Object} branchData - Branch data
+ * @param {string} rootId - Root conversation
+ * @returns {FamilyNode}
+ */
+export function collectBranchFamily(branchData, rootId) {
+  const seen = new Set();
+  const visit = (conversationId, parentId, branch, depth) => {
+    seen.add(conversationId);
+    const node = {
+      conversationId,
+      title:
+        branchData?.titles?.[conversationId] || branch?.title || 'Conversation',
+      parentId,
+      branch,
+      depth,
+      children: []
+    };
+    const entries = [...(branchData?.branches?.[conversationId] || [])].sort(
+      (a, b) => (a.createdAt || 0) - (b.createdAt || 0)
+    );
+    for (const entry of entries) {
+      if (seen.has(entry.childId)) continue;
+      node.children.push(
+        visit(entry.childId, conversationId, entry, depth + 1)
+      );
+    }
+    return node;
+  };
+  return visit(rootId, null, null, 0);
+}
+
+/**
+ * List a family in document order: each conversation before its branches
+ * @param {FamilyNode} root
+ * @returns {FamilyNode[]}
+ */
+export function flattenFamily(root) {
+  const result = [];
+  const walk = (node) => {
+    result.push(node);
+    node.children.forEach(walk);
+  };
+  walk(root);
+  return result;
+}
+
+/**
+ * Split a branch's messages into the history it shares with its parent and
+ * its own messages. Branches keep the parent's message IDs up to the fork;
+ * the recorded fork message, then the branch time, are used when they don't.
+ * @param {ExportMessage[]} parentMessages - Parent conversation messages
+ * @param {ExportMessage[]} childMessages - Branch conversation messages
+ * @param {Object|null} branch - Branch entry (forkMessageId, createdAt)
+ * @returns {{sharedCount: number, forkIndex: number, messages: ExportMessage[]}}
+ *   forkIndex is the parent message the branch follows, -1 if unknown
+ */
+export function splitSharedHistory(parentMessages, childMessages, branch) {
+  let sharedCount = 0;
+  while (
+    sharedCount < parentMessages.length &&
+    sharedCount < childMessages.length &&
+    parentMessages[sharedCount].id === childMessages[sharedCount].id
+  ) {
+    sharedCount++;
+  }
+
+  const matchedIds = sharedCount > 0;
+
+  if (!matchedIds && branch?.forkMessageId) {
+    sharedCount =
+      childMessages.findIndex((msg) => msg.id === branch.forkMessageId) + 1;
+  }
+  if (sharedCount === 0 && branch?.createdAt) {
+    while (
+      sharedCount < childMessages.length &&
+      childMessages[sharedCount].createTime &&
+      childMessages[sharedCount].createTime <= branch.createdAt
+    ) {
+      sharedCount++;
+    }
+  }
+
+  const recorded = branch?.forkMessageId
+    ? parentMessages.findIndex((msg) => msg.id === branch.forkMessageId)
+    : -1;
+  const forkIndex =
+    matchedIds || recorded < 0
+      ? Math.min(sharedCount, parentMessages.length) - 1
+      : recorded;
+
+  return {
+    sharedCount,
+    forkIndex,
+    messages: childMessages.slice(sharedCount)
+  };
+}
+
+/**
+ * Anchor of a conversation's section
+ * @param {string} conversationId
+ * @returns {string}
+ */
+export function familyAnchor(conversationId) {
+  return `conversation-${String(conversationId).replace(/[^\w-]/g, '-')}`;
+}
+
+function linkTo(node) {
+  const text = node.title.replace(/([[\]\\])/g, '\\$1');
+  return `[${text}](#${familyAnchor(node.conversationId)})`;
+}
+
+function roleLabel(role) {
+  return role === 'user' ? 'User' : 'Assistant';
+}
+
+/**
+ * Generate the Markdown document for a family whose nodes carry their
+ * messages
+ * @param {Object} options - Export options
+ * @param {FamilyNode} options.root - Family root; each node has messages
+ *   (ExportMessage[]) or error (string) set
+ * @param {string} options.platformName - Platform display name
+ * @returns {string} - Markdown formatted string
+ */
+export function generateFamilyMarkdown({ root, platformName }) {
+  const nodes = flattenFamily(root);
+  const byId = new Map(nodes.map((node) => [node.conversationId, node]));
+
+  let md = `# Branch family: ${root.title}\n\n`;
+  md += `> **Platform:** ${platformName}  \n`;
+  md += `> **Exported:** ${new Date().toISOString()}  \n`;
+  md += `> **Conversations:** ${nodes.length}  \n`;
+  md += '\n## Contents\n\n';
+  for (const node of nodes) {
+    md += `${'  '.repeat(node.depth)}- ${linkTo(node)}\n`;
+  }
+  md += '\n---\n\n';
+
+  for (const node of nodes) {
+    const parent = node.parentId ? byId.get(node.parentId) : null;
+    const ownMessages = node.messages || [];
+    let split = { sharedCount: 0, forkIndex: -1, messages: ownMessages };
+    if (parent?.messages && node.messages) {
+      split = splitSharedHistory(parent.messages, node.messages, node.branch);
+    }
+
+    md += `<a id="${familyAnchor(node.conversationId)}"></a>\n\n`;
+    md += `${'#'.repeat(Math.min(2 + node.depth, 6))} ${node.title}\n\n`;
+    md += `> **Conversation ID:** ${node.conversationId}  \n`;
+    if (parent) {
+      const after =
+        split.forkIndex >= 0 ? ` after message ${split.forkIndex + 1}` : '';
+      md += `> **Branched from:** ${linkTo(parent)}${after}  \n`;
+    }
+    if (node.children.length > 0) {
+      md += `> **Branches:** ${node.children.map(linkTo).join(', ')}  \n`;
+    }
+    md += '\n';
+
+    if (node.error) {
+      md += `*${node.error}*\n\n---\n\n`;
+      continue;
+    }
+    if (split.sharedCount > 0) {
+      md += `*Messages 1–${split.sharedCount} are shared with ${linkTo(parent)}.*\n\n`;
+    }
+    if (split.messages.length === 0) {
+      md += '*No messages of its own.*\n\n---\n\n';
+      continue;
+    }
+
+    // Branches are listed under the parent message they continue from
+    const forks = new Map();
+    for (const child of node.children) {
+      if (!child.messages || !node.messages) continue;
+      const { forkIndex } = splitSharedHistory(
+        node.messages,
+        child.messages,
+        child.branch
+      );
+      if (forkIndex < 0) continue;
+      if (!forks.has(forkIndex)) forks.set(forkIndex, []);
+      forks.get(forkIndex).push(child);
+    }
+
+    split.messages.forEach((msg, i) => {
+      const index = split.sharedCount + i;
+      md += `**${roleLabel(msg.role)}** (message ${index + 1})\n\n`;
+      md += `${renderMessageBody(msg, `${familyAnchor(node.conversationId)}-${index + 1}`)}\n\n`;
+      if (forks.has(index)) {
+        md += `> ↳ Branched here: ${forks.get(index).map(linkTo).join(', ')}\n\n`;
+      }
+      md += '---\n\n';
+    });
+  }
+
+  return md;
+}
+
+export default {
+  findFamilyRoot,
+  collectBranchFamily,
+  flattenFamily,
+  splitSharedHistory,
+  familyAnchor,
+  generateFamilyMarkdown
+};
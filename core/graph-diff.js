@@ -0,0 +1,155 @@
+/**
+ * Graph Diff - Keyed diffs for extracted messages and display nodes
+ * A refresh updates the graph and the panel with only what changed instead
+ * of rebuilding and resending everything.
+ */
+
+/**
+ * @typedef {Object} MessageDiff
+ * @property {Message[]} added - Messages not present before
+ * @property {Message[]} changed - Messages whose content or metadata changed
+ * @property {string[]} removed - IDs of messages no longer present
+ * @property {string[]} path - Ordered IDs of the conversation's path messages
+ */
+
+/**
+ * @typedef {Object} NodePatch
+ * @property {TreeNode[]} upserted - New or changed nodes
+ * @property {string[]|null} order - Full node ID order, or null when the
+ *   order (and so the set of nodes) is unchanged
+ */
+
+// Message fields that affect the graph or the rendered tree
+const MESSAGE_FIELDS = [
+  'type',
+  'role',
+  'text',
+  'createTime',
+  'parentId',
+  'branchNodeId',
+  'hasEditVersions',
+  'editVersionIndex',
+  'totalVersions'
+];
+
+function sameIds(a, b) {
+  const left = a || [];
+  const right = b || [];
+  return left.length === right.length && left.every((id, i) => id === right[i]);
+}
+
+/**
+ * Check whether two extracted messages with the same ID differ
+ * @param {Message} a
+ * @param {Message} b
+ * @returns {boolean}
+ */
+export function messageChanged(a, b) {
+  return (
+    MESSAGE_FIELDS.some((field) => (a[field] ?? null) !== (b[field] ?? null)) ||
+    !sameIds(a.siblingIds, b.siblingIds)
+  );
+}
+
+/**
+ * Diff two extractions of the same conversation, keyed by message ID
+ * @param {Message[]} previous - Messages from the last extraction
+ * @param {Message[]} next - Messages from the current extraction
+ * @returns {MessageDiff}
+ */
+export function diffMessages(previous, next) {
+  const before = new Map((previous || []).map((m) => [m.id, m]));
+  const seen = new Set();
+  const diff = { added: [], changed: [], removed: [], path: [] };
+
+  for (const msg of next || []) {
+    seen.add(msg.id);
+    const old = before.get(msg.id);
+    if (!old) {
+      diff.added.push(msg);
+    } else if (messageChanged(old, msg)) {
+      diff.changed.push(msg);
+    }
+    if (
+      msg.type !== 'editBranch' &&
+      (msg.role === 'user' || msg.role === 'assistant')
+    ) {
+      diff.path.push(msg.id);
+    }
+  }
+
+  for (const id of before.keys()) {
+    if (!seen.has(id)) diff.removed.push(id);
+  }
+
+  return diff;
+}
+
+/**
+ * Check whether a message diff changes nothing
+ * @param {MessageDiff} diff
+ * @returns {boolean}
+ */
+export function isEmptyDiff(diff) {
+  return (
+    diff.added.length === 0 &&
+    diff.changed.length === 0 &&
+    diff.removed.length === 0
+  );
+}
+
+/**
+ * Diff two display node lists, keyed by node ID
+ * @param {TreeNode[]} previous - Nodes the receiver already has
+ * @param {TreeNode[]} next - Nodes it should end up with
+ * @returns {NodePatch}
+ */
+export function diffDisplayNodes(previous, next) {
+  const before = new Map((previous || []).map((n) => [n.id, n]));
+  const upserted = (next || []).filter((node) => {
+    const old = before.get(node.id);
+    return !old || JSON.stringify(old) !== JSON.stringify(node);
+  });
+  const nextIds = (next || []).map((n) => n.id);
+  const order = sameIds(
+    (previous || []).map((n) => n.id),
+    nextIds
+  )
+    ? null
+    : nextIds;
+
+  return { upserted, order };
+}
+
+/**
+ * Check whether a node patch changes nothing
+ * @param {NodePatch} patch
+ * @returns {boolean}
+ */
+export function isEmptyPatch(patch) {
+  return patch.upserted.length === 0 && patch.order === null;
+}
+
+/**
+ * Apply a node patch produced by diffDisplayNodes
+ * @param {TreeNode[]} previous - Nodes the patch was computed against
+ * @param {NodePatch} patch
+ * @returns {TreeNode[]} - Patched node list
+ */
+export function applyNodePatch(previous, patch) {
+  const byId = new Map((previous || []).map((n) => [n.id, n]));
+  for (const node of patch.upserted) {
+    byId.set(node.id, node);
+  }
+  const order = patch.order || (previous || []).map((n) => n.id);
+  return order.map((id) => byId.get(id)).filter(Boolean);
+}
+
+export default {
+  messageChanged,
+  diffMessages,
+  isEmptyDiff,
+  diffDisplayNodes,
+  isEmptyPatch,
+  applyNodePatch
+};
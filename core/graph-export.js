@@ -0,0 +1,182 @@
+/**
+ * Graph Export - Lossless JSON export of a conversation graph
+ * Unlike the Markdown export, every message keeps its parent and child
+ * links, timestamps and edit group, each conversation keeps its path, and
+ * the recorded branch links between conversations come along. The format is
+ * described in docs/graph-export-format.md; bump GRAPH_EXPORT_VERSION when
+ * its shape changes.
+ */
+
+import {
+  ConversationGraph,
+  GRAPH_FORMAT_VERSION
+} from './conversation-graph.js';
+
+export const GRAPH_EXPORT_FORMAT = 'ai-conversation-index-graph';
+export const GRAPH_EXPORT_VERSION = 1;
+
+/**
+ * @typedef {Object} GraphExport
+ * @property {string} format - Always GRAPH_EXPORT_FORMAT
+ * @property {number} version - GRAPH_EXPORT_VERSION
+ * @property {string} exportedAt - ISO timestamp
+ * @property {string} platform - Platform identifier
+ * @property {string} conversationId - Conversation the export was made from
+ * @property {ExportedConversation[]} conversations - Conversations in the graph
+ * @property {ExportedMessage[]} messages - Every message, once
+ * @property {Array<{id: string, messageIds: string[]}>} editGroups - Messages
+ *   that are versions of each other
+ * @property {string[]} rootParentIds - Hidden platform roots (system
+ *   messages) that first messages point to
+ * @property {Object[]} branches - Recorded branch links from or to the
+ *   exported conversations, with the parent as parentId
+ */
+
+/**
+ * @typedef {Object} ExportedConversation
+ * @property {string} id - Conversation ID
+ * @property {string|null} title - Title, when known
+ * @property {string|null} platform - Platform identifier
+ * @property {boolean} isCurrent - Whether the export was made from it
+ * @property {number|null} deletedAt - When the platform stopped having it
+ * @property {string[]} path - Message IDs shown in it, in order
+ * @property {number} messageCount - Messages the platform returned
+ */
+
+/**
+ * @typedef {Object} ExportedMessage
+ * @property {string} id - Message ID
+ * @property {string} role - 'user' | 'assistant'
+ * @property {string} text - Message text
+ * @property {number} createTime - Creation time in seconds, 0 if unknown
+ * @property {string|null} parentId - Previous message
+ * @property {string[]} childIds - Following messages
+ * @property {string[]} conversationIds - Conversations it appears in
+ * @property {string|null} editGroupId - Edit group, if it has versions
+ * @property {string[]} editSiblingIds - Other versions
+ * @property {boolean} isEditVersion - Whether it belongs to an edit group
+ * @property {boolean} hasUnknownEdits - Whether versions exist that the
+ *   platform didn't return
+ */
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Build the export of a graph
+ * @param {Object} options
+ * @param {ConversationGraph} options.graph - Graph of the conversation
+ * @param {string} options.conversationId - Conversation the export is from
+ * @param {string} options.platform - Platform identifier
+ * @param {Object} [options.branchData] - Branch data, for titles, deletions
+ *   and branch links
+ * @returns {GraphExport}
+ */
+export function createGraphExport({
+  graph,
+  conversationId,
+  platform,
+  branchData = null
+}) {
+  const { nodes, conversations, editGroups, rootParentIds } = graph.toJSON();
+  const conversationIds = new Set(conversations.map(([id]) => id));
+
+  const branches = [];
+  for (const [parentId, entries] of Object.entries(
+    branchData?.branches || {}
+  )) {
+    for (const entry of entries) {
+      if (conversationIds.has(parentId) || conversationIds.has(entry.childId)) {
+        branches.push({ parentId, ...entry });
+      }
+    }
+  }
+
+  return {
+    format: GRAPH_EXPORT_FORMAT,
+    version: GRAPH_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    platform,
+    conversationId,
+    conversations: conversations.map(([id, meta]) => ({
+      id,
+      title: branchData?.titles?.[id] ?? null,
+      platform: meta.platform ?? null,
+      isCurrent: id === conversationId,
+      deletedAt: branchData?.deleted?.[id] ?? null,
+      path: meta.path,
+      messageCount: meta.messageCount ?? meta.path.length
+    })),
+    messages: nodes,
+    editGroups: editGroups.map(([id, messageIds]) => ({ id, messageIds })),
+    rootParentIds,
+    branches
+  };
+}
+
+/**
+ * Export file name for a conversation and date
+ * @param {string} conversationId
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export function getGraphExportFilename(conversationId, date = new Date()) {
+  const safeId = String(conversationId)
+    .replace(/[^\w-]/g, '-')
+    .slice(0, 40);
+  return `conversation-graph_${safeId}_${date.toISOString().slice(0, 10)}.json`;
+}
+
+/**
+ * Read an export back into a conversation graph
+ * @param {string|Object} input - File contents or parsed JSON
+ * @returns {{ok: true, graph: ConversationGraph, data: GraphExport}|{ok: false, error: string}}
+ */
+export function parseGraphExport(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch {
+      return { ok: false, error: 'File is not valid JSON' };
+    }
+  }
+
+  if (!isPlainObject(data) || data.format !== GRAPH_EXPORT_FORMAT) {
+    return { ok: false, error: 'Not a conversation graph export' };
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    return { ok: false, error: 'Graph export has no valid version' };
+  }
+  if (data.version > GRAPH_EXPORT_VERSION) {
+    return { ok: false, error: 'Graph export was made by a newer version' };
+  }
+
+  const graph = ConversationGraph.fromJSON({
+    version: GRAPH_FORMAT_VERSION,
+    nodes: Array.isArray(data.messages) ? data.messages : [],
+    conversations: (data.conversations || []).map((conv) => [
+      conv.id,
+      {
+        path: conv.path || [],
+        platform: conv.platform,
+        messageCount: conv.messageCount
+      }
+    ]),
+    editGroups: (data.editGroups || []).map((group) => [
+      group.id,
+      group.messageIds || []
+    ]),
+    rootParentIds: data.rootParentIds || []
+  });
+  return { ok: true, graph, data };
+}
+
+export default {
+  GRAPH_EXPORT_FORMAT,
+  GRAPH_EXPORT_VERSION,
+  createGraphExport,
+  getGraphExportFilename,
+  parseGraphExport
+};
@@ -0,0 +1,83 @@
+/**
+ * Graph Store - Persistence for conversation graphs
+ * Graphs outlive the conversation cache (cached entries expire after
+ * minutes), so related conversations can be shown without refetching them.
+ * Graphs are serialized with toJSON() and kept by the background service
+ * worker's data store (see data-store.js).
+ */
+
+import { ConversationGraph } from './conversation-graph.js';
+import { requestDataStore } from './storage.js';
+
+/**
+ * Persist the graph built for a conversation
+ * @param {string} conversationId - Conversation the graph was built for
+ * @param {string} platform - Platform identifier
+ * @param {ConversationGraph} graph - Graph to save
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function saveGraph(conversationId, platform, graph) {
+  if (!conversationId || !graph) return false;
+  return requestDataStore(
+    'saveGraphRecord',
+    [
+      {
+        conversationId,
+        platform,
+        conversationIds: [...graph.conversations.keys()],
+        graph: graph.toJSON()
+      }
+    ],
+    false
+  );
+}
+
+/**
+ * Load a persisted graph
+ * @param {string} conversationId - Conversation the graph was built for
+ * @returns {Promise<ConversationGraph|null>} - Graph or null
+ */
+export async function loadGraph(conversationId) {
+  if (!conversationId) return null;
+  const record = await requestDataStore('loadGraphRecord', [conversationId]);
+  if (!record) return null;
+  try {
+    return ConversationGraph.fromJSON(record.graph);
+  } catch (err) {
+    console.error('[GraphStore] Load error:', conversationId, err);
+    return null;
+  }
+}
+
+/**
+ * List persisted graphs without their contents
+ * @returns {Promise<Array<{conversationId: string, platform: string, conversationIds: string[], savedAt: number}>>}
+ */
+export async function listGraphs() {
+  return requestDataStore('listGraphs', [], []);
+}
+
+/**
+ * Remove a persisted graph
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function deleteGraph(conversationId) {
+  return requestDataStore('deleteGraph', [conversationId], false);
+}
+
+/**
+ * Remove all persisted graphs
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function clearGraphs() {
+  return requestDataStore('clearGraphs', [], false);
+}
+
+export default {
+  saveGraph,
+  loadGraph,
+  listGraphs,
+  deleteGraph,
+  clearGraphs
+};
@@ -0,0 +1,327 @@
+/**
+ * HTML Export - The rendered tree as one self-contained HTML file
+ * The panel hands over its rendered rows, styles and the conversation's
+ * messages; the file embeds the connector functions from tree-connectors.js,
+ * each row's messages with the replies that follow them, and a small script
+ * that redraws the connectors, collapses branches and shows the messages
+ * inline, so it opens anywhere without the extension.
+ */
+
+import {
+  DEPTH_COLORS,
+  RAIL_SIZE,
+  CONNECTOR_FUNCTIONS,
+  measureNodePositions,
+  generateConnectorPaths,
+  renderConnectorMarkup
+} from './tree-connectors.js';
+
+// Rows whose full text can be read inline
+const MESSAGE_TYPES = ['user', 'assistant', 'message', 'editBranch'];
+
+// Layout for a page instead of the side panel, and the export's own controls
+const EXPORT_STYLES = `
+      body.html-export {
+        display: block;
+        height: auto;
+        max-width: 880px;
+        margin: 0 auto;
+        padding: 24px 16px 48px;
+        overflow: visible;
+      }
+      .html-export-header {
+        margin-bottom: 16px;
+        color: var(--text);
+      }
+      .html-export-header h1 {
+        font-size: 18px;
+        margin-bottom: 4px;
+      }
+      .html-export-header p {
+        font-size: 12px;
+        color: var(--text-muted);
+      }
+      body.html-export [hidden] {
+        display: none !important;
+      }
+      body.html-export #tree-root {
+        overflow: visible;
+      }
+      body.html-export .tree-node {
+        animation: none;
+        cursor: default;
+      }
+      body.html-export .tree-node.has-full-text {
+        cursor: pointer;
+      }
+      .html-export-toggle {
+        margin-left: 6px;
+        border: none;
+        background: none;
+        color: var(--text-muted);
+        cursor: pointer;
+        font-size: 11px;
+      }
+      .html-export-message {
+        margin: 6px 0 4px;
+        padding: 8px 10px;
+        border-left: 2px solid var(--color, var(--accent));
+        background: var(--surface-2);
+        color: var(--text);
+        font-size: 13px;
+        line-height: 1.5;
+        white-space: pre-wrap;
+        word-break: break-word;
+        cursor: text;
+      }
+      .html-export-turn + .html-export-turn {
+        margin-top: 8px;
+        padding-top: 8px;
+        border-top: 1px solid var(--border, rgba(127, 127, 127, 0.25));
+      }
+      .html-export-role {
+        display: block;
+        margin-bottom: 2px;
+        color: var(--text-muted);
+        font-size: 11px;
+        font-weight: 600;
+        text-transform: uppercase;
+      }
+`;
+
+/* global EXPORT_MESSAGES */
+
+/**
+ * Script run by the exported page. It is embedded as source, so it may only
+ * use the DOM, the connector functions and EXPORT_MESSAGES, which the page
+ * defines under the same names.
+ */
+function exportRuntime() {
+  const root = document.getElementById('tree-root');
+  const rows = Array.from(root.querySelectorAll('.tree-node'));
+  const visibleRows = '.tree-node:not([hidden])';
+
+  const depthOf = (row) => parseInt(row.dataset.depth || '0', 10);
+
+  // Rows below a row that are deeper than it, up to the next row that isn't
+  const descendantsOf = (index) => {
+    const result = [];
+    const depth = depthOf(rows[index]);
+    for (let i = index + 1; i < rows.length; i++) {
+      if (depthOf(rows[i]) <= depth) break;
+      result.push(rows[i]);
+    }
+    return result;
+  };
+
+  const draw = () => {
+    let svg = root.querySelector('#tree-connectors');
+    if (!svg) {
+      svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+      svg.id = 'tree-connectors';
+      svg.setAttribute('aria-hidden', 'true');
+      svg.style.cssText =
+        'position: absolute; top: 0; left: 0; width: 100%; pointer-events: none; z-index: 0; overflow: visible;';
+      root.insertBefore(svg, root.firstChild);
+    }
+    const measurements = measureNodePositions(root, visibleRows);
+    const { paths, dots } = generateConnectorPaths(measurements);
+    svg.setAttribute('viewBox', `0 0 ${root.offsetWidth} ${root.scrollHeight}`);
+    svg.style.height = `${root.scrollHeight}px`;
+    svg.innerHTML = renderConnectorMarkup(paths, dots);
+  };
+
+  rows.forEach((row, index) => {
+    const descendants = descendantsOf(index);
+    if (descendants.length > 0) {
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = 'html-export-toggle';
+      toggle.textContent = '▾';
+      toggle.title = 'Collapse';
+      toggle.addEventListener('click', (event) => {
+        event.stopPropagation();
+        const collapse = !row.classList.contains('is-collapsed');
+        row.classList.toggle('is-collapsed', collapse);
+        toggle.textContent = collapse ? '▸' : '▾';
+        toggle.title = collapse ? 'Expand' : 'Collapse';
+        // Expanding restores nested rows collapsed on their own
+        let skipDepth = null;
+        for (const child of descendants) {
+          if (skipDepth !== null && depthOf(child) > skipDepth) continue;
+          skipDepth = null;
+          child.hidden = collapse;
+          if (!collapse && child.classList.contains('is-collapsed')) {
+            skipDepth = depthOf(child);
+          }
+        }
+        draw();
+      });
+      (row.querySelector('.tree-card') || row).appendChild(toggle);
+    }
+
+    // Rows without exported messages fall back to their own preview text
+    const turns = EXPORT_MESSAGES[row.dataset.nodeId];
+    if (turns) row.classList.add('has-full-text');
+    if (!row.classList.contains('has-full-text')) return;
+    const message = document.createElement('div');
+    message.className = 'html-export-message';
+    for (const turn of turns || [{ text: row.dataset.fullText }]) {
+      const entry = document.createElement('div');
+      entry.className = 'html-export-turn';
+      if (turn.role) {
+        const role = document.createElement('span');
+        role.className = 'html-export-role';
+        role.textContent = turn.role === 'user' ? 'User' : 'Assistant';
+        entry.appendChild(role);
+      }
+      entry.appendChild(document.createTextNode(turn.text));
+      message.appendChild(entry);
+    }
+    message.hidden = true;
+    message.addEventListener('click', (event) => event.stopPropagation());
+    (row.querySelector('.tree-card') || row).appendChild(message);
+    row.addEventListener('click', () => {
+      message.hidden = !message.hidden;
+      draw();
+    });
+  });
+
+  window.addEventListener('resize', draw);
+  draw();
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Pair each row with its message and the replies that follow it, up to the
+ * next user message. A message's reply is the first non-user message listed
+ * with it as parent, or, for messages without parentId, the one listed next;
+ * list the current path first so its replies win over other branches.
+ * @param {Array} messages - Export messages: {id, role, content|text, parentId}
+ * @param {string[]} rowIds - Node IDs of the exported rows
+ * @returns {Object<string, Array<{role: string, text: string}>>}
+ */
+export function collectMessageTurns(messages, rowIds) {
+  const byId = new Map();
+  const replies = new Map();
+  messages.forEach((msg, index) => {
+    if (!msg?.id || byId.has(msg.id)) return;
+    byId.set(msg.id, msg);
+    const parentId =
+      msg.parentId === undefined ? messages[index - 1]?.id : msg.parentId;
+    if (msg.role !== 'user' && parentId && !replies.has(parentId)) {
+      replies.set(parentId, msg);
+    }
+  });
+
+  const turns = {};
+  for (const id of rowIds) {
+    let msg = byId.get(id);
+    if (!msg || turns[id]) continue;
+    const seen = new Set();
+    turns[id] = [];
+    while (msg && !seen.has(msg.id)) {
+      seen.add(msg.id);
+      turns[id].push({ role: msg.role, text: msg.content || msg.text || '' });
+      msg = replies.get(msg.id);
+    }
+  }
+  return turns;
+}
+
+/**
+ * Mark the rows whose full message can be shown inline
+ * @param {HTMLElement} treeRoot - Copy of the rendered tree, changed in place
+ * @returns {HTMLElement}
+ */
+export function prepareTreeForExport(treeRoot) {
+  treeRoot.querySelector('#tree-connectors')?.remove();
+  treeRoot.querySelector('#tooltip')?.remove();
+  for (const row of treeRoot.querySelectorAll('.tree-node')) {
+    row.classList.remove('search-hidden', 'is-focused');
+    row.style.removeProperty('animation-delay');
+    row.removeAttribute('tabindex');
+    if (MESSAGE_TYPES.includes(row.dataset.type) && row.dataset.fullText) {
+      row.classList.add('has-full-text');
+    }
+  }
+  return treeRoot;
+}
+
+/**
+ * Build the exported HTML document
+ * @param {Object} options
+ * @param {string} options.title - Conversation title
+ * @param {string} options.platformName - Platform display name
+ * @param {string} options.styles - The panel's CSS
+ * @param {string} options.treeHtml - Inner HTML of the prepared tree
+ * @param {string} [options.bodyClass] - Theme classes of the panel body
+ * @param {Object} [options.messages] - Row ID -> messages, from
+ *   collectMessageTurns
+ * @param {Date} [options.exportedAt]
+ * @returns {string}
+ */
+export function buildHtmlExport({
+  title,
+  platformName,
+  styles,
+  treeHtml,
+  bodyClass = '',
+  messages = {},
+  exportedAt = new Date()
+}) {
+  const safeTitle = escapeHtml(title || 'Conversation');
+  // "</script" inside the embedded source would end the script early, and
+  // "<!--" in message text would change how the script is parsed
+  const script = [
+    `const EXPORT_MESSAGES = ${JSON.stringify(messages).replace(
+      /</g,
+      '\\u003c'
+    )};`,
+    `const DEPTH_COLORS = ${JSON.stringify(DEPTH_COLORS)};`,
+    `const RAIL_SIZE = ${RAIL_SIZE};`,
+    ...CONNECTOR_FUNCTIONS.map((fn) => fn.toString()),
+    `(${exportRuntime.toString()})();`
+  ]
+    .join('\n\n')
+    .replace(/<\/script/gi, '<\\/script');
+
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${safeTitle}</title>
+    <style>
+${styles}
+${EXPORT_STYLES}
+    </style>
+  </head>
+  <body class="html-export ${escapeHtml(bodyClass)}">
+    <div class="html-export-header">
+      <h1>${safeTitle}</h1>
+      <p>${escapeHtml(platformName)} · Exported ${escapeHtml(
+        exportedAt.toISOString()
+      )} · Click a message to read it in full</p>
+    </div>
+    <div id="tree-root">${treeHtml}</div>
+    <script>
+${script}
+    </script>
+  </body>
+</html>
+`;
+}
+
+export default {
+  collectMessageTurns,
+  prepareTreeForExport,
+  buildHtmlExport
+};
@@ -0,0 +1,305 @@
+/**
+ * Markdown Export - Conversation Markdown and export file names
+ * Used by the single conversation export and by exports that write one
+ * note per conversation.
+ */
+
+import { renderMessageBody } from './export-message.js';
+
+// Characters file systems reject, and those that break [[wikilinks]]
+const UNSAFE_FILENAME_CHARS = /[<>:"/\\|?*]/g;
+const UNSAFE_LINK_CHARS = /[<>:"/\\|?*#^[\]]/g;
+
+// What a Markdown export holds: the current path, the current path with
+// other versions of each message folded in, or every branch
+export const MARKDOWN_EXPORT_MODES = ['current', 'alternates', 'all'];
+
+/**
+ * @typedef {Object} MessageTree
+ * @property {Map<string, Object>} byId - Messages by ID
+ * @property {Map<string|null, Object[]>} children - Messages by the message
+ *   before them, oldest first; null holds the first messages
+ * @property {Set<string>} onPath - IDs on the current path
+ */
+
+function roleLabel(role) {
+  return role === 'user' ? 'User' : 'Assistant';
+}
+
+// Messages whose parent isn't exported start the conversation
+function parentKey(byId, msg) {
+  return msg.parentId && msg.parentId !== msg.id && byId.has(msg.parentId)
+    ? msg.parentId
+    : null;
+}
+
+/**
+ * Link every message of a conversation to the one before it
+ * @param {Array} allMessages - Every message, each with parentId
+ * @param {Array} messages - Messages on the current path
+ * @returns {MessageTree}
+ */
+export function buildMessageTree(allMessages, messages) {
+  const byId = new Map(allMessages.map((msg) => [msg.id, msg]));
+  const children = new Map();
+  for (const msg of allMessages) {
+    const key = parentKey(byId, msg);
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(msg);
+  }
+  for (const list of children.values()) {
+    list.sort((a, b) => (a.createTime || 0) - (b.createTime || 0));
+  }
+  return {
+    byId,
+    children,
+    onPath: new Set((messages || []).map((msg) => msg.id))
+  };
+}
+
+// Current path messages may be copies without parentId; use the tree's own
+function versionsOf(tree, msg) {
+  const own = tree.byId.get(msg.id);
+  if (!own) return [msg];
+  return tree.children.get(parentKey(tree.byId, own)) || [own];
+}
+
+// A version's messages after it, following the newest reply each time
+function continuationOf(tree, msg) {
+  const result = [];
+  const seen = new Set([msg.id]);
+  let next = tree.children.get(msg.id)?.at(-1);
+  while (next && !seen.has(next.id)) {
+    seen.add(next.id);
+    result.push(next);
+    next = tree.children.get(next.id)?.at(-1);
+  }
+  return result;
+}
+
+/**
+ * Collapsible block with the other versions of a message and what followed
+ * each of them
+ * @param {MessageTree} tree
+ * @param {Object} msg - Message on the current path
+ * @param {function(Object): string} body - Renders a message's body
+ * @returns {string} - Markdown, empty when the message has one version
+ */
+function renderAlternates(tree, msg, body) {
+  const versions = versionsOf(tree, msg);
+  const others = versions.filter((version) => version.id !== msg.id);
+  if (others.length === 0) return '';
+
+  let md = '<details>\n';
+  md += `<summary>Other versions of this message (${others.length})</summary>\n\n`;
+  others.forEach((version, i) => {
+    if (i > 0) md += '---\n\n';
+    md += `**${roleLabel(version.role)}, version ${versions.indexOf(version) + 1} of ${versions.length}**\n\n`;
+    md += `${body(version)}\n\n`;
+    for (const next of continuationOf(tree, version)) {
+      md += `**${roleLabel(next.role)}**\n\n`;
+      md += `${body(next)}\n\n`;
+    }
+  });
+  return `${md}</details>`;
+}
+
+/**
+ * List every branch of a conversation, the current path first. Each branch
+ * runs from the first message to a last reply; the messages it shares with
+ * an earlier branch are counted, not repeated.
+ * @param {MessageTree} tree
+ * @returns {Array<{number: number, messages: Object[], sharedCount: number, parentNumber: number|null, isCurrent: boolean}>}
+ */
+export function listBranches(tree) {
+  const branches = [];
+  const owner = new Map();
+  const seen = new Set();
+  const stack = [];
+  // Stable sort: the current path first, then oldest first
+  const ordered = (list) =>
+    [...list].sort(
+      (a, b) => Number(tree.onPath.has(b.id)) - Number(tree.onPath.has(a.id))
+    );
+
+  const emit = () => {
+    let sharedCount = 0;
+    while (sharedCount < stack.length && owner.has(stack[sharedCount].id)) {
+      sharedCount++;
+    }
+    const number = branches.length + 1;
+    stack.slice(sharedCount).forEach((msg) => owner.set(msg.id, number));
+    branches.push({
+      number,
+      messages: [...stack],
+      sharedCount,
+      parentNumber:
+        sharedCount > 0 ? owner.get(stack[sharedCount - 1].id) : null,
+      isCurrent:
+        tree.onPath.size > 0 && stack.every((msg) => tree.onPath.has(msg.id))
+    });
+  };
+
+  const walk = (msg) => {
+    seen.add(msg.id);
+    stack.push(msg);
+    const next = (tree.children.get(msg.id) || []).filter(
+      (child) => !seen.has(child.id)
+    );
+    if (next.length === 0) {
+      emit();
+    } else {
+      ordered(next).forEach(walk);
+    }
+    stack.pop();
+  };
+  ordered(tree.children.get(null) || []).forEach((msg) => {
+    if (!seen.has(msg.id)) walk(msg);
+  });
+
+  return branches;
+}
+
+function renderAllBranches(tree, body) {
+  const branches = listBranches(tree);
+  let md = '';
+  for (const branch of branches) {
+    const shown = branch.isCurrent ? ' (shown on the page)' : '';
+    md += `## Branch ${branch.number}${shown}\n\n`;
+    if (branch.parentNumber) {
+      md += `*Continues Branch ${branch.parentNumber} after message ${branch.sharedCount}.*\n\n`;
+    }
+    for (const msg of branch.messages.slice(branch.sharedCount)) {
+      md += `### ${roleLabel(msg.role)}\n\n`;
+      md += `${body(msg)}\n\n`;
+      md += '---\n\n';
+    }
+  }
+  return { md, count: branches.length };
+}
+
+/**
+ * Generate Markdown content from conversation messages
+ * @param {Object} options - Export options
+ * @param {string} options.title - Conversation title
+ * @param {string} options.platformName - Platform display name
+ * @param {string} options.conversationId - Conversation ID
+ * @param {Array} options.messages - Array of {id, role, content, createTime},
+ *   with the optional sources, attachments and blocks of ExportMessage
+ *   (export-message.js)
+ * @param {string} [options.mode='current'] - One of MARKDOWN_EXPORT_MODES
+ * @param {Array} [options.allMessages] - Every message of every branch, each
+ *   with parentId; needed by the 'alternates' and 'all' modes, which fall
+ *   back to the current path without it
+ * @param {string} [options.intro] - Markdown placed after the header
+ * @param {Map<string, string>} [options.messageNotes] - Markdown placed after
+ *   a message, by message ID
+ * @returns {string} - Markdown formatted string
+ */
+export function generateMarkdown({
+  title,
+  platformName,
+  conversationId,
+  messages,
+  mode = 'current',
+  allMessages = null,
+  intro = '',
+  messageNotes = null
+}) {
+  const exportDate = new Date().toISOString();
+  const sanitizedTitle = title || 'Conversation';
+  const tree =
+    mode !== 'current' && allMessages?.length > 0
+      ? buildMessageTree(allMessages, messages)
+      : null;
+  // Numbers the messages so their footnote labels don't collide
+  let rendered = 0;
+  const body = (msg) => renderMessageBody(msg, ++rendered);
+  const branches =
+    tree && mode === 'all' ? renderAllBranches(tree, body) : null;
+
+  let md = `# ${sanitizedTitle}\n\n`;
+  md += `> **Platform:** ${platformName}  \n`;
+  md += `> **Exported:** ${exportDate}  \n`;
+  if (conversationId) {
+    md += `> **Conversation ID:** ${conversationId}  \n`;
+  }
+  if (branches) {
+    md += `> **Branches:** ${branches.count}  \n`;
+  }
+  md += '\n';
+  if (intro) {
+    md += `${intro}\n\n`;
+  }
+  md += '---\n\n';
+
+  if (branches) {
+    return md + branches.md;
+  }
+
+  if (!messages || messages.length === 0) {
+    md += '*No messages found in this conversation.*\n';
+    return md;
+  }
+
+  for (const msg of messages) {
+    const role = roleLabel(msg.role);
+    const content = body(msg);
+    const versions = tree ? versionsOf(tree, msg) : [msg];
+    const version =
+      versions.length > 1
+        ? ` (version ${versions.findIndex((v) => v.id === msg.id) + 1} of ${versions.length})`
+        : '';
+
+    md += `## ${role}${version}\n\n`;
+    md += `${content}\n\n`;
+    if (tree && versions.length > 1) {
+      md += `${renderAlternates(tree, msg, body)}\n\n`;
+    }
+    if (messageNotes?.has(msg.id)) {
+      md += `${messageNotes.get(msg.id)}\n\n`;
+    }
+    md += `---\n\n`;
+  }
+
+  return md;
+}
+
+/**
+ * Generate a safe filename from title
+ * @param {string} title - Conversation title
+ * @param {string} platform - Platform name
+ * @param {Object} [options]
+ * @param {boolean} [options.linkSafe=false] - Also drop characters that break
+ *   [[wikilinks]] (# ^ [ ])
+ * @param {Date|null} [options.date] - Date to append, null for none
+ * @param {string} [options.extension='.md'] - Extension, '' for none
+ * @returns {string} - Safe filename
+ */
+export function generateFilename(
+  title,
+  platform,
+  { linkSafe = false, date = new Date(), extension = '.md' } = {}
+) {
+  // Remove or replace unsafe characters
+  let safeTitle = (title || 'conversation')
+    .replace(linkSafe ? UNSAFE_LINK_CHARS : UNSAFE_FILENAME_CHARS, '-')
+    .replace(/\s+/g, '_')
+    .slice(0, 50);
+  if (linkSafe) {
+    // Dot files are hidden in most vaults
+    safeTitle = safeTitle.replace(/^\.+/, '') || 'conversation';
+  }
+
+  const parts = [safeTitle, platform];
+  if (date) parts.push(date.toISOString().slice(0, 10));
+  return `${parts.join('_')}${extension}`;
+}
+
+export default {
+  MARKDOWN_EXPORT_MODES,
+  buildMessageTree,
+  listBranches,
+  generateMarkdown,
+  generateFilename
+};
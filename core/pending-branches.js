@@ -0,0 +1,157 @@
+/**
+ * Pending Branches - Per-tab "Branch in new chat" clicks, kept by the
+ * background service worker
+ * A click is registered for the tab it happened in (sender.tab), and only
+ * that tab, or a tab it opened afterwards, can claim it once the new
+ * conversation loads. Entries live in chrome.storage.session so they survive
+ * service worker restarts but not the browser session.
+ */
+
+export const PENDING_BRANCHES_KEY = 'pendingBranches';
+
+/**
+ * @typedef {Object} PendingBranch
+ * @property {string} parentId - Conversation the branch was made from
+ * @property {number} timestamp - Click time in seconds
+ * @property {string|null} forkMessageId - Message the branch was made at
+ * @property {number} expiresAt - Seconds after which the click is ignored
+ * @property {number} tabId - Tab the click happened in
+ * @property {number|null} windowId - Window of that tab
+ * @property {number[]} openedTabIds - Tabs opened from it since the click
+ */
+
+// Reads and writes are queued so two tabs can't claim the same entry
+let queue = Promise.resolve();
+
+/**
+ * Run an update of the pending entries as one read-modify-write
+ * @param {chrome.storage.StorageArea} area
+ * @param {function(Object<string, PendingBranch>, number): any} update -
+ *   Called with the unexpired entries (changed in place) and the time in
+ *   seconds
+ * @returns {Promise<any>} - What update returned
+ */
+function updateEntries(area, update) {
+  const run = queue.then(async () => {
+    const { [PENDING_BRANCHES_KEY]: stored } =
+      await area.get(PENDING_BRANCHES_KEY);
+    const now = Math.floor(Date.now() / 1000);
+    const entries = Object.fromEntries(
+      Object.entries(stored || {}).filter(([, entry]) => entry.expiresAt >= now)
+    );
+    const result = update(entries, now);
+    await area.set({ [PENDING_BRANCHES_KEY]: entries });
+    return result;
+  });
+  // Keep the queue going after a failed update
+  queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Register a branch click for a tab, replacing an earlier one from it
+ * @param {chrome.tabs.Tab} tab - Tab the click happened in
+ * @param {Object} pending - { parentId, timestamp, forkMessageId, expiresAt }
+ * @param {chrome.storage.StorageArea} [area=chrome.storage.session]
+ * @returns {Promise<PendingBranch>}
+ */
+export function registerPendingBranch(
+  tab,
+  pending,
+  area = chrome.storage.session
+) {
+  return updateEntries(area, (entries) => {
+    const entry = {
+      parentId: pending.parentId,
+      timestamp: pending.timestamp,
+      forkMessageId: pending.forkMessageId || null,
+      expiresAt: pending.expiresAt,
+      tabId: tab.id,
+      windowId: tab.windowId ?? null,
+      openedTabIds: []
+    };
+    entries[tab.id] = entry;
+    return entry;
+  });
+}
+
+/**
+ * Let a tab opened from a tab with a pending click claim that click
+ * @param {chrome.tabs.Tab} tab - Newly created tab
+ * @param {chrome.storage.StorageArea} [area=chrome.storage.session]
+ * @returns {Promise<boolean>} - Whether the tab was linked to a click
+ */
+export function notePendingBranchTab(tab, area = chrome.storage.session) {
+  if (tab.openerTabId === undefined) return Promise.resolve(false);
+  return updateEntries(area, (entries) => {
+    const entry = entries[tab.openerTabId];
+    if (!entry || (tab.windowId != null && tab.windowId !== entry.windowId)) {
+      return false;
+    }
+    entry.openedTabIds.push(tab.id);
+    return true;
+  });
+}
+
+/**
+ * Claim the click that led to a tab showing a conversation. The click of
+ * the tab itself comes first, then one from the tab that opened it. Nothing
+ * is claimed while the tab still shows the parent conversation.
+ * @param {chrome.tabs.Tab} tab - Tab that loaded the conversation
+ * @param {string} conversationId - Conversation the tab shows
+ * @param {chrome.storage.StorageArea} [area=chrome.storage.session]
+ * @returns {Promise<PendingBranch|null>} - The claimed click, now removed
+ */
+export function claimPendingBranch(
+  tab,
+  conversationId,
+  area = chrome.storage.session
+) {
+  return updateEntries(area, (entries) => {
+    const entry =
+      entries[tab.id] ||
+      Object.values(entries).find((candidate) =>
+        candidate.openedTabIds.includes(tab.id)
+      );
+    if (!entry || entry.parentId === conversationId) return null;
+    delete entries[entry.tabId];
+    return entry;
+  });
+}
+
+/**
+ * Forget a closed tab. Its click stays claimable by tabs it opened.
+ * @param {number} tabId - Closed tab
+ * @param {chrome.storage.StorageArea} [area=chrome.storage.session]
+ * @returns {Promise<void>}
+ */
+export function removePendingBranchTab(tabId, area = chrome.storage.session) {
+  return updateEntries(area, (entries) => {
+    for (const entry of Object.values(entries)) {
+      entry.openedTabIds = entry.openedTabIds.filter((id) => id !== tabId);
+    }
+    if (entries[tabId]?.openedTabIds.length === 0) {
+      delete entries[tabId];
+    }
+  });
+}
+
+/**
+ * Drop every pending click
+ * @param {chrome.storage.StorageArea} [area=chrome.storage.session]
+ * @returns {Promise<void>}
+ */
+export function clearPendingBranches(area = chrome.storage.session) {
+  return updateEntries(area, (entries) => {
+    Object.keys(entries).forEach((tabId) => delete entries[tabId]);
+  });
+}
+
+export default {
+  PENDING_BRANCHES_KEY,
+  registerPendingBranch,
+  notePendingBranchTab,
+  claimPendingBranch,
+  removePendingBranchTab,
+  clearPendingBranches
+};
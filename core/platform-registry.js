@@ -3,14 +3,20 @@
  * Routes requests to the appropriate adapter based on URL
  */
 
-// Import adapters (will be populated as we create them)
-// import { ChatGPTAdapter } from '../platforms/chatgpt/adapter.js';
-// import { ClaudeAdapter } from '../platforms/claude/adapter.js';
-// import { GeminiAdapter } from '../platforms/gemini/adapter.js';
-// import { PerplexityAdapter } from '../platforms/perplexity/adapter.js';
+import { ChatGPTAdapter } from '../platforms/chatgpt/adapter.js';
+import { ClaudeAdapter } from '../platforms/claude/adapter.js';
+import { GeminiAdapter } from '../platforms/gemini/adapter.js';
+import { PerplexityAdapter } from '../platforms/perplexity/adapter.js';
 
 const registeredAdapters = [];
 
+const BUILT_IN_ADAPTERS = [
+  ChatGPTAdapter,
+  ClaudeAdapter,
+  GeminiAdapter,
+  PerplexityAdapter
+];
+
 /**
  * Register a platform adapter
  * @param {Object} adapter - Platform adapter instance
@@ -36,6 +42,19 @@ export function registerAdapter(adapter) {
   console.log(`[PlatformRegistry] Registered adapter: ${adapter.platformId}`);
 }
 
+/**
+ * Register the built-in adapters for all supported platforms
+ * Safe to call more than once
+ */
+export function registerDefaultAdapters() {
+  for (const AdapterClass of BUILT_IN_ADAPTERS) {
+    const adapter = new AdapterClass();
+    if (!getAdapterById(adapter.platformId)) {
+      registerAdapter(adapter);
+    }
+  }
+}
+
 /**
  * Get the adapter that matches the given URL
  * @param {string} url - URL to match
@@ -166,6 +185,7 @@ export function isSupportedUrl(url) {
 
 export default {
   registerAdapter,
+  registerDefaultAdapters,
   getAdapterForUrl,
   getAdapterById,
   getAllAdapters,
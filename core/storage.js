@@ -1,9 +1,17 @@
 /**
  * Storage - Unified storage layer for branch data and caching
- * Abstracts chrome.storage.local operations
+ * Settings and the debug flag stay in
+ * chrome.storage.local (the side panel reads settings directly); branch
+ * relationships, titles, conversation records and the conversation cache are
+ * kept in IndexedDB by the background service worker (see data-store.js),
+ * and the functions here reach them by messaging.
  */
 
-// Storage keys
+import { BRANCH_SCHEMA_VERSION } from './branch-schema.js';
+
+// Storage keys (BRANCH_DATA and CONV_CACHE_PREFIX are legacy keys, read only
+// by the migration in data-store.js; PENDING_BRANCH is the old single
+// pending branch, removed at startup)
 export const STORAGE_KEYS = {
   BRANCH_DATA: 'chatgpt_branch_data',
   SETTINGS: 'branchTreeSettings',
@@ -12,6 +20,18 @@ export const STORAGE_KEYS = {
   CONV_CACHE_PREFIX: 'conv_cache_'
 };
 
+// Keys used by device sync (core/sync.js); kept here so content scripts can
+// watch them without loading the sync module
+export const SYNC_KEYS = {
+  // Manifest item; chunks are stored as sync_branches_<index>
+  BRANCHES: 'sync_branches',
+  SETTINGS: 'sync_settings',
+  // chrome.storage.local: status shown in the panel header
+  STATUS: 'syncStatus',
+  // chrome.storage.local: settings as last synced, to tell local edits apart
+  SETTINGS_STATE: 'syncSettingsState'
+};
+
 // Cache TTL values (milliseconds)
 export const CACHE_TTL = {
   CURRENT_CONVERSATION: 2 * 60 * 1000, // 2 minutes
@@ -21,6 +41,13 @@ export const CACHE_TTL = {
 
 // In-memory cache layer
 const memoryCache = new Map();
+const MAX_CACHE_SIZE = 50;
+
+// Byte budget for conversation payloads kept in IndexedDB
+export const CACHE_BUDGET_BYTES = 50 * 1024 * 1024;
+
+// Minimum time between recorded reads of one cache entry
+const ACCESS_TOUCH_INTERVAL = 60 * 1000;
 
 /**
  * Get value from chrome.storage.local
@@ -72,22 +99,162 @@ export async function remove(keys) {
 // Branch Data Operations
 // ============================================
 
+/**
+ * Convert branch data to the records kept in the branches and titles stores,
+ * and the deletion marks kept on conversation records
+ * @param {Object} data - Branch data { version, branches: {}, titles: {} }
+ * @param {string} [platform] - Platform for branches that don't record one
+ * @returns {{branches: Object[], titles: Object[], deleted: Object[]}}
+ */
+export function branchDataToRecords(data, platform = null) {
+  const branches = [];
+  for (const [parentId, children] of Object.entries(data?.branches || {})) {
+    for (const branch of children || []) {
+      if (!branch?.childId) continue;
+      branches.push({
+        ...branch,
+        parentId,
+        platform: branch.platform || platform
+      });
+    }
+  }
+  const titles = Object.entries(data?.titles || {}).map(
+    ([conversationId, title]) => ({ conversationId, title })
+  );
+  const deleted = Object.entries(data?.deleted || {}).map(
+    ([conversationId, deletedAt]) => ({ conversationId, deletedAt })
+  );
+  return { branches, titles, deleted };
+}
+
+/**
+ * Assemble branch data from branch, title and conversation records
+ * @param {Object[]} branchRecords - Records from the branches store
+ * @param {Object[]} titleRecords - Records from the titles store
+ * @param {Object[]} [conversationRecords] - Records from the conversations
+ *   store; those with a deletedAt fill the deleted map
+ * @returns {Object} - Branch data { version, branches: {}, titles: {},
+ *   deleted: {} }, each parent's branches oldest first
+ */
+export function recordsToBranchData(
+  branchRecords,
+  titleRecords,
+  conversationRecords = []
+) {
+  const data = {
+    version: BRANCH_SCHEMA_VERSION,
+    branches: {},
+    titles: {},
+    deleted: {}
+  };
+  const sorted = [...(branchRecords || [])].sort(
+    (a, b) => (a.createdAt || 0) - (b.createdAt || 0)
+  );
+  for (const { parentId, ...branch } of sorted) {
+    if (!data.branches[parentId]) {
+      data.branches[parentId] = [];
+    }
+    data.branches[parentId].push(branch);
+  }
+  for (const { conversationId, title } of titleRecords || []) {
+    data.titles[conversationId] = title;
+  }
+  for (const { conversationId, deletedAt } of conversationRecords || []) {
+    if (deletedAt) data.deleted[conversationId] = deletedAt;
+  }
+  return data;
+}
+
+/**
+ * Set the updatedAt of records about to be rewritten. A record that matches
+ * its stored copy keeps the stored updatedAt; a changed one keeps an
+ * updatedAt its caller set for the change, or gets `now`. Rewriting
+ * unchanged data (a schema upgrade or an import) then doesn't look like a
+ * new edit to sync.
+ * @param {Object[]} records - Records to write
+ * @param {Object[]} stored - Records stored now
+ * @param {function(Object): string} keyOf - Key of a record
+ * @param {number} now - Timestamp for changed records
+ * @returns {Object[]} - Records with their updatedAt set
+ */
+export function keepUpdatedAt(records, stored, keyOf, now) {
+  const previous = new Map(
+    (stored || []).map((record) => [keyOf(record), record])
+  );
+  return records.map(({ updatedAt, ...fields }) => {
+    const { updatedAt: storedAt, ...storedFields } =
+      previous.get(keyOf(fields)) || {};
+    const keys = new Set([
+      ...Object.keys(fields),
+      ...Object.keys(storedFields)
+    ]);
+    const unchanged =
+      previous.has(keyOf(fields)) &&
+      [...keys].every(
+        (key) => (fields[key] ?? null) === (storedFields[key] ?? null)
+      );
+    if (unchanged)
+      return { ...fields, updatedAt: storedAt ?? updatedAt ?? now };
+    const stamped = updatedAt != null && updatedAt !== storedAt;
+    return { ...fields, updatedAt: stamped ? updatedAt : now };
+  });
+}
+
+// ============================================
+// Data Store Requests
+// ============================================
+
+/**
+ * Call a data-store.js function in the background service worker, which
+ * keeps the IndexedDB stores in the extension's origin
+ * @param {string} method - Data store function name
+ * @param {Array} [args] - Arguments for it
+ * @param {any} [fallback] - Returned when the request fails
+ * @returns {Promise<any>} - What the function returned, or fallback
+ */
+export async function requestDataStore(method, args = [], fallback = null) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'DATA_STORE_REQUEST',
+      method,
+      args
+    });
+    if (!response?.ok) {
+      throw new Error(response?.error || 'No response from the data store');
+    }
+    return response.result ?? fallback;
+  } catch (err) {
+    console.error('[Storage] Data store error:', method, err);
+    return fallback;
+  }
+}
+
+function emptyBranchData() {
+  return {
+    version: BRANCH_SCHEMA_VERSION,
+    branches: {},
+    titles: {},
+    deleted: {}
+  };
+}
+
 /**
  * Load branch relationship data
- * @returns {Promise<Object>} - Branch data { branches: {}, titles: {} }
+ * @returns {Promise<Object>} - Branch data { version, branches: {}, titles: {},
+ *   deleted: {} }
  */
 export async function loadBranchData() {
-  const data = await get(STORAGE_KEYS.BRANCH_DATA);
-  return data || { branches: {}, titles: {} };
+  return requestDataStore('loadBranchData', [], emptyBranchData());
 }
 
 /**
- * Save branch relationship data
+ * Replace all branch relationship data. The data is migrated and validated
+ * first; data from a newer schema version is not saved.
  * @param {Object} data - Branch data to save
  * @returns {Promise<boolean>}
  */
 export async function saveBranchData(data) {
-  return set(STORAGE_KEYS.BRANCH_DATA, data);
+  return requestDataStore('saveBranchData', [data], false);
 }
 
 /**
@@ -97,7 +264,10 @@ export async function saveBranchData(data) {
  * @param {string} childTitle - Title of child conversation
  * @param {number} timestamp - When branch was created
  * @param {string} [firstMessage] - First user message in branch
- * @param {Object} [existingData] - Existing branch data to avoid reload
+ * @param {Object} [existingData] - Branch data returned if the branch can't
+ *   be recorded
+ * @param {string} [forkMessageId] - Parent message the branch split from
+ * @param {string} [platform] - Platform both conversations belong to
  * @returns {Promise<Object>} - Updated branch data
  */
 export async function recordBranch(
@@ -106,137 +276,279 @@ export async function recordBranch(
   childTitle,
   timestamp,
   firstMessage,
-  existingData = null
+  existingData = null,
+  forkMessageId = null,
+  platform = null
 ) {
-  const data = existingData || (await loadBranchData());
+  return requestDataStore(
+    'recordBranch',
+    [
+      parentId,
+      childId,
+      childTitle,
+      timestamp,
+      firstMessage,
+      forkMessageId,
+      platform
+    ],
+    existingData || emptyBranchData()
+  );
+}
 
-  if (!data.branches[parentId]) {
-    data.branches[parentId] = [];
-  }
+/**
+ * Record a visit to a conversation and its current title
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} [details]
+ * @param {string} [details.title] - Current title
+ * @param {string} [details.platform] - Platform identifier
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function recordConversation(conversationId, details = {}) {
+  if (!conversationId) return false;
+  return requestDataStore(
+    'recordConversation',
+    [conversationId, details],
+    false
+  );
+}
 
-  const exists = data.branches[parentId].some((b) => b.childId === childId);
-  if (!exists) {
-    const timestampSeconds = Math.floor((timestamp || Date.now()) / 1000);
-    data.branches[parentId].push({
-      childId,
-      title: childTitle || 'Conversation',
-      firstMessage: firstMessage || null,
-      createdAt: timestampSeconds
-    });
-  }
+/**
+ * Mark a conversation the platform no longer has as deleted. Its branch
+ * links stay until pruneDeletedConversations removes them.
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} [details]
+ * @param {string} [details.platform] - Platform identifier
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function markConversationDeleted(conversationId, details = {}) {
+  if (!conversationId) return false;
+  return requestDataStore(
+    'markConversationDeleted',
+    [conversationId, details],
+    false
+  );
+}
 
-  data.titles[childId] = childTitle || data.titles[childId] || 'Conversation';
-  await saveBranchData(data);
+/**
+ * Remove conversations marked as deleted along with every branch link to or
+ * from them and their titles
+ * @returns {Promise<{conversations: string[], branches: number}|null>} -
+ *   What was removed, or null on error
+ */
+export async function pruneDeletedConversations() {
+  return requestDataStore('pruneDeletedConversations');
+}
 
-  return data;
+/**
+ * List recorded conversations, optionally by parent or platform
+ * @param {Object} [filter]
+ * @param {string} [filter.parentId] - Only branches of this conversation
+ * @param {string} [filter.platform] - Only conversations on this platform
+ * @returns {Promise<Object[]>} - Conversation records, most recent first
+ */
+export async function listConversations(filter = {}) {
+  return requestDataStore('listConversations', [filter], []);
+}
+
+/**
+ * Remove all branch relationships, titles and conversation records
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function clearBranchData() {
+  return requestDataStore('clearBranchData', [], false);
 }
 
 // ============================================
 // Conversation Cache Operations
 // ============================================
 
+/**
+ * Pick the least recently used entries to drop so the cache fits in maxBytes.
+ * Pinned entries count toward the total but are never picked; exceptId is
+ * kept and not counted.
+ * @param {CacheIndexRow[]} rows - Index rows of the cache (see data-store.js)
+ * @param {number} maxBytes - Bytes the cache may use
+ * @param {string} [exceptId] - Entry about to be replaced
+ * @returns {string[]} - Conversation IDs to evict, oldest first
+ */
+export function planCacheEviction(rows, maxBytes, exceptId = null) {
+  const counted = rows.filter(
+    (row) => row.bytes > 0 && row.conversationId !== exceptId
+  );
+  const candidates = counted
+    .filter((row) => !row.pinned)
+    .sort((a, b) => a.lastAccessedAt - b.lastAccessedAt);
+  let total = counted.reduce((sum, row) => sum + row.bytes, 0);
+
+  const evicted = [];
+  for (const row of candidates) {
+    if (total <= maxBytes) break;
+    evicted.push(row.conversationId);
+    total -= row.bytes;
+  }
+  return evicted;
+}
+
+/**
+ * Bytes held by pinned entries, which eviction can't free
+ * @param {CacheIndexRow[]} rows - Index rows of the cache (see data-store.js)
+ * @param {string} [exceptId] - Entry left out of the sum
+ * @returns {number}
+ */
+export function pinnedCacheBytes(rows, exceptId = null) {
+  return rows
+    .filter((row) => row.pinned && row.conversationId !== exceptId)
+    .reduce((sum, row) => sum + row.bytes, 0);
+}
+
+/**
+ * Record a read so LRU eviction keeps the entry; at most once per
+ * ACCESS_TOUCH_INTERVAL for each entry
+ * @param {Object} entry - Cache entry held in memory
+ */
+function touchCacheEntry(entry) {
+  const now = Date.now();
+  if (now - (entry.lastAccessedAt || 0) < ACCESS_TOUCH_INTERVAL) return;
+  entry.lastAccessedAt = now;
+  requestDataStore('touchCacheEntry', [entry.conversationId, now]);
+}
+
 /**
  * Get cached conversation
  * @param {string} conversationId - Conversation ID
  * @param {boolean} [isCurrent=false] - Use shorter TTL for current conversation
+ * @param {Object} [options]
+ * @param {boolean} [options.allowStale=false] - Return an expired entry that
+ *   is still stored (pinned entries are kept past their TTL)
  * @returns {Promise<Object|null>} - Cached data or null
  */
-export async function getCachedConversation(conversationId, isCurrent = false) {
+export async function getCachedConversation(
+  conversationId,
+  isCurrent = false,
+  { allowStale = false } = {}
+) {
+  const ttl = isCurrent
+    ? CACHE_TTL.CURRENT_CONVERSATION
+    : CACHE_TTL.HISTORY_CONVERSATION;
+
   // Check memory cache first
   const memCached = memoryCache.get(conversationId);
   if (memCached) {
-    const ttl = isCurrent
-      ? CACHE_TTL.CURRENT_CONVERSATION
-      : CACHE_TTL.HISTORY_CONVERSATION;
-    if (Date.now() - memCached.timestamp < ttl) {
+    if (allowStale || Date.now() - memCached.timestamp < ttl) {
+      touchCacheEntry(memCached);
       return memCached.data;
     }
     memoryCache.delete(conversationId);
   }
 
   // Check persistent storage
-  const key = `${STORAGE_KEYS.CONV_CACHE_PREFIX}${conversationId}`;
-  const cached = await get(key);
-
+  const cached = await requestDataStore('getCacheEntry', [conversationId]);
   if (!cached) return null;
 
-  const ttl = isCurrent
-    ? CACHE_TTL.CURRENT_CONVERSATION
-    : CACHE_TTL.HISTORY_CONVERSATION;
-  if (Date.now() - cached.timestamp > ttl) {
-    remove(key).catch(() => {});
+  if (!allowStale && Date.now() - cached.timestamp > ttl) {
+    requestDataStore('deleteCacheEntry', [
+      conversationId,
+      { keepPinned: true }
+    ]);
     return null;
   }
 
   // Populate memory cache
   memoryCache.set(conversationId, cached);
+  touchCacheEntry(cached);
   return cached.data;
 }
 
 /**
- * Cache a conversation
+ * Cache a conversation. The data store evicts least recently used entries to
+ * stay within CACHE_BUDGET_BYTES.
  * @param {string} conversationId - Conversation ID
  * @param {Object} data - Conversation data
- * @returns {Promise<boolean>}
+ * @returns {Promise<boolean>} - Whether the entry was persisted
  */
 export async function setCachedConversation(conversationId, data) {
+  const now = Date.now();
   const cacheEntry = {
+    conversationId,
     data,
-    timestamp: Date.now()
+    timestamp: now,
+    lastAccessedAt: now
   };
 
   memoryCache.set(conversationId, cacheEntry);
 
-  const key = `${STORAGE_KEYS.CONV_CACHE_PREFIX}${conversationId}`;
-  return set(key, cacheEntry);
+  // LRU eviction: remove oldest entries if over limit
+  if (memoryCache.size > MAX_CACHE_SIZE) {
+    const oldest = memoryCache.keys().next().value;
+    memoryCache.delete(oldest);
+  }
+
+  const result = await requestDataStore('storeCacheEntry', [cacheEntry]);
+  (result?.evicted || []).forEach((id) => memoryCache.delete(id));
+  return Boolean(result?.stored);
 }
 
 /**
- * Clear all conversation caches
+ * Clear the cache entry for a single conversation
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<boolean>}
+ */
+export async function clearCachedConversation(conversationId) {
+  if (!conversationId) return false;
+  memoryCache.delete(conversationId);
+  return requestDataStore('deleteCacheEntry', [conversationId], false);
+}
+
+/**
+ * Clear all conversation caches, including pins
  * @returns {Promise<void>}
  */
 export async function clearConversationCache() {
   memoryCache.clear();
-
-  try {
-    const allData = await chrome.storage.local.get(null);
-    const keysToRemove = Object.keys(allData).filter((k) =>
-      k.startsWith(STORAGE_KEYS.CONV_CACHE_PREFIX)
-    );
-    if (keysToRemove.length > 0) {
-      await remove(keysToRemove);
-    }
-  } catch (err) {
-    console.error('[Storage] Cache clear error:', err);
-  }
+  await requestDataStore('clearConversationCache');
 }
 
 /**
- * Prune expired cache entries
+ * Prune expired cache entries, except pinned ones
  * @returns {Promise<void>}
  */
 export async function pruneExpiredCache() {
-  try {
-    const allData = await chrome.storage.local.get(null);
-    const now = Date.now();
-    const keysToRemove = [];
-
-    for (const [key, value] of Object.entries(allData)) {
-      if (!key.startsWith(STORAGE_KEYS.CONV_CACHE_PREFIX)) continue;
-      if (
-        value?.timestamp &&
-        now - value.timestamp > CACHE_TTL.HISTORY_CONVERSATION
-      ) {
-        keysToRemove.push(key);
-      }
-    }
+  await requestDataStore('pruneExpiredCache');
+}
 
-    if (keysToRemove.length > 0) {
-      await remove(keysToRemove);
-    }
-  } catch (err) {
-    console.error('[Storage] Cache prune error:', err);
-  }
+/**
+ * Pin or unpin a conversation in the cache. Pinned conversations are never
+ * evicted or pruned, and can be shown while offline. Pinned payloads count
+ * toward CACHE_BUDGET_BYTES, so a pin that would take them past it is
+ * refused.
+ * @param {string} conversationId - Conversation ID
+ * @param {boolean} pinned
+ * @returns {Promise<{saved: boolean, overBudget: boolean}>} - Whether the
+ *   pin was updated, and whether it was refused for the budget
+ */
+export async function setCachePinned(conversationId, pinned) {
+  const failed = { saved: false, overBudget: false };
+  if (!conversationId) return failed;
+  return requestDataStore('setCachePinned', [conversationId, pinned], failed);
+}
+
+/**
+ * Check whether a conversation is pinned in the cache
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<boolean>}
+ */
+export async function isCachePinned(conversationId) {
+  if (!conversationId) return false;
+  return requestDataStore('isCachePinned', [conversationId], false);
+}
+
+/**
+ * Summarize how much of the cache budget is in use
+ * @returns {Promise<CacheUsage|null>} - Null if the cache can't be read (see
+ *   data-store.js)
+ */
+export async function getCacheUsage() {
+  return requestDataStore('getCacheUsage');
 }
 
 // ============================================
@@ -248,9 +560,16 @@ const DEFAULT_SETTINGS = {
   timestampFormat: 'absolute',
   showTimestamps: true,
   theme: 'system',
-  compactMode: false
+  compactMode: false,
+  showRegenerations: true,
+  markdownExportMode: 'current',
+  syncEnabled: false
 };
 
+// Settings that describe this device rather than the user; neither sync nor
+// a restored backup changes them
+export const LOCAL_ONLY_SETTINGS = ['syncEnabled'];
+
 /**
  * Load user settings
  * @returns {Promise<Object>} - Settings object
@@ -273,29 +592,45 @@ export async function saveSettings(settings) {
 // Pending Branch Operations
 // ============================================
 
-/**
- * Get pending branch creation
- * @returns {Promise<Object|null>}
- */
-export async function getPendingBranch() {
-  return get(STORAGE_KEYS.PENDING_BRANCH);
-}
+// Pending branches are kept per tab by the background service worker (see
+// pending-branches.js), which knows which tab each message comes from
 
 /**
- * Set pending branch creation
- * @param {Object} pendingBranch - { parentId, timestamp }
+ * Register a "Branch in new chat" click made in this tab
+ * @param {Object} pendingBranch - { parentId, timestamp, forkMessageId,
+ *   expiresAt }
  * @returns {Promise<boolean>}
  */
 export async function setPendingBranch(pendingBranch) {
-  return set(STORAGE_KEYS.PENDING_BRANCH, pendingBranch);
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'SET_PENDING_BRANCH',
+      pendingBranch
+    });
+    return Boolean(response?.ok);
+  } catch (err) {
+    console.error('[Storage] Pending branch set error:', err);
+    return false;
+  }
 }
 
 /**
- * Clear pending branch
- * @returns {Promise<boolean>}
+ * Claim the branch click that led this tab to a conversation
+ * @param {string} conversationId - Conversation this tab shows
+ * @returns {Promise<Object|null>} - { parentId, timestamp, forkMessageId },
+ *   or null when this tab has no pending click for another conversation
  */
-export async function clearPendingBranch() {
-  return remove(STORAGE_KEYS.PENDING_BRANCH);
+export async function claimPendingBranch(conversationId) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'CLAIM_PENDING_BRANCH',
+      conversationId
+    });
+    return response?.pendingBranch || null;
+  } catch (err) {
+    console.error('[Storage] Pending branch claim error:', err);
+    return null;
+  }
 }
 
 // ============================================
@@ -327,17 +662,29 @@ export default {
   loadBranchData,
   saveBranchData,
   recordBranch,
+  recordConversation,
+  listConversations,
+  clearBranchData,
+  markConversationDeleted,
+  pruneDeletedConversations,
+  requestDataStore,
   getCachedConversation,
   setCachedConversation,
+  clearCachedConversation,
   clearConversationCache,
   pruneExpiredCache,
+  setCachePinned,
+  isCachePinned,
+  getCacheUsage,
   loadSettings,
   saveSettings,
-  getPendingBranch,
   setPendingBranch,
-  clearPendingBranch,
+  claimPendingBranch,
   isDebugEnabled,
   setDebugEnabled,
   STORAGE_KEYS,
-  CACHE_TTL
+  SYNC_KEYS,
+  CACHE_TTL,
+  CACHE_BUDGET_BYTES,
+  LOCAL_ONLY_SETTINGS
 };
@@ -0,0 +1,593 @@
+/**
+ * Sync - Branch relationships and settings in chrome.storage.sync
+ * chrome.storage.sync caps each item at 8 KB, so the serialized branch
+ * records are split across numbered chunk items listed by a manifest item.
+ * Records carry updatedAt timestamps; when two devices changed the same
+ * branch or title, the newer change wins. Clearing or pruning leaves a
+ * deletion record (conversation ID and deletedAt) that is synced the same
+ * way and drops every branch and title of that conversation last changed
+ * before it. Deletion records expire after DELETION_TTL, and the oldest are
+ * left out when the synced copy would outgrow its quota. Conversation caches
+ * and graphs are never synced.
+ */
+
+import { BRANCH_SCHEMA_VERSION } from './branch-schema.js';
+import {
+  STORAGE_KEYS,
+  SYNC_KEYS,
+  LOCAL_ONLY_SETTINGS,
+  loadSettings
+} from './storage.js';
+import { loadSyncRecords, applySyncRecords } from './data-store.js';
+
+export { SYNC_KEYS };
+
+export const SYNC_FORMAT_VERSION = 1;
+
+// chrome.storage.sync.QUOTA_BYTES_PER_ITEM and QUOTA_BYTES
+export const SYNC_ITEM_BYTES = 8192;
+export const SYNC_TOTAL_BYTES = 102400;
+
+// Room left in the quota for the settings item
+const BRANCH_BYTES_BUDGET = SYNC_TOTAL_BYTES - 4096;
+
+// How long a deletion record is kept; a device that hasn't synced for longer
+// may bring the deleted branches back
+export const DELETION_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Column order of a synced branch row
+const BRANCH_COLUMNS = [
+  'parentId',
+  'childId',
+  'title',
+  'firstMessage',
+  'createdAt',
+  'forkMessageId',
+  'platform',
+  'updatedAt'
+];
+
+const encoder = new TextEncoder();
+
+function byteLength(text) {
+  return encoder.encode(text).length;
+}
+
+/**
+ * Bytes chrome.storage.sync counts for an item: its key plus its JSON value
+ * @param {string} key
+ * @param {any} value
+ * @returns {number}
+ */
+export function itemBytes(key, value) {
+  return byteLength(key) + byteLength(JSON.stringify(value));
+}
+
+/**
+ * Split a string into items that each fit the per-item quota
+ * @param {string} text - Text to split
+ * @param {string} prefix - Item key prefix
+ * @param {number} [maxBytes=SYNC_ITEM_BYTES]
+ * @returns {Object<string, string>} - Items keyed `${prefix}_${index}`
+ */
+export function chunkString(text, prefix, maxBytes = SYNC_ITEM_BYTES) {
+  const items = {};
+  let start = 0;
+  for (let index = 0; start < text.length; index++) {
+    const key = `${prefix}_${index}`;
+    // Start from the most characters that could fit and shrink; escaping and
+    // multi-byte characters make a piece larger than its length
+    let end = Math.min(text.length, start + maxBytes);
+    while (
+      end - start > 1 &&
+      itemBytes(key, text.slice(start, end)) > maxBytes
+    ) {
+      end = start + Math.max(1, Math.floor((end - start) * 0.9));
+    }
+    // Keep surrogate pairs in one piece
+    const last = text.charCodeAt(end - 1);
+    if (
+      end < text.length &&
+      end - start > 1 &&
+      last >= 0xd800 &&
+      last < 0xdc00
+    ) {
+      end--;
+    }
+    items[key] = text.slice(start, end);
+    start = end;
+  }
+  return items;
+}
+
+/**
+ * Join chunk items back into the original string
+ * @param {Object<string, string>} items - Items read from storage
+ * @param {string} prefix - Item key prefix
+ * @param {number} count - Number of chunks
+ * @returns {string|null} - Null when a chunk is missing
+ */
+export function joinChunks(items, prefix, count) {
+  let text = '';
+  for (let index = 0; index < count; index++) {
+    const chunk = items?.[`${prefix}_${index}`];
+    if (typeof chunk !== 'string') return null;
+    text += chunk;
+  }
+  return text;
+}
+
+const branchKey = (record) => `${record.parentId}\u0000${record.childId}`;
+
+/**
+ * Keep the titles of conversations that appear in a branch relationship;
+ * other visited conversations don't need to reach other devices. Deletion
+ * records are all kept.
+ * @param {{branches: Object[], titles: Object[], deletions?: Object[]}} records
+ * @returns {{branches: Object[], titles: Object[], deletions: Object[]}}
+ */
+export function selectSyncRecords({
+  branches = [],
+  titles = [],
+  deletions = []
+}) {
+  const ids = new Set();
+  for (const record of branches) {
+    ids.add(record.parentId);
+    ids.add(record.childId);
+  }
+  return {
+    branches,
+    titles: titles.filter((record) => ids.has(record.conversationId)),
+    deletions
+  };
+}
+
+/**
+ * Encode records as compact rows, sorted so equal data encodes equally
+ * @param {{branches: Object[], titles: Object[], deletions?: Object[]}} records
+ * @returns {Object} - Payload stored in chunks
+ */
+export function encodeSyncRecords({
+  branches = [],
+  titles = [],
+  deletions = []
+}) {
+  return {
+    v: SYNC_FORMAT_VERSION,
+    schema: BRANCH_SCHEMA_VERSION,
+    branches: [...branches]
+      .sort((a, b) => (branchKey(a) < branchKey(b) ? -1 : 1))
+      .map((record) => BRANCH_COLUMNS.map((column) => record[column] ?? null)),
+    titles: [...titles]
+      .sort((a, b) => (a.conversationId < b.conversationId ? -1 : 1))
+      .map(({ conversationId, title, updatedAt }) => [
+        conversationId,
+        title,
+        updatedAt || 0
+      ]),
+    deletions: [...deletions]
+      .sort((a, b) => (a.conversationId < b.conversationId ? -1 : 1))
+      .map(({ conversationId, deletedAt }) => [conversationId, deletedAt || 0])
+  };
+}
+
+/**
+ * Decode a payload written by encodeSyncRecords
+ * @param {Object} payload
+ * @returns {{branches: Object[], titles: Object[], deletions: Object[]}|null}
+ *   Null for payloads from a newer format or schema
+ */
+export function decodeSyncRecords(payload) {
+  if (
+    !payload ||
+    payload.v > SYNC_FORMAT_VERSION ||
+    payload.schema > BRANCH_SCHEMA_VERSION
+  ) {
+    return null;
+  }
+  return {
+    branches: (payload.branches || []).map((row) =>
+      Object.fromEntries(BRANCH_COLUMNS.map((column, i) => [column, row[i]]))
+    ),
+    titles: (payload.titles || []).map(
+      ([conversationId, title, updatedAt]) => ({
+        conversationId,
+        title,
+        updatedAt
+      })
+    ),
+    deletions: (payload.deletions || []).map(([conversationId, deletedAt]) => ({
+      conversationId,
+      deletedAt
+    }))
+  };
+}
+
+/**
+ * Merge local and synced records; per branch, title and deletion the record
+ * with the newer timestamp wins, and local wins ties. A branch or title is
+ * dropped when a conversation it names was deleted at or after its
+ * updatedAt, so clearing and pruning reach every device. Deletion records
+ * older than DELETION_TTL are dropped on both sides.
+ * @param {{branches: Object[], titles: Object[], deletions?: Object[]}} local
+ *   - Records in the data store
+ * @param {{branches: Object[], titles: Object[], deletions?: Object[]}|null} remote
+ *   - Synced records
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()] - Time deletion records expire
+ *   against
+ * @returns {{merged: Object, localUpdates: Object, remoteOutdated: boolean}}
+ *   merged: what should be synced; localUpdates: remote records to write
+ *   locally (branches, titles, deletions) and local ones to remove
+ *   (removedBranches, removedTitles, removedDeletions); remoteOutdated:
+ *   whether the synced copy needs rewriting
+ */
+export function mergeSyncRecords(local, remote, { now = Date.now() } = {}) {
+  const mergeBy = (localRecords, remoteRecords, keyOf, timeOf) => {
+    const winners = new Map(localRecords.map((r) => [keyOf(r), r]));
+    const updates = [];
+    for (const record of remoteRecords) {
+      const current = winners.get(keyOf(record));
+      if (!current || timeOf(record) > timeOf(current)) {
+        winners.set(keyOf(record), record);
+        updates.push(record);
+      }
+    }
+    return { winners: [...winners.values()], updates };
+  };
+  const updatedAt = (record) => record.updatedAt || 0;
+  const conversationKey = (record) => record.conversationId;
+
+  const isCurrent = (record) => (record.deletedAt || 0) > now - DELETION_TTL;
+  const deletions = mergeBy(
+    (local.deletions || []).filter(isCurrent),
+    (remote?.deletions || []).filter(isCurrent),
+    conversationKey,
+    (record) => record.deletedAt || 0
+  );
+  const deletedAt = new Map(
+    deletions.winners.map((record) => [record.conversationId, record.deletedAt])
+  );
+  const isLive = (record, ids) =>
+    ids.every((id) => !(deletedAt.get(id) >= updatedAt(record)));
+  const isLiveBranch = (record) =>
+    isLive(record, [record.parentId, record.childId]);
+  const isLiveTitle = (record) => isLive(record, [record.conversationId]);
+
+  const branches = mergeBy(
+    local.branches || [],
+    remote?.branches || [],
+    branchKey,
+    updatedAt
+  );
+  const titles = mergeBy(
+    local.titles || [],
+    remote?.titles || [],
+    conversationKey,
+    updatedAt
+  );
+  const merged = selectSyncRecords({
+    branches: branches.winners.filter(isLiveBranch),
+    titles: titles.winners.filter(isLiveTitle),
+    deletions: deletions.winners
+  });
+
+  const remoteJson = remote ? JSON.stringify(encodeSyncRecords(remote)) : null;
+  const mergedJson = JSON.stringify(encodeSyncRecords(merged));
+  return {
+    merged,
+    localUpdates: {
+      branches: branches.updates.filter(isLiveBranch),
+      titles: titles.updates.filter(isLiveTitle),
+      deletions: deletions.updates,
+      removedBranches: (local.branches || []).filter(
+        (record) => !isLiveBranch(record)
+      ),
+      removedTitles: (local.titles || []).filter(
+        (record) => !isLiveTitle(record)
+      ),
+      removedDeletions: (local.deletions || []).filter(
+        (record) => !isCurrent(record)
+      )
+    },
+    remoteOutdated: remote
+      ? remoteJson !== mergedJson
+      : merged.branches.length > 0 || merged.deletions.length > 0
+  };
+}
+
+// ============================================
+// chrome.storage.sync Access
+// ============================================
+
+/**
+ * Read the synced branch records
+ * @param {chrome.storage.StorageArea} [area=chrome.storage.sync]
+ * @returns {Promise<{ok: boolean, records?: Object|null, chunks?: number, bytes?: number, error?: string}>}
+ *   records is null when nothing has been synced yet
+ */
+export async function readSyncedBranches(area = chrome.storage.sync) {
+  try {
+    const { [SYNC_KEYS.BRANCHES]: manifest } = await area.get(
+      SYNC_KEYS.BRANCHES
+    );
+    if (!manifest) return { ok: true, records: null, chunks: 0, bytes: 0 };
+    if (manifest.v > SYNC_FORMAT_VERSION) {
+      return { ok: false, error: 'Synced data is from a newer version' };
+    }
+
+    const keys = Array.from(
+      { length: manifest.chunks },
+      (_, index) => `${SYNC_KEYS.BRANCHES}_${index}`
+    );
+    const items = keys.length > 0 ? await area.get(keys) : {};
+    const text = joinChunks(items, SYNC_KEYS.BRANCHES, manifest.chunks);
+    if (text === null) {
+      return { ok: false, error: 'Synced data is incomplete' };
+    }
+
+    const records = decodeSyncRecords(JSON.parse(text));
+    if (!records) {
+      return { ok: false, error: 'Synced data is from a newer version' };
+    }
+    return {
+      ok: true,
+      records,
+      chunks: manifest.chunks,
+      bytes: manifest.bytes || 0
+    };
+  } catch (err) {
+    console.error('[Sync] Read error:', err);
+    return { ok: false, error: err.message || 'Read failed' };
+  }
+}
+
+/**
+ * Encode records into chunk items
+ * @param {{branches: Object[], titles: Object[], deletions: Object[]}} records
+ * @returns {{items: Object<string, string>, bytes: number}}
+ */
+function chunkSyncRecords(records) {
+  const text = JSON.stringify(encodeSyncRecords(records));
+  const items = chunkString(text, SYNC_KEYS.BRANCHES);
+  const bytes = Object.entries(items).reduce(
+    (total, [key, value]) => total + itemBytes(key, value),
+    0
+  );
+  return { items, bytes };
+}
+
+/**
+ * Replace the synced branch records. When they don't fit the quota, the
+ * oldest deletion records are left out before the write is refused.
+ * @param {{branches: Object[], titles: Object[], deletions?: Object[]}} records
+ * @param {chrome.storage.StorageArea} [area=chrome.storage.sync]
+ * @returns {Promise<{ok: boolean, bytes?: number, dropped?: Object[], error?: string}>}
+ *   dropped: deletion records left out
+ */
+export async function writeSyncedBranches(records, area = chrome.storage.sync) {
+  try {
+    const { branches, titles, deletions } = selectSyncRecords(records);
+    let kept = [...deletions].sort(
+      (a, b) => (b.deletedAt || 0) - (a.deletedAt || 0)
+    );
+    let { items, bytes } = chunkSyncRecords({ branches, titles, deletions });
+    while (bytes > BRANCH_BYTES_BUDGET && kept.length > 0) {
+      kept = kept.slice(0, Math.floor(kept.length * 0.9));
+      ({ items, bytes } = chunkSyncRecords({
+        branches,
+        titles,
+        deletions: kept
+      }));
+    }
+    if (bytes > BRANCH_BYTES_BUDGET) {
+      return {
+        ok: false,
+        bytes,
+        error: `Branch data (${Math.ceil(bytes / 1024)} KB) is larger than the sync quota`
+      };
+    }
+    const chunks = Object.keys(items).length;
+
+    const { [SYNC_KEYS.BRANCHES]: previous } = await area.get(
+      SYNC_KEYS.BRANCHES
+    );
+    await area.set({
+      ...items,
+      [SYNC_KEYS.BRANCHES]: {
+        v: SYNC_FORMAT_VERSION,
+        chunks,
+        bytes,
+        updatedAt: Date.now()
+      }
+    });
+
+    // Drop chunks left over from a longer previous write
+    const stale = [];
+    for (let index = chunks; index < (previous?.chunks || 0); index++) {
+      stale.push(`${SYNC_KEYS.BRANCHES}_${index}`);
+    }
+    if (stale.length > 0) await area.remove(stale);
+
+    const keptIds = new Set(kept.map((record) => record.conversationId));
+    return {
+      ok: true,
+      bytes,
+      dropped: deletions.filter((record) => !keptIds.has(record.conversationId))
+    };
+  } catch (err) {
+    console.error('[Sync] Write error:', err);
+    return { ok: false, error: err.message || 'Write failed' };
+  }
+}
+
+/**
+ * Remove the synced branch records
+ * @param {chrome.storage.StorageArea} [area=chrome.storage.sync]
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function clearSyncedBranches(area = chrome.storage.sync) {
+  try {
+    const all = await area.get(null);
+    const keys = Object.keys(all).filter(
+      (key) =>
+        key === SYNC_KEYS.BRANCHES || key.startsWith(`${SYNC_KEYS.BRANCHES}_`)
+    );
+    if (keys.length > 0) await area.remove(keys);
+    return true;
+  } catch (err) {
+    console.error('[Sync] Clear error:', err);
+    return false;
+  }
+}
+
+/**
+ * Record the sync status shown in the panel header
+ * @param {Object} status - { state: 'synced' | 'error', error?, bytes? }
+ * @returns {Promise<void>}
+ */
+export async function setSyncStatus(status) {
+  try {
+    await chrome.storage.local.set({
+      [SYNC_KEYS.STATUS]: { ...status, updatedAt: Date.now() }
+    });
+  } catch (err) {
+    console.error('[Sync] Status error:', err);
+  }
+}
+
+// ============================================
+// Sync Runs
+// ============================================
+
+/**
+ * Merge the branch records in the data store with the synced copy, writing
+ * whichever side is behind. Does nothing unless sync is enabled. Runs in the
+ * background service worker, which owns the data store.
+ * @param {chrome.storage.StorageArea} [area=chrome.storage.sync]
+ * @returns {Promise<{ok: boolean, skipped?: boolean, applied?: number, pushed?: boolean, error?: string}>}
+ */
+export async function syncBranchRecords(area = chrome.storage.sync) {
+  const settings = await loadSettings();
+  if (!settings.syncEnabled) return { ok: true, skipped: true };
+
+  const fail = async (error) => {
+    await setSyncStatus({ state: 'error', error });
+    return { ok: false, error };
+  };
+
+  const local = await loadSyncRecords();
+  if (!local) return fail('Could not read local branch data');
+  const remote = await readSyncedBranches(area);
+  if (!remote.ok) return fail(remote.error);
+
+  const { merged, localUpdates, remoteOutdated } = mergeSyncRecords(
+    local,
+    remote.records
+  );
+  const applied = Object.values(localUpdates).reduce(
+    (total, records) => total + records.length,
+    0
+  );
+  if (applied > 0 && !(await applySyncRecords(localUpdates))) {
+    return fail('Could not save synced branch data');
+  }
+
+  let { bytes } = remote;
+  if (remoteOutdated) {
+    const write = await writeSyncedBranches(merged, area);
+    if (!write.ok) return fail(write.error);
+    bytes = write.bytes;
+    // Forget what the synced copy had no room for, so the next merge doesn't
+    // find the synced copy outdated again
+    if (
+      write.dropped.length > 0 &&
+      !(await applySyncRecords({ removedDeletions: write.dropped }))
+    ) {
+      return fail('Could not save synced branch data');
+    }
+  }
+
+  await setSyncStatus({ state: 'synced', bytes, lastSyncedAt: Date.now() });
+  return { ok: true, applied, pushed: remoteOutdated };
+}
+
+function sharedSettings(settings) {
+  const shared = { ...(settings || {}) };
+  LOCAL_ONLY_SETTINGS.forEach((key) => delete shared[key]);
+  return shared;
+}
+
+/**
+ * Sync settings between chrome.storage.local and chrome.storage.sync. A
+ * local edit since the last sync is pushed; otherwise a newer synced copy is
+ * applied. On first enable an existing synced copy is adopted.
+ * @param {Object} [areas]
+ * @param {chrome.storage.StorageArea} [areas.local=chrome.storage.local]
+ * @param {chrome.storage.StorageArea} [areas.sync=chrome.storage.sync]
+ * @returns {Promise<{ok: boolean, action?: 'pushed' | 'applied' | 'none', skipped?: boolean, error?: string}>}
+ */
+export async function syncSettings({
+  local = chrome.storage.local,
+  sync = chrome.storage.sync
+} = {}) {
+  try {
+    const {
+      [STORAGE_KEYS.SETTINGS]: settings,
+      [SYNC_KEYS.SETTINGS_STATE]: state
+    } = await local.get([STORAGE_KEYS.SETTINGS, SYNC_KEYS.SETTINGS_STATE]);
+    if (!settings?.syncEnabled) return { ok: true, skipped: true };
+
+    const { [SYNC_KEYS.SETTINGS]: remote } = await sync.get(SYNC_KEYS.SETTINGS);
+    const localJson = JSON.stringify(sharedSettings(settings));
+
+    const apply = async () => {
+      const next = { ...settings, ...sharedSettings(remote.settings) };
+      await local.set({
+        [SYNC_KEYS.SETTINGS_STATE]: {
+          updatedAt: remote.updatedAt,
+          json: JSON.stringify(sharedSettings(next))
+        },
+        [STORAGE_KEYS.SETTINGS]: next
+      });
+      return { ok: true, action: 'applied' };
+    };
+
+    if (!state && remote) return apply();
+    if (localJson !== state?.json) {
+      const updatedAt = Date.now();
+      await sync.set({
+        [SYNC_KEYS.SETTINGS]: { settings: sharedSettings(settings), updatedAt }
+      });
+      await local.set({
+        [SYNC_KEYS.SETTINGS_STATE]: { updatedAt, json: localJson }
+      });
+      return { ok: true, action: 'pushed' };
+    }
+    if (remote && remote.updatedAt > state.updatedAt) return apply();
+    return { ok: true, action: 'none' };
+  } catch (err) {
+    console.error('[Sync] Settings sync error:', err);
+    return { ok: false, error: err.message || 'Settings sync failed' };
+  }
+}
+
+export default {
+  SYNC_FORMAT_VERSION,
+  SYNC_KEYS,
+  DELETION_TTL,
+  itemBytes,
+  chunkString,
+  joinChunks,
+  selectSyncRecords,
+  encodeSyncRecords,
+  decodeSyncRecords,
+  mergeSyncRecords,
+  readSyncedBranches,
+  writeSyncedBranches,
+  clearSyncedBranches,
+  setSyncStatus,
+  syncBranchRecords,
+  syncSettings
+};
@@ -29,8 +29,19 @@
  * @property {number} [editVersionIndex] - Current version
  * @property {number} [totalVersions] - Total versions
  * @property {Object[]} [editVersions] - Alternate version data
+ * @property {boolean} [isDeleted] - Target conversation no longer exists
  */
 
+/**
+ * Check whether branch data marks a conversation as deleted
+ * @param {Object} branchData - Branch relationship data
+ * @param {string} conversationId - Conversation ID
+ * @returns {boolean}
+ */
+function isDeletedConversation(branchData, conversationId) {
+  return Boolean(branchData?.deleted?.[conversationId]);
+}
+
 /**
  * Normalize timestamp to seconds
  * @param {number} ts - Timestamp (may be ms or seconds)
@@ -41,6 +52,18 @@ export function toSeconds(ts) {
   return ts > 1e12 ? ts / 1000 : ts;
 }
 
+/**
+ * Label for an alternate version: user edits and regenerated responses
+ * @param {string} role - Message role
+ * @param {number} index - Version index (1-based)
+ * @param {number} total - Total versions
+ * @returns {string}
+ */
+export function getVersionLabel(role, index, total) {
+  const kind = role === 'assistant' ? 'Response' : 'Edit';
+  return `${kind} v${index}/${total}`;
+}
+
 /**
  * Build a flat display list from normalized messages
  * @param {Message[]} messages - Normalized message array
@@ -48,14 +71,24 @@ export function toSeconds(ts) {
  * @param {string} [options.conversationId] - Current conversation ID
  * @param {string} [options.title] - Conversation title
  * @param {Object} [options.branchData] - Branch relationship data
+ * @param {boolean} [options.showRegenerations=true] - List regenerated
+ *   assistant responses under their prompt
  * @returns {TreeNode[]} - Display tree nodes
  */
 export function buildDisplayList(messages, options = {}) {
-  const { conversationId, title, branchData } = options;
+  const {
+    conversationId,
+    title,
+    branchData,
+    showRegenerations = true
+  } = options;
   const result = [];
 
-  // Separate edit branch nodes from regular messages
-  const editBranches = messages.filter((m) => m.type === 'editBranch');
+  // Separate edit branch nodes from regular messages. Regenerated responses
+  // are listed under their prompt instead of among the edits.
+  const editBranches = messages.filter(
+    (m) => m.type === 'editBranch' && m.role !== 'assistant'
+  );
   const regularMessages = messages.filter((m) => m.type !== 'editBranch');
 
   // Filter to user messages only (for indexing display)
@@ -120,7 +153,10 @@ export function buildDisplayList(messages, options = {}) {
           createTime: toSeconds(branch.createdAt || 0),
           targetConversationId: branch.childId,
           branchIndex: idx,
-          depth: 1
+          branchLabel: `Branch: ${branch.title || 'New Chat'}`,
+          depth: 1,
+          icon: 'branch',
+          isDeleted: isDeletedConversation(branchData, branch.childId)
         });
       }
     }
@@ -141,20 +177,120 @@ export function buildDisplayList(messages, options = {}) {
     result.push(...allItems);
   }
 
-  return result;
+  if (!showRegenerations) return result;
+
+  const responseVersions = _groupResponseVersions(messages, conversationId);
+  return result.flatMap((node) =>
+    node.type === 'message' && responseVersions.has(node.id)
+      ? [node, ...responseVersions.get(node.id)]
+      : [node]
+  );
+}
+
+/**
+ * Group regenerated assistant responses under the prompt they answer
+ * @param {Message[]} messages - Path messages and editBranch entries in order
+ * @param {string} conversationId - Current conversation ID
+ * @returns {Map<string, TreeNode[]>} - Prompt ID -> response version nodes
+ */
+function _groupResponseVersions(messages, conversationId) {
+  const groups = new Map();
+  let promptId = null;
+
+  for (const msg of messages) {
+    if (msg.type === 'editBranch') continue;
+    if (msg.role === 'user') {
+      promptId = msg.id;
+      continue;
+    }
+    if (msg.role !== 'assistant' || !msg.hasEditVersions || !promptId) continue;
+
+    const alternates = messages.filter(
+      (m) =>
+        m.type === 'editBranch' &&
+        m.role === 'assistant' &&
+        m.siblingIds?.includes(msg.id)
+    );
+    groups.set(promptId, [
+      {
+        id: msg.id,
+        type: 'message',
+        role: msg.role,
+        text: msg.text,
+        createTime: toSeconds(msg.createTime),
+        depth: 1,
+        hasEditVersions: true,
+        editVersionIndex: msg.editVersionIndex,
+        totalVersions: msg.totalVersions,
+        siblingIds: msg.siblingIds,
+        targetConversationId: conversationId
+      },
+      ...alternates.map((alt) => ({
+        ...alt,
+        createTime: toSeconds(alt.createTime),
+        depth: 1,
+        editVersionLabel: getVersionLabel(
+          alt.role,
+          alt.editVersionIndex,
+          alt.totalVersions
+        ),
+        icon: 'chat',
+        targetConversationId: conversationId
+      }))
+    ]);
+  }
+
+  return groups;
 }
 
 /**
  * Build display tree from conversation graph
+ * When the parent conversation is in the graph, history shared with it is
+ * shown once under the parent's title and the current conversation's title
+ * follows the divergence point. Child conversations in the graph are
+ * expanded to show only the messages unique to them.
  * @param {ConversationGraph} graph - The conversation graph
  * @param {string} currentConversationId - Current conversation ID
  * @param {Object} branchData - Branch relationship data
+ * @param {Object} [options] - Build options
+ * @param {string} [options.parentConversationId] - Recorded parent conversation
+ * @param {string} [options.title] - Current conversation title
+ * @param {boolean} [options.showRegenerations=true] - List regenerated
+ *   assistant responses as "Response vN/M" versions
  * @returns {Array<TreeNode>} - Display nodes for rendering
  */
-export function buildTreeFromGraph(graph, currentConversationId, branchData) {
+export function buildTreeFromGraph(
+  graph,
+  currentConversationId,
+  branchData,
+  options = {}
+) {
   const displayNodes = [];
   const path = graph.getConversationPath(currentConversationId);
   const visited = new Set();
+  const branchesByFork = _groupBranchesByForkPoint(
+    graph,
+    currentConversationId,
+    path,
+    branchData?.branches?.[currentConversationId] || []
+  );
+
+  const { parentConversationId, showRegenerations = true } = options;
+  const divergenceId = parentConversationId
+    ? graph.findDivergencePoint(currentConversationId, parentConversationId)
+    : null;
+
+  if (divergenceId) {
+    displayNodes.push({
+      id: `ancestor-title:${parentConversationId}`,
+      type: 'ancestor-title',
+      text: branchData?.titles?.[parentConversationId] || 'Conversation',
+      depth: 0,
+      targetConversationId: parentConversationId,
+      isMainViewing: false,
+      isDeleted: isDeletedConversation(branchData, parentConversationId)
+    });
+  }
 
   // Traverse the main conversation path
   for (let i = 0; i < path.length; i++) {
@@ -177,13 +313,19 @@ export function buildTreeFromGraph(graph, currentConversationId, branchData) {
 
     visited.add(msgId);
 
-    // Add edit siblings at depth 1
-    const siblings = graph.getEditSiblings(msgId);
-    const siblingArray = Array.from(siblings).sort((a, b) => {
-      const nodeA = graph.getNode(a);
-      const nodeB = graph.getNode(b);
-      return nodeA.createTime - nodeB.createTime;
-    });
+    // Add edit siblings (or regenerated responses) at depth 1
+    const isRegeneration = node.role === 'assistant';
+    const siblings =
+      isRegeneration && !showRegenerations
+        ? [msgId]
+        : graph.getEditSiblings(msgId);
+    const siblingArray = Array.from(siblings)
+      .filter((sibId) => graph.getNode(sibId))
+      .sort((a, b) => {
+        const nodeA = graph.getNode(a);
+        const nodeB = graph.getNode(b);
+        return nodeA.createTime - nodeB.createTime;
+      });
     const hasSiblings = siblingArray.length > 1;
     const editVersionIndex = hasSiblings ? siblingArray.indexOf(msgId) + 1 : 1;
 
@@ -210,8 +352,12 @@ export function buildTreeFromGraph(graph, currentConversationId, branchData) {
         editVersionIndex: index + 1,
         totalVersions: siblingArray.length,
         siblingIds: siblingArray,
-        editVersionLabel: `Edit v${index + 1}/${siblingArray.length}`,
-        icon: 'edit',
+        editVersionLabel: getVersionLabel(
+          sibNode.role,
+          index + 1,
+          siblingArray.length
+        ),
+        icon: isRegeneration ? 'chat' : 'edit',
         targetConversationId: currentConversationId
       });
 
@@ -219,13 +365,9 @@ export function buildTreeFromGraph(graph, currentConversationId, branchData) {
     });
 
     // Add external branches that diverged at this message
-    const branches = _findBranchesFromMessage(
-      msgId,
-      currentConversationId,
-      branchData
-    );
+    const branches = branchesByFork.get(msgId) || [];
     for (const branch of branches) {
-      displayNodes.push({
+      const branchNode = {
         id: `branch:${branch.childId}`,
         type: 'branch',
         text: branch.firstMessage || branch.title || 'Branched conversation',
@@ -233,8 +375,45 @@ export function buildTreeFromGraph(graph, currentConversationId, branchData) {
         depth: 1,
         targetConversationId: branch.childId,
         branchLabel: `Branch: ${branch.title || 'New Chat'}`,
-        icon: 'branch'
-      });
+        icon: 'branch',
+        isDeleted: isDeletedConversation(branchData, branch.childId)
+      };
+      displayNodes.push(branchNode);
+
+      // Show only what the branch added on top of the shared history
+      const tail = _getBranchTail(graph, branch.childId, currentConversationId);
+      if (tail.length > 0) {
+        branchNode.expanded = true;
+        branchNode.colorIndex = hashString(branch.childId);
+        for (const tailId of tail) {
+          const tailNode = graph.getNode(tailId);
+          if (!tailNode || visited.has(tailId)) continue;
+          displayNodes.push({
+            id: tailId,
+            type: 'message',
+            role: tailNode.role,
+            text: tailNode.text,
+            createTime: tailNode.createTime,
+            depth: 2,
+            colorIndex: branchNode.colorIndex,
+            targetConversationId: branch.childId
+          });
+          visited.add(tailId);
+        }
+      }
+    }
+
+    // Shared history ends here: list the parent's branches, then continue
+    // with the current conversation's own messages
+    if (msgId === divergenceId) {
+      displayNodes.push(
+        ..._buildParentBranchNodes(
+          parentConversationId,
+          currentConversationId,
+          branchData,
+          options.title
+        )
+      );
     }
   }
 
@@ -242,17 +421,224 @@ export function buildTreeFromGraph(graph, currentConversationId, branchData) {
 }
 
 /**
- * Find branches that originated from a specific message
- * @param {string} messageId - Message ID
+ * Messages a child conversation has beyond its divergence from the parent
+ * @param {ConversationGraph} graph - The conversation graph
+ * @param {string} childConversationId - Child conversation ID
+ * @param {string} parentConversationId - Parent conversation ID
+ * @returns {string[]} - Message IDs unique to the child, in order
+ */
+function _getBranchTail(graph, childConversationId, parentConversationId) {
+  if (!graph.hasConversation(childConversationId)) return [];
+
+  const divergenceId = graph.findDivergencePoint(
+    childConversationId,
+    parentConversationId
+  );
+  if (!divergenceId) return [];
+
+  return graph.getUniquePathAfter(divergenceId, childConversationId);
+}
+
+/**
+ * Build the branch root, sibling branches and current title shown at the
+ * point where the current conversation left its parent
+ * @param {string} parentId - Parent conversation ID
+ * @param {string} currentConversationId - Current conversation ID
+ * @param {Object} branchData - Branch relationship data
+ * @param {string} [title] - Current conversation title
+ * @returns {TreeNode[]}
+ */
+function _buildParentBranchNodes(
+  parentId,
+  currentConversationId,
+  branchData,
+  title
+) {
+  const parentTitle = branchData?.titles?.[parentId] || 'Conversation';
+  const siblings = branchData?.branches?.[parentId] || [];
+
+  return [
+    {
+      id: `branch-root:${parentId}`,
+      type: 'branchRoot',
+      text: parentTitle,
+      depth: 0,
+      targetConversationId: parentId,
+      isDeleted: isDeletedConversation(branchData, parentId)
+    },
+    ...siblings.map((branch, idx) => ({
+      id: `branch:${branch.childId}`,
+      type: 'branch',
+      text: branch.firstMessage || branch.title || 'Branched conversation',
+      createTime: toSeconds(branch.createdAt || 0),
+      targetConversationId: branch.childId,
+      branchIndex: idx,
+      branchLabel: `Branch: ${branch.title || 'New Chat'}`,
+      depth: 1,
+      icon: 'branch',
+      isViewing: branch.childId === currentConversationId,
+      isDeleted: isDeletedConversation(branchData, branch.childId)
+    })),
+    {
+      id: `current-title:${currentConversationId}`,
+      type: 'current-title',
+      text: title || branchData?.titles?.[currentConversationId] || '',
+      depth: 0,
+      targetConversationId: currentConversationId,
+      isMainViewing: true
+    }
+  ];
+}
+
+/**
+ * Assign each external branch to the message it forked from
+ * Prefers the divergence point when the branch is loaded into the graph,
+ * then the recorded forkMessageId when it is on the path, and finally falls
+ * back to the last message created before the branch.
+ * @param {ConversationGraph} graph - The conversation graph
  * @param {string} conversationId - Current conversation ID
- * @param {Object} branchData - Branch data
- * @returns {Array} - Branch objects
+ * @param {string[]} path - Message IDs of the current conversation path
+ * @param {Array} branches - Branch records for the current conversation
+ * @returns {Map<string, Array>} - Message ID -> branches forked there
  */
-function _findBranchesFromMessage(messageId, conversationId, branchData) {
-  const branches = branchData?.branches?.[conversationId] || [];
-  // For now, return all branches (will be refined with proper branch point tracking)
-  // TODO: Track actual branch point in branch data
-  return branches;
+function _groupBranchesByForkPoint(graph, conversationId, path, branches) {
+  const byFork = new Map();
+  if (!path.length) return byFork;
+
+  const onPath = new Set(path);
+
+  for (const branch of branches) {
+    let forkId = null;
+
+    if (graph.hasConversation(branch.childId)) {
+      const divergenceId = graph.findDivergencePoint(
+        branch.childId,
+        conversationId
+      );
+      if (onPath.has(divergenceId)) forkId = divergenceId;
+    }
+
+    if (!forkId && onPath.has(branch.forkMessageId)) {
+      forkId = branch.forkMessageId;
+    }
+
+    if (!forkId) {
+      const createdAt = toSeconds(branch.createdAt || 0);
+      forkId = path[0];
+      for (const msgId of path) {
+        const node = graph.getNode(msgId);
+        if (!node) continue;
+        if (createdAt && toSeconds(node.createTime) > createdAt) break;
+        forkId = msgId;
+      }
+    }
+
+    if (!byFork.has(forkId)) byFork.set(forkId, []);
+    byFork.get(forkId).push(branch);
+  }
+
+  return byFork;
+}
+
+/**
+ * Flatten an explore tree (every branch of a conversation) into display nodes
+ * The current path stays on the main line. At each step, the other versions
+ * are listed as collapsible alternates; expanded alternates show their own
+ * continuation, following the newest version at each later step.
+ * @param {Object[]} roots - Top-level explore nodes
+ *   ({ id, text, createTime, isCurrentPath, descendantCount, children })
+ * @param {Set<string>} [expandedIds] - Alternates the user expanded
+ * @returns {TreeNode[]} - Display nodes for rendering
+ */
+export function buildExploreDisplayList(roots, expandedIds = new Set()) {
+  const result = [];
+  _appendExploreStep(roots || [], 0, undefined, true, expandedIds, result);
+  return result;
+}
+
+/**
+ * Append one step of an explore chain and everything after it
+ * @param {Object[]} options - Versions available at this step
+ * @param {number} depth - Display depth of the chain
+ * @param {number} [colorIndex] - Color context of the chain
+ * @param {boolean} onCurrentPath - Whether the chain is the current path
+ * @param {Set<string>} expandedIds - Expanded alternates
+ * @param {TreeNode[]} result - Output list
+ */
+function _appendExploreStep(
+  options,
+  depth,
+  colorIndex,
+  onCurrentPath,
+  expandedIds,
+  result
+) {
+  let step = options;
+  while (step.length > 0) {
+    const next =
+      (onCurrentPath && step.find((option) => option.isCurrentPath)) ||
+      step[step.length - 1];
+    const total = step.length;
+    const siblingIds = step.map((option) => option.id);
+
+    const node = {
+      id: next.id,
+      type: 'message',
+      role: 'user',
+      text: next.text,
+      createTime: toSeconds(next.createTime),
+      depth,
+      colorIndex,
+      isCurrentPath: onCurrentPath
+    };
+    // Off the current path, clicking switches the conversation to it
+    if (!onCurrentPath) node.branchNodeId = next.id;
+    if (total > 1) {
+      node.hasEditVersions = true;
+      node.editVersionIndex = siblingIds.indexOf(next.id) + 1;
+      node.totalVersions = total;
+      node.siblingIds = siblingIds;
+    }
+    result.push(node);
+
+    step.forEach((alt, idx) => {
+      if (alt === next) return;
+      const altColor = hashString(alt.id);
+      const isExpanded = expandedIds.has(alt.id);
+
+      result.push({
+        id: alt.id,
+        type: 'editBranch',
+        role: 'user',
+        text: alt.text,
+        createTime: toSeconds(alt.createTime),
+        depth: depth + 1,
+        colorIndex: altColor,
+        branchNodeId: alt.id,
+        editVersionIndex: idx + 1,
+        totalVersions: total,
+        siblingIds,
+        editVersionLabel: `Alt v${idx + 1}/${total}`,
+        icon: 'edit',
+        descendantCount: alt.descendantCount,
+        canExpand: alt.children.length > 0,
+        exploreExpanded: isExpanded
+      });
+
+      if (isExpanded) {
+        _appendExploreStep(
+          alt.children,
+          depth + 1,
+          altColor,
+          false,
+          expandedIds,
+          result
+        );
+      }
+    });
+
+    step = next.children || [];
+  }
 }
 
 /**
@@ -346,6 +732,8 @@ export default {
   toSeconds,
   buildDisplayList,
   buildTreeFromGraph,
+  buildExploreDisplayList,
+  getVersionLabel,
   markTerminalNodes,
   hashString,
   computeRenderSignature
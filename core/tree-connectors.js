@@ -0,0 +1,381 @@
+/**
+ * Tree Connectors - SVG rails, branch curves and dots drawn behind the tree
+ * Paths are computed from measured node positions, so the panel and the
+ * standalone HTML export (which embeds these functions) draw the same tree.
+ * Functions here only reference each other, DEPTH_COLORS and RAIL_SIZE.
+ */
+
+// Colors for main chain (depth-based)
+export const DEPTH_COLORS = [
+  '#6366f1', // indigo
+  '#8b5cf6', // violet
+  '#a855f7' // purple
+];
+
+export const RAIL_SIZE = 20; // matches --rail-size CSS variable
+
+export function getColor(depth) {
+  return DEPTH_COLORS[depth % DEPTH_COLORS.length];
+}
+
+/**
+ * Measure node positions for connector generation
+ * @param {HTMLElement} root - Element holding the .tree-node rows
+ * @param {string} [selector] - Rows to draw connectors between
+ */
+export function measureNodePositions(root, selector = '.tree-node') {
+  const nodes = Array.from(root.querySelectorAll(selector));
+  if (nodes.length === 0) return [];
+
+  const rootRect = root.getBoundingClientRect();
+
+  return nodes.map((node, index) => {
+    const depth = parseInt(node.dataset.depth || '0', 10);
+    const dot = node.querySelector('.rail-dot');
+    const dotRect = dot?.getBoundingClientRect();
+
+    // Calculate dot center relative to the tree root
+    const dotCenter = dotRect
+      ? {
+          x: dotRect.left - rootRect.left + dotRect.width / 2,
+          y: dotRect.top - rootRect.top + root.scrollTop + dotRect.height / 2
+        }
+      : { x: 0, y: 0 };
+
+    return {
+      index,
+      id: node.dataset.nodeId,
+      type: node.dataset.type || 'message',
+      depth,
+      color: node.dataset.color || getColor(depth),
+      colorIndex: node.dataset.colorIndex,
+      dotCenter,
+      isExpanded: node.classList.contains('is-expanded'),
+      isTerminal: node.classList.contains('is-terminal'),
+      hasPrevContext: node.dataset.hasPrevContext === 'true',
+      hasNextContext: node.dataset.hasNextContext === 'true',
+      top: node.offsetTop,
+      bottom: node.offsetTop + node.offsetHeight
+    };
+  });
+}
+
+/**
+ * Generate SVG path data for an L-curve (branch junction)
+ */
+export function createLCurvePath(startX, startY, endX, endY, radius = 12) {
+  // L-curve: vertical down, then curved corner, then horizontal
+  const curveEndY = endY;
+  const curveStartY = Math.min(startY, endY - radius);
+
+  return `M ${startX} ${startY} L ${startX} ${curveStartY} Q ${startX} ${curveEndY} ${startX + radius} ${curveEndY} L ${endX} ${curveEndY}`;
+}
+
+/**
+ * Generate backbone paths to bridge gaps between nodes of the same depth
+ */
+export function generateBackbonePaths(measurements) {
+  const paths = [];
+  const nodesByDepth = new Map();
+
+  for (const measurement of measurements) {
+    const list = nodesByDepth.get(measurement.depth) || [];
+    list.push(measurement);
+    nodesByDepth.set(measurement.depth, list);
+  }
+
+  nodesByDepth.forEach((list, depth) => {
+    list.sort((a, b) => a.top - b.top);
+    let lastColor = null;
+
+    for (let i = 0; i < list.length - 1; i++) {
+      const current = list[i];
+      const next = list[i + 1];
+      const inheritedColor = current.color || lastColor || getColor(depth);
+      lastColor = inheritedColor;
+
+      const gap = next.top - current.bottom;
+      if (gap <= 4) continue;
+
+      const hasInterveningNodes = next.index > current.index + 1;
+      if (!hasInterveningNodes) continue;
+
+      if (
+        (current.type === 'branch' && !current.isExpanded) ||
+        current.type === 'editBranch'
+      ) {
+        continue;
+      }
+
+      const x = depth * RAIL_SIZE + RAIL_SIZE / 2;
+      const startY = current.dotCenter.y;
+      const endY = next.dotCenter.y;
+
+      if (!Number.isFinite(startY) || !Number.isFinite(endY)) continue;
+
+      paths.push({
+        type: 'backbone',
+        d: `M ${x} ${startY} L ${x} ${endY}`,
+        color: inheritedColor,
+        order: 0
+      });
+    }
+  });
+
+  return paths;
+}
+
+/**
+ * Generate all connector paths from node measurements
+ */
+export function generateConnectorPaths(measurements) {
+  const paths = [];
+  const dots = [];
+
+  for (let i = 0; i < measurements.length; i++) {
+    const curr = measurements[i];
+    const prev = i > 0 ? measurements[i - 1] : null;
+    const next = i < measurements.length - 1 ? measurements[i + 1] : null;
+
+    const isBranch = curr.type === 'branch';
+    const isEditBranch = curr.type === 'editBranch';
+    const isTitle =
+      curr.type === 'title' ||
+      curr.type === 'ancestor-title' ||
+      curr.type === 'current-title';
+
+    // Determine dot style
+    let dotType = 'message';
+    if (isTitle) dotType = 'title';
+    else if (isBranch) dotType = 'branch';
+    else if (isEditBranch) dotType = 'editBranch';
+
+    dots.push({
+      x: curr.dotCenter.x,
+      y: curr.dotCenter.y,
+      color: curr.color,
+      type: dotType,
+      isExpanded: curr.isExpanded
+    });
+
+    // Branch connectors: L-curve from parent depth
+    if (isBranch || isEditBranch) {
+      const parentDepth = curr.depth - 1;
+      const parentX = parentDepth * RAIL_SIZE + RAIL_SIZE / 2;
+
+      // Find the Y position to start the L-curve from
+      // Look for the previous node at parent depth or use a reasonable default
+      let startY = curr.dotCenter.y - 40;
+      for (let j = i - 1; j >= 0; j--) {
+        const prevNode = measurements[j];
+        if (
+          prevNode.depth === parentDepth &&
+          prevNode.type !== 'branch' &&
+          prevNode.type !== 'editBranch'
+        ) {
+          startY = prevNode.dotCenter.y;
+          break;
+        }
+        // Also connect from a branch that continues the main line
+        if (prevNode.depth === parentDepth && prevNode.type === 'branch') {
+          startY = prevNode.dotCenter.y;
+          break;
+        }
+      }
+
+      paths.push({
+        type: 'l-curve',
+        d: createLCurvePath(
+          parentX,
+          startY,
+          curr.dotCenter.x,
+          curr.dotCenter.y,
+          12
+        ),
+        color: curr.color,
+        order: 2
+      });
+
+      // If main line continues past this branch, draw vertical line through
+      const mainContinues = checkMainContinuation(measurements, i, curr.depth);
+      if (mainContinues) {
+        const mainColor = getColor(parentDepth);
+        // Draw vertical line segment through the branch point
+        paths.push({
+          type: 'vertical',
+          d: `M ${parentX} ${curr.dotCenter.y - 15} L ${parentX} ${curr.dotCenter.y + 15}`,
+          color: mainColor,
+          order: 0
+        });
+      }
+    }
+
+    // Vertical connectors for same-context chains
+    if (!isBranch && !isEditBranch && prev) {
+      const shouldConnect = shouldConnectVertical(prev, curr);
+
+      if (shouldConnect) {
+        const x = curr.dotCenter.x;
+        paths.push({
+          type: 'vertical',
+          d: `M ${x} ${prev.dotCenter.y} L ${x} ${curr.dotCenter.y}`,
+          color: curr.color,
+          order: 1
+        });
+      }
+    }
+
+    // Expanded branch: line down to children
+    if (isBranch && curr.isExpanded && next) {
+      // Find the first child (next node at depth + 1 with same colorIndex)
+      for (let j = i + 1; j < measurements.length; j++) {
+        const child = measurements[j];
+        if (
+          child.depth === curr.depth + 1 &&
+          child.colorIndex === curr.colorIndex
+        ) {
+          paths.push({
+            type: 'vertical',
+            d: `M ${curr.dotCenter.x} ${curr.dotCenter.y} L ${curr.dotCenter.x} ${child.dotCenter.y}`,
+            color: curr.color,
+            order: 1
+          });
+          break;
+        }
+        // Stop if we hit a node at same or lower depth
+        if (child.depth <= curr.depth) break;
+      }
+    }
+  }
+
+  paths.push(...generateBackbonePaths(measurements));
+
+  // Sort by order for proper layering
+  paths.sort((a, b) => a.order - b.order);
+
+  return { paths, dots };
+}
+
+/**
+ * Check if vertical connection should be made between two nodes
+ */
+export function shouldConnectVertical(prev, curr) {
+  // Don't connect from branches (they use L-curves)
+  if (prev.type === 'branch' && !prev.isExpanded) return false;
+
+  // Connect if same depth and same color context
+  if (prev.depth === curr.depth) {
+    // Same colorIndex means same branch context
+    if (prev.colorIndex === curr.colorIndex) return true;
+    // Both undefined colorIndex means main line
+    if (prev.colorIndex === undefined && curr.colorIndex === undefined)
+      return true;
+  }
+
+  // Connect from expanded branch to its children
+  if (
+    prev.type === 'branch' &&
+    prev.isExpanded &&
+    curr.depth === prev.depth + 1
+  ) {
+    if (curr.colorIndex === prev.colorIndex) return true;
+  }
+
+  // Connect from title to next node
+  if (
+    prev.type === 'title' ||
+    prev.type === 'ancestor-title' ||
+    prev.type === 'current-title'
+  ) {
+    if (curr.depth === prev.depth) return true;
+  }
+
+  return false;
+}
+
+/**
+ * Check if main line continues after a branch
+ */
+export function checkMainContinuation(measurements, branchIndex, branchDepth) {
+  for (let i = branchIndex + 1; i < measurements.length; i++) {
+    const node = measurements[i];
+    // Skip nodes with colorIndex (branch children)
+    if (node.colorIndex !== undefined) continue;
+    // Found continuation at same or lower depth
+    if (
+      node.type !== 'branch' &&
+      node.type !== 'editBranch' &&
+      node.depth <= branchDepth
+    ) {
+      return true;
+    }
+    // Another branch at same level - main continues through it
+    if (node.type === 'branch' && node.depth === branchDepth) {
+      continue;
+    }
+  }
+  return false;
+}
+
+/**
+ * Render SVG dot based on type
+ */
+export function createDotSvg(dot) {
+  const { x, y, color, type, isExpanded } = dot;
+
+  const styles = {
+    message: { r: 3, fill: color, stroke: 'none', strokeWidth: 0 },
+    title: { r: 5, fill: color, stroke: 'none', strokeWidth: 0 },
+    branch: { r: 4, fill: 'var(--bg, #0f0f11)', stroke: color, strokeWidth: 2 },
+    editBranch: {
+      r: 3,
+      fill: 'var(--bg, #0f0f11)',
+      stroke: color,
+      strokeWidth: 1.5
+    }
+  };
+
+  const style = styles[type] || styles.message;
+
+  // Expanded branches get filled
+  if (type === 'branch' && isExpanded) {
+    style.fill = color;
+  }
+
+  return `<circle cx="${x}" cy="${y}" r="${style.r}" fill="${style.fill}" stroke="${style.stroke}" stroke-width="${style.strokeWidth}" class="connector-dot connector-dot--${type}"/>`;
+}
+
+/**
+ * Build the inner markup of the connector SVG
+ * @param {Object[]} paths - From generateConnectorPaths
+ * @param {Object[]} dots - From generateConnectorPaths
+ * @returns {string}
+ */
+export function renderConnectorMarkup(paths, dots) {
+  const pathsHtml = paths
+    .map(
+      (p, i) =>
+        `<path d="${p.d}" stroke="${p.color}" stroke-width="2" fill="none" stroke-linecap="round" stroke-linejoin="round" class="connector-path connector-path--${p.type}" style="--path-index: ${i}"/>`
+    )
+    .join('');
+
+  const dotsHtml = dots.map((d) => createDotSvg(d)).join('');
+
+  return `
+    <g class="connector-paths">${pathsHtml}</g>
+    <g class="connector-dots">${dotsHtml}</g>
+  `;
+}
+
+// Everything the HTML export embeds to redraw connectors on its own
+export const CONNECTOR_FUNCTIONS = [
+  getColor,
+  measureNodePositions,
+  createLCurvePath,
+  generateBackbonePaths,
+  generateConnectorPaths,
+  shouldConnectVertical,
+  checkMainContinuation,
+  createDotSvg,
+  renderConnectorMarkup
+];
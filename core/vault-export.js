@@ -0,0 +1,198 @@
+/**
+ * Vault Export - A branch family as a folder of notes for Obsidian or
+ * Logseq
+ * Each conversation becomes one Markdown note with YAML front matter, and
+ * [[wikilinks]] join a branch and its parent at the message the branch was
+ * made from. The notes are packed into a zip the user unpacks into a vault.
+ */
+
+import { flattenFamily, splitSharedHistory } from './family-export.js';
+import { generateMarkdown, generateFilename } from './markdown-export.js';
+import { createZip } from './zip.js';
+
+const VAULT_TAG = 'ai-conversation';
+
+/**
+ * Give every conversation in a family a note name that is unique and safe
+ * to use in a wikilink. Titles that repeat get the conversation ID appended,
+ * then a count if that name is taken too.
+ * @param {FamilyNode[]} nodes - Family in document order
+ * @param {string} platform - Platform identifier
+ * @returns {Map<string, string>} - Note name (without .md) by conversation ID
+ */
+export function getVaultNoteNames(nodes, platform) {
+  const options = { linkSafe: true, date: null, extension: '' };
+  const names = new Map();
+  const used = new Set();
+  for (const node of nodes) {
+    let name = generateFilename(node.title, platform, options);
+    // A title may already end like another note's suffix, so count on
+    // until the name is free; the title is cut to leave room for the count
+    const base = (node.title || '').slice(0, 36);
+    const suffix = String(node.conversationId).slice(0, 8);
+    for (let count = 1; used.has(name.toLowerCase()); count++) {
+      const tail = count === 1 ? suffix : `${suffix} ${count}`;
+      name = generateFilename(`${base} ${tail}`, platform, options);
+    }
+    used.add(name.toLowerCase());
+    names.set(node.conversationId, name);
+  }
+  return names;
+}
+
+/**
+ * Wikilink to a note, shown with the conversation title
+ * @param {string} noteName
+ * @param {string} title
+ * @returns {string}
+ */
+export function wikilink(noteName, title) {
+  const alias = String(title || '')
+    .replace(/[[\]|\s]+/g, ' ')
+    .trim();
+  return alias && alias !== noteName
+    ? `[[${noteName}|${alias}]]`
+    : `[[${noteName}]]`;
+}
+
+function toDateString(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString().slice(0, 10) : null;
+}
+
+/**
+ * YAML front matter block. Strings are written as JSON, which YAML reads
+ * as double-quoted scalars.
+ * @param {Object<string, string|string[]|null>} fields - Null fields are left out
+ * @returns {string}
+ */
+export function toFrontMatter(fields) {
+  let yaml = '---\n';
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === null || value === undefined) continue;
+    if (Array.isArray(value)) {
+      if (value.length === 0) continue;
+      yaml += `${key}:\n`;
+      value.forEach((item) => (yaml += `  - ${JSON.stringify(item)}\n`));
+    } else {
+      yaml += `${key}: ${JSON.stringify(value)}\n`;
+    }
+  }
+  return `${yaml}---\n\n`;
+}
+
+/**
+ * Build one note per conversation of a family whose nodes carry their
+ * messages
+ * @param {Object} options - Export options
+ * @param {FamilyNode} options.root - Family root; each node has messages
+ *   (ExportMessage[]) or error (string) set
+ * @param {string} options.platform - Platform identifier
+ * @param {string} options.platformName - Platform display name
+ * @returns {Array<{conversationId: string, name: string, content: string}>}
+ */
+export function buildVaultNotes({ root, platform, platformName }) {
+  const nodes = flattenFamily(root);
+  const byId = new Map(nodes.map((node) => [node.conversationId, node]));
+  const names = getVaultNoteNames(nodes, platform);
+  const linkTo = (node) => wikilink(names.get(node.conversationId), node.title);
+
+  return nodes.map((node) => {
+    const parent = node.parentId ? byId.get(node.parentId) : null;
+    const messages = node.messages || [];
+    const messageNotes = new Map();
+    const introLines = [];
+    const addNote = (messageId, line) => {
+      const lines = messageNotes.get(messageId);
+      messageNotes.set(messageId, lines ? `${lines}\n\n${line}` : line);
+    };
+
+    // The parent link goes after the last message the branch shares
+    if (parent) {
+      const { sharedCount } =
+        parent.messages && node.messages
+          ? splitSharedHistory(parent.messages, node.messages, node.branch)
+          : { sharedCount: 0 };
+      const line = `> ↳ Branched from ${linkTo(parent)}`;
+      if (sharedCount > 0) {
+        addNote(messages[sharedCount - 1].id, `${line} after this message`);
+      } else {
+        introLines.push(line);
+      }
+    }
+
+    // Branch links go after the message each branch continues from
+    for (const child of node.children) {
+      const forkIndex =
+        child.messages && node.messages
+          ? splitSharedHistory(node.messages, child.messages, child.branch)
+              .forkIndex
+          : -1;
+      const line = `> ↳ Branched here: ${linkTo(child)}`;
+      if (forkIndex >= 0) {
+        addNote(messages[forkIndex].id, line);
+      } else {
+        introLines.push(`> ↳ Branch: ${linkTo(child)}`);
+      }
+    }
+
+    if (node.error) {
+      introLines.push(`*${node.error}*`);
+    }
+
+    const created =
+      toDateString(node.branch?.createdAt) ||
+      toDateString(messages.find((msg) => msg.createTime)?.createTime);
+    const frontMatter = toFrontMatter({
+      title: node.title,
+      platform,
+      conversation_id: node.conversationId,
+      parent: parent ? linkTo(parent) : null,
+      branches: node.children.map(linkTo),
+      created,
+      tags: parent ? [VAULT_TAG, platform, 'branch'] : [VAULT_TAG, platform]
+    });
+
+    return {
+      conversationId: node.conversationId,
+      name: names.get(node.conversationId),
+      content:
+        frontMatter +
+        generateMarkdown({
+          title: node.title,
+          platformName,
+          conversationId: node.conversationId,
+          messages,
+          intro: introLines.join('\n\n'),
+          messageNotes
+        })
+    };
+  });
+}
+
+/**
+ * Zip of a family's notes, in one folder named after the family
+ * @param {Object} options - Same as buildVaultNotes
+ * @returns {{filename: string, bytes: Uint8Array, noteCount: number}}
+ */
+export function createVaultArchive({ root, platform, platformName }) {
+  const folder = generateFilename(`${root.title} vault`, platform, {
+    linkSafe: true,
+    extension: ''
+  });
+  const notes = buildVaultNotes({ root, platform, platformName });
+  const bytes = createZip(
+    notes.map((note) => ({
+      path: `${folder}/${note.name}.md`,
+      content: note.content
+    }))
+  );
+  return { filename: `${folder}.zip`, bytes, noteCount: notes.length };
+}
+
+export default {
+  getVaultNoteNames,
+  wikilink,
+  toFrontMatter,
+  buildVaultNotes,
+  createVaultArchive
+};
@@ -0,0 +1,146 @@
+/**
+ * Zip - Minimal writer for uncompressed zip archives
+ * Exports are small text files, so entries are stored rather than deflated,
+ * which keeps the writer dependency-free and synchronous.
+ */
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const VERSION = 20;
+// General purpose flag bit 11: names are UTF-8
+const UTF8_FLAG = 0x0800;
+
+let crcTable = null;
+
+function getCrcTable() {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  return crcTable;
+}
+
+/**
+ * CRC-32 of some bytes, as stored in zip headers
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+export function crc32(bytes) {
+  const table = getCrcTable();
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS time and date fields, in local time like other zip tools
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Build a zip archive
+ * @param {Array<{path: string, content: string|Uint8Array}>} files - Entries;
+ *   strings are written as UTF-8
+ * @param {Date} [modifiedAt] - Modification time of every entry
+ * @returns {Uint8Array}
+ */
+export function createZip(files, modifiedAt = new Date()) {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(modifiedAt);
+
+  const entries = files.map((file) => {
+    const name = encoder.encode(file.path);
+    const data =
+      typeof file.content === 'string'
+        ? encoder.encode(file.content)
+        : file.content;
+    return { name, data, crc: crc32(data), offset: 0 };
+  });
+
+  const localSize = entries.reduce(
+    (sum, entry) => sum + 30 + entry.name.length + entry.data.length,
+    0
+  );
+  const centralSize = entries.reduce(
+    (sum, entry) => sum + 46 + entry.name.length,
+    0
+  );
+  const bytes = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(bytes.buffer);
+  let pos = 0;
+
+  const writeCommon = (entry) => {
+    view.setUint16(pos, UTF8_FLAG, true);
+    view.setUint16(pos + 2, 0, true); // Stored
+    view.setUint16(pos + 4, time, true);
+    view.setUint16(pos + 6, date, true);
+    view.setUint32(pos + 8, entry.crc, true);
+    view.setUint32(pos + 12, entry.data.length, true);
+    view.setUint32(pos + 16, entry.data.length, true);
+    view.setUint16(pos + 20, entry.name.length, true);
+    view.setUint16(pos + 22, 0, true); // Extra field length
+    pos += 24;
+  };
+
+  for (const entry of entries) {
+    entry.offset = pos;
+    view.setUint32(pos, LOCAL_HEADER_SIGNATURE, true);
+    view.setUint16(pos + 4, VERSION, true);
+    pos += 6;
+    writeCommon(entry);
+    bytes.set(entry.name, pos);
+    pos += entry.name.length;
+    bytes.set(entry.data, pos);
+    pos += entry.data.length;
+  }
+
+  const centralOffset = pos;
+  for (const entry of entries) {
+    view.setUint32(pos, CENTRAL_HEADER_SIGNATURE, true);
+    view.setUint16(pos + 4, VERSION, true); // Made by
+    view.setUint16(pos + 6, VERSION, true); // Needed to extract
+    pos += 8;
+    writeCommon(entry);
+    // Comment length, disk number, internal and external attributes
+    view.setUint16(pos, 0, true);
+    view.setUint16(pos + 2, 0, true);
+    view.setUint16(pos + 4, 0, true);
+    view.setUint32(pos + 6, 0, true);
+    view.setUint32(pos + 10, entry.offset, true);
+    pos += 14;
+    bytes.set(entry.name, pos);
+    pos += entry.name.length;
+  }
+
+  view.setUint32(pos, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+  view.setUint16(pos + 4, 0, true); // This disk
+  view.setUint16(pos + 6, 0, true); // Disk with the central directory
+  view.setUint16(pos + 8, entries.length, true);
+  view.setUint16(pos + 10, entries.length, true);
+  view.setUint32(pos + 12, centralSize, true);
+  view.setUint32(pos + 16, centralOffset, true);
+  view.setUint16(pos + 20, 0, true); // Comment length
+
+  return bytes;
+}
+
+export default {
+  crc32,
+  createZip
+};
@@ -8,6 +8,33 @@ import {
   detectPlatformFromUrl,
   isSupportedUrl
 } from './core/platform-registry.js';
+import { buildExploreDisplayList } from './core/tree-builder.js';
+import { applyNodePatch } from './core/graph-diff.js';
+import {
+  getColor,
+  measureNodePositions,
+  generateConnectorPaths,
+  renderConnectorMarkup
+} from './core/tree-connectors.js';
+import {
+  collectMessageTurns,
+  prepareTreeForExport,
+  buildHtmlExport
+} from './core/html-export.js';
+import { generateFilename } from './core/markdown-export.js';
+import { DIAGRAM_FORMATS, createDiagramExport } from './core/diagram-export.js';
+import {
+  createBackup,
+  getBackupFilename,
+  mergeBranchData,
+  parseBackup,
+  planImport
+} from './core/backup.js';
+import {
+  requestDataStore,
+  pruneDeletedConversations as pruneDeletedRecords
+} from './core/storage.js';
+import { deleteGraph } from './core/graph-store.js';
 
 // Alias for backward compatibility with existing code
 const isChatUrl = isSupportedUrl;
@@ -17,7 +44,11 @@ const statusDot = document.getElementById('status-dot');
 const treeRoot = document.getElementById('tree-root');
 const refreshBtn = document.getElementById('refresh');
 const clearDataBtn = document.getElementById('clear-data');
+const pruneDeletedBtn = document.getElementById('prune-deleted');
+const pruneDeletedLabel = document.getElementById('prune-deleted-label');
 const exportMdBtn = document.getElementById('export-markdown');
+const exportHtmlBtn = document.getElementById('export-html');
+const exploreBtn = document.getElementById('explore-toggle');
 const tooltip = document.getElementById('tooltip');
 const settingsBtn = document.getElementById('settings-btn');
 const settingsOverlay = document.getElementById('settings-overlay');
@@ -25,13 +56,37 @@ const settingsClose = document.getElementById('settings-close');
 const infoBtn = document.getElementById('info-btn');
 const infoOverlay = document.getElementById('info-overlay');
 const infoClose = document.getElementById('info-close');
+const diagnosticsBadge = document.getElementById('diagnostics-badge');
+const diagnosticsOverlay = document.getElementById('diagnostics-overlay');
+const diagnosticsClose = document.getElementById('diagnostics-close');
+const diagnosticsContent = document.getElementById('diagnostics-content');
+const showDiagnosticsBtn = document.getElementById('show-diagnostics');
+const exportDataBtn = document.getElementById('export-data');
+const exportFamilyBtn = document.getElementById('export-family');
+const exportVaultBtn = document.getElementById('export-vault');
+const exportDiagramBtns = document.querySelectorAll('[data-diagram-format]');
+const exportGraphBtn = document.getElementById('export-graph');
+const importDataBtn = document.getElementById('import-data');
+const importFileInput = document.getElementById('import-file');
+const importOverlay = document.getElementById('import-overlay');
+const importContent = document.getElementById('import-content');
+const importApplyBtn = document.getElementById('import-apply');
+const importCancelBtn = document.getElementById('import-cancel');
 const platformIndicator = document.getElementById('platform-indicator');
 const exportMdBtnIdleMarkup = exportMdBtn?.innerHTML || '';
 
 // Settings elements
 const settingTheme = document.getElementById('setting-theme');
+const settingMarkdownExport = document.getElementById(
+  'setting-markdown-export'
+);
 const settingCompact = document.getElementById('setting-compact');
+const settingRegenerations = document.getElementById('setting-regenerations');
 const settingTimestamps = document.getElementById('setting-timestamps');
+const settingSync = document.getElementById('setting-sync');
+const syncIndicator = document.getElementById('sync-indicator');
+const cacheUsageLabel = document.getElementById('cache-usage');
+const settingPinCache = document.getElementById('setting-pin-cache');
 const settingPreviewLength = document.getElementById('setting-preview-length');
 const previewLengthValue = document.getElementById('preview-length-value');
 const segmentedBtns = document.querySelectorAll('.segmented-btn');
@@ -40,11 +95,26 @@ let activeTabId = null;
 let activeTabInfo = null;
 let refreshDebounceTimer = null;
 let lastStatusState = null;
+let lastStatusText = null;
 let isRefreshing = false;
 let lastRenderSignature = null;
+// Last tree received from the content script, as sent (renderTree annotates
+// the objects it renders): { revision, nodes, title, hasAncestry }
+let lastTree = null;
+// Graph diagnostics from the last build: { builtAt, issues, repairs, remaining }
+let lastDiagnostics = null;
+// Backup waiting for confirmation in the import preview:
+// { tabId, backup, plan }
+let pendingImport = null;
 let currentConversationId = null;
 let currentSearchQuery = '';
 
+// Explore mode (ChatGPT): show every branch of the mapping instead of the
+// current path. Expanded alternates survive re-renders of the same tree.
+let exploreMode = false;
+let exploreData = null;
+const exploreExpandedIds = new Set();
+
 // Platform configurations
 const PLATFORM_CONFIG = {
   chatgpt: { name: 'ChatGPT', color: '#10a37f' },
@@ -57,6 +127,7 @@ const PLATFORM_CONFIG = {
  * Update platform indicator in the UI
  */
 function updatePlatformIndicator(platform) {
+  updateExploreAvailability(platform);
   if (!platformIndicator) return;
 
   if (!platform || !PLATFORM_CONFIG[platform]) {
@@ -70,6 +141,30 @@ function updatePlatformIndicator(platform) {
   platformIndicator.style.setProperty('--platform-color', config.color);
 }
 
+/**
+ * Explore mode is only available where the full branch tree is known
+ */
+function updateExploreAvailability(platform) {
+  const available = platform === 'chatgpt';
+  if (!available && exploreMode) {
+    setExploreMode(false);
+  }
+  if (exploreBtn) {
+    exploreBtn.style.display = available ? 'flex' : 'none';
+  }
+}
+
+function setExploreMode(enabled) {
+  exploreMode = enabled;
+  exploreData = null;
+  exploreExpandedIds.clear();
+  if (exploreBtn) {
+    exploreBtn.classList.toggle('is-active', enabled);
+    exploreBtn.setAttribute('aria-pressed', String(enabled));
+    exploreBtn.title = enabled ? 'Show current path' : 'Explore all branches';
+  }
+}
+
 async function runtimeSendMessageSafe(message) {
   return new Promise((resolve) => {
     try {
@@ -113,7 +208,10 @@ const DEFAULT_SETTINGS = {
   timestampFormat: 'absolute', // "absolute" | "relative"
   showTimestamps: true,
   theme: 'system', // "system" | "dark" | "light"
-  compactMode: false
+  compactMode: false,
+  showRegenerations: true,
+  markdownExportMode: 'current', // "current" | "alternates" | "all"
+  syncEnabled: false
 };
 
 // Current settings (loaded on init)
@@ -167,6 +265,11 @@ function updateSettingsUI() {
     settingTimestamps.checked = currentSettings.showTimestamps;
   }
 
+  // Show regenerations toggle
+  if (settingRegenerations) {
+    settingRegenerations.checked = currentSettings.showRegenerations;
+  }
+
   // Timestamp format segmented control
   segmentedBtns.forEach((btn) => {
     btn.classList.toggle(
@@ -179,9 +282,83 @@ function updateSettingsUI() {
   if (settingPreviewLength) {
     settingPreviewLength.value = currentSettings.previewLength;
   }
+
+  // Markdown export contents
+  if (settingMarkdownExport) {
+    settingMarkdownExport.value = currentSettings.markdownExportMode;
+  }
   if (previewLengthValue) {
     previewLengthValue.textContent = currentSettings.previewLength;
   }
+
+  // Device sync toggle
+  if (settingSync) {
+    settingSync.checked = currentSettings.syncEnabled;
+  }
+  updateSyncIndicator();
+}
+
+// ============================================
+// Device Sync Status
+// ============================================
+
+const SYNC_STATUS_KEY = 'syncStatus';
+
+// { state: 'synced' | 'error', error?, bytes?, lastSyncedAt?, updatedAt }
+let lastSyncStatus = null;
+
+async function loadSyncStatus() {
+  try {
+    const data = await chrome.storage.local.get(SYNC_STATUS_KEY);
+    lastSyncStatus = data?.[SYNC_STATUS_KEY] || null;
+  } catch {
+    lastSyncStatus = null;
+  }
+  updateSyncIndicator();
+}
+
+function updateSyncIndicator() {
+  if (!syncIndicator) return;
+  if (!currentSettings.syncEnabled) {
+    syncIndicator.style.display = 'none';
+    return;
+  }
+
+  syncIndicator.style.display = '';
+  const state = lastSyncStatus?.state;
+  syncIndicator.classList.toggle('is-synced', state === 'synced');
+  syncIndicator.classList.toggle('is-error', state === 'error');
+  if (state === 'error') {
+    syncIndicator.textContent = 'Sync error';
+    syncIndicator.title = lastSyncStatus.error || 'Sync failed';
+  } else if (state === 'synced') {
+    const at = new Date(lastSyncStatus.lastSyncedAt).toLocaleTimeString();
+    const kb = Math.ceil((lastSyncStatus.bytes || 0) / 1024);
+    syncIndicator.textContent = 'Synced';
+    syncIndicator.title = `Branches synced at ${at} (${kb} KB of 100 KB)`;
+  } else {
+    syncIndicator.textContent = 'Sync on';
+    syncIndicator.title = 'Branches sync when a ChatGPT tab is open';
+  }
+}
+
+/**
+ * Follow sync status updates, and settings applied from another device
+ */
+function handleStorageChange(changes, areaName) {
+  if (areaName !== 'local') return;
+  if (changes[SYNC_STATUS_KEY]) {
+    lastSyncStatus = changes[SYNC_STATUS_KEY].newValue || null;
+    updateSyncIndicator();
+  }
+
+  const next = changes[SETTINGS_KEY]?.newValue;
+  if (next && JSON.stringify(next) !== JSON.stringify(currentSettings)) {
+    currentSettings = { ...DEFAULT_SETTINGS, ...next };
+    applySettings();
+    updateSettingsUI();
+    refresh();
+  }
 }
 
 function setupSettingsListeners() {
@@ -212,6 +389,15 @@ function setupSettingsListeners() {
     });
   }
 
+  // Show regenerations toggle
+  if (settingRegenerations) {
+    settingRegenerations.addEventListener('change', async () => {
+      currentSettings.showRegenerations = settingRegenerations.checked;
+      await saveSettings();
+      refresh(); // The content script reads the setting when building
+    });
+  }
+
   // Timestamp format segmented control
   segmentedBtns.forEach((btn) => {
     btn.addEventListener('click', () => {
@@ -239,6 +425,28 @@ function setupSettingsListeners() {
       refresh(); // Re-render tree with new length
     });
   }
+
+  // Markdown export contents
+  if (settingMarkdownExport) {
+    settingMarkdownExport.addEventListener('change', () => {
+      currentSettings.markdownExportMode = settingMarkdownExport.value;
+      saveSettings();
+    });
+  }
+
+  // Pin the current conversation in the cache
+  if (settingPinCache) {
+    settingPinCache.addEventListener('change', setCachePin);
+  }
+
+  // Device sync toggle
+  if (settingSync) {
+    settingSync.addEventListener('change', () => {
+      currentSettings.syncEnabled = settingSync.checked;
+      saveSettings();
+      updateSyncIndicator();
+    });
+  }
 }
 
 // Store node data for event delegation (avoids closure memory leaks)
@@ -251,13 +459,6 @@ let globalListenersRegistered = false;
 // Color Palette
 // ============================================
 
-// Colors for main chain (depth-based)
-const DEPTH_COLORS = [
-  '#6366f1', // indigo
-  '#8b5cf6', // violet
-  '#a855f7' // purple
-];
-
 // Extended color palette for branches - distinct, vibrant colors
 // Each branch gets a deterministic color based on conversation ID hash
 const BRANCH_COLORS = [
@@ -283,8 +484,6 @@ const BRANCH_COLORS = [
 // SVG Connector System
 // ============================================
 
-const RAIL_SIZE = 20; // matches --rail-size CSS variable
-
 let connectorSvg = null;
 let connectorRafId = null;
 
@@ -315,332 +514,6 @@ function getConnectorSvg() {
   return connectorSvg;
 }
 
-/**
- * Measure node positions for connector generation
- */
-function measureNodePositions() {
-  const nodes = Array.from(treeRoot.querySelectorAll('.tree-node'));
-  if (nodes.length === 0) return [];
-
-  const rootRect = treeRoot.getBoundingClientRect();
-
-  return nodes.map((node, index) => {
-    const depth = parseInt(node.dataset.depth || '0', 10);
-    const dot = node.querySelector('.rail-dot');
-    const dotRect = dot?.getBoundingClientRect();
-
-    // Calculate dot center relative to treeRoot
-    const dotCenter = dotRect
-      ? {
-          x: dotRect.left - rootRect.left + dotRect.width / 2,
-          y:
-            dotRect.top - rootRect.top + treeRoot.scrollTop + dotRect.height / 2
-        }
-      : { x: 0, y: 0 };
-
-    return {
-      index,
-      id: node.dataset.nodeId,
-      type: node.dataset.type || 'message',
-      depth,
-      color: node.dataset.color || getColor(depth),
-      colorIndex: node.dataset.colorIndex,
-      dotCenter,
-      isExpanded: node.classList.contains('is-expanded'),
-      isTerminal: node.classList.contains('is-terminal'),
-      hasPrevContext: node.dataset.hasPrevContext === 'true',
-      hasNextContext: node.dataset.hasNextContext === 'true',
-      top: node.offsetTop,
-      bottom: node.offsetTop + node.offsetHeight
-    };
-  });
-}
-
-/**
- * Generate SVG path data for an L-curve (branch junction)
- */
-function createLCurvePath(startX, startY, endX, endY, radius = 12) {
-  // L-curve: vertical down, then curved corner, then horizontal
-  const curveEndY = endY;
-  const curveStartY = Math.min(startY, endY - radius);
-
-  return `M ${startX} ${startY} L ${startX} ${curveStartY} Q ${startX} ${curveEndY} ${startX + radius} ${curveEndY} L ${endX} ${curveEndY}`;
-}
-
-/**
- * Generate backbone paths to bridge gaps between nodes of the same depth
- */
-function generateBackbonePaths(measurements) {
-  const paths = [];
-  const nodesByDepth = new Map();
-
-  for (const measurement of measurements) {
-    const list = nodesByDepth.get(measurement.depth) || [];
-    list.push(measurement);
-    nodesByDepth.set(measurement.depth, list);
-  }
-
-  nodesByDepth.forEach((list, depth) => {
-    list.sort((a, b) => a.top - b.top);
-    let lastColor = null;
-
-    for (let i = 0; i < list.length - 1; i++) {
-      const current = list[i];
-      const next = list[i + 1];
-      const inheritedColor = current.color || lastColor || getColor(depth);
-      lastColor = inheritedColor;
-
-      const gap = next.top - current.bottom;
-      if (gap <= 4) continue;
-
-      const hasInterveningNodes = next.index > current.index + 1;
-      if (!hasInterveningNodes) continue;
-
-      if (
-        (current.type === 'branch' && !current.isExpanded) ||
-        current.type === 'editBranch'
-      ) {
-        continue;
-      }
-
-      const x = depth * RAIL_SIZE + RAIL_SIZE / 2;
-      const startY = current.dotCenter.y;
-      const endY = next.dotCenter.y;
-
-      if (!Number.isFinite(startY) || !Number.isFinite(endY)) continue;
-
-      paths.push({
-        type: 'backbone',
-        d: `M ${x} ${startY} L ${x} ${endY}`,
-        color: inheritedColor,
-        order: 0
-      });
-    }
-  });
-
-  return paths;
-}
-
-/**
- * Generate all connector paths from node measurements
- */
-function generateConnectorPaths(measurements) {
-  const paths = [];
-  const dots = [];
-
-  for (let i = 0; i < measurements.length; i++) {
-    const curr = measurements[i];
-    const prev = i > 0 ? measurements[i - 1] : null;
-    const next = i < measurements.length - 1 ? measurements[i + 1] : null;
-
-    const isBranch = curr.type === 'branch';
-    const isEditBranch = curr.type === 'editBranch';
-    const isTitle =
-      curr.type === 'title' ||
-      curr.type === 'ancestor-title' ||
-      curr.type === 'current-title';
-
-    // Determine dot style
-    let dotType = 'message';
-    if (isTitle) dotType = 'title';
-    else if (isBranch) dotType = 'branch';
-    else if (isEditBranch) dotType = 'editBranch';
-
-    dots.push({
-      x: curr.dotCenter.x,
-      y: curr.dotCenter.y,
-      color: curr.color,
-      type: dotType,
-      isExpanded: curr.isExpanded
-    });
-
-    // Branch connectors: L-curve from parent depth
-    if (isBranch || isEditBranch) {
-      const parentDepth = curr.depth - 1;
-      const parentX = parentDepth * RAIL_SIZE + RAIL_SIZE / 2;
-
-      // Find the Y position to start the L-curve from
-      // Look for the previous node at parent depth or use a reasonable default
-      let startY = curr.dotCenter.y - 40;
-      for (let j = i - 1; j >= 0; j--) {
-        const prevNode = measurements[j];
-        if (
-          prevNode.depth === parentDepth &&
-          prevNode.type !== 'branch' &&
-          prevNode.type !== 'editBranch'
-        ) {
-          startY = prevNode.dotCenter.y;
-          break;
-        }
-        // Also connect from a branch that continues the main line
-        if (prevNode.depth === parentDepth && prevNode.type === 'branch') {
-          startY = prevNode.dotCenter.y;
-          break;
-        }
-      }
-
-      paths.push({
-        type: 'l-curve',
-        d: createLCurvePath(
-          parentX,
-          startY,
-          curr.dotCenter.x,
-          curr.dotCenter.y,
-          12
-        ),
-        color: curr.color,
-        order: 2
-      });
-
-      // If main line continues past this branch, draw vertical line through
-      const mainContinues = checkMainContinuation(measurements, i, curr.depth);
-      if (mainContinues) {
-        const mainColor = getColor(parentDepth);
-        // Draw vertical line segment through the branch point
-        paths.push({
-          type: 'vertical',
-          d: `M ${parentX} ${curr.dotCenter.y - 15} L ${parentX} ${curr.dotCenter.y + 15}`,
-          color: mainColor,
-          order: 0
-        });
-      }
-    }
-
-    // Vertical connectors for same-context chains
-    if (!isBranch && !isEditBranch && prev) {
-      const shouldConnect = shouldConnectVertical(prev, curr, measurements, i);
-
-      if (shouldConnect) {
-        const x = curr.dotCenter.x;
-        paths.push({
-          type: 'vertical',
-          d: `M ${x} ${prev.dotCenter.y} L ${x} ${curr.dotCenter.y}`,
-          color: curr.color,
-          order: 1
-        });
-      }
-    }
-
-    // Expanded branch: line down to children
-    if (isBranch && curr.isExpanded && next) {
-      // Find the first child (next node at depth + 1 with same colorIndex)
-      for (let j = i + 1; j < measurements.length; j++) {
-        const child = measurements[j];
-        if (
-          child.depth === curr.depth + 1 &&
-          child.colorIndex === curr.colorIndex
-        ) {
-          paths.push({
-            type: 'vertical',
-            d: `M ${curr.dotCenter.x} ${curr.dotCenter.y} L ${curr.dotCenter.x} ${child.dotCenter.y}`,
-            color: curr.color,
-            order: 1
-          });
-          break;
-        }
-        // Stop if we hit a node at same or lower depth
-        if (child.depth <= curr.depth) break;
-      }
-    }
-  }
-
-  paths.push(...generateBackbonePaths(measurements));
-
-  // Sort by order for proper layering
-  paths.sort((a, b) => a.order - b.order);
-
-  return { paths, dots };
-}
-
-/**
- * Check if vertical connection should be made between two nodes
- */
-function shouldConnectVertical(prev, curr, measurements, currIndex) {
-  // Don't connect from branches (they use L-curves)
-  if (prev.type === 'branch' && !prev.isExpanded) return false;
-
-  // Connect if same depth and same color context
-  if (prev.depth === curr.depth) {
-    // Same colorIndex means same branch context
-    if (prev.colorIndex === curr.colorIndex) return true;
-    // Both undefined colorIndex means main line
-    if (prev.colorIndex === undefined && curr.colorIndex === undefined)
-      return true;
-  }
-
-  // Connect from expanded branch to its children
-  if (
-    prev.type === 'branch' &&
-    prev.isExpanded &&
-    curr.depth === prev.depth + 1
-  ) {
-    if (curr.colorIndex === prev.colorIndex) return true;
-  }
-
-  // Connect from title to next node
-  if (
-    prev.type === 'title' ||
-    prev.type === 'ancestor-title' ||
-    prev.type === 'current-title'
-  ) {
-    if (curr.depth === prev.depth) return true;
-  }
-
-  return false;
-}
-
-/**
- * Check if main line continues after a branch
- */
-function checkMainContinuation(measurements, branchIndex, branchDepth) {
-  for (let i = branchIndex + 1; i < measurements.length; i++) {
-    const node = measurements[i];
-    // Skip nodes with colorIndex (branch children)
-    if (node.colorIndex !== undefined) continue;
-    // Found continuation at same or lower depth
-    if (
-      node.type !== 'branch' &&
-      node.type !== 'editBranch' &&
-      node.depth <= branchDepth
-    ) {
-      return true;
-    }
-    // Another branch at same level - main continues through it
-    if (node.type === 'branch' && node.depth === branchDepth) {
-      continue;
-    }
-  }
-  return false;
-}
-
-/**
- * Render SVG dot based on type
- */
-function createDotSvg(dot) {
-  const { x, y, color, type, isExpanded } = dot;
-
-  const styles = {
-    message: { r: 3, fill: color, stroke: 'none', strokeWidth: 0 },
-    title: { r: 5, fill: color, stroke: 'none', strokeWidth: 0 },
-    branch: { r: 4, fill: 'var(--bg, #0f0f11)', stroke: color, strokeWidth: 2 },
-    editBranch: {
-      r: 3,
-      fill: 'var(--bg, #0f0f11)',
-      stroke: color,
-      strokeWidth: 1.5
-    }
-  };
-
-  const style = styles[type] || styles.message;
-
-  // Expanded branches get filled
-  if (type === 'branch' && isExpanded) {
-    style.fill = color;
-  }
-
-  return `<circle cx="${x}" cy="${y}" r="${style.r}" fill="${style.fill}" stroke="${style.stroke}" stroke-width="${style.strokeWidth}" class="connector-dot connector-dot--${type}"/>`;
-}
-
 /**
  * Update the SVG layer with paths and dots
  */
@@ -651,19 +524,7 @@ function updateSvgLayer(paths, dots) {
   svg.setAttribute('viewBox', `0 0 ${treeRoot.offsetWidth} ${height}`);
   svg.style.height = `${height}px`;
 
-  const pathsHtml = paths
-    .map(
-      (p, i) =>
-        `<path d="${p.d}" stroke="${p.color}" stroke-width="2" fill="none" stroke-linecap="round" stroke-linejoin="round" class="connector-path connector-path--${p.type}" style="--path-index: ${i}"/>`
-    )
-    .join('');
-
-  const dotsHtml = dots.map((d) => createDotSvg(d)).join('');
-
-  svg.innerHTML = `
-    <g class="connector-paths">${pathsHtml}</g>
-    <g class="connector-dots">${dotsHtml}</g>
-  `;
+  svg.innerHTML = renderConnectorMarkup(paths, dots);
 }
 
 /**
@@ -678,7 +539,7 @@ function renderConnectors() {
   connectorRafId = requestAnimationFrame(() => {
     connectorRafId = null;
 
-    const measurements = measureNodePositions();
+    const measurements = measureNodePositions(treeRoot);
     if (measurements.length === 0) {
       // Clear SVG if no nodes
       const svg = getConnectorSvg();
@@ -778,6 +639,12 @@ const ICON_REGISTRY = {
     ],
     defaultSize: 'md'
   },
+  upload: {
+    paths: [
+      '<path d="M3 16.5v2.25A2.25 2.25 0 0 0 5.25 21h13.5A2.25 2.25 0 0 0 21 18.75V16.5m-13.5-9L12 3m0 0 4.5 4.5M12 3v13.5"></path>'
+    ],
+    defaultSize: 'md'
+  },
   lightbulb: {
     paths: [
       '<path d="M12 2.75c-3.59 0-6.5 2.81-6.5 6.3 0 2.26 1.18 4.26 3 5.4.34.21.55.58.55.97V16.5h6v-1.08c0-.39.21-.76.55-.97 1.82-1.14 3-3.14 3-5.4 0-3.49-2.91-6.3-6.5-6.3Z"></path>',
@@ -785,6 +652,12 @@ const ICON_REGISTRY = {
     ],
     defaultSize: 'md'
   },
+  code: {
+    paths: [
+      '<path d="M17.25 6.75 22.5 12l-5.25 5.25m-10.5 0L1.5 12l5.25-5.25m7.5-3-4.5 16.5"></path>'
+    ],
+    defaultSize: 'md'
+  },
   chat: {
     paths: [
       '<path d="M20.25 8.511c.884.284 1.5 1.128 1.5 2.097v4.286c0 1.136-.847 2.1-1.98 2.193-.34.027-.68.052-1.02.072v3.091l-3-3c-1.354 0-2.694-.055-4.02-.163a2.115 2.115 0 0 1-.825-.242m9.345-8.334a2.126 2.126 0 0 0-.476-.095 48.64 48.64 0 0 0-8.048 0c-1.131.094-1.976 1.057-1.976 2.192v4.286c0 .837.46 1.58 1.155 1.951m9.345-8.334V6.637c0-1.621-1.152-3.026-2.76-3.235A48.455 48.455 0 0 0 11.25 3c-2.115 0-4.198.137-6.24.402-1.608.209-2.76 1.614-2.76 3.235v6.226c0 1.621 1.152 3.026 2.76 3.235.577.075 1.157.14 1.74.194V21l4.155-4.155"></path>'
@@ -854,18 +727,20 @@ const ICON_SVGS = {
   get download() {
     return Icon('download');
   },
+  get upload() {
+    return Icon('upload');
+  },
   get lightbulb() {
     return Icon('lightbulb');
   },
+  get code() {
+    return Icon('code');
+  },
   get chat() {
     return Icon('chat');
   }
 };
 
-function getColor(depth) {
-  return DEPTH_COLORS[depth % DEPTH_COLORS.length];
-}
-
 /**
  * Check if the main line continues after a branch at a given index
  * This looks for non-branch nodes that would be on the main line (same depth, no colorIndex)
@@ -1133,8 +1008,12 @@ let statusResetTimer = null;
 let statusResetGeneration = 0; // Guard against stale timer callbacks
 
 function setStatus(text, state = 'ready') {
-  // Skip if same state (avoid flicker)
-  if (lastStatusState === state && state !== 'loading') {
+  // Skip if same state and message (avoid flicker)
+  if (
+    lastStatusState === state &&
+    lastStatusText === text &&
+    state !== 'loading'
+  ) {
     return;
   }
 
@@ -1144,6 +1023,7 @@ function setStatus(text, state = 'ready') {
   const currentGeneration = statusResetGeneration;
 
   lastStatusState = state;
+  lastStatusText = text;
   statusEl.textContent = text;
   statusDot.classList.remove('loading', 'success');
 
@@ -1211,9 +1091,13 @@ function createNodeElement(node, index, total, prevNode, nextNode, allNodes) {
     branchNodeId,
     editVersionLabel,
     descendantCount,
+    // Explore mode fields
+    canExpand,
+    exploreExpanded,
     // Icon and label fields
     icon,
-    branchLabel
+    branchLabel,
+    isDeleted
   } = node;
 
   const row = document.createElement('div');
@@ -1226,6 +1110,10 @@ function createNodeElement(node, index, total, prevNode, nextNode, allNodes) {
   }
   if (hasPrevContext) row.dataset.hasPrevContext = 'true';
   if (hasNextContext) row.dataset.hasNextContext = 'true';
+  if (isDeleted) {
+    row.classList.add('is-deleted');
+    row.title = 'This conversation was deleted';
+  }
   row.tabIndex = 0;
   // Staggered animation delay (max 15 nodes, 30ms each)
   row.style.animationDelay = `${Math.min(index, 15) * 30}ms`;
@@ -1493,6 +1381,21 @@ function createNodeElement(node, index, total, prevNode, nextNode, allNodes) {
           } else {
             header.appendChild(label);
           }
+          if (canExpand) {
+            const toggle = document.createElement('button');
+            toggle.type = 'button';
+            toggle.className = 'explore-toggle';
+            toggle.textContent = exploreExpanded ? '▾' : '▸';
+            toggle.setAttribute(
+              'aria-label',
+              exploreExpanded ? 'Collapse branch' : 'Expand branch'
+            );
+            toggle.setAttribute(
+              'aria-expanded',
+              String(Boolean(exploreExpanded))
+            );
+            header.appendChild(toggle);
+          }
         } else if (type === 'branch') {
           const pathLabel = branchPath || `${(branchIndex ?? 0) + 1}`;
           if (isViewing) {
@@ -1607,7 +1510,8 @@ function createNodeElement(node, index, total, prevNode, nextNode, allNodes) {
     editVersionIndex,
     totalVersions,
     siblingIds,
-    branchNodeId
+    branchNodeId,
+    isDeleted
   });
 
   return row;
@@ -1865,6 +1769,9 @@ function _updateNodeElement(el, node) {
     }
   }
 
+  // Keep tooltip and search text current
+  el.dataset.fullText = node.text || '';
+
   // Update node data in map
   nodeDataMap.set(node.id, {
     id: node.id,
@@ -1874,8 +1781,670 @@ function _updateNodeElement(el, node) {
     editVersionIndex: node.editVersionIndex,
     totalVersions: node.totalVersions,
     siblingIds: node.siblingIds,
-    branchNodeId: node.branchNodeId
+    branchNodeId: node.branchNodeId,
+    isDeleted: node.isDeleted
+  });
+}
+
+// ============================================
+// Graph Diagnostics
+// ============================================
+
+function shortId(id) {
+  if (!id) return '?';
+  return id.length > 12 ? `${id.slice(0, 8)}…` : id;
+}
+
+/**
+ * Describe a validation or load issue reported by the graph builder
+ */
+function describeGraphIssue(issue) {
+  switch (issue.type) {
+    case 'orphaned_node':
+      return `Message ${shortId(issue.messageId)} points to missing parent ${shortId(issue.missingParent)}`;
+    case 'circular_reference':
+      return `Parent chain loops at message ${shortId(issue.messageId)}`;
+    case 'inconsistent_parent_child':
+      return `Message ${shortId(issue.messageId)} is missing from the children of ${shortId(issue.parentId)}`;
+    case 'missing_edit_sibling':
+      return `Edit group ${shortId(issue.editGroupId)} lists missing message ${shortId(issue.missingMessageId)}`;
+    case 'edit_group_mismatch':
+      return `Message ${shortId(issue.messageId)} is listed in edit group ${shortId(issue.expectedGroup)} but belongs to ${shortId(issue.actualGroup)}`;
+    case 'orphaned_edit_group':
+      return `Message ${shortId(issue.messageId)} belongs to missing edit group ${shortId(issue.editGroupId)}`;
+    case 'related_load':
+    case 'related_conversation_failed':
+      return `Related conversation ${shortId(issue.conversationId)} could not be loaded: ${issue.error}`;
+    case 'message_add_failed':
+      return `Message ${shortId(issue.messageId)} could not be added: ${issue.error}`;
+    default:
+      return issue.error ? `${issue.type}: ${issue.error}` : issue.type;
+  }
+}
+
+/**
+ * Describe a repair applied by ConversationGraph.repair()
+ */
+function describeGraphRepair(repair) {
+  const target = repair.parentId
+    ? `under ${shortId(repair.parentId)}`
+    : 'as a root';
+  switch (repair.type) {
+    case 'reattached':
+      return `Re-attached ${shortId(repair.messageId)} ${target}`;
+    case 'made_root':
+      return `No known ancestor for ${shortId(repair.messageId)}; kept it as a root`;
+    case 'cycle_broken':
+      return `Broke the loop at ${shortId(repair.messageId)} and placed it ${target}`;
+    case 'linked_child':
+      return `Linked ${shortId(repair.messageId)} as a child of ${shortId(repair.parentId)}`;
+    case 'edit_groups_rebuilt':
+      return `Rebuilt edit groups (${repair.groupCount} kept)`;
+    default:
+      return repair.type;
+  }
+}
+
+function updateDiagnostics(diagnostics) {
+  lastDiagnostics = diagnostics || null;
+  if (!diagnosticsBadge) return;
+
+  const issueCount = lastDiagnostics?.issues?.length || 0;
+  const repairCount = lastDiagnostics?.repairs?.length || 0;
+  const remainingCount = lastDiagnostics?.remaining?.length || 0;
+  if (issueCount === 0) {
+    diagnosticsBadge.style.display = 'none';
+    return;
+  }
+
+  // Load failures are never repaired, so they count as unresolved too
+  const unresolved =
+    remainingCount > 0 ||
+    lastDiagnostics.issues.some((issue) => issue.error !== undefined);
+  diagnosticsBadge.style.display = '';
+  diagnosticsBadge.textContent = `${issueCount} issue${issueCount !== 1 ? 's' : ''}`;
+  diagnosticsBadge.classList.toggle('has-unresolved', unresolved);
+  diagnosticsBadge.title = `Graph diagnostics: ${repairCount} fixed, ${remainingCount} remaining`;
+}
+
+/**
+ * Append a titled list to a modal's content
+ * @param {HTMLElement} container - Modal content element
+ * @param {string} classPrefix - 'diagnostics' | 'import'
+ */
+function appendListSection(container, classPrefix, title, items, describe) {
+  if (!items?.length) return;
+  const heading = document.createElement('div');
+  heading.className = `${classPrefix}-section-title`;
+  heading.textContent = `${title} (${items.length})`;
+  const list = document.createElement('ul');
+  list.className = `${classPrefix}-list`;
+  for (const item of items) {
+    const li = document.createElement('li');
+    li.textContent = describe(item);
+    list.appendChild(li);
+  }
+  container.append(heading, list);
+}
+
+function renderDiagnostics() {
+  if (!diagnosticsContent) return;
+  diagnosticsContent.innerHTML = '';
+
+  const summary = document.createElement('div');
+  diagnosticsContent.appendChild(summary);
+  if (!lastDiagnostics) {
+    summary.textContent =
+      'Diagnostics are collected when the conversation graph is built (ChatGPT and Claude).';
+    return;
+  }
+
+  const builtAt = new Date(lastDiagnostics.builtAt).toLocaleTimeString();
+  const { issues, repairs, remaining } = lastDiagnostics;
+  summary.textContent =
+    issues.length === 0
+      ? `No problems found in the last graph build (${builtAt}).`
+      : `Last graph build at ${builtAt}.`;
+
+  const append = (title, items, describe) =>
+    appendListSection(
+      diagnosticsContent,
+      'diagnostics',
+      title,
+      items,
+      describe
+    );
+  append('Found', issues, describeGraphIssue);
+  append('Fixed', repairs, describeGraphRepair);
+  append('Still present', remaining, describeGraphIssue);
+}
+
+// ============================================
+// Deleted Conversations
+// ============================================
+
+// Conversations marked deleted in the active tab's branch data
+let deletedCount = 0;
+
+function updateDeletedCount(count) {
+  deletedCount = count || 0;
+  if (!pruneDeletedBtn) return;
+  pruneDeletedBtn.style.display = deletedCount > 0 ? '' : 'none';
+  if (pruneDeletedLabel) {
+    pruneDeletedLabel.textContent = `Remove Deleted (${deletedCount})`;
+  }
+}
+
+function offerDeletedCleanup() {
+  const prompt =
+    deletedCount === 1
+      ? 'This conversation was deleted. Remove it from the tree?'
+      : `This conversation was deleted. Remove it and ${
+          deletedCount - 1
+        } other deleted conversation${deletedCount === 2 ? '' : 's'} from the tree?`;
+  if (confirm(prompt)) pruneDeletedConversations();
+}
+
+/**
+ * Drop conversations marked deleted, every branch link to or from them and
+ * their stored graphs. Sync carries the removal to other devices.
+ */
+async function pruneDeletedConversations() {
+  const removed = await pruneDeletedRecords();
+  if (!removed) {
+    setStatus('Could not remove deleted conversations', 'error');
+    return;
+  }
+
+  const { conversations, branches } = removed;
+  await Promise.all(conversations.map((id) => deleteGraph(id)));
+  if (conversations.length > 0) {
+    runtimeSendMessageSafe({ type: 'SYNC_BRANCHES' });
+  }
+  updateDeletedCount(0);
+  setStatus(
+    `Removed ${conversations.length} deleted, ${branches} link${
+      branches === 1 ? '' : 's'
+    }`,
+    'success'
+  );
+  lastRenderSignature = null;
+  refresh();
+}
+
+// ============================================
+// Conversation Cache
+// ============================================
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Show cache usage and the current conversation's pin; the active tab
+ * reports them, since it knows which conversation is open
+ */
+async function refreshCacheUsage() {
+  if (!cacheUsageLabel || !settingPinCache) return;
+  const tab = await getActiveTab();
+  const response = tab?.id
+    ? await tabsSendMessageSafe(tab.id, { type: 'GET_CACHE_USAGE' })
+    : null;
+
+  if (!response?.ok) {
+    cacheUsageLabel.textContent = 'Open a chat to see usage';
+    settingPinCache.checked = false;
+    settingPinCache.disabled = true;
+    return;
+  }
+
+  const { bytes, budget, count, pinnedCount, pinnedBytes } = response.usage;
+  const pinned =
+    pinnedCount > 0
+      ? `, ${pinnedCount} pinned (${formatBytes(pinnedBytes || 0)})`
+      : '';
+  cacheUsageLabel.textContent = `${formatBytes(bytes)} of ${formatBytes(
+    budget
+  )} · ${count} conversation${count === 1 ? '' : 's'}${pinned}`;
+  settingPinCache.checked = response.pinned;
+  settingPinCache.disabled = !response.conversationId;
+}
+
+async function setCachePin() {
+  const pinned = settingPinCache.checked;
+  const tab = await getActiveTab();
+  const response = tab?.id
+    ? await tabsSendMessageSafe(tab.id, { type: 'SET_CACHE_PIN', pinned })
+    : null;
+  if (!response?.ok) {
+    settingPinCache.checked = !pinned;
+    setStatus(response?.error || 'Could not update pin', 'error');
+  }
+  refreshCacheUsage();
+}
+
+// ============================================
+// Backup and Restore
+// ============================================
+
+/**
+ * Read branch data from the background service worker's data store, so
+ * backup and restore work without a chat tab open
+ * @returns {Promise<Object>} - Branch data
+ */
+async function requestBranchData() {
+  const branchData = await requestDataStore('loadBranchData');
+  if (!branchData) throw new Error('Could not read branch data');
+  return branchData;
+}
+
+function downloadJson(data, filename) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], {
+    type: 'application/json'
+  });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Save the rendered tree as a standalone HTML page that keeps its
+ * connectors, colors and version badges
+ */
+async function exportHtml() {
+  if (!treeRoot.querySelector('.tree-node')) {
+    setStatus('Nothing to export yet', 'error');
+    return;
+  }
+
+  const tab = await getActiveTab();
+  const platform = detectPlatformFromUrl(tab?.url || '');
+  const title =
+    lastTree?.title || exploreData?.title || document.title || 'Conversation';
+  const styles = Array.from(document.querySelectorAll('style'))
+    .map((style) => style.textContent)
+    .join('\n');
+  const tree = prepareTreeForExport(treeRoot.cloneNode(true));
+
+  // Without the messages the page still has each row's preview text
+  setStatus('Exporting...', 'loading');
+  const response = tab?.id
+    ? await tabsSendMessageSafe(tab.id, { type: 'GET_EXPORT_MESSAGES' })
+    : null;
+  const rowIds = Array.from(
+    tree.querySelectorAll('.tree-node'),
+    (row) => row.dataset.nodeId
+  );
+  const messages = response?.ok
+    ? collectMessageTurns(response.messages, rowIds)
+    : {};
+
+  const html = buildHtmlExport({
+    title,
+    platformName: PLATFORM_CONFIG[platform]?.name || 'AI Conversation',
+    styles,
+    treeHtml: tree.innerHTML,
+    bodyClass: document.body.className,
+    messages
   });
+  const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = generateFilename(title, platform || 'conversation', {
+    extension: '.html'
+  });
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  setStatus(
+    response?.ok ? 'Exported HTML' : 'Exported HTML without full replies',
+    'success'
+  );
+}
+
+/**
+ * Save the tree as it is shown (explore mode included) as a Mermaid, DOT or
+ * OPML diagram, with labels cut to the preview length
+ * @param {string} format - Key of DIAGRAM_FORMATS
+ */
+async function exportDiagram(format) {
+  const nodes =
+    exploreMode && exploreData
+      ? buildExploreDisplayList(exploreData.roots, exploreExpandedIds)
+      : lastTree?.nodes;
+  if (!nodes?.length) {
+    setStatus('Nothing to export yet', 'error');
+    return;
+  }
+
+  const tab = await getActiveTab();
+  const title =
+    lastTree?.title || exploreData?.title || document.title || 'Conversation';
+  const diagram = createDiagramExport(format, {
+    title,
+    nodes,
+    platform: detectPlatformFromUrl(tab?.url || '') || 'conversation',
+    previewLength: currentSettings.previewLength
+  });
+
+  const blob = new Blob([diagram.content], { type: diagram.type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = diagram.filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  setStatus(`Exported ${DIAGRAM_FORMATS[format].name}`, 'success');
+  closeSettings();
+}
+
+function countBranches(branchData) {
+  return Object.values(branchData?.branches || {}).reduce(
+    (total, list) => total + list.length,
+    0
+  );
+}
+
+async function exportData() {
+  setStatus('Exporting data...', 'loading');
+  try {
+    const branchData = await requestBranchData();
+    const backup = createBackup({ branchData, settings: currentSettings });
+    downloadJson(backup, getBackupFilename());
+    const count = countBranches(backup.branchData);
+    setStatus(`Exported ${count} branch${count !== 1 ? 'es' : ''}`, 'success');
+    closeSettings();
+  } catch (err) {
+    setStatus(err.message || 'Export failed');
+  }
+}
+
+/**
+ * Export the current conversation's whole branch family as Markdown; the
+ * active tab fetches every conversation in it
+ */
+async function exportBranchFamily() {
+  const tab = await getActiveTab();
+  if (!tab?.id) {
+    setStatus('No active tab');
+    return;
+  }
+
+  setStatus('Exporting branch family...', 'loading');
+  exportFamilyBtn.disabled = true;
+  try {
+    const response = await tabsSendMessageSafe(tab.id, {
+      type: 'EXPORT_BRANCH_FAMILY'
+    });
+    if (!response?.ok) {
+      setStatus(response?.error || 'Export failed', 'error');
+      return;
+    }
+    const count = response.conversationCount;
+    setStatus(
+      `Exported ${count} conversation${count !== 1 ? 's' : ''}`,
+      'success'
+    );
+    closeSettings();
+  } finally {
+    exportFamilyBtn.disabled = false;
+  }
+}
+
+/**
+ * Export the current conversation's branch family as a zip of linked notes
+ * for Obsidian or Logseq
+ */
+async function exportVault() {
+  const tab = await getActiveTab();
+  if (!tab?.id) {
+    setStatus('No active tab');
+    return;
+  }
+
+  setStatus('Exporting vault...', 'loading');
+  exportVaultBtn.disabled = true;
+  try {
+    const response = await tabsSendMessageSafe(tab.id, {
+      type: 'EXPORT_VAULT'
+    });
+    if (!response?.ok) {
+      setStatus(response?.error || 'Export failed', 'error');
+      return;
+    }
+    const count = response.noteCount;
+    setStatus(`Exported ${count} note${count !== 1 ? 's' : ''}`, 'success');
+    closeSettings();
+  } finally {
+    exportVaultBtn.disabled = false;
+  }
+}
+
+/**
+ * Export the current conversation graph as JSON for analysis
+ */
+async function exportGraphJson() {
+  const tab = await getActiveTab();
+  if (!tab?.id) {
+    setStatus('No active tab');
+    return;
+  }
+
+  setStatus('Exporting graph...', 'loading');
+  exportGraphBtn.disabled = true;
+  try {
+    const response = await tabsSendMessageSafe(tab.id, {
+      type: 'EXPORT_GRAPH_JSON'
+    });
+    if (!response?.ok) {
+      setStatus(response?.error || 'Export failed', 'error');
+      return;
+    }
+    setStatus(`Exported ${response.messageCount} messages`, 'success');
+    closeSettings();
+  } finally {
+    exportGraphBtn.disabled = false;
+  }
+}
+
+function renderImportPreview(plan, backup, issues) {
+  importContent.innerHTML = '';
+  const summary = document.createElement('div');
+  const exportedAt = backup.exportedAt
+    ? new Date(backup.exportedAt).toLocaleString()
+    : 'an unknown date';
+  summary.textContent = plan.isEmpty
+    ? `Nothing to import: everything in this backup from ${exportedAt} is already here.`
+    : `Backup from ${exportedAt}. Existing branches and titles are kept; only the changes below are applied.`;
+  importContent.appendChild(summary);
+
+  const { data, changes } = plan.branchData;
+  const { settings, changed } = plan.settings;
+  const append = (title, items, describe) =>
+    appendListSection(importContent, 'import', title, items, describe);
+  append(
+    'New branches',
+    changes.addedBranches,
+    (b) => `${b.title} (${shortId(b.childId)})`
+  );
+  append(
+    'Branches with new details',
+    changes.updatedBranches,
+    (b) =>
+      `${data.titles[b.childId] || shortId(b.childId)}: ${b.fields.join(', ')}`
+  );
+  append('New titles', changes.addedTitles, (id) => data.titles[id]);
+  append(
+    'Marked deleted',
+    changes.addedDeletions,
+    (id) => data.titles[id] || shortId(id)
+  );
+  append(
+    'Settings',
+    changed,
+    (key) => `${key}: ${currentSettings[key]} → ${settings[key]}`
+  );
+  append(
+    'Repaired in the backup',
+    issues,
+    (issue) =>
+      `${issue.type.replace(/_/g, ' ')}${issue.childId ? ` (${shortId(issue.childId)})` : ''}: ${issue.action}`
+  );
+
+  importApplyBtn.disabled = plan.isEmpty;
+}
+
+async function previewImport(file) {
+  setStatus('Reading backup...', 'loading');
+  const parsed = parseBackup(await file.text());
+  if (!parsed.ok) {
+    setStatus(parsed.error);
+    return;
+  }
+
+  try {
+    const branchData = await requestBranchData();
+    const plan = planImport(
+      { branchData, settings: currentSettings },
+      parsed.backup
+    );
+    pendingImport = { backup: parsed.backup, plan };
+    renderImportPreview(plan, parsed.backup, parsed.issues);
+    closeSettings();
+    importOverlay.classList.add('visible');
+    setStatus('Ready');
+  } catch (err) {
+    setStatus(err.message || 'Import failed');
+  }
+}
+
+async function applyImport() {
+  if (!pendingImport) return;
+  const { backup, plan } = pendingImport;
+  importApplyBtn.disabled = true;
+  setStatus('Importing...', 'loading');
+
+  try {
+    // Merge against what is stored now, not what the preview saw
+    const { data, changes } = mergeBranchData(
+      await requestBranchData(),
+      backup.branchData
+    );
+    if (!(await requestDataStore('saveBranchData', [data], false))) {
+      setStatus('Could not save branch data');
+      importApplyBtn.disabled = false;
+      return;
+    }
+
+    if (plan.settings.changed.length > 0) {
+      currentSettings = plan.settings.settings;
+      await saveSettings();
+      applySettings();
+      updateSettingsUI();
+    }
+
+    const count = changes.addedBranches.length;
+    setStatus(`Imported ${count} branch${count !== 1 ? 'es' : ''}`, 'success');
+    closeImport();
+    lastRenderSignature = null;
+    refresh();
+  } catch {
+    setStatus('Import failed');
+    importApplyBtn.disabled = false;
+  }
+}
+
+function closeImport() {
+  pendingImport = null;
+  if (importFileInput) importFileInput.value = '';
+  if (importOverlay) importOverlay.classList.remove('visible');
+}
+
+/**
+ * Remember a tree received from the content script so later patches can be
+ * applied to it
+ */
+function rememberTree(data) {
+  lastTree = {
+    revision: data.revision ?? null,
+    nodes: (data.nodes || []).map((node) => ({ ...node })),
+    title: data.title,
+    hasAncestry: data.hasAncestry
+  };
+}
+
+// Node fields _updateNodeElement can change without re-rendering
+const IN_PLACE_FIELDS = new Set([
+  'text',
+  'createTime',
+  'editVersionIndex',
+  'totalVersions',
+  'siblingIds'
+]);
+
+function findNodeElement(nodeId) {
+  return treeRoot.querySelector(
+    `.tree-node[data-node-id="${CSS.escape(nodeId)}"]`
+  );
+}
+
+function canUpdateInPlace(previous, node) {
+  if (!previous || !previous.text?.trim() || !node.text?.trim()) return false;
+  if (!findNodeElement(node.id)) return false;
+  const keys = new Set([...Object.keys(previous), ...Object.keys(node)]);
+  return [...keys].every(
+    (key) =>
+      IN_PLACE_FIELDS.has(key) ||
+      JSON.stringify(previous[key]) === JSON.stringify(node[key])
+  );
+}
+
+/**
+ * Apply a TREE_PATCH from the content script. Text, timestamp and version
+ * changes update the existing cards; other changes re-render the patched
+ * node list. A patch against a tree we never got triggers a full refresh.
+ * @returns {boolean} - Whether anything was rendered
+ */
+function applyTreePatch(msg) {
+  if (
+    !lastTree ||
+    lastTree.revision !== msg.baseRevision ||
+    msg.conversationId !== currentConversationId
+  ) {
+    debouncedRefresh();
+    return false;
+  }
+
+  const previousById = new Map(lastTree.nodes.map((n) => [n.id, n]));
+  const nodes = applyNodePatch(lastTree.nodes, msg.patch);
+  rememberTree({ ...msg, nodes });
+  updateDiagnostics(msg.diagnostics);
+  updateDeletedCount(msg.deletedCount);
+
+  const inPlace =
+    msg.patch.order === null &&
+    msg.patch.upserted.every((node) =>
+      canUpdateInPlace(previousById.get(node.id), node)
+    );
+  if (!inPlace) {
+    return renderTree(nodes, msg.title, msg.hasAncestry);
+  }
+
+  for (const node of msg.patch.upserted) {
+    _updateNodeElement(findNodeElement(node.id), node);
+  }
+  lastRenderSignature = computeRenderSignature(
+    nodes,
+    msg.title,
+    msg.hasAncestry
+  );
+  applySearchFilter();
+  return true;
 }
 
 function renderTree(nodes, title, hasAncestry = false) {
@@ -2061,6 +2630,16 @@ function setupTreeEventDelegation() {
   treeRoot.addEventListener('click', (e) => {
     const targetEl = getEventTargetElement(e);
     if (!targetEl) return;
+
+    const exploreToggle = targetEl.closest('.explore-toggle');
+    if (exploreToggle) {
+      e.preventDefault();
+      e.stopPropagation();
+      const nodeId = exploreToggle.closest('.tree-node')?.dataset?.nodeId;
+      if (nodeId) toggleExploreNode(nodeId);
+      return;
+    }
+
     const arrow = targetEl.closest('.version-arrow');
     if (arrow) {
       e.preventDefault();
@@ -2213,13 +2792,19 @@ async function requestEditVersionSwitch({
 async function handleNodeClick(node) {
   if (!activeTabId) return;
 
-  const { id, type, targetConversationId, branchNodeId } = node;
+  const { id, type, targetConversationId, branchNodeId, isDeleted } = node;
 
   // Ignore clicks on pre-branch indicator (informational only)
   if (type === 'preBranchIndicator') {
     return;
   }
 
+  // Opening a deleted conversation would only show a 404 page
+  if (isDeleted && targetConversationId !== currentConversationId) {
+    offerDeletedCleanup();
+    return;
+  }
+
   const destinationConversationId =
     targetConversationId || currentConversationId;
 
@@ -2251,6 +2836,12 @@ async function handleNodeClick(node) {
       return;
     }
 
+    // Explore mode: messages off the current path switch to their branch
+    if (type === 'message' && branchNodeId) {
+      await requestChatGPTBranchSwitch(branchNodeId);
+      return;
+    }
+
     // Navigate to conversation for branches, branchRoots, or ancestor titles with targetConversationId
     const isNavigableType =
       type === 'branch' ||
@@ -2324,6 +2915,34 @@ async function fetchTree(tab = null) {
   }
 }
 
+async function fetchExploreTree(tab) {
+  const response = await tabsSendMessageSafe(tab.id, {
+    type: 'GET_EXPLORE_TREE'
+  });
+  if (response?.error) {
+    return { error: response.error };
+  }
+  return response;
+}
+
+function renderExploreTree() {
+  if (!exploreData) return false;
+  return renderTree(
+    buildExploreDisplayList(exploreData.roots, exploreExpandedIds),
+    exploreData.title
+  );
+}
+
+function toggleExploreNode(nodeId) {
+  if (exploreExpandedIds.has(nodeId)) {
+    exploreExpandedIds.delete(nodeId);
+  } else {
+    exploreExpandedIds.add(nodeId);
+  }
+  renderExploreTree();
+  applySearchFilter();
+}
+
 async function refresh() {
   // Prevent concurrent refreshes
   if (isRefreshing) return;
@@ -2358,7 +2977,8 @@ async function refresh() {
   setStatus('Loading...', 'loading');
   renderSkeleton(null, false);
 
-  const data = await fetchTree(tab);
+  const useExplore = exploreMode && detectedPlatform === 'chatgpt';
+  const data = useExplore ? await fetchExploreTree(tab) : await fetchTree(tab);
 
   if (data?.error) {
     currentConversationId = null;
@@ -2377,12 +2997,21 @@ async function refresh() {
     return;
   }
 
-  if (data?.nodes) {
+  if (useExplore && data?.roots) {
+    currentConversationId = data.conversationId || null;
+    exploreData = data;
+    lastTree = null;
+    renderExploreTree();
+    setStatus('Exploring all branches', 'success');
+  } else if (data?.nodes) {
     currentConversationId = data.conversationId || null;
     // Update platform from response if available
     if (data.platform) {
       updatePlatformIndicator(data.platform);
     }
+    rememberTree(data);
+    updateDiagnostics(data.diagnostics);
+    updateDeletedCount(data.deletedCount);
     renderTree(data.nodes, data.title, data.hasAncestry);
     setStatus('Ready', 'success');
   } else {
@@ -2502,6 +3131,7 @@ function setupKeyboardNavigation() {
 // Settings modal handlers
 function openSettings() {
   settingsOverlay.classList.add('visible');
+  refreshCacheUsage();
 }
 
 function closeSettings() {
@@ -2516,11 +3146,22 @@ function closeInfo() {
   if (infoOverlay) infoOverlay.classList.remove('visible');
 }
 
+function openDiagnostics() {
+  renderDiagnostics();
+  if (diagnosticsOverlay) diagnosticsOverlay.classList.add('visible');
+}
+
+function closeDiagnostics() {
+  if (diagnosticsOverlay) diagnosticsOverlay.classList.remove('visible');
+}
+
 // Escape key handler (stored reference to avoid accumulation)
 function handleEscapeKey(e) {
   if (e.key !== 'Escape') return;
   if (settingsOverlay?.classList.contains('visible')) closeSettings();
   if (infoOverlay?.classList.contains('visible')) closeInfo();
+  if (diagnosticsOverlay?.classList.contains('visible')) closeDiagnostics();
+  if (importOverlay?.classList.contains('visible')) closeImport();
 }
 
 // Setup all global event listeners (called once on init)
@@ -2543,6 +3184,23 @@ function setupGlobalListeners() {
     infoClose.addEventListener('click', closeInfo);
   }
   settingsClose.addEventListener('click', closeSettings);
+  if (diagnosticsBadge) {
+    diagnosticsBadge.addEventListener('click', openDiagnostics);
+  }
+  if (showDiagnosticsBtn) {
+    showDiagnosticsBtn.addEventListener('click', () => {
+      closeSettings();
+      openDiagnostics();
+    });
+  }
+  if (diagnosticsOverlay) {
+    diagnosticsOverlay.addEventListener('click', (e) => {
+      if (e.target === diagnosticsOverlay) closeDiagnostics();
+    });
+  }
+  if (diagnosticsClose) {
+    diagnosticsClose.addEventListener('click', closeDiagnostics);
+  }
 
   // Close settings when clicking overlay background
   settingsOverlay.addEventListener('click', (e) => {
@@ -2560,15 +3218,62 @@ function setupGlobalListeners() {
     refresh();
   });
 
+  // Backup and restore
+  if (exportDataBtn) {
+    exportDataBtn.addEventListener('click', exportData);
+  }
+  if (exportFamilyBtn) {
+    exportFamilyBtn.addEventListener('click', exportBranchFamily);
+  }
+  if (exportVaultBtn) {
+    exportVaultBtn.addEventListener('click', exportVault);
+  }
+  exportDiagramBtns.forEach((btn) => {
+    btn.addEventListener('click', () =>
+      exportDiagram(btn.dataset.diagramFormat)
+    );
+  });
+  if (exportGraphBtn) {
+    exportGraphBtn.addEventListener('click', exportGraphJson);
+  }
+  if (importDataBtn && importFileInput) {
+    importDataBtn.addEventListener('click', () => importFileInput.click());
+    importFileInput.addEventListener('change', () => {
+      const file = importFileInput.files?.[0];
+      if (file) previewImport(file);
+    });
+  }
+  if (importOverlay) {
+    importOverlay.addEventListener('click', (e) => {
+      if (e.target === importOverlay) closeImport();
+    });
+  }
+  if (importCancelBtn) {
+    importCancelBtn.addEventListener('click', closeImport);
+  }
+  if (importApplyBtn) {
+    importApplyBtn.addEventListener('click', applyImport);
+  }
+
+  // Remove deleted conversations and their branch links
+  if (pruneDeletedBtn) {
+    pruneDeletedBtn.addEventListener('click', pruneDeletedConversations);
+  }
+
   // Clear all branch data
   clearDataBtn.addEventListener('click', async () => {
     if (confirm('Clear all branch tracking data? This cannot be undone.')) {
+      // Branch data lives in the extension's IndexedDB; the legacy key is
+      // only present if it was never migrated
       await chrome.storage.local.remove('chatgpt_branch_data');
-      await chrome.storage.local.remove('pendingBranch');
+      await runtimeSendMessageSafe({ type: 'CLEAR_PENDING_BRANCHES' });
       try {
         const tab = await getActiveTab();
         if (tab?.id) {
-          await tabsSendMessageSafe(tab.id, { type: 'CLEAR_CACHE' });
+          await tabsSendMessageSafe(tab.id, {
+            type: 'CLEAR_CACHE',
+            clearBranchData: true
+          });
         }
       } catch {
         // Ignore if we cannot reach the content script
@@ -2579,6 +3284,15 @@ function setupGlobalListeners() {
     }
   });
 
+  // Explore all branches (ChatGPT)
+  if (exploreBtn) {
+    exploreBtn.addEventListener('click', () => {
+      setExploreMode(!exploreMode);
+      lastRenderSignature = null;
+      refresh();
+    });
+  }
+
   // Export as Markdown
   if (exportMdBtn) {
     exportMdBtn.addEventListener('click', async () => {
@@ -2597,7 +3311,8 @@ function setupGlobalListeners() {
 
       try {
         const response = await tabsSendMessageSafe(tab.id, {
-          type: 'EXPORT_MARKDOWN'
+          type: 'EXPORT_MARKDOWN',
+          mode: currentSettings.markdownExportMode
         });
 
         if (response?.ok) {
@@ -2620,13 +3335,35 @@ function setupGlobalListeners() {
     });
   }
 
+  // Export the rendered tree as a standalone HTML page
+  if (exportHtmlBtn) {
+    exportHtmlBtn.addEventListener('click', exportHtml);
+  }
+
   // Listen for updates from content script
   chrome.runtime.onMessage.addListener((msg) => {
+    const isTreePush =
+      (msg?.type === 'TREE_UPDATED' && msg.nodes) ||
+      (msg?.type === 'TREE_PATCH' && msg.patch);
+    if (isTreePush && exploreMode) {
+      // The pushed tree is the current path only; reload the explore tree
+      debouncedRefresh();
+      return;
+    }
+    if (msg?.type === 'TREE_PATCH' && msg.patch) {
+      if (applyTreePatch(msg)) {
+        setStatus('Updated', 'success');
+      }
+      return;
+    }
     if (msg?.type === 'TREE_UPDATED' && msg.nodes) {
       currentConversationId = msg.conversationId || null;
       if (msg.platform) {
         updatePlatformIndicator(msg.platform);
       }
+      rememberTree(msg);
+      updateDiagnostics(msg.diagnostics);
+      updateDeletedCount(msg.deletedCount);
       // Only update status if content actually changed (renderTree returns true)
       const didRender = renderTree(msg.nodes, msg.title, msg.hasAncestry);
       if (didRender) {
@@ -2699,6 +3436,14 @@ function initializeHeaderIcons() {
     infoBtnPlaceholder.innerHTML = Icon('lightbulb', { size: 'sm' });
   }
 
+  // Explore toggle (branch icon)
+  const explorePlaceholder = document.querySelector(
+    '#explore-toggle .icon-placeholder'
+  );
+  if (explorePlaceholder) {
+    explorePlaceholder.innerHTML = Icon('branch', { size: 'sm' });
+  }
+
   // Export markdown button (download icon)
   const exportPlaceholder = document.querySelector(
     '#export-markdown .icon-placeholder'
@@ -2707,6 +3452,14 @@ function initializeHeaderIcons() {
     exportPlaceholder.innerHTML = Icon('download', { size: 'sm' });
   }
 
+  // Export HTML button (code icon)
+  const exportHtmlPlaceholder = document.querySelector(
+    '#export-html .icon-placeholder'
+  );
+  if (exportHtmlPlaceholder) {
+    exportHtmlPlaceholder.innerHTML = Icon('code', { size: 'sm' });
+  }
+
   // Settings button (settings/gear icon)
   const settingsPlaceholder = document.querySelector(
     '#settings-btn .icon-placeholder'
@@ -2723,6 +3476,59 @@ function initializeHeaderIcons() {
     refreshPlaceholder.innerHTML = Icon('refresh', { size: 'sm' });
   }
 
+  // Diagnostics button in settings modal (info icon)
+  const diagnosticsPlaceholder = document.querySelector(
+    '#show-diagnostics .icon-placeholder'
+  );
+  if (diagnosticsPlaceholder) {
+    diagnosticsPlaceholder.innerHTML = Icon('info', { size: 'sm' });
+  }
+
+  // Backup buttons in settings modal
+  const exportDataPlaceholder = document.querySelector(
+    '#export-data .icon-placeholder'
+  );
+  if (exportDataPlaceholder) {
+    exportDataPlaceholder.innerHTML = Icon('download', { size: 'sm' });
+  }
+  const exportFamilyPlaceholder = document.querySelector(
+    '#export-family .icon-placeholder'
+  );
+  if (exportFamilyPlaceholder) {
+    exportFamilyPlaceholder.innerHTML = Icon('branch', { size: 'sm' });
+  }
+  const exportVaultPlaceholder = document.querySelector(
+    '#export-vault .icon-placeholder'
+  );
+  if (exportVaultPlaceholder) {
+    exportVaultPlaceholder.innerHTML = Icon('download', { size: 'sm' });
+  }
+  document
+    .querySelectorAll('[data-diagram-format] .icon-placeholder')
+    .forEach((placeholder) => {
+      placeholder.innerHTML = Icon('code', { size: 'sm' });
+    });
+  const exportGraphPlaceholder = document.querySelector(
+    '#export-graph .icon-placeholder'
+  );
+  if (exportGraphPlaceholder) {
+    exportGraphPlaceholder.innerHTML = Icon('download', { size: 'sm' });
+  }
+  const importDataPlaceholder = document.querySelector(
+    '#import-data .icon-placeholder'
+  );
+  if (importDataPlaceholder) {
+    importDataPlaceholder.innerHTML = Icon('upload', { size: 'sm' });
+  }
+
+  // Remove deleted button in settings modal (trash icon)
+  const pruneDeletedPlaceholder = document.querySelector(
+    '#prune-deleted .icon-placeholder'
+  );
+  if (pruneDeletedPlaceholder) {
+    pruneDeletedPlaceholder.innerHTML = Icon('trash', { size: 'sm' });
+  }
+
   // Clear data button in settings modal (trash icon)
   const clearDataPlaceholder = document.querySelector(
     '#clear-data .icon-placeholder'
@@ -2735,6 +3541,8 @@ function initializeHeaderIcons() {
 // Initialize
 async function init() {
   await loadSettings();
+  await loadSyncStatus();
+  chrome.storage.onChanged.addListener(handleStorageChange);
   initializeHeaderIcons();
   setupGlobalListeners();
   refresh();
@@ -3,6 +3,11 @@
  * Defines the interface that each platform must implement
  */
 
+import {
+  injectFetchInterceptor,
+  getInterceptorMessageType
+} from '../core/fetch-interceptor-factory.js';
+
 /**
  * @typedef {Object} Message
  * @property {string} id - Message ID
@@ -32,6 +37,138 @@
  * @property {Object} [raw] - Raw API response for platform-specific processing
  */
 
+/**
+ * @typedef {Object} ExportData
+ * @property {string} conversationId - Conversation ID
+ * @property {string} title - Conversation title
+ * @property {Array<{id: string, role: string, content: string, createTime: number}>} messages
+ *   - With sources, attachments and blocks where the platform gives them
+ *   (see core/export-message.js)
+ * @property {Array<Object>} [allMessages] - Every message of every branch,
+ *   each with parentId, when the platform returns them
+ */
+
+// Minimum message length to filter out UI elements
+export const MIN_MESSAGE_LENGTH = 15;
+
+// Raw conversation cache is valid for 10 minutes for export purposes
+const EXPORT_CACHE_TTL_MS = 10 * 60 * 1000;
+
+const HIGHLIGHT_CLASS = 'branch-tree-highlight';
+
+/**
+ * Normalize the many content shapes returned by platform APIs into plain text
+ * @param {*} content - String, parts array or content object
+ * @returns {string}
+ */
+export function normalizeContent(content) {
+  if (!content) return '';
+  if (typeof content === 'string') return content.trim();
+
+  if (Array.isArray(content)) {
+    const parts = content
+      .map((part) => {
+        if (typeof part === 'string') return part;
+        if (typeof part?.text === 'string') return part.text;
+        if (typeof part?.content === 'string') return part.content;
+        if (Array.isArray(part?.parts)) {
+          return part.parts
+            .map((subPart) => {
+              if (typeof subPart === 'string') return subPart;
+              if (typeof subPart?.text === 'string') return subPart.text;
+              if (typeof subPart?.content === 'string') return subPart.content;
+              return '';
+            })
+            .filter(Boolean)
+            .join('\n');
+        }
+        return '';
+      })
+      .filter(Boolean);
+    return parts.join('\n').trim();
+  }
+
+  if (Array.isArray(content.parts)) {
+    const parts = content.parts
+      .map((part) => {
+        if (typeof part === 'string') return part;
+        if (typeof part?.text === 'string') return part.text;
+        if (typeof part?.content === 'string') return part.content;
+        return '';
+      })
+      .filter(Boolean);
+    return parts.join('\n').trim();
+  }
+
+  if (typeof content.text === 'string') return content.text.trim();
+  if (typeof content.content === 'string') return content.content.trim();
+  return '';
+}
+
+/**
+ * Build a deduplication key for message text
+ * @param {string} text - Message text
+ * @returns {string}
+ */
+export function textKey(text) {
+  return (text || '').slice(0, 150).toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Compare two elements by document order (for Array.prototype.sort)
+ * @param {Element} a
+ * @param {Element} b
+ * @returns {number}
+ */
+export function compareDocumentOrder(a, b) {
+  const position = a.compareDocumentPosition(b);
+  if (position & Node.DOCUMENT_POSITION_FOLLOWING) return -1;
+  if (position & Node.DOCUMENT_POSITION_PRECEDING) return 1;
+  return 0;
+}
+
+/**
+ * Remove scroll-target tags left by a previous extraction pass
+ */
+export function clearMessageTags() {
+  document.querySelectorAll('[data-branch-tree-id]').forEach((el) => {
+    el.removeAttribute('data-branch-tree-id');
+  });
+}
+
+/**
+ * Thrown when a platform reports that a conversation no longer exists
+ */
+export class ConversationNotFoundError extends Error {
+  /**
+   * @param {string} conversationId - Conversation that was not found
+   */
+  constructor(conversationId) {
+    super(`Conversation not found: ${conversationId}`);
+    this.name = 'ConversationNotFoundError';
+    this.conversationId = conversationId;
+  }
+}
+
+/**
+ * Check whether a failed API response means the conversation is gone: a 404
+ * or 410, or another client error whose body says "not found"
+ * @param {Response} res - Fetch response that was not ok
+ * @returns {Promise<boolean>}
+ */
+export async function isNotFoundResponse(res) {
+  if (res.status === 404 || res.status === 410) return true;
+  // Auth and rate-limit failures say nothing about the conversation
+  if (res.status < 400 || res.status >= 500) return false;
+  if ([401, 403, 429].includes(res.status)) return false;
+  try {
+    const body = await res.clone().text();
+    return /not[\s_-]?found/i.test(body);
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Abstract base class for platform adapters
  * Each platform adapter should extend this class
@@ -46,6 +183,13 @@ export class BaseAdapter {
 
     // Debug logging flag
     this._debugEnabled = false;
+
+    // Raw conversation data (with original Markdown) for export
+    this._rawCache = null;
+
+    // Observation state
+    this._observer = null;
+    this._apiMessageListener = null;
   }
 
   // ============================================
@@ -76,6 +220,14 @@ export class BaseAdapter {
     return '#6366f1'; // Default indigo
   }
 
+  /**
+   * Suffix the platform appends to document.title (stripped from titles)
+   * @returns {RegExp|null}
+   */
+  get titleSuffixPattern() {
+    return null;
+  }
+
   // ============================================
   // URL Matching (must override)
   // ============================================
@@ -97,18 +249,75 @@ export class BaseAdapter {
     throw new Error('getConversationId must be implemented');
   }
 
+  /**
+   * Build the URL that opens a conversation on this platform
+   * @param {string} conversationId - Conversation ID
+   * @returns {string}
+   */
+  getConversationUrl(conversationId) {
+    return `${this.getBaseUrl()}/c/${conversationId}`;
+  }
+
   // ============================================
   // Message Extraction (must override)
   // ============================================
 
   /**
    * Extract normalized messages from the current conversation
+   * @param {Object} [_options]
+   * @param {ConversationData} [_options.previous] - Last extraction of the
+   *   same conversation; an adapter may hand its messages back when the
+   *   source data hasn't changed since
    * @returns {Promise<ConversationData>}
    */
-  async extractConversation() {
+  async extractConversation(_options) {
     throw new Error('extractConversation must be implemented');
   }
 
+  /**
+   * Extract normalized messages from another conversation (not the open
+   * page), used to merge related conversations into one graph.
+   * Default: not supported, since DOM extraction only sees the open page.
+   * @param {string} _conversationId - Conversation ID
+   * @returns {Promise<ConversationData|null>}
+   */
+  async extractConversationById(_conversationId) {
+    return null;
+  }
+
+  /**
+   * Extract every branch of the conversation as a tree of user messages.
+   * Default: not supported.
+   * @returns {Promise<{conversationId: string, title: string, roots: Object[]}|null>}
+   */
+  async extractExploreTree() {
+    return null;
+  }
+
+  /**
+   * Extract the current conversation with original Markdown for export.
+   * Default: raw API data captured by the fetch interceptor, then the DOM.
+   * @returns {Promise<ExportData>}
+   */
+  async extractConversationForExport() {
+    const conversationId = this.getConversationId();
+    const cached = this.getRawCache(conversationId);
+
+    if (cached?.messages?.length > 0) {
+      return {
+        conversationId,
+        title: cached.title || this.getPageTitle(),
+        messages: cached.messages
+      };
+    }
+
+    return {
+      conversationId,
+      title: this.getPageTitle(),
+      messages: this.extractDOMMessagesForExport()
+    };
+  }
+
   /**
    * Get alternate versions (edits/regenerations) for a message
    * @param {string} messageId - Message ID
@@ -127,8 +336,157 @@ export class BaseAdapter {
     return false;
   }
 
+  /**
+   * Selectors used to collect messages for export when no API data is cached
+   * @returns {string[]}
+   */
+  get exportSelectors() {
+    return ['[class*="message"]', '[class*="prose"]'];
+  }
+
+  /**
+   * Extract messages from DOM for export (fallback when API cache not available)
+   * @returns {Array} - Array of messages
+   */
+  extractDOMMessagesForExport() {
+    const messages = [];
+    const seenTexts = new Set();
+
+    // Collect all message elements
+    const allElements = [];
+    for (const sel of this.exportSelectors) {
+      for (const el of document.querySelectorAll(sel)) {
+        allElements.push(el);
+      }
+    }
+
+    allElements.sort(compareDocumentOrder);
+
+    let index = 0;
+    for (const el of allElements) {
+      const role = this.determineRole(el);
+      if (role !== 'user' && role !== 'assistant') continue;
+
+      // Look for markdown/prose content
+      const proseEl =
+        el.querySelector('[class*="prose"], [class*="markdown"]') || el;
+      const content = proseEl.textContent?.trim() || '';
+
+      if (!content || content.length < 10) continue;
+
+      // Deduplication
+      const key = content.slice(0, 150).toLowerCase();
+      if (seenTexts.has(key)) continue;
+      seenTexts.add(key);
+
+      messages.push({
+        id: `${this.platformId}-export-${index}`,
+        role,
+        content,
+        text: content,
+        createTime: Date.now() / 1000
+      });
+
+      index++;
+    }
+
+    return messages;
+  }
+
+  /**
+   * Guess the role of a DOM message element from attributes and class names
+   * @param {Element} el - Message element
+   * @returns {'user'|'assistant'|'unknown'}
+   */
+  determineRole(el) {
+    const className = el.className || '';
+    const testId = el.dataset?.testid || '';
+    const roleAttr = el.dataset?.messageAuthorRole;
+
+    // Direct role attribute
+    if (roleAttr === 'user' || roleAttr === 'human') return 'user';
+    if (roleAttr === 'model' || roleAttr === 'assistant') return 'assistant';
+
+    // Class-based detection
+    const userPatterns = ['user', 'human', 'query'];
+    const assistantPatterns = ['assistant', 'model', 'response', 'answer'];
+
+    for (const p of userPatterns) {
+      if (className.includes(p) || testId.includes(p)) return 'user';
+    }
+    for (const p of assistantPatterns) {
+      if (className.includes(p) || testId.includes(p)) return 'assistant';
+    }
+
+    return this._determineRoleFromContext(el);
+  }
+
+  /**
+   * Fallback role detection from surrounding elements
+   * @param {Element} el - Message element
+   * @returns {'user'|'assistant'|'unknown'}
+   */
+  _determineRoleFromContext(el) {
+    const className = el.className || '';
+
+    // 'prose' class alone could be either - need context
+    if (className.includes('prose')) {
+      // Check ancestors for role hints
+      const ancestor = el.closest('[class*="user"], [class*="human"]');
+      if (ancestor) return 'user';
+      const assistantAncestor = el.closest(
+        '[class*="assistant"], [class*="response"], [class*="bot"]'
+      );
+      if (assistantAncestor) return 'assistant';
+    }
+
+    return 'unknown';
+  }
+
   // ============================================
-  // DOM Interaction (must override)
+  // Raw Conversation Cache (for Markdown export)
+  // ============================================
+
+  /**
+   * Store raw conversation data captured from API responses
+   * @param {Object} data - { conversationId, title, messages }
+   */
+  updateRawCache(data) {
+    if (!data) return;
+    this._rawCache = {
+      ...data,
+      lastUpdate: Date.now()
+    };
+  }
+
+  /**
+   * Get raw conversation data if fresh and for the given conversation
+   * @param {string} [conversationId] - Expected conversation ID
+   * @returns {Object|null}
+   */
+  getRawCache(conversationId = null) {
+    const cached = this._rawCache;
+    if (!cached) return null;
+    if (conversationId && cached.conversationId !== conversationId) {
+      return null;
+    }
+    if (Date.now() - cached.lastUpdate > EXPORT_CACHE_TTL_MS) {
+      this._rawCache = null;
+      return null;
+    }
+    return cached;
+  }
+
+  /**
+   * Clear cached conversation data (tokens, API responses)
+   * @returns {Promise<void>}
+   */
+  async clearCache() {
+    this._rawCache = null;
+  }
+
+  // ============================================
+  // DOM Interaction
   // ============================================
 
   /**
@@ -136,8 +494,13 @@ export class BaseAdapter {
    * @param {string} messageId - Message ID to focus
    * @returns {boolean} - Success status
    */
-  scrollToMessage(_messageId) {
-    throw new Error('scrollToMessage must be implemented');
+  scrollToMessage(messageId) {
+    const el = this.findMessageElement(messageId);
+    if (!el) return false;
+
+    el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    this.highlightElement(el);
+    return true;
   }
 
   /**
@@ -146,8 +509,19 @@ export class BaseAdapter {
    * @returns {HTMLElement|null}
    */
   findMessageElement(messageId) {
-    // Default implementation - can be overridden
-    return document.querySelector(`[data-message-id="${messageId}"]`);
+    if (
+      !messageId ||
+      messageId.startsWith('branch') ||
+      messageId.startsWith('title')
+    ) {
+      return null;
+    }
+
+    // Try our custom data attribute first (set during extraction)
+    return (
+      document.querySelector(`[data-branch-tree-id="${messageId}"]`) ||
+      document.querySelector(`[data-message-id="${messageId}"]`)
+    );
   }
 
   /**
@@ -158,7 +532,6 @@ export class BaseAdapter {
   highlightElement(element, duration = 1500) {
     if (!element) return;
 
-    const HIGHLIGHT_CLASS = 'branch-tree-highlight';
     element.classList.add(HIGHLIGHT_CLASS);
     setTimeout(() => element.classList.remove(HIGHLIGHT_CLASS), duration);
   }
@@ -178,34 +551,120 @@ export class BaseAdapter {
 
   /**
    * Start observing DOM changes for auto-refresh
-   * @param {Function} callback - Called when refresh is needed
+   * @param {Function} callback - Called when refresh is needed; an optional
+   *   delay (ms) argument asks for a prompt refresh instead of a throttled one
    * @returns {MutationObserver|null}
    */
   observe(callback) {
-    // Default implementation - watch for significant DOM changes
-    const observer = new MutationObserver((mutations) => {
+    if (this._observer) this._observer.disconnect();
+
+    // Watch for DOM changes - enhanced to catch streaming updates
+    this._observer = new MutationObserver((mutations) => {
       for (const m of mutations) {
+        // Check for added/removed nodes
         if (m.addedNodes.length || m.removedNodes.length) {
           callback();
           return;
         }
+
+        // Check for text content changes (streaming responses)
+        if (m.type === 'characterData') {
+          callback();
+          return;
+        }
+
+        // Check for attribute changes on message containers
+        if (m.type === 'attributes' && m.target instanceof Element) {
+          // Trigger refresh when streaming completes (changes to "false")
+          if (
+            m.attributeName === 'data-is-streaming' &&
+            m.target.getAttribute('data-is-streaming') === 'false'
+          ) {
+            callback();
+            return;
+          }
+
+          const className = m.target.className || '';
+          if (
+            className.includes('message') ||
+            className.includes('prose') ||
+            className.includes('response') ||
+            className.includes('Message')
+          ) {
+            callback();
+            return;
+          }
+        }
       }
     });
 
-    observer.observe(document.body, {
+    this._observer.observe(document.body, {
       childList: true,
       subtree: true,
-      attributes: false,
-      characterData: false
+      attributes: true,
+      characterData: true,
+      attributeFilter: [
+        'class',
+        'data-testid',
+        'data-message-id',
+        'data-is-streaming'
+      ]
     });
 
-    return observer;
+    return this._observer;
+  }
+
+  /**
+   * Inject the platform fetch interceptor and forward captured API
+   * responses to handleApiResponse()
+   * @param {Function} callback - Observe callback to trigger on new data
+   */
+  listenForApiResponses(callback) {
+    const messageType = getInterceptorMessageType(this.platformId);
+    if (!messageType || this._apiMessageListener) return;
+
+    this._apiMessageListener = (event) => {
+      if (event.source !== window) return;
+      if (event.data?.type !== messageType) return;
+      if (this.handleApiResponse(event.data.data, event.data.url)) {
+        callback(100);
+      }
+    };
+    window.addEventListener('message', this._apiMessageListener);
+    injectFetchInterceptor(this.platformId);
+  }
+
+  /**
+   * Process an API response captured by the fetch interceptor
+   * @param {Object} data - Parsed response body
+   * @param {string} url - Request URL
+   * @returns {boolean} - True if new conversation data was captured
+   */
+  handleApiResponse(_data, _url) {
+    return false;
+  }
+
+  /**
+   * Notification from the background script that a platform API request
+   * completed (webRequest listener)
+   * @param {string} url - Request URL
+   */
+  onApiCompleted(_url) {
+    // Default: no-op
   }
 
   /**
    * Cleanup when adapter is deactivated
    */
   cleanup() {
+    if (this._observer) {
+      this._observer.disconnect();
+      this._observer = null;
+    }
+    if (this._apiMessageListener) {
+      window.removeEventListener('message', this._apiMessageListener);
+      this._apiMessageListener = null;
+    }
     this.debug(`${this.platformName} adapter cleanup`);
   }
 
@@ -230,6 +689,26 @@ export class BaseAdapter {
     // Default: no-op
   }
 
+  /**
+   * Record a pending branch once its child conversation has loaded
+   * @param {string} _currentConvId - Current conversation ID
+   * @param {string} _currentTitle - Current conversation title
+   * @param {Object} _raw - Raw conversation data from extractConversation()
+   * @param {Object} _branchData - Pre-loaded branch data
+   * @returns {Promise<Object|null>} - Updated branch data if modified
+   */
+  async checkPendingBranch(_currentConvId, _currentTitle, _raw, _branchData) {
+    return null;
+  }
+
+  /**
+   * Key of the current conversation in the persistent conversation cache
+   * @returns {string|null} - Null on platforms that don't use that cache
+   */
+  getCacheConversationId() {
+    return null;
+  }
+
   // ============================================
   // Utility Methods
   // ============================================
@@ -242,6 +721,16 @@ export class BaseAdapter {
     return window.location.origin;
   }
 
+  /**
+   * Get document.title without the platform suffix
+   * @returns {string}
+   */
+  getPageTitle() {
+    const title = document.title || '';
+    const suffix = this.titleSuffixPattern;
+    return suffix ? title.replace(suffix, '').trim() : title;
+  }
+
   /**
    * Inject highlight styles into the page
    */
@@ -252,7 +741,7 @@ export class BaseAdapter {
     const style = document.createElement('style');
     style.id = STYLE_ID;
     style.textContent = `
-      .branch-tree-highlight {
+      .${HIGHLIGHT_CLASS} {
         outline: 3px solid #6b8af7 !important;
         outline-offset: 2px;
         border-radius: 8px;
@@ -269,26 +758,9 @@ export class BaseAdapter {
    */
   extractText(message) {
     if (!message) return '';
-
-    // ChatGPT format
-    if (Array.isArray(message.content?.parts)) {
-      return message.content.parts.join('\n').trim();
-    }
-
-    // Generic text content
-    if (typeof message.content === 'string') {
-      return message.content.trim();
-    }
-
-    if (message.content?.text) {
-      return message.content.text.trim();
-    }
-
-    if (message.text) {
-      return message.text.trim();
-    }
-
-    return '';
+    const contentText = normalizeContent(message.content);
+    if (contentText) return contentText;
+    return normalizeContent(message.text);
   }
 
   /**
@@ -3,11 +3,29 @@
  * Handles conversation extraction, edit versions, and branch tracking for ChatGPT
  */
 
-import { BaseAdapter } from '../base-adapter.js';
+import {
+  BaseAdapter,
+  ConversationNotFoundError,
+  isNotFoundResponse
+} from '../base-adapter.js';
 import * as storage from '../../core/storage.js';
+import { addSource, citeMarker } from '../../core/export-message.js';
+import {
+  cleanChatGPTConversationId,
+  extractChatGPTConversationIdFromPath,
+  isPreBranchChatGPTId,
+  matchPendingFork,
+  selectFirstMessageAfterTimestamp
+} from '../../core/chatgpt-branch-utils.js';
 
 // Constants
 const TOKEN_TTL_MS = 5 * 60 * 1000; // 5 minute TTL for access token
+const PENDING_BRANCH_TTL_SECONDS = 120;
+// A pending branch that knows its fork message is kept long enough for slow
+// branch creations to finish; it only uses this window for a conversation
+// whose mapping holds that message (see matchPendingFork)
+const PENDING_BRANCH_FORK_TTL_SECONDS = 15 * 60;
+const URL_POLL_INTERVAL_MS = 1000;
 
 const CHATGPT_INTERNAL_MESSAGE_TYPES = new Set([
   'analysis',
@@ -61,6 +79,11 @@ const CHATGPT_TOOL_CALL_KEYS = new Set([
 
 const CHATGPT_TOOL_CALL_HINTS = Array.from(CHATGPT_TOOL_CALL_KEYS);
 
+// Citation text in replies: private-use marks in newer replies, 【n†source】
+// in older ones
+const CHATGPT_CITATION_MARK = /[\ue200-\ue206【]/;
+const CHATGPT_CITATION_SPAN = /\ue200[^\ue201]*\ue201/g;
+
 function getChatGPTContentType(message) {
   const content = message?.content;
   const rawType =
@@ -172,6 +195,194 @@ function isThinkingLabel(text) {
   return false;
 }
 
+/**
+ * Replace the citation text in a reply with [^n] markers
+ * @param {string} text - Message text
+ * @param {Object} [metadata] - Message metadata
+ * @param {ExportSource[]} sources - Filled with the cited pages
+ * @returns {string}
+ */
+function applyChatGPTCitations(text, metadata, sources) {
+  const references = Array.isArray(metadata?.content_references)
+    ? metadata.content_references
+    : [];
+  if (references.length > 0) {
+    let result = text;
+    for (const reference of references) {
+      const pages = [
+        reference,
+        ...(Array.isArray(reference?.items) ? reference.items : []),
+        ...(Array.isArray(reference?.sources) ? reference.sources : [])
+      ];
+      const numbers = new Set(
+        pages
+          .map((page) =>
+            addSource(sources, { url: page?.url, title: page?.title })
+          )
+          .filter(Boolean)
+      );
+      // Other references (footnote lists, spacing) match plain text
+      const matched = reference?.matched_text;
+      if (typeof matched !== 'string' || !CHATGPT_CITATION_MARK.test(matched)) {
+        continue;
+      }
+      result = result
+        .split(matched)
+        .join([...numbers].map(citeMarker).join(''));
+    }
+    return result.replace(CHATGPT_CITATION_SPAN, '');
+  }
+
+  // Older replies: citations by character range
+  const citations = (
+    Array.isArray(metadata?.citations) ? metadata.citations : []
+  )
+    .filter(
+      (citation) =>
+        Number.isInteger(citation?.start_ix) &&
+        Number.isInteger(citation?.end_ix) &&
+        citation.start_ix <= citation.end_ix &&
+        citation.end_ix <= text.length
+    )
+    .sort((a, b) => a.start_ix - b.start_ix)
+    .map((citation) => ({
+      ...citation,
+      number: addSource(sources, {
+        url: citation.metadata?.url,
+        title: citation.metadata?.title
+      })
+    }));
+  let result = text;
+  for (const citation of citations.reverse()) {
+    const marker = citation.number ? citeMarker(citation.number) : '';
+    result =
+      result.slice(0, citation.start_ix) +
+      marker +
+      result.slice(citation.end_ix);
+  }
+  return result;
+}
+
+/**
+ * Files attached to a message and images in its parts. The API only gives
+ * file IDs, which need a signed download link.
+ * @param {Object} message - Raw message
+ * @returns {ExportAttachment[]}
+ */
+function getChatGPTAttachments(message) {
+  const attachments = [];
+  const seen = new Set();
+  const add = (attachment) => {
+    if (attachment.fileId && seen.has(attachment.fileId)) return;
+    if (attachment.fileId) seen.add(attachment.fileId);
+    attachments.push(attachment);
+  };
+
+  const files = message?.metadata?.attachments;
+  for (const file of Array.isArray(files) ? files : []) {
+    if (!file?.id && !file?.name) continue;
+    add({
+      name: file.name || file.id,
+      mimeType: file.mime_type || file.mimeType || '',
+      size: file.size || 0,
+      fileId: file.id || ''
+    });
+  }
+
+  const parts = message?.content?.parts;
+  for (const part of Array.isArray(parts) ? parts : []) {
+    if (part?.content_type !== 'image_asset_pointer') continue;
+    const fileId = String(part.asset_pointer || '').replace(
+      /^[a-z-]+:\/\//,
+      ''
+    );
+    add({
+      name: fileId || 'Image',
+      mimeType: '',
+      size: part.size_bytes || 0,
+      fileId
+    });
+  }
+
+  return attachments;
+}
+
+/**
+ * Code the code interpreter ran, or what it printed
+ * @param {Object} [message] - Raw message left out of the export
+ * @returns {ExportBlock[]}
+ */
+function getChatGPTToolBlocks(message) {
+  const text = message?.content?.text;
+  if (typeof text !== 'string' || !text.trim()) return [];
+
+  const contentType = getChatGPTContentType(message);
+  if (contentType === 'execution_output') return [{ kind: 'output', text }];
+
+  const recipient = message.recipient || message.metadata?.recipient;
+  if (contentType === 'code' && recipient === 'python') {
+    const language = message.content.language;
+    return [
+      {
+        kind: 'code',
+        text,
+        language: language && language !== 'unknown' ? language : 'python'
+      }
+    ];
+  }
+  return [];
+}
+
+/**
+ * Detect if a click target is a "Branch in new chat" button.
+ * Uses multiple heuristics for resilience against UI changes.
+ * @param {Element} target - Click target
+ * @returns {boolean}
+ */
+function isBranchButton(target) {
+  if (!target) return false;
+
+  // Check text content (case-insensitive, partial match)
+  const text = (target.textContent || '').trim().toLowerCase();
+  if (text.includes('branch')) return true;
+
+  // Check aria-label
+  const ariaLabel = (target.getAttribute?.('aria-label') || '').toLowerCase();
+  if (ariaLabel.includes('branch')) return true;
+
+  // Check data-testid
+  const testId = target.dataset?.testid || '';
+  if (testId.includes('branch')) return true;
+
+  // Check closest parent with branch indicators
+  const branchParent = target.closest?.(
+    '[data-testid*="branch"], [aria-label*="branch" i]'
+  );
+  if (branchParent) return true;
+
+  return false;
+}
+
+/**
+ * Find the message a click happened on.
+ * Action buttons sit next to the message content inside the conversation
+ * turn, so fall back to the last message element in the enclosing turn.
+ * @param {Element} target - Click target
+ * @returns {string|null} - data-message-id of the message, if any
+ */
+function findClickedMessageId(target) {
+  const messageEl = target?.closest?.('[data-message-id]');
+  if (messageEl) return messageEl.getAttribute('data-message-id');
+
+  const turn = target?.closest?.(
+    'article, [data-testid^="conversation-turn-"]'
+  );
+  const turnMessages = turn?.querySelectorAll('[data-message-id]');
+  if (!turnMessages?.length) return null;
+
+  return turnMessages[turnMessages.length - 1].getAttribute('data-message-id');
+}
+
 /**
  * ChatGPT Platform Adapter
  */
@@ -185,9 +396,14 @@ export class ChatGPTAdapter extends BaseAdapter {
 
     // Pending branch detection
     this._pendingBranch = null;
+    this._lastClickedMessageId = null;
+    this._onBranchCreated = null;
+    this._lastUrl = null;
+    this._urlPollInterval = null;
 
     // Bind methods for event listeners
     this._handleBranchClick = this._handleBranchClick.bind(this);
+    this._checkUrlChange = this._checkUrlChange.bind(this);
   }
 
   // ============================================
@@ -206,6 +422,10 @@ export class ChatGPTAdapter extends BaseAdapter {
     return '#10a37f';
   }
 
+  get titleSuffixPattern() {
+    return /\s*[-–]\s*ChatGPT\s*$/i;
+  }
+
   // ============================================
   // URL Matching
   // ============================================
@@ -216,10 +436,21 @@ export class ChatGPTAdapter extends BaseAdapter {
     );
   }
 
+  /**
+   * Get the conversation ID (without the WEB: pre-branch prefix)
+   * @returns {string|null}
+   */
   getConversationId() {
-    // Match both regular IDs and WEB: prefixed pre-branch IDs
-    const match = location.pathname.match(/\/c\/((?:WEB:)?[0-9a-f-]+)/i);
-    return match?.[1] || null;
+    return cleanChatGPTConversationId(this.getRawConversationId());
+  }
+
+  /**
+   * Get the conversation ID as it appears in the URL, including any
+   * WEB: prefix used for pre-branch previews
+   * @returns {string|null}
+   */
+  getRawConversationId() {
+    return extractChatGPTConversationIdFromPath(location.pathname);
   }
 
   /**
@@ -227,8 +458,7 @@ export class ChatGPTAdapter extends BaseAdapter {
    * @returns {boolean}
    */
   isPreBranch() {
-    const id = this.getConversationId();
-    return id ? id.startsWith('WEB:') : false;
+    return isPreBranchChatGPTId(this.getRawConversationId());
   }
 
   /**
@@ -237,9 +467,11 @@ export class ChatGPTAdapter extends BaseAdapter {
    * @returns {string|null} - Clean ID
    */
   getCleanConversationId(id) {
-    const convId = id || this.getConversationId();
-    if (!convId) return null;
-    return convId.replace(/^WEB:/, '');
+    return cleanChatGPTConversationId(id || this.getRawConversationId());
+  }
+
+  getCacheConversationId() {
+    return this.getCleanConversationId() || null;
   }
 
   getBaseUrl() {
@@ -292,6 +524,7 @@ export class ChatGPTAdapter extends BaseAdapter {
   ) {
     // For WEB: prefixed IDs, fetch the parent conversation
     const cleanId = this.getCleanConversationId(conversationId);
+    if (!cleanId) throw new Error('No conversation ID found');
     const fetchId = cleanId;
 
     // Check cache first
@@ -303,17 +536,30 @@ export class ChatGPTAdapter extends BaseAdapter {
       }
     }
 
-    const token = await this.getAccessToken();
-    const res = await fetch(
-      `${this.getBaseUrl()}/backend-api/conversation/${fetchId}`,
-      {
-        headers: {
-          Authorization: `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        credentials: 'include'
+    let res;
+    try {
+      const token = await this.getAccessToken();
+      res = await fetch(
+        `${this.getBaseUrl()}/backend-api/conversation/${fetchId}`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          },
+          credentials: 'include'
+        }
+      );
+    } catch (err) {
+      // Offline: fall back to a copy kept past its TTL (pinned entries)
+      const stale = await storage.getCachedConversation(fetchId, isCurrent, {
+        allowStale: true
+      });
+      if (stale) {
+        this.debug('Fetch failed, using stale cached conversation:', fetchId);
+        return stale;
       }
-    );
+      throw err;
+    }
 
     // Handle auth errors
     if (res.status === 401 && retryOnAuthError) {
@@ -322,7 +568,13 @@ export class ChatGPTAdapter extends BaseAdapter {
       return this.fetchConversation(conversationId, useCache, isCurrent, false);
     }
 
-    if (!res.ok) throw new Error(`Conversation fetch failed: ${res.status}`);
+    if (!res.ok) {
+      if (await isNotFoundResponse(res)) {
+        await storage.clearCachedConversation(fetchId);
+        throw new ConversationNotFoundError(fetchId);
+      }
+      throw new Error(`Conversation fetch failed: ${res.status}`);
+    }
 
     const data = await res.json();
     await storage.setCachedConversation(fetchId, data);
@@ -340,37 +592,275 @@ export class ChatGPTAdapter extends BaseAdapter {
 
   /**
    * Extract conversation with normalized messages and edit version info
+   * @param {Object} [options]
+   * @param {ConversationData} [options.previous] - Last extraction; its
+   *   messages are reused while the cache returns the same response
    * @returns {Promise<ConversationData>}
    */
-  async extractConversation() {
+  async extractConversation({ previous = null } = {}) {
     const conversationId = this.getConversationId();
     if (!conversationId) {
       throw new Error('No conversation ID found');
     }
 
-    const isPreBranch = this.isPreBranch();
-    const cleanId = this.getCleanConversationId(conversationId);
     const conv = await this.fetchConversation(conversationId, true, true);
-    const messages = this._extractTree(conv.mapping, conv.current_node);
-
-    // Add pre-branch indicator if in pre-branch state
-    if (isPreBranch) {
-      messages.push({
-        id: 'pre-branch-indicator',
-        type: 'preBranchIndicator',
-        text: 'You are viewing a branch preview. Send a message to create a new branch.',
-        depth: 0,
-        isPersistent: true
-      });
-    }
+    const messages =
+      previous?.raw === conv
+        ? previous.messages
+        : this._extractTree(conv.mapping, conv.current_node);
 
     return {
-      conversationId: cleanId,
+      conversationId,
       title: conv.title || 'Conversation',
       messages,
       raw: conv,
-      isPreBranch
+      isPreBranch: this.isPreBranch()
+    };
+  }
+
+  /**
+   * Extract a related conversation through the conversation cache
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<ConversationData|null>}
+   */
+  async extractConversationById(conversationId) {
+    if (!conversationId) return null;
+
+    const conv = await this.fetchConversation(conversationId, true, false);
+    return {
+      conversationId: this.getCleanConversationId(conversationId),
+      title: conv.title || 'Conversation',
+      messages: this._extractTree(conv.mapping, conv.current_node),
+      raw: conv
+    };
+  }
+
+  /**
+   * Fetch a fresh copy of the conversation with original Markdown for export
+   * @returns {Promise<ExportData>}
+   */
+  async extractConversationForExport() {
+    const conversationId = this.getConversationId();
+    const conv = await this.fetchConversation(conversationId, false, true);
+    const title = conv.title || document.title || 'Conversation';
+
+    // Extract ALL messages (both user and assistant) with original Markdown
+    const messages = this._extractMessagesForExport(
+      conv.mapping,
+      conv.current_node
+    );
+    // Every branch, for exports that include other versions
+    const allMessages = this._extractAllMessagesForExport(conv.mapping);
+
+    this.updateRawCache({ conversationId, title, messages, allMessages });
+    return { conversationId, title, messages, allMessages };
+  }
+
+  /**
+   * Extract a related conversation with original Markdown for export, through
+   * the conversation cache
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<ExportData>}
+   */
+  async extractConversationForExportById(conversationId) {
+    const conv = await this.fetchConversation(conversationId, true, false);
+    return {
+      conversationId: this.getCleanConversationId(conversationId),
+      title: conv.title || 'Conversation',
+      messages: this._extractMessagesForExport(conv.mapping, conv.current_node)
+    };
+  }
+
+  /**
+   * Extract all messages on the current path for export (user AND assistant)
+   * @param {Object} mapping - ChatGPT conversation mapping
+   * @param {string} currentNode - Current node ID
+   * @returns {Array} - Array of messages with content
+   */
+  _extractMessagesForExport(mapping, currentNode) {
+    if (!mapping) return [];
+
+    let rootId = null;
+    for (const [id, entry] of Object.entries(mapping)) {
+      if (!entry.parent) rootId = id;
+    }
+
+    const currentPath = this._buildCurrentPath(mapping, rootId, currentNode);
+    const messages = [];
+    // Code interpreter nodes are left out, but kept with the reply they lead to
+    let blocks = [];
+    for (const nodeId of currentPath) {
+      const msg = mapping[nodeId]?.message;
+      const message = this._toExportMessage(nodeId, msg);
+      if (!message) {
+        blocks.push(...getChatGPTToolBlocks(msg));
+        continue;
+      }
+      if (message.role === 'assistant' && blocks.length > 0) {
+        message.blocks = blocks;
+      }
+      blocks = [];
+      messages.push(message);
+    }
+    return messages;
+  }
+
+  /**
+   * Extract every message of every branch for export. Each message's
+   * parentId is the closest exported message before it, skipping system and
+   * internal nodes; code interpreter nodes skipped before a reply become its
+   * blocks.
+   * @param {Object} mapping - ChatGPT conversation mapping
+   * @returns {Array} - Messages in mapping order
+   */
+  _extractAllMessagesForExport(mapping) {
+    if (!mapping) return [];
+
+    const exported = new Map();
+    for (const [nodeId, entry] of Object.entries(mapping)) {
+      const message = this._toExportMessage(nodeId, entry?.message);
+      if (message) exported.set(nodeId, message);
+    }
+
+    for (const [nodeId, message] of exported) {
+      const seen = new Set([nodeId]);
+      const blocks = [];
+      let parentId = mapping[nodeId]?.parent;
+      while (parentId && !exported.has(parentId) && !seen.has(parentId)) {
+        seen.add(parentId);
+        blocks.unshift(...getChatGPTToolBlocks(mapping[parentId]?.message));
+        parentId = mapping[parentId]?.parent;
+      }
+      message.parentId = exported.has(parentId) ? parentId : null;
+      if (message.role === 'assistant' && blocks.length > 0) {
+        message.blocks = blocks;
+      }
+    }
+
+    return [...exported.values()];
+  }
+
+  /**
+   * Convert a mapping message for export, with its cited pages and
+   * attachments
+   * @param {string} nodeId - Mapping node ID
+   * @param {Object} [msg] - Raw message
+   * @returns {ExportMessage|null} - Null for messages the export leaves out
+   */
+  _toExportMessage(nodeId, msg) {
+    if (!msg) return null;
+
+    const role = msg.author?.role;
+    if (role !== 'user' && role !== 'assistant') return null;
+
+    const text = this.extractText(msg);
+    const attachments = getChatGPTAttachments(msg);
+    // A message may be only an image
+    if ((!text || !text.trim()) && attachments.length === 0) return null;
+    if (this._isInternalMessage(msg, text)) return null;
+    // Code interpreter runs go with the reply they lead to
+    if (getChatGPTToolBlocks(msg).length > 0) return null;
+
+    const sources = [];
+    const message = {
+      id: nodeId,
+      role,
+      // Original Markdown content from API
+      content: applyChatGPTCitations(text, msg.metadata, sources),
+      text,
+      createTime: this.toSeconds(msg.create_time || 0)
     };
+    if (sources.length > 0) message.sources = sources;
+    if (attachments.length > 0) message.attachments = attachments;
+    return message;
+  }
+
+  // ============================================
+  // Branch Switching
+  // ============================================
+
+  /**
+   * Switch the conversation's current_node to the leaf of a sibling branch
+   * @param {string} branchNodeId - Sibling message ID to switch to
+   * @returns {Promise<{ok: boolean, error?: string}>}
+   */
+  async switchToBranch(branchNodeId) {
+    const convId = this.getConversationId();
+    if (!convId || !branchNodeId) {
+      return { ok: false, error: 'Missing data' };
+    }
+
+    // Build children map to find leaf of the branch
+    const conv = await this.fetchConversation(convId, true, true);
+    const childrenMap = {};
+    for (const [id, entry] of Object.entries(conv.mapping || {})) {
+      const parentId = entry.parent;
+      if (parentId) {
+        if (!childrenMap[parentId]) {
+          childrenMap[parentId] = [];
+        }
+        childrenMap[parentId].push(id);
+      }
+    }
+
+    const leafId = this._findBranchLeaf(branchNodeId, childrenMap);
+
+    // PATCH the conversation to switch current_node
+    const token = await this.getAccessToken();
+    const res = await fetch(
+      `${this.getBaseUrl()}/backend-api/conversation/${convId}`,
+      {
+        method: 'PATCH',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({ current_node: leafId })
+      }
+    );
+
+    if (!res.ok) {
+      return { ok: false, error: `API returned ${res.status}` };
+    }
+
+    // Clear cache to force fresh extraction
+    await storage.clearCachedConversation(convId);
+    return { ok: true };
+  }
+
+  /**
+   * Find the leaf node of a branch subtree (for switching)
+   * @param {string} nodeId - Branch root message ID
+   * @param {Object} childrenMap - parentId -> [childIds]
+   * @returns {string}
+   */
+  _findBranchLeaf(nodeId, childrenMap) {
+    let current = nodeId;
+    while (true) {
+      const children = childrenMap[current] || [];
+      if (children.length === 0) return current;
+      // Follow the last child (most recent path)
+      current = children[children.length - 1];
+    }
+  }
+
+  /**
+   * Drop the cached copy of the current conversation after an in-page
+   * version switch so the next extraction sees the new path
+   * @returns {Promise<void>}
+   */
+  async invalidateCurrentConversation() {
+    const convId = this.getConversationId();
+    if (convId) {
+      await storage.clearCachedConversation(convId);
+    }
+  }
+
+  async clearCache() {
+    await super.clearCache();
+    await storage.clearConversationCache();
+    this.clearTokenCache();
   }
 
   /**
@@ -539,6 +1029,8 @@ export class ChatGPTAdapter extends BaseAdapter {
           if (this._isInternalMessage(sibMsg, sibText)) continue;
 
           const sibIndex = sortedSiblings.findIndex((s) => s.id === sib.id) + 1;
+          // Assistant siblings are regenerated responses, not edits
+          const isResponse = sibRole === 'assistant';
 
           messages.push({
             id: `edit-branch:${sib.id}`,
@@ -551,13 +1043,13 @@ export class ChatGPTAdapter extends BaseAdapter {
             editVersionIndex: sibIndex,
             totalVersions: sortedSiblings.length,
             siblingIds: sortedSiblings.map((s) => s.id),
-            editVersionLabel: `Edit v${sibIndex}/${sortedSiblings.length}`,
+            editVersionLabel: `${isResponse ? 'Response' : 'Edit'} v${sibIndex}/${sortedSiblings.length}`,
             descendantCount: this._countDescendants(
               sib.id,
               childrenMap,
               mapping
             ),
-            icon: 'edit' // Icon type for visual distinction
+            icon: isResponse ? 'chat' : 'edit' // Icon type for visual distinction
           });
         }
       }
@@ -589,6 +1081,95 @@ export class ChatGPTAdapter extends BaseAdapter {
     return count;
   }
 
+  /**
+   * Extract the whole mapping as a tree of user messages for explore mode
+   * @returns {Promise<{conversationId: string, title: string, roots: Object[]}>}
+   */
+  async extractExploreTree() {
+    const conversationId = this.getConversationId();
+    if (!conversationId) {
+      throw new Error('No conversation ID found');
+    }
+
+    const conv = await this.fetchConversation(conversationId, true, true);
+    return {
+      conversationId,
+      title: conv.title || 'Conversation',
+      roots: this._buildExploreTree(conv.mapping, conv.current_node)
+    };
+  }
+
+  /**
+   * Build a tree of user messages covering every branch of the mapping.
+   * Assistant and hidden nodes are skipped, so a node's children are the
+   * next user messages below it, including ones after regenerated answers.
+   * @param {Object} mapping - Conversation mapping
+   * @param {string} currentNode - Current node ID
+   * @returns {Object[]} - { id, text, createTime, isCurrentPath, descendantCount, children }
+   */
+  _buildExploreTree(mapping, currentNode) {
+    if (!mapping) return [];
+
+    const childrenMap = {};
+    let rootId = null;
+    for (const [id, entry] of Object.entries(mapping)) {
+      if (!entry.parent) {
+        rootId = id;
+      } else {
+        if (!childrenMap[entry.parent]) childrenMap[entry.parent] = [];
+        childrenMap[entry.parent].push(id);
+      }
+    }
+
+    const currentPath = new Set(
+      this._buildCurrentPath(mapping, rootId, currentNode)
+    );
+    const userTextOf = (id) => {
+      const msg = mapping[id]?.message;
+      if (msg?.author?.role !== 'user') return null;
+      const text = this.extractText(msg);
+      if (!text || !text.trim() || this._isInternalMessage(msg, text)) {
+        return null;
+      }
+      return text;
+    };
+
+    const nextUserMessages = (nodeId) => {
+      const result = [];
+      const stack = [...(childrenMap[nodeId] || [])].reverse();
+      while (stack.length > 0) {
+        const id = stack.pop();
+        if (userTextOf(id) !== null) {
+          result.push(id);
+        } else {
+          stack.push(...[...(childrenMap[id] || [])].reverse());
+        }
+      }
+      return result.sort(
+        (a, b) =>
+          (mapping[a]?.message?.create_time || 0) -
+          (mapping[b]?.message?.create_time || 0)
+      );
+    };
+
+    const build = (id) => {
+      const children = nextUserMessages(id).map(build);
+      return {
+        id,
+        text: userTextOf(id),
+        createTime: this.toSeconds(mapping[id]?.message?.create_time || 0),
+        isCurrentPath: currentPath.has(id),
+        descendantCount: children.reduce(
+          (count, child) => count + 1 + child.descendantCount,
+          0
+        ),
+        children
+      };
+    };
+
+    return rootId ? nextUserMessages(rootId).map(build) : [];
+  }
+
   /**
    * Build the path from root to current node
    * @param {Object} mapping - Conversation mapping
@@ -690,23 +1271,15 @@ export class ChatGPTAdapter extends BaseAdapter {
   // ============================================
 
   findMessageElement(nodeId) {
-    if (!nodeId || nodeId.startsWith('branch')) return null;
+    const el = super.findMessageElement(nodeId);
+    if (el || !nodeId || nodeId.startsWith('branch')) return el;
+
     return (
-      document.querySelector(`[data-message-id="${nodeId}"]`) ||
       document.querySelector(`[data-testid="conversation-turn-${nodeId}"]`) ||
       document.getElementById(nodeId)
     );
   }
 
-  scrollToMessage(messageId) {
-    const el = this.findMessageElement(messageId);
-    if (!el) return false;
-
-    el.scrollIntoView({ behavior: 'smooth', block: 'center' });
-    this.highlightElement(el);
-    return true;
-  }
-
   // ============================================
   // Branch Detection
   // ============================================
@@ -716,39 +1289,71 @@ export class ChatGPTAdapter extends BaseAdapter {
   }
 
   setupBranchDetection(onBranchCreated) {
+    this._onBranchCreated = onBranchCreated || null;
     document.addEventListener('click', this._handleBranchClick, true);
-    this._onBranchCreated = onBranchCreated;
+
+    // Poll for URL changes (pushState doesn't fire events)
+    this._lastUrl = location.href;
+    if (!this._urlPollInterval) {
+      this._urlPollInterval = setInterval(
+        this._checkUrlChange,
+        URL_POLL_INTERVAL_MS
+      );
+    }
   }
 
   _handleBranchClick(e) {
-    const target = e.target;
-    if (!target) return;
-
-    // Multiple heuristics for resilience
-    const text = (target.textContent || '').trim().toLowerCase();
-    const ariaLabel = (target.getAttribute('aria-label') || '').toLowerCase();
-    const testId = target.dataset?.testid || '';
-    const hasParent = target.closest(
-      '[data-testid*="branch"], [aria-label*="branch" i]'
-    );
+    // The branch item usually lives in a menu portal outside the message,
+    // so remember the last message the user interacted with
+    const clickedMessageId = findClickedMessageId(e.target);
+    if (clickedMessageId) this._lastClickedMessageId = clickedMessageId;
+
+    if (!isBranchButton(e.target)) return;
+
+    const convId = this.getConversationId();
+    if (!convId) return;
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const forkMessageId =
+      clickedMessageId || this._lastClickedMessageId || null;
+    this._pendingBranch = {
+      parentId: convId,
+      timestamp,
+      forkMessageId,
+      expiresAt:
+        timestamp +
+        (forkMessageId
+          ? PENDING_BRANCH_FORK_TTL_SECONDS
+          : PENDING_BRANCH_TTL_SECONDS)
+    };
+    storage.setPendingBranch(this._pendingBranch);
+    this.debug('Pending branch created:', this._pendingBranch);
+  }
 
-    const isBranch =
-      text.includes('branch') ||
-      ariaLabel.includes('branch') ||
-      testId.includes('branch') ||
-      hasParent;
-
-    if (isBranch) {
-      const convId = this.getConversationId();
-      if (convId) {
-        const timestampSeconds = Math.floor(Date.now() / 1000);
-        this._pendingBranch = {
-          parentId: convId,
-          timestamp: timestampSeconds
-        };
-        storage.setPendingBranch(this._pendingBranch);
-        this.debug('Pending branch created:', this._pendingBranch);
-      }
+  /**
+   * URL change detection for branch creation backup
+   */
+  _checkUrlChange() {
+    const currentUrl = location.href;
+    if (currentUrl === this._lastUrl) return;
+
+    const oldRaw = extractChatGPTConversationIdFromPath(
+      new URL(this._lastUrl).pathname
+    );
+    const newRaw = extractChatGPTConversationIdFromPath(
+      new URL(currentUrl).pathname
+    );
+    this._lastUrl = currentUrl;
+    // A click on the previous page can't be the fork of a later branch
+    this._lastClickedMessageId = null;
+
+    const oldClean = cleanChatGPTConversationId(oldRaw);
+    const newClean = cleanChatGPTConversationId(newRaw);
+    const preBranchChanged =
+      isPreBranchChatGPTId(oldRaw) !== isPreBranchChatGPTId(newRaw);
+    if (oldClean && newClean && (oldClean !== newClean || preBranchChanged)) {
+      // Navigation to a different conversation - check pending
+      this._onBranchCreated?.(newClean);
     }
   }
 
@@ -756,97 +1361,81 @@ export class ChatGPTAdapter extends BaseAdapter {
    * Check and process pending branch creation
    * @param {string} currentConvId - Current conversation ID
    * @param {string} currentTitle - Current conversation title
-   * @param {Object} mapping - Current conversation mapping
+   * @param {Object} raw - Current conversation API response
    * @param {Object} branchData - Pre-loaded branch data
    * @returns {Promise<Object|null>} - Updated branch data if modified
    */
-  async checkPendingBranch(currentConvId, currentTitle, mapping, branchData) {
-    const pending = await storage.getPendingBranch();
+  async checkPendingBranch(currentConvId, currentTitle, raw, branchData) {
+    // Only a click made in this tab (or the tab that opened it) counts; the
+    // background keeps it until this tab leaves the parent conversation
+    const pending = await storage.claimPendingBranch(currentConvId);
     if (!pending) return null;
 
-    const nowInSeconds = Math.floor(Date.now() / 1000);
-
-    // Expire after 2 minutes
-    if (nowInSeconds - pending.timestamp > 120) {
-      await storage.clearPendingBranch();
+    const match = matchPendingFork(
+      pending,
+      raw?.mapping,
+      Math.floor(Date.now() / 1000),
+      PENDING_BRANCH_TTL_SECONDS
+    );
+    if (!match.matched) {
+      this.debug('Ignored pending branch without its fork message:', pending);
       return null;
     }
 
-    // Don't process if we're on the parent conversation
-    if (pending.parentId === currentConvId) return null;
-
-    // Get parent timestamps for filtering carry-over messages
-    let parentTimestamps = null;
-    try {
-      const parentConv = await this.fetchConversation(pending.parentId);
-      parentTimestamps = this._getMessageTimestamps(parentConv.mapping);
-    } catch (err) {
-      this.debug('Could not fetch parent for timestamp filtering:', err);
+    // Get first user message sent after the click for better branch naming,
+    // and the last inherited message as the fork point if the click didn't
+    // capture one
+    const userMessages = [];
+    let forkMessageId = match.forkMessageId;
+    let forkTime = 0;
+    for (const entry of Object.values(raw?.mapping || {})) {
+      const msg = entry?.message;
+      const role = msg?.author?.role;
+      if (role !== 'user' && role !== 'assistant') continue;
+      const text = this.extractText(msg);
+      if (!text || this._isInternalMessage(msg, text)) continue;
+      const createTime = this.toSeconds(msg.create_time || 0);
+
+      if (
+        !match.forkMessageId &&
+        createTime &&
+        createTime <= pending.timestamp &&
+        createTime >= forkTime
+      ) {
+        forkMessageId = msg.id;
+        forkTime = createTime;
+      }
+      if (role === 'user') {
+        userMessages.push({ text, createTime });
+      }
     }
-
-    // Extract first unique user message
-    const firstMessage = this._extractFirstUserMessage(
-      mapping,
-      parentTimestamps
+    const firstMessage = selectFirstMessageAfterTimestamp(
+      userMessages,
+      pending.timestamp
     );
 
-    // Record the branch
     const updatedData = await storage.recordBranch(
       pending.parentId,
       currentConvId,
       currentTitle,
       pending.timestamp * 1000,
       firstMessage,
-      branchData
+      branchData,
+      forkMessageId,
+      this.platformId
     );
 
-    await storage.clearPendingBranch();
     this.debug('Consumed pending branch:', pending);
 
     return updatedData;
   }
 
-  _getMessageTimestamps(mapping) {
-    const timestamps = new Set();
-    for (const [_id, entry] of Object.entries(mapping || {})) {
-      const msg = entry?.message;
-      if (!msg || msg.author?.role !== 'user') continue;
-      const createTime = msg.create_time || 0;
-      timestamps.add(Math.floor(this.toSeconds(createTime)));
-    }
-    return timestamps;
-  }
-
-  _extractFirstUserMessage(mapping, excludeTimestamps = null) {
-    const userMessages = [];
-    for (const [_id, entry] of Object.entries(mapping || {})) {
-      const msg = entry?.message;
-      if (!msg || msg.author?.role !== 'user') continue;
-
-      const text = this.extractText(msg);
-      if (!text || !text.trim()) continue;
-      if (this._isInternalMessage(msg, text)) continue;
-
-      const createTime = msg.create_time || 0;
-      const timestampSeconds = Math.floor(this.toSeconds(createTime));
-
-      if (excludeTimestamps && excludeTimestamps.has(timestampSeconds))
-        continue;
-
-      userMessages.push({ text, createTime });
-    }
-
-    userMessages.sort((a, b) => a.createTime - b.createTime);
-    return userMessages[0]?.text || null;
-  }
-
   // ============================================
   // Lifecycle
   // ============================================
 
   init() {
     super.init();
-    this.setupBranchDetection();
 
     // Prune expired cache on init
     setTimeout(() => storage.pruneExpiredCache(), 5000);
@@ -855,6 +1444,10 @@ export class ChatGPTAdapter extends BaseAdapter {
   cleanup() {
     super.cleanup();
     document.removeEventListener('click', this._handleBranchClick, true);
+    if (this._urlPollInterval) {
+      clearInterval(this._urlPollInterval);
+      this._urlPollInterval = null;
+    }
   }
 }
 
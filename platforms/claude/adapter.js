@@ -1,10 +1,389 @@
 /**
  * Claude Platform Adapter
  * Handles conversation extraction for Claude.ai
- * Uses DOM extraction with API fallback
+ * Uses intercepted API data with DOM extraction as fallback
  */
 
-import { BaseAdapter } from '../base-adapter.js';
+import {
+  BaseAdapter,
+  MIN_MESSAGE_LENGTH,
+  normalizeContent,
+  textKey,
+  compareDocumentOrder,
+  clearMessageTags,
+  ConversationNotFoundError,
+  isNotFoundResponse
+} from '../base-adapter.js';
+import { addSource, citeMarker } from '../../core/export-message.js';
+
+const CLAUDE_SELECTORS = {
+  // User message - must be non-streaming state
+  userMessage:
+    '[data-is-streaming="false"] .font-user-message, [data-test-render-count] .font-user-message, .font-user-message',
+  // Claude response
+  assistantMessage: '.font-claude-message',
+  // Streaming state detection
+  streamingIndicator: '[data-is-streaming="true"]',
+  // Conversation container
+  conversationContainer:
+    'main[class*="conversation"], [class*="overflow-y-auto"]',
+  // Any message content
+  messageContent: '.font-claude-message, .font-user-message'
+};
+
+// Elements hashed by the polling fallback to detect streamed changes
+const MESSAGE_HASH_SELECTOR =
+  '[data-testid*="message"], [class*="font-claude-message"], .prose, [class*="grid-cols-1"] > div';
+
+// API data is treated as authoritative for 30 seconds
+const API_CACHE_TTL_MS = 30000;
+const POLL_INTERVAL_MS = 2000;
+
+const CLAUDE_ORG_ID_REGEX = /^[a-f0-9-]{36}$/i;
+// File preview paths in the API are relative to the site
+const CLAUDE_ORIGIN = 'https://claude.ai';
+
+function extractClaudeConversationIdFromUrl(url) {
+  if (!url) return null;
+  const match = url.match(/chat_conversations\/([a-zA-Z0-9-]+)/i);
+  return match?.[1] || null;
+}
+
+function extractClaudeOrgIdFromUrl(url) {
+  if (!url) return null;
+  const match = url.match(/organizations\/([a-zA-Z0-9-]+)/i);
+  const orgId = match?.[1] || null;
+  if (!orgId) return null;
+  return CLAUDE_ORG_ID_REGEX.test(orgId) ? orgId : null;
+}
+
+function extractClaudeOrgIdFromStorage(storage) {
+  if (!storage) return null;
+  const keys = Object.keys(storage);
+  for (const key of keys) {
+    if (!key.toLowerCase().includes('org')) continue;
+    const value = storage.getItem(key);
+    if (!value) continue;
+    if (CLAUDE_ORG_ID_REGEX.test(value)) return value;
+    try {
+      const parsed = JSON.parse(value);
+      if (typeof parsed === 'string' && CLAUDE_ORG_ID_REGEX.test(parsed)) {
+        return parsed;
+      }
+      if (parsed && typeof parsed === 'object') {
+        for (const candidate of Object.values(parsed)) {
+          if (
+            typeof candidate === 'string' &&
+            CLAUDE_ORG_ID_REGEX.test(candidate)
+          ) {
+            return candidate;
+          }
+        }
+      }
+    } catch {
+      // Ignore JSON parse errors
+    }
+  }
+  return null;
+}
+
+function extractClaudeOrgIdFromWindow() {
+  const pageProps = window.__NEXT_DATA__?.props?.pageProps;
+  const candidates = [
+    pageProps?.organization?.uuid,
+    pageProps?.organization_uuid,
+    pageProps?.currentOrganization?.uuid,
+    pageProps?.user?.organization?.uuid,
+    pageProps?.user?.organization_uuid
+  ];
+
+  for (const candidate of candidates) {
+    if (typeof candidate === 'string' && CLAUDE_ORG_ID_REGEX.test(candidate)) {
+      return candidate;
+    }
+  }
+
+  return (
+    extractClaudeOrgIdFromStorage(localStorage) ||
+    extractClaudeOrgIdFromStorage(sessionStorage)
+  );
+}
+
+function extractClaudeOrgIdFromPerformance() {
+  try {
+    const entries = performance.getEntriesByType('resource') || [];
+    for (const entry of entries) {
+      const orgId = extractClaudeOrgIdFromUrl(entry.name);
+      if (orgId) return orgId;
+    }
+  } catch {
+    // Ignore performance access errors
+  }
+  return null;
+}
+
+/**
+ * Text part with [^n] markers at the end of each cited range
+ * @param {Object} part - Content part of type text
+ * @param {ExportSource[]} sources - Filled with the cited pages
+ * @returns {string}
+ */
+function citeClaudeTextPart(part, sources) {
+  const text = part.text;
+  const citations = (Array.isArray(part.citations) ? part.citations : [])
+    .map((citation) => ({
+      end: Number.isInteger(citation?.end_index)
+        ? Math.min(citation.end_index, text.length)
+        : text.length,
+      number: addSource(sources, {
+        url: citation?.url || citation?.details?.url,
+        title: citation?.title || citation?.details?.title
+      })
+    }))
+    .filter((citation) => citation.number > 0)
+    .sort((a, b) => b.end - a.end || b.number - a.number);
+
+  let result = text;
+  for (const { end, number } of citations) {
+    result = result.slice(0, end) + citeMarker(number) + result.slice(end);
+  }
+  return result;
+}
+
+/**
+ * Sources, attachments and tool blocks of a Claude API message
+ * @param {Object} msg - chat_messages entry
+ * @returns {{content: string, sources: ExportSource[], attachments: ExportAttachment[], blocks: ExportBlock[]}}
+ *   content is the text with citation markers, empty without citations
+ */
+function getClaudeExportDetails(msg) {
+  const sources = [];
+  const attachments = [];
+  const blocks = [];
+  const texts = [];
+  let cited = false;
+
+  for (const part of Array.isArray(msg.content) ? msg.content : []) {
+    if (part?.type === 'text' && typeof part.text === 'string') {
+      const text = citeClaudeTextPart(part, sources);
+      if (text !== part.text) cited = true;
+      if (text) texts.push(text);
+    } else if (part?.type === 'tool_use') {
+      // Artifacts carry content, the analysis tool code
+      const input = part.input || {};
+      const code = typeof input.code === 'string' ? input.code : input.content;
+      if (typeof code === 'string' && code.trim()) {
+        blocks.push({
+          kind: 'code',
+          text: code,
+          language: input.language || '',
+          title: input.title || ''
+        });
+      }
+    } else if (part?.type === 'tool_result' && part.name !== 'artifacts') {
+      const output = [];
+      for (const item of Array.isArray(part.content) ? part.content : []) {
+        // Search results are sources rather than output
+        if (item?.url) {
+          addSource(sources, { url: item.url, title: item.title });
+        } else if (typeof item?.text === 'string' && item.text.trim()) {
+          output.push(item.text);
+        }
+      }
+      if (output.length > 0) {
+        blocks.push({ kind: 'output', text: output.join('\n') });
+      }
+    }
+  }
+
+  for (const file of Array.isArray(msg.attachments) ? msg.attachments : []) {
+    if (!file) continue;
+    attachments.push({
+      name: file.file_name || 'Attachment',
+      mimeType: file.file_type || '',
+      size: file.file_size || 0,
+      text: file.extracted_content || ''
+    });
+  }
+
+  const seenFiles = new Set();
+  const files = [
+    ...(Array.isArray(msg.files_v2) ? msg.files_v2 : []),
+    ...(Array.isArray(msg.files) ? msg.files : [])
+  ];
+  for (const file of files) {
+    const fileId = file?.file_uuid || file?.uuid || '';
+    if (!file || (fileId && seenFiles.has(fileId))) continue;
+    if (fileId) seenFiles.add(fileId);
+    const path =
+      file.preview_url || file.preview_asset?.url || file.document_asset?.url;
+    let url = '';
+    try {
+      url = path ? new URL(path, CLAUDE_ORIGIN).href : '';
+    } catch {
+      // Leave the file unlinked
+    }
+    attachments.push({
+      name: file.file_name || fileId || 'File',
+      mimeType: file.file_kind === 'image' ? 'image/*' : '',
+      size: file.file_size || 0,
+      url,
+      fileId
+    });
+  }
+
+  return {
+    content: cited ? texts.join('\n').trim() : '',
+    sources,
+    attachments,
+    blocks
+  };
+}
+
+/**
+ * Normalize a Claude chat_conversations API response
+ * @param {Object} data - API response
+ * @returns {{messages: Message[], conversationId: string|null, title: string|null, currentLeafId: string|null}}
+ */
+export function extractClaudeMessagesFromApi(data) {
+  if (!data) {
+    return {
+      messages: [],
+      conversationId: null,
+      title: null,
+      currentLeafId: null
+    };
+  }
+
+  let extractedMessages = [];
+  const conversationId = data.uuid || null;
+  const title = data.name || null;
+  const currentLeafId = data.current_leaf_message_uuid || null;
+
+  const sourceMessages = Array.isArray(data.chat_messages)
+    ? data.chat_messages
+    : Array.isArray(data.messages)
+      ? data.messages
+      : [];
+
+  if (sourceMessages.length > 0) {
+    // Group messages by parent_message_uuid to detect edits
+    const parentGroups = new Map();
+
+    const mapped = sourceMessages
+      .map((msg, idx) => {
+        const contentText = normalizeContent(msg.text ?? msg.content);
+        const parentMsgId = msg.parent_message_uuid || msg.parent || null;
+        // Exports also keep citations, files and tool use; the tree shows text
+        const details = getClaudeExportDetails(msg);
+        const message = {
+          id: msg.uuid || msg.id || `claude-api-${idx}`,
+          role:
+            msg.sender === 'human' || msg.role === 'user'
+              ? 'user'
+              : 'assistant',
+          content: details.content || contentText,
+          text: contentText,
+          createTime: msg.created_at
+            ? new Date(msg.created_at).getTime() / 1000
+            : Date.now() / 1000,
+          parentMsgId,
+          parentId: parentMsgId,
+          index: msg.index ?? idx
+        };
+        if (details.sources.length > 0) message.sources = details.sources;
+        if (details.attachments.length > 0) {
+          message.attachments = details.attachments;
+        }
+        if (details.blocks.length > 0) message.blocks = details.blocks;
+        return message;
+      })
+      .filter((msg) => msg.text && msg.text.trim().length > 0);
+
+    // Build parent groups for edit detection
+    for (const msg of mapped) {
+      if (msg.parentMsgId) {
+        const group = parentGroups.get(msg.parentMsgId) || [];
+        group.push(msg);
+        parentGroups.set(msg.parentMsgId, group);
+      }
+    }
+
+    // Mark edit versions for messages sharing a parent
+    for (const msg of mapped) {
+      const siblings = msg.parentMsgId
+        ? parentGroups.get(msg.parentMsgId) || []
+        : [];
+      // Only mark as edits if siblings share the same role
+      const sameRoleSiblings = siblings.filter((s) => s.role === msg.role);
+
+      if (sameRoleSiblings.length > 1) {
+        sameRoleSiblings.sort((a, b) => a.createTime - b.createTime);
+        const versionIndex =
+          sameRoleSiblings.findIndex((s) => s.id === msg.id) + 1;
+
+        msg.hasEditVersions = true;
+        msg.editVersionIndex = versionIndex;
+        msg.totalVersions = sameRoleSiblings.length;
+        msg.siblingIds = sameRoleSiblings.map((s) => s.id);
+      }
+    }
+
+    extractedMessages = mapped;
+  }
+
+  return { messages: extractedMessages, conversationId, title, currentLeafId };
+}
+
+/**
+ * Select the active branch of a Claude conversation.
+ * The API returns every message of every branch; the active one ends at
+ * current_leaf_message_uuid. Without a known leaf, follow the newest child.
+ * @param {Message[]} messages - Messages from extractClaudeMessagesFromApi
+ * @param {string|null} currentLeafId - Active leaf message ID
+ * @returns {Message[]} - Messages on the active path, root first
+ */
+export function selectClaudeCurrentPath(messages, currentLeafId) {
+  if (!Array.isArray(messages) || messages.length === 0) return [];
+
+  const messageById = new Map(messages.map((msg) => [msg.id, msg]));
+  const hasTree = messages.some(
+    (msg) => msg.parentId && messageById.has(msg.parentId)
+  );
+  if (!hasTree) return messages;
+
+  let leaf = currentLeafId ? messageById.get(currentLeafId) : null;
+
+  if (!leaf) {
+    const childrenByParent = new Map();
+    for (const msg of messages) {
+      const key = messageById.has(msg.parentId) ? msg.parentId : null;
+      const children = childrenByParent.get(key) || [];
+      children.push(msg);
+      childrenByParent.set(key, children);
+    }
+
+    let children = childrenByParent.get(null);
+    while (children?.length) {
+      leaf = children.reduce((newest, msg) =>
+        (msg.createTime || 0) >= (newest.createTime || 0) ? msg : newest
+      );
+      children = childrenByParent.get(leaf.id);
+    }
+  }
+
+  const path = [];
+  const seen = new Set();
+  for (
+    let msg = leaf;
+    msg && !seen.has(msg.id);
+    msg = messageById.get(msg.parentId)
+  ) {
+    seen.add(msg.id);
+    path.unshift(msg);
+  }
+  return path;
+}
 
 /**
  * Claude Platform Adapter
@@ -12,7 +391,19 @@ import { BaseAdapter } from '../base-adapter.js';
 export class ClaudeAdapter extends BaseAdapter {
   constructor() {
     super();
-    this._observer = null;
+
+    // Cache for Claude API data (from fetch interception)
+    this._apiCache = {
+      conversationId: null,
+      messages: [],
+      currentLeafId: null,
+      lastUpdate: 0
+    };
+    this._orgId = null;
+
+    // Polling fallback state
+    this._pollingInterval = null;
+    this._lastMessageHash = '';
   }
 
   // ============================================
@@ -31,6 +422,10 @@ export class ClaudeAdapter extends BaseAdapter {
     return '#cc785c';
   }
 
+  get titleSuffixPattern() {
+    return /\s*[-–]\s*Claude\s*$/i;
+  }
+
   // ============================================
   // URL Matching
   // ============================================
@@ -46,7 +441,129 @@ export class ClaudeAdapter extends BaseAdapter {
   }
 
   // ============================================
-  // Message Extraction (DOM-based)
+  // Organization / API
+  // ============================================
+
+  /**
+   * Resolve the organization ID needed for API calls
+   * @returns {string|null}
+   */
+  getOrgId() {
+    if (this._orgId) return this._orgId;
+    const orgId =
+      extractClaudeOrgIdFromWindow() || extractClaudeOrgIdFromPerformance();
+    if (orgId) {
+      this._orgId = orgId;
+    }
+    return this._orgId;
+  }
+
+  /**
+   * Fetch a conversation from the Claude API
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<{conversationId: string, title: string|null, messages: Message[]}>}
+   */
+  async fetchConversation(conversationId) {
+    const orgId = this.getOrgId();
+    if (!orgId) {
+      throw new Error('No Claude organization ID available');
+    }
+
+    const url = `${location.origin}/api/organizations/${orgId}/chat_conversations/${conversationId}`;
+    const res = await fetch(url, { credentials: 'include' });
+    if (!res.ok) {
+      if (await isNotFoundResponse(res)) {
+        throw new ConversationNotFoundError(conversationId);
+      }
+      throw new Error(`Claude conversation fetch failed: ${res.status}`);
+    }
+
+    const data = await res.json();
+    const extracted = extractClaudeMessagesFromApi(data);
+    const resolvedConversationId =
+      extracted.conversationId || conversationId || null;
+
+    if (extracted.messages.length > 0) {
+      this._storeApiMessages(
+        resolvedConversationId,
+        extracted.title,
+        extracted.messages,
+        extracted.currentLeafId
+      );
+    }
+
+    return {
+      conversationId: resolvedConversationId,
+      title: extracted.title,
+      messages: extracted.messages,
+      currentLeafId: extracted.currentLeafId
+    };
+  }
+
+  /**
+   * Handle Claude API response data from fetch interceptor
+   */
+  handleApiResponse(data, url) {
+    if (!data) return false;
+
+    const orgId = extractClaudeOrgIdFromUrl(url);
+    if (orgId) {
+      this._orgId = orgId;
+    }
+
+    const extracted = extractClaudeMessagesFromApi(data);
+    if (extracted.messages.length === 0) return false;
+
+    const conversationId =
+      extracted.conversationId ||
+      extractClaudeConversationIdFromUrl(url) ||
+      this.getConversationId();
+    this._storeApiMessages(
+      conversationId,
+      extracted.title,
+      extracted.messages,
+      extracted.currentLeafId
+    );
+    return true;
+  }
+
+  onApiCompleted(url) {
+    const orgId = extractClaudeOrgIdFromUrl(url);
+    if (orgId) {
+      this._orgId = orgId;
+    }
+  }
+
+  _storeApiMessages(conversationId, title, messages, currentLeafId = null) {
+    this._apiCache = {
+      conversationId,
+      messages,
+      currentLeafId,
+      lastUpdate: Date.now()
+    };
+
+    // Also update the raw conversation cache for Markdown export: the branch
+    // shown on the page, and every branch for exports with other versions
+    this.updateRawCache({
+      conversationId,
+      title: title || this.getPageTitle() || 'Claude Conversation',
+      messages: selectClaudeCurrentPath(messages, currentLeafId),
+      allMessages: messages
+    });
+  }
+
+  async clearCache() {
+    await super.clearCache();
+    this._apiCache = {
+      conversationId: null,
+      messages: [],
+      currentLeafId: null,
+      lastUpdate: 0
+    };
+  }
+
+  // ============================================
+  // Message Extraction
   // ============================================
 
   supportsEditVersions() {
@@ -55,7 +572,7 @@ export class ClaudeAdapter extends BaseAdapter {
   }
 
   /**
-   * Extract conversation from DOM
+   * Extract conversation from intercepted API data or the DOM
    * @returns {Promise<ConversationData>}
    */
   async extractConversation() {
@@ -64,129 +581,192 @@ export class ClaudeAdapter extends BaseAdapter {
       throw new Error('No conversation ID found');
     }
 
-    // Try to get title from page
-    const title = this._extractTitle();
-
-    // Extract messages from DOM
-    const messages = this._extractMessagesFromDOM();
-
     return {
       conversationId,
-      title: title || 'Claude Conversation',
-      messages,
+      title: this.getPageTitle() || 'Conversation',
+      messages: this._extractMessages(),
       raw: null
     };
   }
 
   /**
-   * Extract title from the page
-   * @returns {string|null}
+   * Extract Claude messages with improved selectors and streaming awareness
+   * Only extracts completed messages (data-is-streaming="false")
+   * @param {number} [minLength] - Minimum text length for fallback elements
+   * @returns {Message[]}
    */
-  _extractTitle() {
-    // Try multiple selectors for title
-    const selectors = [
-      'h1',
-      '[data-testid="conversation-title"]',
-      '.conversation-title',
-      'title'
-    ];
-
-    for (const sel of selectors) {
-      const el = document.querySelector(sel);
-      if (el) {
-        const text = el.textContent?.trim();
-        if (text && text !== 'Claude' && !text.includes('Claude.ai')) {
-          return text;
-        }
+  _extractMessages(minLength = MIN_MESSAGE_LENGTH) {
+    const messages = [];
+    const seenTexts = new Set();
+    let index = 0;
+    const conversationId = this.getConversationId();
+
+    clearMessageTags();
+
+    // Strategy 1: Use API cache if available and recent
+    const apiCache = this._apiCache;
+    if (
+      apiCache.messages.length > 0 &&
+      apiCache.conversationId === conversationId &&
+      Date.now() - apiCache.lastUpdate < API_CACHE_TTL_MS
+    ) {
+      // Use API data as authoritative source: the active branch, plus its
+      // alternate versions so the graph can group edits by parent
+      const pathMessages = selectClaudeCurrentPath(
+        apiCache.messages,
+        apiCache.currentLeafId
+      );
+      const pathIds = new Set(pathMessages.map((msg) => msg.id));
+
+      for (const msg of pathMessages) {
+        if (msg.role !== 'user' && msg.role !== 'assistant') continue;
+
+        const key = textKey(msg.text);
+        if (seenTexts.has(key)) continue;
+        seenTexts.add(key);
+
+        messages.push({
+          id: msg.id || `claude-msg-${index}`,
+          type: 'message',
+          role: msg.role,
+          text: msg.text,
+          createTime: msg.createTime || Date.now() / 1000,
+          parentId: msg.parentId,
+          hasEditVersions: Boolean(msg.hasEditVersions),
+          editVersionIndex: msg.editVersionIndex,
+          totalVersions: msg.totalVersions,
+          siblingIds: msg.siblingIds
+        });
+        index++;
+      }
+
+      for (const msg of apiCache.messages) {
+        if (pathIds.has(msg.id)) continue;
+        if (!msg.siblingIds?.some((id) => pathIds.has(id))) continue;
+
+        messages.push({
+          id: `edit-branch:${msg.id}`,
+          type: 'editBranch',
+          role: msg.role,
+          text: msg.text,
+          createTime: msg.createTime,
+          parentId: msg.parentId,
+          depth: 1,
+          branchNodeId: msg.id,
+          editVersionIndex: msg.editVersionIndex,
+          totalVersions: msg.totalVersions,
+          siblingIds: msg.siblingIds,
+          editVersionLabel: `${msg.role === 'assistant' ? 'Response' : 'Edit'} v${msg.editVersionIndex}/${msg.totalVersions}`,
+          icon: msg.role === 'assistant' ? 'chat' : 'edit'
+        });
+      }
+
+      if (messages.length > 0) {
+        return messages;
       }
     }
 
-    return null;
-  }
+    // Strategy 2: DOM extraction with precise selectors
+    const conversationContainer =
+      document.querySelector(CLAUDE_SELECTORS.conversationContainer) ||
+      document.body;
 
-  /**
-   * Extract messages from DOM
-   * @returns {Message[]}
-   */
-  _extractMessagesFromDOM() {
-    const messages = [];
+    const userElements = conversationContainer.querySelectorAll(
+      CLAUDE_SELECTORS.userMessage
+    );
+    const assistantElements = conversationContainer.querySelectorAll(
+      CLAUDE_SELECTORS.assistantMessage
+    );
 
-    // Claude's message container selectors (may need updates as UI changes)
-    const messageSelectors = [
-      '[data-testid="user-message"]',
-      '[data-testid="assistant-message"]',
-      '.human-message',
-      '.assistant-message',
-      '[class*="Message_humanMessage"]',
-      '[class*="Message_assistantMessage"]',
-      // Generic fallback - look for message containers
-      '[class*="message"]'
-    ];
-
-    // Try to find message containers
-    let messageElements = [];
-    for (const sel of messageSelectors) {
-      messageElements = document.querySelectorAll(sel);
-      if (messageElements.length > 0) {
-        this.debug(
-          `Found ${messageElements.length} messages with selector: ${sel}`
-        );
-        break;
-      }
+    const allElements = [];
+
+    for (const el of userElements) {
+      // Skip if this element is inside a streaming container
+      if (el.closest(CLAUDE_SELECTORS.streamingIndicator)) continue;
+      allElements.push({ element: el, role: 'user' });
     }
 
-    // Alternative: find by role pattern in the DOM structure
-    if (messageElements.length === 0) {
-      messageElements = this._findMessagesByStructure();
+    for (const el of assistantElements) {
+      // Skip streaming assistant messages - only capture completed ones
+      if (el.closest(CLAUDE_SELECTORS.streamingIndicator)) continue;
+      allElements.push({ element: el, role: 'assistant' });
     }
 
-    let index = 0;
-    for (const el of messageElements) {
-      const role = this._determineRole(el);
-      if (role !== 'user' && role !== 'assistant') continue;
+    allElements.sort((a, b) => compareDocumentOrder(a.element, b.element));
 
-      const text = this._extractMessageText(el);
-      if (!text || !text.trim()) continue;
+    for (const { element, role } of allElements) {
+      const text = element.textContent?.trim() || '';
+      if (!text || text.length < MIN_MESSAGE_LENGTH) continue;
 
-      const id = el.dataset?.messageId || `claude-msg-${index}`;
+      const key = textKey(text);
+      if (seenTexts.has(key)) continue;
+      seenTexts.add(key);
 
-      // Check for edit versions (look for version switcher)
-      const versionInfo = this._getVersionInfo(el);
+      const msgId = `claude-msg-${index}`;
+
+      // Find the best container for scroll targeting
+      const container =
+        element.closest('[class*="group"]') ||
+        element.closest('[data-is-streaming]') ||
+        element.parentElement;
+      if (container) {
+        container.setAttribute('data-branch-tree-id', msgId);
+      }
 
       messages.push({
-        id,
+        id: msgId,
+        type: 'message',
         role,
         text,
-        createTime: Date.now() / 1000 - (messageElements.length - index) * 60, // Estimate
-        hasEditVersions: versionInfo.hasVersions,
-        editVersionIndex: versionInfo.currentIndex,
-        totalVersions: versionInfo.totalVersions
+        createTime: Date.now() / 1000 - (allElements.length - index) * 60,
+        hasEditVersions: false
       });
 
       index++;
     }
 
-    return messages;
-  }
+    // Strategy 3: Fallback to generic selectors if nothing found
+    if (messages.length === 0) {
+      const fallbackSelectors = [
+        '[data-testid*="message"]',
+        '[class*="Message"]',
+        '.prose',
+        '[class*="break-words"][class*="whitespace-pre-wrap"]'
+      ];
+
+      let fallbackElements = [];
+      for (const sel of fallbackSelectors) {
+        fallbackElements = document.querySelectorAll(sel);
+        if (fallbackElements.length > 0) break;
+      }
 
-  /**
-   * Find messages by analyzing DOM structure
-   * @returns {NodeListOf<Element>|Element[]}
-   */
-  _findMessagesByStructure() {
-    // Look for alternating human/AI message pattern
-    const candidates = document.querySelectorAll(
-      '[class*="prose"], [class*="markdown"]'
-    );
-    const messages = [];
+      for (const el of fallbackElements) {
+        if (el.closest(CLAUDE_SELECTORS.streamingIndicator)) continue;
 
-    for (const el of candidates) {
-      // Check if this looks like a message
-      const parent = el.closest(
-        '[class*="Message"], [class*="message"], [role="article"]'
-      );
-      if (parent && !messages.includes(parent)) {
-        messages.push(parent);
+        const role = this.determineRole(el);
+        if (role !== 'user' && role !== 'assistant') continue;
+
+        const text = el.textContent?.trim() || '';
+        if (!text || text.length < minLength) continue;
+
+        const key = textKey(text);
+        if (seenTexts.has(key)) continue;
+        seenTexts.add(key);
+
+        const msgId = `claude-msg-${index}`;
+        el.setAttribute('data-branch-tree-id', msgId);
+
+        messages.push({
+          id: msgId,
+          type: 'message',
+          role,
+          text,
+          createTime:
+            Date.now() / 1000 - (fallbackElements.length - index) * 60,
+          hasEditVersions: false
+        });
+
+        index++;
       }
     }
 
@@ -194,113 +774,83 @@ export class ClaudeAdapter extends BaseAdapter {
   }
 
   /**
-   * Determine message role from element
-   * @param {Element} el - Message element
-   * @returns {'user'|'assistant'|'unknown'}
+   * Export from cached API data, then a fresh API fetch, then the DOM
+   * @returns {Promise<ExportData>}
    */
-  _determineRole(el) {
-    const className = el.className || '';
-    const testId = el.dataset?.testid || '';
-
-    if (
-      className.includes('human') ||
-      className.includes('user') ||
-      testId.includes('human') ||
-      testId.includes('user')
-    ) {
-      return 'user';
+  async extractConversationForExport() {
+    const conversationId = this.getConversationId();
+    const fallbackTitle = document.title || 'Conversation';
+
+    const cached = this.getRawCache(conversationId);
+    if (cached?.messages?.length > 0) {
+      return {
+        conversationId,
+        title: cached.title || this.getPageTitle() || fallbackTitle,
+        messages: cached.messages,
+        allMessages: cached.allMessages
+      };
     }
 
-    if (
-      className.includes('assistant') ||
-      className.includes('claude') ||
-      testId.includes('assistant') ||
-      testId.includes('claude')
-    ) {
-      return 'assistant';
+    let apiResult = null;
+    try {
+      apiResult = await this.fetchConversation(conversationId);
+    } catch (err) {
+      // The page may still show the messages, but they can't be trusted
+      if (err instanceof ConversationNotFoundError) throw err;
+      console.warn('[ConversationIndex] Claude export fetch failed:', err);
     }
 
-    // Check for avatar or role indicators
-    const avatar = el.querySelector('[class*="avatar"], [class*="Avatar"]');
-    if (avatar) {
-      const avatarText = avatar.textContent?.toLowerCase() || '';
-      if (avatarText.includes('you') || avatarText.includes('human')) {
-        return 'user';
-      }
-      if (avatarText.includes('claude') || avatarText.includes('ai')) {
-        return 'assistant';
-      }
+    if (apiResult?.messages?.length > 0) {
+      return {
+        conversationId,
+        title: apiResult.title || this.getPageTitle() || fallbackTitle,
+        messages: selectClaudeCurrentPath(
+          apiResult.messages,
+          apiResult.currentLeafId
+        ),
+        allMessages: apiResult.messages
+      };
     }
 
-    // Check parent elements
-    const parent = el.parentElement;
-    if (parent) {
-      const parentClass = parent.className || '';
-      if (parentClass.includes('human') || parentClass.includes('user')) {
-        return 'user';
-      }
-      if (parentClass.includes('assistant') || parentClass.includes('claude')) {
-        return 'assistant';
-      }
-    }
+    // Fallback: Extract from DOM (may lose some Markdown formatting)
+    const messages = this._extractMessages(1)
+      .filter((msg) => msg.type !== 'editBranch')
+      .map((msg, index) => ({
+        id: msg.id || `claude-export-${index}`,
+        role: msg.role,
+        content: msg.text || '',
+        text: msg.text || '',
+        createTime: msg.createTime || Date.now() / 1000
+      }));
 
-    return 'unknown';
+    return {
+      conversationId,
+      title: this.getPageTitle() || fallbackTitle,
+      messages
+    };
   }
 
-  /**
-   * Extract text content from message element
-   * @param {Element} el - Message element
-   * @returns {string}
-   */
-  _extractMessageText(el) {
-    // Try to find the content container
-    const contentSelectors = [
-      '[class*="prose"]',
-      '[class*="markdown"]',
-      '[class*="content"]',
-      'p'
-    ];
-
-    for (const sel of contentSelectors) {
-      const content = el.querySelector(sel);
-      if (content) {
-        return content.textContent?.trim() || '';
-      }
-    }
+  _determineRoleFromContext(el) {
+    const className = el.className || '';
 
-    // Fallback to direct text
-    return el.textContent?.trim() || '';
-  }
+    // Look for font-claude-message class (assistant) vs regular styling
+    if (
+      className.includes('font-claude-message') ||
+      className.includes('font-tiempos')
+    ) {
+      return 'assistant';
+    }
 
-  /**
-   * Get version info if message has edit versions
-   * @param {Element} el - Message element
-   * @returns {{hasVersions: boolean, currentIndex?: number, totalVersions?: number}}
-   */
-  _getVersionInfo(el) {
-    // Look for version switcher UI (e.g., "1/3" or arrows)
-    const versionSelectors = [
-      '[class*="version"]',
-      '[class*="edit"]',
-      '[aria-label*="version"]'
-    ];
-
-    for (const sel of versionSelectors) {
-      const versionEl = el.querySelector(sel);
-      if (versionEl) {
-        const text = versionEl.textContent || '';
-        const match = text.match(/(\d+)\s*\/\s*(\d+)/);
-        if (match) {
-          return {
-            hasVersions: true,
-            currentIndex: parseInt(match[1], 10),
-            totalVersions: parseInt(match[2], 10)
-          };
-        }
-      }
+    // Check parent for role hints
+    const parent = el.closest('[data-testid]');
+    if (parent) {
+      const parentTestId = parent.dataset.testid || '';
+      if (parentTestId.includes('user')) return 'user';
+      if (parentTestId.includes('assistant') || parentTestId.includes('bot'))
+        return 'assistant';
     }
 
-    return { hasVersions: false };
+    return super._determineRoleFromContext(el);
   }
 
   /**
@@ -310,8 +860,6 @@ export class ClaudeAdapter extends BaseAdapter {
    * @returns {Promise<EditVersion[]>}
    */
   async getEditVersions(_messageId) {
-    // Would need to interact with UI or find API endpoints
-    // For now, return empty - can be enhanced later
     return [];
   }
 
@@ -320,86 +868,69 @@ export class ClaudeAdapter extends BaseAdapter {
   // ============================================
 
   findMessageElement(messageId) {
-    // Try data attribute first
-    let el = document.querySelector(`[data-message-id="${messageId}"]`);
+    const el = super.findMessageElement(messageId);
     if (el) return el;
 
-    // Try by generated ID pattern
-    if (messageId.startsWith('claude-msg-')) {
-      const index = parseInt(messageId.replace('claude-msg-', ''), 10);
-      const messages = this._extractMessagesFromDOM();
-      // This is imperfect but provides basic navigation
-      if (index >= 0 && index < messages.length) {
-        const allMsgElements = document.querySelectorAll(
-          '[class*="message"], [role="article"]'
-        );
-        return allMsgElements[index] || null;
-      }
+    // Fall back to the element at the same index
+    const match = messageId?.match(/^claude-msg-(\d+)$/);
+    if (match) {
+      const index = parseInt(match[1], 10);
+      const messages = document.querySelectorAll(
+        '[class*="message"], [class*="prose"], [role="article"]'
+      );
+      return messages[index] || null;
     }
 
     return null;
   }
 
-  scrollToMessage(messageId) {
-    const el = this.findMessageElement(messageId);
-    if (!el) return false;
-
-    el.scrollIntoView({ behavior: 'smooth', block: 'center' });
-    this.highlightElement(el);
-    return true;
-  }
-
   // ============================================
   // Lifecycle
   // ============================================
 
-  init() {
-    super.init();
-    this.debug('Claude adapter initialized');
+  observe(callback) {
+    const observer = super.observe(callback);
+
+    // Primary detection is via fetch interceptor events; poll as a fallback
+    // for streaming updates the observer misses
+    this.listenForApiResponses(callback);
+    this._startPolling(callback);
+
+    return observer;
   }
 
-  observe(callback) {
-    // Throttled observer for Claude
-    let lastTrigger = 0;
-    const THROTTLE_MS = 500;
-
-    this._observer = new MutationObserver((mutations) => {
-      const now = Date.now();
-      if (now - lastTrigger < THROTTLE_MS) return;
-
-      for (const m of mutations) {
-        if (m.addedNodes.length > 0) {
-          // Check if new messages were added
-          for (const node of m.addedNodes) {
-            if (node.nodeType === Node.ELEMENT_NODE) {
-              const className = node.className || '';
-              if (
-                className.includes('message') ||
-                className.includes('Message')
-              ) {
-                lastTrigger = now;
-                callback();
-                return;
-              }
-            }
-          }
-        }
-      }
-    });
+  /**
+   * Compute a simple hash of current messages for change detection
+   * @returns {string}
+   */
+  _computeMessageHash() {
+    const elements = document.querySelectorAll(MESSAGE_HASH_SELECTOR);
 
-    this._observer.observe(document.body, {
-      childList: true,
-      subtree: true
-    });
+    // Build a hash from element count and total text length
+    let totalTextLength = 0;
+    for (const el of elements) {
+      totalTextLength += el.textContent?.length || 0;
+    }
+    return `${elements.length}:${totalTextLength}`;
+  }
+
+  _startPolling(callback) {
+    if (this._pollingInterval) return;
 
-    return this._observer;
+    this._pollingInterval = setInterval(() => {
+      const currentHash = this._computeMessageHash();
+      if (currentHash !== this._lastMessageHash) {
+        this._lastMessageHash = currentHash;
+        callback(100); // Quick refresh when change detected
+      }
+    }, POLL_INTERVAL_MS);
   }
 
   cleanup() {
     super.cleanup();
-    if (this._observer) {
-      this._observer.disconnect();
-      this._observer = null;
+    if (this._pollingInterval) {
+      clearInterval(this._pollingInterval);
+      this._pollingInterval = null;
     }
   }
 }
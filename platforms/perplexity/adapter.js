@@ -4,17 +4,55 @@
  * Uses DOM extraction as primary method
  */
 
-import { BaseAdapter } from '../base-adapter.js';
+import { BaseAdapter, MIN_MESSAGE_LENGTH, textKey } from '../base-adapter.js';
+import { addSource, citeMarker } from '../../core/export-message.js';
+
+// Selectors tried in order; the first that matches anything wins
+const MESSAGE_SELECTORS = [
+  '[class*="query-block"]',
+  '[class*="answer-block"]',
+  '[class*="prose"]'
+];
 
 /**
- * Perplexity Platform Adapter
+ * Give an answer its search results as sources, turning its [n] citations
+ * into [^n] markers. The text shown in the tree is left as it is.
+ * @param {Object} message - Extracted message
+ * @param {Array} [results] - web_results or sources of the answer
+ * @returns {Object}
  */
-export class PerplexityAdapter extends BaseAdapter {
-  constructor() {
-    super();
-    this._observer = null;
+function withPerplexitySources(message, results) {
+  if (!Array.isArray(results) || results.length === 0) return message;
+  if (message.role !== 'assistant' || typeof message.content !== 'string') {
+    return message;
   }
 
+  const sources = [];
+  const numbers = results.map((result) =>
+    typeof result === 'string'
+      ? addSource(sources, { url: result })
+      : addSource(sources, {
+          url: result?.url,
+          title: result?.name || result?.title
+        })
+  );
+  if (sources.length === 0) return message;
+
+  // [n] but not a link's [n](url)
+  const content = message.content.replace(
+    /\[(\d+)\](?!\()/g,
+    (marker, digits) => {
+      const number = numbers[parseInt(digits, 10) - 1];
+      return number ? citeMarker(number) : marker;
+    }
+  );
+  return { ...message, content, sources };
+}
+
+/**
+ * Perplexity Platform Adapter
+ */
+export class PerplexityAdapter extends BaseAdapter {
   // ============================================
   // Platform Identification
   // ============================================
@@ -31,6 +69,14 @@ export class PerplexityAdapter extends BaseAdapter {
     return '#20808d';
   }
 
+  get titleSuffixPattern() {
+    return /\s*[-–]\s*Perplexity\s*$/i;
+  }
+
+  get exportSelectors() {
+    return MESSAGE_SELECTORS;
+  }
+
   // ============================================
   // URL Matching
   // ============================================
@@ -89,102 +135,53 @@ export class PerplexityAdapter extends BaseAdapter {
       throw new Error('No conversation ID found');
     }
 
-    const title = this._extractTitle();
-    const messages = this._extractMessagesFromDOM();
-
     return {
       conversationId,
-      title: title || 'Perplexity Search',
-      messages,
+      title: this.getPageTitle() || 'Conversation',
+      messages: this._extractMessagesFromDOM(),
       raw: null
     };
   }
 
-  /**
-   * Extract title from page
-   * @returns {string|null}
-   */
-  _extractTitle() {
-    // Perplexity shows the query as title
-    const selectors = [
-      '.search-query',
-      '[class*="query-text"]',
-      'h1',
-      // The main query input might have the text
-      'textarea[placeholder*="Ask"]'
-    ];
-
-    for (const sel of selectors) {
-      const el = document.querySelector(sel);
-      if (el) {
-        const text = (el.value || el.textContent)?.trim();
-        if (text && text.length > 0 && text.length < 200) {
-          return text;
-        }
-      }
-    }
-
-    // Try to get from page title
-    const pageTitle = document.title;
-    if (pageTitle && !pageTitle.includes('Perplexity')) {
-      return pageTitle;
-    }
-
-    return null;
-  }
-
   /**
    * Extract messages from DOM
    * @returns {Message[]}
    */
   _extractMessagesFromDOM() {
     const messages = [];
+    const seenTexts = new Set();
+    let index = 0;
 
-    // Perplexity message selectors
-    const containerSelectors = [
-      // Query and answer blocks
-      '[class*="query-block"]',
-      '[class*="answer-block"]',
-      '[class*="QueryBlock"]',
-      '[class*="AnswerBlock"]',
-      // Follow-up questions
-      '[class*="follow-up"]',
-      // Generic message containers
-      '[class*="prose"]',
-      '[class*="message"]'
-    ];
-
-    let messageElements = [];
-
-    for (const sel of containerSelectors) {
-      const elements = document.querySelectorAll(sel);
-      if (elements.length > 0) {
-        messageElements = elements;
-        this.debug(`Found ${elements.length} messages with selector: ${sel}`);
-        break;
-      }
+    let elements = [];
+    for (const sel of MESSAGE_SELECTORS) {
+      elements = document.querySelectorAll(sel);
+      if (elements.length > 0) break;
     }
 
-    // Alternative: find by structure
-    if (messageElements.length === 0) {
-      messageElements = this._findMessagesByStructure();
+    // Fallback: look for common patterns
+    if (elements.length === 0) {
+      elements = document.querySelectorAll(
+        '[class*="message"], [class*="prose"], [role="article"]'
+      );
     }
 
-    let index = 0;
-    for (const el of messageElements) {
-      const role = this._determineRole(el);
+    for (const el of elements) {
+      const role = this.determineRole(el);
       if (role !== 'user' && role !== 'assistant') continue;
 
-      const text = this._extractMessageText(el);
-      if (!text || !text.trim()) continue;
+      const text = el.textContent?.trim() || '';
+      if (!text || text.length < MIN_MESSAGE_LENGTH) continue;
 
-      const id = el.dataset?.messageId || `pplx-msg-${index}`;
+      const key = textKey(text);
+      if (seenTexts.has(key)) continue;
+      seenTexts.add(key);
 
       messages.push({
-        id,
+        id: `pplx-msg-${index}`,
+        type: 'message',
         role,
         text,
-        createTime: Date.now() / 1000 - (messageElements.length - index) * 60,
+        createTime: Date.now() / 1000 - (elements.length - index) * 60,
         hasEditVersions: false
       });
 
@@ -195,129 +192,104 @@ export class PerplexityAdapter extends BaseAdapter {
   }
 
   /**
-   * Find messages by analyzing DOM structure
-   * @returns {Element[]}
-   */
-  _findMessagesByStructure() {
-    const messages = [];
-
-    // Look for text containers that might be messages
-    const containers = document.querySelectorAll(
-      '[class*="prose"], [class*="markdown"]'
-    );
-
-    for (const el of containers) {
-      const parent = el.closest(
-        '[class*="block"], [class*="message"], [role="article"]'
-      );
-      if (parent && !messages.includes(parent)) {
-        messages.push(parent);
-      }
-    }
-
-    return messages;
-  }
-
-  /**
-   * Determine message role from element
-   * @param {Element} el
-   * @returns {'user'|'assistant'|'unknown'}
+   * Handle Perplexity API response data
    */
-  _determineRole(el) {
-    const className = el.className || '';
-
-    // Check for query (user) indicators
-    if (
-      className.includes('query') ||
-      className.includes('Query') ||
-      className.includes('question') ||
-      className.includes('user')
-    ) {
-      return 'user';
-    }
-
-    // Check for answer (assistant) indicators
-    if (
-      className.includes('answer') ||
-      className.includes('Answer') ||
-      className.includes('response') ||
-      className.includes('prose')
-    ) {
-      return 'assistant';
+  handleApiResponse(data, _url) {
+    if (!data) return false;
+
+    let extractedMessages = [];
+
+    // Format 1: Search results with query and answer
+    if (data.query) {
+      extractedMessages.push({
+        id: 'pplx-query',
+        role: 'user',
+        content: data.query,
+        text: data.query,
+        createTime: Date.now() / 1000 - 60
+      });
     }
 
-    // Check for follow-up indicators
-    if (className.includes('follow-up') || className.includes('related')) {
-      return 'user';
+    if (data.answer || data.text) {
+      extractedMessages.push(
+        withPerplexitySources(
+          {
+            id: 'pplx-answer',
+            role: 'assistant',
+            content: data.answer || data.text,
+            text: data.answer || data.text,
+            createTime: Date.now() / 1000
+          },
+          data.web_results || data.sources
+        )
+      );
     }
 
-    // Check data attributes
-    if (el.dataset?.role === 'user' || el.dataset?.type === 'query') {
-      return 'user';
-    }
-    if (el.dataset?.role === 'assistant' || el.dataset?.type === 'answer') {
-      return 'assistant';
+    // Format 2: Messages array
+    if (Array.isArray(data.messages)) {
+      for (const msg of data.messages) {
+        extractedMessages.push(
+          withPerplexitySources(
+            {
+              id: msg.id || `pplx-api-${extractedMessages.length}`,
+              role: msg.role === 'user' ? 'user' : 'assistant',
+              content: msg.content || msg.text || '',
+              text: msg.content || msg.text || '',
+              createTime: msg.created_at
+                ? new Date(msg.created_at).getTime() / 1000
+                : Date.now() / 1000
+            },
+            msg.web_results || msg.sources
+          )
+        );
+      }
     }
 
-    return 'unknown';
-  }
-
-  /**
-   * Extract text content from message element
-   * @param {Element} el
-   * @returns {string}
-   */
-  _extractMessageText(el) {
-    // Try specific content containers
-    const contentSelectors = [
-      '.prose',
-      '[class*="markdown"]',
-      '[class*="text-content"]',
-      '[class*="answer-text"]',
-      '[class*="query-text"]',
-      'p'
-    ];
-
-    for (const sel of contentSelectors) {
-      const content = el.querySelector(sel);
-      if (content) {
-        // Perplexity answers often have citations - extract main text
-        const text = this._extractCleanText(content);
-        if (text) return text;
+    // Format 3: Threads/turns
+    if (Array.isArray(data.thread)) {
+      for (const turn of data.thread) {
+        if (turn.query) {
+          extractedMessages.push({
+            id: `pplx-q-${extractedMessages.length}`,
+            role: 'user',
+            content: turn.query,
+            text: turn.query,
+            createTime: Date.now() / 1000
+          });
+        }
+        if (turn.answer || turn.response) {
+          extractedMessages.push(
+            withPerplexitySources(
+              {
+                id: `pplx-a-${extractedMessages.length}`,
+                role: 'assistant',
+                content: turn.answer || turn.response,
+                text: turn.answer || turn.response,
+                createTime: Date.now() / 1000
+              },
+              turn.web_results || turn.sources
+            )
+          );
+        }
       }
     }
 
-    return this._extractCleanText(el);
-  }
-
-  /**
-   * Extract clean text, removing citation numbers and source links
-   * @param {Element} el
-   * @returns {string}
-   */
-  _extractCleanText(el) {
-    if (!el) return '';
-
-    // Clone to avoid modifying original
-    const clone = el.cloneNode(true);
-
-    // Remove citation markers like [1], [2]
-    const citations = clone.querySelectorAll(
-      '[class*="citation"], sup, [class*="source"]'
-    );
-    citations.forEach((c) => c.remove());
-
-    // Remove source links
-    const sourceLinks = clone.querySelectorAll(
-      '[class*="sources"], [class*="reference"]'
+    // Filter for meaningful messages
+    extractedMessages = extractedMessages.filter(
+      (m) => m.content && m.content.length >= MIN_MESSAGE_LENGTH
     );
-    sourceLinks.forEach((s) => s.remove());
+    if (extractedMessages.length === 0) return false;
 
-    return clone.textContent?.trim() || '';
+    this.updateRawCache({
+      conversationId: this.getConversationId() || 'pplx-conv',
+      title: this.getPageTitle() || 'Perplexity Search',
+      messages: extractedMessages
+    });
+    return true;
   }
 
   /**
-   * Get edit versions (not supported)
+   * Get edit versions (not supported for Perplexity)
    * @param {string} messageId
    * @returns {Promise<EditVersion[]>}
    */
@@ -330,81 +302,31 @@ export class PerplexityAdapter extends BaseAdapter {
   // ============================================
 
   findMessageElement(messageId) {
-    let el = document.querySelector(`[data-message-id="${messageId}"]`);
+    const el = super.findMessageElement(messageId);
     if (el) return el;
 
-    // Try by generated ID
-    if (messageId.startsWith('pplx-msg-')) {
-      const index = parseInt(messageId.replace('pplx-msg-', ''), 10);
-      const allMsgElements = document.querySelectorAll(
-        '[class*="query-block"], [class*="answer-block"], [class*="prose"]'
+    // Fall back to the element at the same index
+    const match = messageId?.match(/^pplx-msg-(\d+)$/);
+    if (match) {
+      const index = parseInt(match[1], 10);
+      const messages = document.querySelectorAll(
+        '[class*="message"], [class*="prose"], [role="article"]'
       );
-      return allMsgElements[index] || null;
+      return messages[index] || null;
     }
 
     return null;
   }
 
-  scrollToMessage(messageId) {
-    const el = this.findMessageElement(messageId);
-    if (!el) return false;
-
-    el.scrollIntoView({ behavior: 'smooth', block: 'center' });
-    this.highlightElement(el);
-    return true;
-  }
-
   // ============================================
   // Lifecycle
   // ============================================
 
-  init() {
-    super.init();
-    this.debug('Perplexity adapter initialized');
-  }
-
   observe(callback) {
-    let lastTrigger = 0;
-    const THROTTLE_MS = 500;
-
-    this._observer = new MutationObserver((mutations) => {
-      const now = Date.now();
-      if (now - lastTrigger < THROTTLE_MS) return;
-
-      for (const m of mutations) {
-        if (m.addedNodes.length > 0) {
-          for (const node of m.addedNodes) {
-            if (node.nodeType === Node.ELEMENT_NODE) {
-              const className = node.className || '';
-              if (
-                className.includes('answer') ||
-                className.includes('query') ||
-                className.includes('prose')
-              ) {
-                lastTrigger = now;
-                callback();
-                return;
-              }
-            }
-          }
-        }
-      }
-    });
-
-    this._observer.observe(document.body, {
-      childList: true,
-      subtree: true
-    });
-
-    return this._observer;
-  }
-
-  cleanup() {
-    super.cleanup();
-    if (this._observer) {
-      this._observer.disconnect();
-      this._observer = null;
-    }
+    const observer = super.observe(callback);
+    // Capture raw Markdown from API responses for export
+    this.listenForApiResponses(callback);
+    return observer;
   }
 }
 
@@ -0,0 +1,157 @@
+/* eslint-env node */
+/* global require, process */
+const assert = require('node:assert/strict');
+
+(async () => {
+  const {
+    BACKUP_FORMAT,
+    BACKUP_VERSION,
+    createBackup,
+    getBackupFilename,
+    parseBackup,
+    mergeBranchData,
+    mergeSettings,
+    planImport
+  } = await import('../core/backup.js');
+  const { BRANCH_SCHEMA_VERSION } = await import('../core/branch-schema.js');
+
+  const entry = (childId, extra = {}) => ({
+    childId,
+    title: `Title ${childId}`,
+    firstMessage: null,
+    createdAt: 100,
+    forkMessageId: null,
+    platform: 'chatgpt',
+    updatedAt: 100000,
+    ...extra
+  });
+
+  const local = {
+    version: BRANCH_SCHEMA_VERSION,
+    branches: { p1: [entry('c1')] },
+    titles: { p1: 'Local parent', c1: 'Local child' },
+    deleted: {}
+  };
+  const settings = { theme: 'system', compactMode: false, previewLength: 70 };
+
+  // Round trip through JSON text
+  const backup = createBackup({ branchData: local, settings });
+  assert.equal(backup.format, BACKUP_FORMAT);
+  assert.equal(backup.version, BACKUP_VERSION);
+  const parsed = parseBackup(JSON.stringify(backup));
+  assert.equal(parsed.ok, true);
+  assert.deepEqual(parsed.backup.branchData, local);
+  assert.deepEqual(parsed.backup.settings, settings);
+  assert.deepEqual(parsed.issues, []);
+  assert.match(
+    getBackupFilename(new Date('2026-03-04T12:00:00Z')),
+    /^ai-conversation-index-backup_2026-03-04\.json$/
+  );
+
+  // Rejections
+  assert.equal(parseBackup('{').error, 'File is not valid JSON');
+  assert.equal(parseBackup({ format: 'other' }).ok, false);
+  assert.equal(
+    parseBackup({ ...backup, version: BACKUP_VERSION + 1 }).error,
+    'Backup was made by a newer version'
+  );
+
+  // Older unversioned branch data is migrated on the way in
+  const legacy = parseBackup({
+    format: BACKUP_FORMAT,
+    version: 1,
+    branchData: {
+      branches: { p1: [{ childId: 'c9', title: 'Old', createdAt: 5 }] },
+      titles: {}
+    }
+  });
+  assert.equal(legacy.ok, true);
+  assert.equal(legacy.backup.branchData.version, BRANCH_SCHEMA_VERSION);
+  assert.equal(legacy.backup.branchData.branches.p1[0].platform, 'chatgpt');
+  assert.deepEqual(legacy.backup.settings, {});
+
+  // Merging by conversation ID keeps local data and adds what is missing
+  const incoming = {
+    version: BRANCH_SCHEMA_VERSION,
+    branches: {
+      p1: [
+        entry('c1', { title: 'Backup title', forkMessageId: 'm7' }),
+        entry('c2')
+      ],
+      p2: [entry('c3')]
+    },
+    titles: { p1: 'Backup parent', c2: 'Backup child', c3: 'Third' },
+    deleted: { c3: 9000 }
+  };
+  const { data, changes } = mergeBranchData(local, incoming);
+  assert.deepEqual(
+    data.branches.p1.map((b) => [b.childId, b.title, b.forkMessageId]),
+    [
+      ['c1', 'Title c1', 'm7'],
+      ['c2', 'Title c2', null]
+    ]
+  );
+  assert.deepEqual(
+    data.branches.p2.map((b) => b.childId),
+    ['c3']
+  );
+  assert.equal(data.titles.p1, 'Local parent');
+  assert.deepEqual(
+    changes.addedBranches.map((b) => b.childId),
+    ['c2', 'c3']
+  );
+  assert.deepEqual(changes.updatedBranches, [
+    { parentId: 'p1', childId: 'c1', fields: ['forkMessageId'] }
+  ]);
+  assert.deepEqual(changes.addedTitles, ['c2', 'c3']);
+  assert.deepEqual(data.deleted, { c3: 9000 });
+  assert.deepEqual(changes.addedDeletions, ['c3']);
+  // The local data is not modified
+  assert.equal(local.branches.p1.length, 1);
+  assert.equal(local.branches.p1[0].forkMessageId, null);
+
+  // Settings: known keys of the same type only
+  assert.deepEqual(
+    mergeSettings(settings, {
+      theme: 'dark',
+      compactMode: 'yes',
+      unknown: 1,
+      previewLength: 70
+    }),
+    { settings: { ...settings, theme: 'dark' }, changed: ['theme'] }
+  );
+
+  // The device-local sync choice is not restored
+  assert.deepEqual(
+    mergeSettings({ ...settings, syncEnabled: false }, { syncEnabled: true })
+      .changed,
+    []
+  );
+
+  // The plan previews every change and is empty for a repeated import
+  const plan = planImport(
+    { branchData: local, settings },
+    { branchData: incoming, settings: { theme: 'light' } }
+  );
+  assert.equal(plan.isEmpty, false);
+  assert.deepEqual(plan.settings.changed, ['theme']);
+  const again = planImport(
+    { branchData: plan.branchData.data, settings: plan.settings.settings },
+    { branchData: incoming, settings: { theme: 'light' } }
+  );
+  assert.equal(again.isEmpty, true);
+
+  // A backup holding only deletions still has something to apply
+  const deletionsOnly = planImport(
+    { branchData: local, settings },
+    {
+      branchData: { ...local, deleted: { c1: 9000 } },
+      settings: {}
+    }
+  );
+  assert.deepEqual(deletionsOnly.branchData.changes.addedDeletions, ['c1']);
+  assert.equal(deletionsOnly.isEmpty, false);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
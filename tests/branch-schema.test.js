@@ -0,0 +1,154 @@
+/* eslint-env node */
+/* global require, process */
+const assert = require('node:assert/strict');
+
+(async () => {
+  const {
+    BRANCH_SCHEMA_VERSION,
+    getSchemaVersion,
+    migrateBranchData,
+    validateBranchData,
+    upgradeBranchData
+  } = await import('../core/branch-schema.js');
+
+  // Unversioned data as written before the schema existed
+  const legacy = {
+    branches: {
+      parent: [
+        {
+          childId: 'child',
+          title: 'Child',
+          firstMessage: 'Hi',
+          createdAt: 1700000000
+        },
+        { childId: 'ms', title: 'Millis', createdAt: 1700000000123 }
+      ]
+    },
+    titles: { parent: 'Parent', child: 'Child' }
+  };
+  assert.equal(getSchemaVersion(legacy), 1);
+
+  const migration = migrateBranchData(legacy);
+  assert.equal(migration.fromVersion, 1);
+  assert.equal(migration.migrated, true);
+  assert.equal(migration.data.version, BRANCH_SCHEMA_VERSION);
+  assert.deepEqual(migration.data.branches.parent, [
+    {
+      childId: 'child',
+      title: 'Child',
+      firstMessage: 'Hi',
+      createdAt: 1700000000,
+      forkMessageId: null,
+      platform: 'chatgpt',
+      updatedAt: 1700000000000
+    },
+    {
+      childId: 'ms',
+      title: 'Millis',
+      firstMessage: null,
+      createdAt: 1700000000,
+      forkMessageId: null,
+      platform: 'chatgpt',
+      updatedAt: 1700000000000
+    }
+  ]);
+  assert.deepEqual(migration.data.deleted, {});
+  // The input is not modified
+  assert.equal(legacy.version, undefined);
+  assert.equal(legacy.branches.parent[1].createdAt, 1700000000123);
+
+  // Current data passes through unchanged
+  const current = upgradeBranchData(migration.data);
+  assert.equal(current.changed, false);
+  assert.deepEqual(current.issues, []);
+  assert.deepEqual(current.data, migration.data);
+
+  // Data from a newer version is rejected, not rewritten
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  assert.equal(migrateBranchData({ version: 99, branches: {} }), null);
+  assert.equal(upgradeBranchData({ version: 99 }), null);
+  console.warn = originalWarn;
+
+  // Malformed entries are dropped or repaired
+  const { data, issues } = validateBranchData({
+    version: BRANCH_SCHEMA_VERSION,
+    branches: {
+      parent: [
+        null,
+        { title: 'No child' },
+        { childId: 'parent', title: 'Self' },
+        {
+          childId: 'dup',
+          title: 'First',
+          firstMessage: null,
+          createdAt: 5,
+          forkMessageId: null,
+          platform: 'chatgpt',
+          updatedAt: 5000
+        },
+        {
+          childId: 'dup',
+          title: 'Second',
+          firstMessage: null,
+          createdAt: 6,
+          forkMessageId: 'm1',
+          platform: 'chatgpt',
+          updatedAt: 6000
+        },
+        {
+          childId: 'bad',
+          title: 42,
+          firstMessage: {},
+          createdAt: 'yesterday',
+          forkMessageId: null,
+          platform: 'chatgpt',
+          updatedAt: 7000
+        }
+      ],
+      broken: 'not a list'
+    },
+    titles: { parent: 'Parent', odd: 7 },
+    deleted: { gone: 8000, unknown: 'soon' }
+  });
+  assert.deepEqual(
+    issues.map((issue) => [issue.type, issue.childId ?? null, issue.action]),
+    [
+      ['invalid_entry', null, 'dropped'],
+      ['invalid_entry', null, 'dropped'],
+      ['self_branch', 'parent', 'dropped'],
+      ['duplicate_entry', 'dup', 'dropped'],
+      ['invalid_field', 'bad', 'repaired'],
+      ['invalid_field', 'bad', 'repaired'],
+      ['invalid_field', 'bad', 'repaired'],
+      ['invalid_branch_list', null, 'dropped'],
+      ['invalid_title', 'odd', 'dropped'],
+      ['invalid_deleted_entry', 'unknown', 'dropped']
+    ]
+  );
+  assert.deepEqual(
+    data.branches.parent.map((b) => [b.childId, b.title, b.forkMessageId]),
+    [
+      ['dup', 'First', 'm1'],
+      ['bad', 'Conversation', null]
+    ]
+  );
+  const bad = data.branches.parent[1];
+  assert.equal(bad.createdAt, 0);
+  assert.equal(bad.firstMessage, null);
+  assert.equal(data.branches.broken, undefined);
+  assert.deepEqual(data.titles, { parent: 'Parent' });
+  assert.deepEqual(data.deleted, { gone: 8000 });
+
+  // Garbage in, empty current-version data out
+  const empty = upgradeBranchData('nonsense');
+  assert.deepEqual(empty.data, {
+    version: BRANCH_SCHEMA_VERSION,
+    branches: {},
+    titles: {},
+    deleted: {}
+  });
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
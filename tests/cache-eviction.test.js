@@ -0,0 +1,57 @@
+/* eslint-env node */
+/* global require, process */
+const assert = require('node:assert/strict');
+
+(async () => {
+  const { planCacheEviction, pinnedCacheBytes, CACHE_BUDGET_BYTES } =
+    await import('../core/storage.js');
+
+  const row = (conversationId, bytes, lastAccessedAt, pinned = false) => ({
+    conversationId,
+    bytes,
+    timestamp: lastAccessedAt,
+    lastAccessedAt,
+    pinned
+  });
+
+  const rows = [
+    row('recent', 400, 300),
+    row('oldest', 300, 100),
+    row('middle', 200, 200),
+    row('pinned', 1000, 50, true),
+    row('pin-only', 0, 10, true)
+  ];
+
+  // Within budget: nothing to evict; pinned bytes count
+  assert.deepEqual(planCacheEviction(rows, 1900), []);
+
+  // Least recently used go first, stopping once the rest fits
+  assert.deepEqual(planCacheEviction(rows, 1600), ['oldest']);
+  assert.deepEqual(planCacheEviction(rows, 1400), ['oldest', 'middle']);
+  assert.deepEqual(planCacheEviction(rows, 900), [
+    'oldest',
+    'middle',
+    'recent'
+  ]);
+
+  // Pinned entries are never evicted, even when nothing else is left
+  assert.deepEqual(planCacheEviction(rows, 0), ['oldest', 'middle', 'recent']);
+
+  // The entry being replaced is neither evicted nor counted
+  assert.deepEqual(planCacheEviction(rows, 1500, 'oldest'), ['middle']);
+  assert.deepEqual(planCacheEviction(rows, 1400, 'recent'), ['oldest']);
+  assert.deepEqual(planCacheEviction(rows, 900, 'pinned'), []);
+
+  // Pinned bytes, which eviction can't free
+  assert.equal(pinnedCacheBytes(rows), 1000);
+  assert.equal(pinnedCacheBytes(rows, 'pinned'), 0);
+  assert.equal(pinnedCacheBytes(rows, 'recent'), 1000);
+
+  assert.deepEqual(planCacheEviction([], 0), []);
+  assert.ok(CACHE_BUDGET_BYTES > 0);
+
+  console.log('cache-eviction tests passed');
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
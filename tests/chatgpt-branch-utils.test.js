@@ -8,6 +8,7 @@ const assert = require('node:assert/strict');
     extractChatGPTConversationIdFromPath,
     isPreBranchChatGPTId,
     selectFirstMessageAfterTimestamp,
+    matchPendingFork,
     findParentBranch,
     buildBranchContextNodes
   } = await import('../core/chatgpt-branch-utils.js');
@@ -74,6 +75,20 @@ const assert = require('node:assert/strict');
   assert.equal(context.branchNodes[1].isViewing, true);
   assert.equal(context.branchNodes[0].branchLabel, 'Branch: Child A');
   assert.equal(context.branchNodes[0].icon, 'branch');
+  assert.equal(context.branchNodes[0].isDeleted, false);
+
+  // Deleted conversations are flagged on their rows
+  const withDeleted = buildBranchContextNodes({
+    branchData: { ...branchData, deleted: { childA: 1000, parent1: 2000 } },
+    parentId: 'parent1',
+    currentConversationId: 'childB'
+  });
+  assert.equal(withDeleted.ancestorTitle.isDeleted, true);
+  assert.equal(withDeleted.branchRoot.isDeleted, true);
+  assert.deepEqual(
+    withDeleted.branchNodes.map((node) => node.isDeleted),
+    [true, false]
+  );
 
   // selectFirstMessageAfterTimestamp
   const messageSample = [
@@ -91,6 +106,26 @@ const assert = require('node:assert/strict');
   ];
   assert.equal(selectFirstMessageAfterTimestamp(unsortedSample, 3), 'later');
   assert.equal(selectFirstMessageAfterTimestamp(unsortedSample, 0), 'first');
+
+  // matchPendingFork: the long window needs the fork message in the mapping
+  const pendingFork = { timestamp: 1000, forkMessageId: 'm1' };
+  assert.deepEqual(matchPendingFork(pendingFork, { m1: {} }, 1800, 120), {
+    matched: true,
+    forkMessageId: 'm1'
+  });
+  assert.deepEqual(matchPendingFork(pendingFork, { m2: {} }, 1800, 120), {
+    matched: false,
+    forkMessageId: null
+  });
+  assert.deepEqual(matchPendingFork(pendingFork, { m2: {} }, 1100, 120), {
+    matched: true,
+    forkMessageId: null
+  });
+  assert.deepEqual(
+    matchPendingFork({ timestamp: 1000, forkMessageId: null }, {}, 1060, 120),
+    { matched: true, forkMessageId: null }
+  );
+  assert.equal(matchPendingFork(null, {}, 0, 120).matched, false);
 })().catch((err) => {
   console.error(err);
   process.exit(1);
@@ -0,0 +1,115 @@
+/* eslint-env node */
+/* global require, process */
+const assert = require('node:assert/strict');
+
+(async () => {
+  const { extractClaudeMessagesFromApi, selectClaudeCurrentPath } =
+    await import('../platforms/claude/adapter.js');
+  const { ConversationGraph } = await import('../core/conversation-graph.js');
+  const { buildTreeFromGraph } = await import('../core/tree-builder.js');
+
+  const ROOT = '00000000-0000-4000-8000-000000000000';
+  const apiResponse = {
+    uuid: 'conv-1',
+    name: 'Claude chat',
+    current_leaf_message_uuid: 'a2',
+    chat_messages: [
+      {
+        uuid: 'u1',
+        sender: 'human',
+        text: 'Original question',
+        created_at: '2026-01-01T00:00:00Z',
+        parent_message_uuid: ROOT
+      },
+      {
+        uuid: 'a1',
+        sender: 'assistant',
+        text: 'Original answer',
+        created_at: '2026-01-01T00:00:10Z',
+        parent_message_uuid: 'u1'
+      },
+      {
+        uuid: 'u2',
+        sender: 'human',
+        text: 'Edited question',
+        created_at: '2026-01-01T00:01:00Z',
+        parent_message_uuid: ROOT
+      },
+      {
+        uuid: 'a2',
+        sender: 'assistant',
+        text: 'Answer to the edit',
+        created_at: '2026-01-01T00:01:10Z',
+        parent_message_uuid: 'u2'
+      }
+    ]
+  };
+
+  const extracted = extractClaudeMessagesFromApi(apiResponse);
+  assert.equal(extracted.currentLeafId, 'a2');
+  assert.equal(extracted.messages.find((m) => m.id === 'a1').parentId, 'u1');
+
+  // Active path follows current_leaf_message_uuid
+  assert.deepEqual(
+    selectClaudeCurrentPath(extracted.messages, 'a2').map((m) => m.id),
+    ['u2', 'a2']
+  );
+  assert.deepEqual(
+    selectClaudeCurrentPath(extracted.messages, 'a1').map((m) => m.id),
+    ['u1', 'a1']
+  );
+  // Without a leaf, the newest branch wins
+  assert.deepEqual(
+    selectClaudeCurrentPath(extracted.messages, null).map((m) => m.id),
+    ['u2', 'a2']
+  );
+
+  // Edit groups from parent_message_uuid render as edit siblings
+  const messages = [
+    {
+      id: 'u2',
+      role: 'user',
+      text: 'Edited question',
+      createTime: 60,
+      parentId: ROOT
+    },
+    {
+      id: 'a2',
+      role: 'assistant',
+      text: 'Answer to the edit',
+      createTime: 70,
+      parentId: 'u2'
+    },
+    {
+      id: 'edit-branch:u1',
+      type: 'editBranch',
+      role: 'user',
+      text: 'Original question',
+      createTime: 0,
+      parentId: ROOT,
+      branchNodeId: 'u1'
+    }
+  ];
+  const { graph } = await ConversationGraph.buildFromConversation(
+    'conv-1',
+    'claude',
+    messages
+  );
+  assert.deepEqual([...graph.getEditSiblings('u2')].sort(), ['u1', 'u2']);
+  assert.deepEqual(graph.getConversationPath('conv-1'), ['u2', 'a2']);
+
+  const nodes = buildTreeFromGraph(graph, 'conv-1', null);
+  assert.deepEqual(
+    nodes.map((n) => [n.id, n.type]),
+    [
+      ['u2', 'message'],
+      ['u1', 'editBranch'],
+      ['a2', 'message']
+    ]
+  );
+  assert.equal(nodes[0].editVersionIndex, 2);
+  assert.equal(nodes[1].editVersionLabel, 'Edit v1/2');
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
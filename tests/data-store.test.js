@@ -0,0 +1,343 @@
+/* eslint-env node */
+/* global require, process */
+const assert = require('node:assert/strict');
+require('fake-indexeddb/auto');
+
+(async () => {
+  // chrome.storage.local with the data an older version left behind
+  const legacyStorage = {
+    chatgpt_branch_data: {
+      branches: {
+        parent: [{ childId: 'legacy-child', title: 'Old', createdAt: 100 }]
+      },
+      titles: { 'legacy-child': 'Old' }
+    },
+    conv_cache_cached: { data: { messages: ['hi'] }, timestamp: 500 },
+    branchTreeSettings: { previewLength: 40 }
+  };
+  globalThis.chrome = {
+    storage: {
+      local: {
+        get: async (key) => (key === null ? { ...legacyStorage } : {}),
+        remove: async (keys) => keys.forEach((key) => delete legacyStorage[key])
+      }
+    }
+  };
+
+  const { STORES, runTransaction } = await import('../core/database.js');
+  const { CACHE_BUDGET_BYTES } = await import('../core/storage.js');
+  const store = await import('../core/data-store.js');
+
+  const readAll = (name) =>
+    runTransaction(name, 'readonly', (objectStore) => objectStore.getAll());
+  const clearStores = (names) =>
+    runTransaction(names, 'readwrite', (...stores) =>
+      stores.forEach((objectStore) => objectStore.clear())
+    );
+  const BRANCH_STORES = [
+    STORES.BRANCHES,
+    STORES.TITLES,
+    STORES.CONVERSATIONS,
+    STORES.DELETIONS
+  ];
+
+  // A migration that fails is retried on the next call
+  const { get } = globalThis.chrome.storage.local;
+  globalThis.chrome.storage.local.get = async () => {
+    throw new Error('storage unavailable');
+  };
+  const consoleError = console.error;
+  console.error = () => {};
+  assert.equal(await store.migrateLegacyStorage(), false);
+  console.error = consoleError;
+  globalThis.chrome.storage.local.get = get;
+
+  // Legacy migration imports branch data and caches, then removes the keys
+  assert.equal(await store.migrateLegacyStorage(), true);
+  assert.deepEqual(Object.keys(legacyStorage), ['branchTreeSettings']);
+  let data = await store.loadBranchData();
+  assert.deepEqual(
+    data.branches.parent.map((b) => b.childId),
+    ['legacy-child']
+  );
+  assert.equal(data.titles['legacy-child'], 'Old');
+  assert.deepEqual((await store.getCacheEntry('cached')).data, {
+    messages: ['hi']
+  });
+  const [migratedRow] = await readAll(STORES.CACHE_INDEX);
+  assert.equal(migratedRow.conversationId, 'cached');
+  assert.equal(migratedRow.pinned, false);
+  assert.ok(migratedRow.bytes > 0);
+  const [meta] = await readAll(STORES.META);
+  assert.equal(meta.key, 'legacyStorageMigration');
+  assert.equal(meta.branches, 1);
+  assert.equal(meta.cacheEntries, 1);
+  // Runs once
+  assert.equal(await store.migrateLegacyStorage(), true);
+  assert.equal((await readAll(STORES.META)).length, 1);
+
+  await clearStores([...BRANCH_STORES, STORES.CACHE, STORES.CACHE_INDEX]);
+
+  // recordBranch stores the branch, the child's title and conversation
+  data = await store.recordBranch(
+    'p1',
+    'c1',
+    'Child one',
+    2000,
+    'First ask',
+    null,
+    'chatgpt'
+  );
+  assert.equal(data.branches.p1[0].childId, 'c1');
+  assert.equal(data.branches.p1[0].createdAt, 2);
+  const [branch] = await readAll(STORES.BRANCHES);
+  assert.equal(branch.parentId, 'p1');
+  assert.equal(branch.firstMessage, 'First ask');
+  assert.equal(branch.forkMessageId, null);
+  const [conversation] = await readAll(STORES.CONVERSATIONS);
+  assert.equal(conversation.conversationId, 'c1');
+  assert.equal(conversation.parentId, 'p1');
+  assert.equal(conversation.platform, 'chatgpt');
+
+  // Recording it again fills in a missing fork point and keeps the rest
+  await store.recordBranch('p1', 'c1', 'Child one', 9000, 'Other', 'm7');
+  const branches = await readAll(STORES.BRANCHES);
+  assert.equal(branches.length, 1);
+  assert.equal(branches[0].forkMessageId, 'm7');
+  assert.equal(branches[0].firstMessage, 'First ask');
+  assert.equal(branches[0].createdAt, 2);
+
+  // saveBranchData keeps the updatedAt of records that didn't change
+  await store.recordBranch('p1', 'c2', 'Child two', 3000, 'Second ask');
+  const stamps = new Map(
+    (await readAll(STORES.BRANCHES)).map((r) => [r.childId, r.updatedAt])
+  );
+  const titleStamp = (await readAll(STORES.TITLES)).find(
+    (r) => r.conversationId === 'c1'
+  ).updatedAt;
+  data = await store.loadBranchData();
+  data.branches.p1.find((b) => b.childId === 'c2').title = 'Renamed';
+  data.titles.c2 = 'Renamed';
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  assert.equal(await store.saveBranchData(data), true);
+  let saved = await readAll(STORES.BRANCHES);
+  assert.equal(
+    saved.find((r) => r.childId === 'c1').updatedAt,
+    stamps.get('c1')
+  );
+  assert.ok(saved.find((r) => r.childId === 'c2').updatedAt > stamps.get('c2'));
+  assert.equal(
+    (await readAll(STORES.TITLES)).find((r) => r.conversationId === 'c1')
+      .updatedAt,
+    titleStamp
+  );
+
+  // Data from a newer schema version is refused
+  assert.equal(await store.saveBranchData({ ...data, version: 99 }), false);
+
+  // Saving records a deletion would drop restores them with a new updatedAt
+  await store.applySyncRecords({
+    deletions: [{ conversationId: 'c1', deletedAt: Date.now() }]
+  });
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  assert.equal(await store.saveBranchData(data), true);
+  saved = await readAll(STORES.BRANCHES);
+  assert.ok(saved.find((r) => r.childId === 'c1').updatedAt > stamps.get('c1'));
+
+  // The deleted map marks conversation records, and an empty one clears them
+  await store.saveBranchData({ ...data, deleted: { c2: 1234 } });
+  let records = await store.listConversations();
+  assert.equal(records.find((r) => r.conversationId === 'c2').deletedAt, 1234);
+  assert.deepEqual((await store.loadBranchData()).deleted, { c2: 1234 });
+  await store.saveBranchData({ ...data, deleted: {} });
+  assert.deepEqual((await store.loadBranchData()).deleted, {});
+
+  // Marking keeps the first time a deletion was noticed
+  await store.markConversationDeleted('c2');
+  const firstMark = (await store.loadBranchData()).deleted.c2;
+  assert.ok(firstMark > 0);
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  await store.markConversationDeleted('c2');
+  assert.equal((await store.loadBranchData()).deleted.c2, firstMark);
+
+  // A visit clears the mark
+  await store.recordConversation('c2', { title: 'Renamed' });
+  assert.deepEqual((await store.loadBranchData()).deleted, {});
+
+  // Pruning removes deleted conversations and their links; only those in a
+  // branch relationship get a deletion record
+  await clearStores([STORES.DELETIONS]);
+  await store.recordConversation('lonely', { title: 'No branches' });
+  await store.markConversationDeleted('c2');
+  await store.markConversationDeleted('lonely');
+  const pruned = await store.pruneDeletedConversations();
+  assert.deepEqual(pruned.conversations.sort(), ['c2', 'lonely']);
+  assert.equal(pruned.branches, 1);
+  data = await store.loadBranchData();
+  assert.deepEqual(
+    data.branches.p1.map((b) => b.childId),
+    ['c1']
+  );
+  assert.equal(data.titles.c2, undefined);
+  assert.equal(data.titles.lonely, undefined);
+  assert.deepEqual(
+    (await readAll(STORES.DELETIONS)).map((r) => r.conversationId),
+    ['c2']
+  );
+  assert.deepEqual(await store.pruneDeletedConversations(), {
+    conversations: [],
+    branches: 0
+  });
+
+  // Sync records apply writes and removals in one go
+  await store.applySyncRecords({
+    branches: [
+      {
+        parentId: 'p2',
+        childId: 'c3',
+        title: 'Synced',
+        createdAt: 5,
+        platform: 'claude',
+        updatedAt: 10
+      }
+    ],
+    titles: [{ conversationId: 'c3', title: 'Synced', updatedAt: 10 }],
+    removedBranches: [{ parentId: 'p1', childId: 'c1' }],
+    removedTitles: [{ conversationId: 'c1' }],
+    removedDeletions: [{ conversationId: 'c2' }]
+  });
+  let sync = await store.loadSyncRecords();
+  assert.deepEqual(
+    sync.branches.map((r) => r.childId),
+    ['c3']
+  );
+  assert.deepEqual(
+    sync.titles.map((r) => r.conversationId),
+    ['c3']
+  );
+  assert.deepEqual(sync.deletions, []);
+  records = await store.listConversations({ parentId: 'p2' });
+  assert.equal(records[0].conversationId, 'c3');
+  assert.equal(records[0].platform, 'claude');
+  assert.deepEqual(await store.listConversations({ platform: 'gemini' }), []);
+
+  // Clearing leaves a deletion record for each conversation in a branch
+  assert.equal(await store.clearBranchData(), true);
+  sync = await store.loadSyncRecords();
+  assert.deepEqual(sync.branches, []);
+  assert.deepEqual(sync.titles, []);
+  assert.deepEqual(sync.deletions.map((r) => r.conversationId).sort(), [
+    'c3',
+    'p2'
+  ]);
+  assert.deepEqual(await store.listConversations(), []);
+
+  // Cache: index rows are seeded with sizes instead of writing large payloads
+  const seedRows = (rows) =>
+    runTransaction(STORES.CACHE_INDEX, 'readwrite', (objectStore) =>
+      rows.forEach((row) => objectStore.put(row))
+    );
+  const row = (conversationId, bytes, lastAccessedAt, pinned = false) => ({
+    conversationId,
+    bytes,
+    timestamp: lastAccessedAt,
+    lastAccessedAt,
+    pinned
+  });
+  const entry = (conversationId) => ({
+    conversationId,
+    data: { title: conversationId },
+    timestamp: Date.now(),
+    lastAccessedAt: Date.now()
+  });
+  const MB = 1024 * 1024;
+  const consoleWarn = console.warn;
+  console.warn = () => {};
+
+  await store.clearConversationCache();
+  await seedRows([
+    row('old', 20 * MB, 100),
+    row('middle', 20 * MB, 200),
+    row('recent', 10 * MB, 300)
+  ]);
+  let result = await store.storeCacheEntry(entry('new'));
+  assert.deepEqual(result, { stored: true, evicted: ['old'] });
+  let usage = await store.getCacheUsage();
+  assert.equal(usage.count, 3);
+  assert.equal(usage.budget, CACHE_BUDGET_BYTES);
+
+  // Pinned payloads are never evicted, so an entry that doesn't fit beside
+  // them isn't stored, and a pin past the budget is refused
+  await store.clearConversationCache();
+  await seedRows([row('pinned', CACHE_BUDGET_BYTES - 10, 100, true)]);
+  result = await store.storeCacheEntry(entry('new'));
+  assert.deepEqual(result, { stored: false, evicted: [] });
+  await seedRows([row('other', 20, 200)]);
+  assert.deepEqual(await store.setCachePinned('other', true), {
+    saved: false,
+    overBudget: true
+  });
+  assert.equal(await store.isCachePinned('other'), false);
+  await store.setCachePinned('pinned', false);
+  assert.deepEqual(await store.setCachePinned('other', true), {
+    saved: true,
+    overBudget: false
+  });
+  usage = await store.getCacheUsage();
+  assert.equal(usage.pinnedCount, 1);
+  assert.equal(usage.pinnedBytes, 20);
+
+  // A pin without a payload is dropped when unpinned
+  await store.setCachePinned('not-cached', true);
+  assert.equal(await store.isCachePinned('not-cached'), true);
+  await store.setCachePinned('not-cached', false);
+  assert.equal(
+    (await readAll(STORES.CACHE_INDEX)).some(
+      (r) => r.conversationId === 'not-cached'
+    ),
+    false
+  );
+
+  // When the browser refuses a write for quota, half the cache is evicted
+  // and the write retried
+  await store.clearConversationCache();
+  await seedRows([
+    row('a', 4 * MB, 100),
+    row('b', 4 * MB, 200),
+    row('c', 4 * MB, 300),
+    row('d', 3 * MB, 400)
+  ]);
+  const put = IDBObjectStore.prototype.put;
+  let quotaFailures = 1;
+  IDBObjectStore.prototype.put = function (...args) {
+    const request = put.apply(this, args);
+    if (this.name === STORES.CACHE && quotaFailures > 0) {
+      quotaFailures--;
+      // Browsers abort the transaction of a write over quota
+      this.transaction._abort('QuotaExceededError');
+    }
+    return request;
+  };
+  result = await store.storeCacheEntry(entry('new'));
+  assert.equal(result.stored, true);
+  assert.deepEqual(result.evicted, ['a', 'b']);
+  assert.deepEqual(
+    (await readAll(STORES.CACHE_INDEX)).map((r) => r.conversationId).sort(),
+    ['c', 'd', 'new']
+  );
+
+  // A write refused again after eviction gives up
+  quotaFailures = 2;
+  console.error = () => {};
+  result = await store.storeCacheEntry(entry('again'));
+  console.error = consoleError;
+  assert.equal(result.stored, false);
+  assert.equal(await store.getCacheEntry('again'), null);
+  IDBObjectStore.prototype.put = put;
+  console.warn = consoleWarn;
+
+  console.log('data-store tests passed');
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,134 @@
+/* eslint-env node */
+/* global require, process */
+const assert = require('node:assert/strict');
+
+(async () => {
+  const {
+    getDiagramEdges,
+    getNodeLabel,
+    toMermaid,
+    toDot,
+    toOpml,
+    createDiagramExport
+  } = await import('../core/diagram-export.js');
+  const { buildExploreDisplayList } = await import('../core/tree-builder.js');
+
+  // Shaped like buildTreeFromGraph: m1 has an edit version, m2 a branch
+  // whose own messages follow it
+  const nodes = [
+    { id: 'm1', type: 'message', text: 'First "question"', depth: 0 },
+    {
+      id: 'm1b',
+      type: 'editBranch',
+      text: 'First, edited',
+      editVersionLabel: 'v2/2',
+      depth: 1
+    },
+    { id: 'm2', type: 'message', text: 'Second', depth: 0, createTime: 60 },
+    {
+      id: 'branch:c2',
+      type: 'branch',
+      text: 'Branch start',
+      branchLabel: 'Branch: Side <idea>',
+      depth: 1
+    },
+    { id: 't1', type: 'message', text: 'Tail one', depth: 2 },
+    { id: 't2', type: 'message', text: 'Tail two', depth: 2 },
+    { id: 'm3', type: 'message', text: 'Third', depth: 0 }
+  ];
+
+  assert.deepEqual(getDiagramEdges(nodes), [
+    { from: 0, to: 1, kind: 'edit' },
+    { from: 0, to: 2, kind: 'next' },
+    { from: 2, to: 3, kind: 'branch' },
+    { from: 3, to: 4, kind: 'next' },
+    { from: 4, to: 5, kind: 'next' },
+    { from: 2, to: 6, kind: 'next' }
+  ]);
+
+  // Explore lists: an expanded alternate is followed by its continuation
+  const explore = buildExploreDisplayList(
+    [
+      {
+        id: 'a',
+        text: 'A',
+        createTime: 1,
+        isCurrentPath: true,
+        children: [{ id: 'c', text: 'C', createTime: 3, children: [] }]
+      },
+      {
+        id: 'b',
+        text: 'B',
+        createTime: 2,
+        children: [{ id: 'd', text: 'D', createTime: 4, children: [] }]
+      }
+    ],
+    new Set(['b'])
+  );
+  const ids = explore.map((node) => node.id);
+  assert.deepEqual(
+    getDiagramEdges(explore).map(
+      ({ from, to, kind }) => `${ids[from]}-${kind}-${ids[to]}`
+    ),
+    ['a-edit-b', 'b-next-d', 'a-next-c']
+  );
+
+  // Labels
+  assert.equal(getNodeLabel(nodes[1]), 'v2/2 · First, edited');
+  assert.equal(getNodeLabel({ text: '  a\n\nb  ' }), 'a b');
+  assert.equal(getNodeLabel({ text: 'abcdefghij' }, 5), 'abcd…');
+  assert.equal(getNodeLabel({ text: '' }), 'Untitled');
+
+  const mermaid = toMermaid({ title: 'Plan', nodes, previewLength: 70 });
+  assert.ok(mermaid.startsWith('---\ntitle: "Plan"\n---\nflowchart TD\n'));
+  assert.ok(mermaid.includes('  n0["First #quot;question#quot;"]\n'));
+  assert.ok(mermaid.includes('  n3(["Branch: Side #lt;idea#gt; · Branch'));
+  assert.ok(mermaid.includes('  n0 -.-> n1\n'));
+  assert.ok(mermaid.includes('  n0 --> n2\n'));
+  assert.ok(mermaid.includes('  n2 ==> n3\n'));
+
+  const dot = toDot({ title: 'Plan "A"', nodes, previewLength: 10 });
+  assert.ok(dot.startsWith('digraph conversation {\n  label="Plan \\"A\\"";'));
+  assert.ok(dot.includes('  n0 [label="First \\"qu…"];'));
+  assert.ok(dot.includes('  n0 -> n1 [style=dashed, label="edit"];'));
+  assert.ok(dot.includes('  n2 -> n3 [style=bold, label="branch"];'));
+  assert.ok(dot.includes('  n0 -> n2;'));
+  assert.ok(dot.trimEnd().endsWith('}'));
+
+  const opml = toOpml({
+    title: 'Plan & more',
+    nodes,
+    exportedAt: new Date('2026-01-02T00:00:00Z')
+  });
+  assert.ok(opml.includes('<title>Plan &amp; more</title>'));
+  assert.ok(opml.includes('<dateCreated>Fri, 02 Jan 2026 00:00:00 GMT'));
+  assert.ok(
+    opml.includes(
+      '    <outline text="First &quot;question&quot;">\n' +
+        '      <outline text="v2/2 · First, edited" kind="edit"/>\n' +
+        '    </outline>\n'
+    )
+  );
+  assert.ok(
+    opml.includes(
+      'kind="branch">\n        <outline text="Tail one"/>\n' +
+        '        <outline text="Tail two"/>\n      </outline>\n    </outline>\n' +
+        '    <outline text="Third"/>\n  </body>'
+    )
+  );
+  assert.ok(opml.includes('created="Thu, 01 Jan 1970 00:01:00 GMT"'));
+
+  const file = createDiagramExport('dot', {
+    title: 'Plan',
+    nodes,
+    platform: 'chatgpt'
+  });
+  assert.match(file.filename, /^Plan_chatgpt_\d{4}-\d{2}-\d{2}\.dot$/);
+  assert.equal(file.type, 'text/vnd.graphviz;charset=utf-8');
+  assert.equal(createDiagramExport('svg', { title: 'x', nodes }), null);
+
+  console.log('diagram export tests passed');
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -3,7 +3,7 @@
 const assert = require('node:assert/strict');
 const { readFileSync } = require('node:fs');
 
-const content = readFileSync('content.js', 'utf8');
+const content = readFileSync('platforms/chatgpt/adapter.js', 'utf8');
 
 assert.ok(content.includes('editVersionIndex: sibIndex'));
 assert.ok(content.includes('totalVersions: sortedSiblings.length'));
@@ -0,0 +1,74 @@
+/* eslint-env node */
+/* global require, process */
+const assert = require('node:assert/strict');
+
+(async () => {
+  const { buildExploreDisplayList } = await import('../core/tree-builder.js');
+
+  const step = (id, createTime, isCurrentPath, children = []) => ({
+    id,
+    text: `message ${id}`,
+    createTime,
+    isCurrentPath,
+    descendantCount: children.length,
+    children
+  });
+
+  const roots = [
+    step('u1', 100, true, [
+      step('u2-old', 200, false, [step('u3-old', 300, false)]),
+      step('u2', 250, true, [step('u3', 350, true)])
+    ])
+  ];
+
+  // Collapsed: the current path with alternates listed beneath their step
+  const collapsed = buildExploreDisplayList(roots);
+  assert.deepEqual(
+    collapsed.map((n) => [n.id, n.type, n.depth]),
+    [
+      ['u1', 'message', 0],
+      ['u2', 'message', 0],
+      ['u2-old', 'editBranch', 1],
+      ['u3', 'message', 0]
+    ]
+  );
+
+  const current = collapsed.find((n) => n.id === 'u2');
+  assert.equal(current.isCurrentPath, true);
+  assert.equal(current.branchNodeId, undefined);
+  assert.equal(current.editVersionIndex, 2);
+  assert.equal(current.totalVersions, 2);
+
+  const alt = collapsed.find((n) => n.id === 'u2-old');
+  assert.equal(alt.branchNodeId, 'u2-old');
+  assert.equal(alt.editVersionLabel, 'Alt v1/2');
+  assert.equal(alt.canExpand, true);
+  assert.equal(alt.exploreExpanded, false);
+
+  // Expanded: the alternate's continuation follows it, switchable on click
+  const expanded = buildExploreDisplayList(roots, new Set(['u2-old']));
+  assert.deepEqual(
+    expanded.map((n) => [n.id, n.type, n.depth]),
+    [
+      ['u1', 'message', 0],
+      ['u2', 'message', 0],
+      ['u2-old', 'editBranch', 1],
+      ['u3-old', 'message', 1],
+      ['u3', 'message', 0]
+    ]
+  );
+
+  const hidden = expanded.find((n) => n.id === 'u3-old');
+  assert.equal(hidden.isCurrentPath, false);
+  assert.equal(hidden.branchNodeId, 'u3-old');
+  assert.equal(
+    hidden.colorIndex,
+    expanded.find((n) => n.id === 'u2-old').colorIndex
+  );
+
+  assert.deepEqual(buildExploreDisplayList([]), []);
+  assert.deepEqual(buildExploreDisplayList(null), []);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,301 @@
+/* eslint-env node */
+/* global require, process */
+const assert = require('node:assert/strict');
+
+(async () => {
+  const { addSource, fence, renderMessageBody } = await import(
+    '../core/export-message.js'
+  );
+  const { generateMarkdown } = await import('../core/markdown-export.js');
+  const { ChatGPTAdapter } = await import('../platforms/chatgpt/adapter.js');
+  const { extractClaudeMessagesFromApi } = await import(
+    '../platforms/claude/adapter.js'
+  );
+  const { PerplexityAdapter } = await import(
+    '../platforms/perplexity/adapter.js'
+  );
+
+  // Sources are numbered once per URL
+  const sources = [];
+  assert.equal(addSource(sources, { url: 'https://a.test', title: 'A' }), 1);
+  assert.equal(addSource(sources, { url: 'https://b.test' }), 2);
+  assert.equal(addSource(sources, { url: ' https://a.test ' }), 1);
+  assert.equal(addSource(sources, { title: 'No link' }), 0);
+  assert.equal(sources.length, 2);
+
+  // Fences outgrow the backticks inside
+  assert.equal(fence('x = 1\n', 'python'), '```python\nx = 1\n```');
+  assert.equal(fence('a ```` b'), '`````\na ```` b\n`````');
+
+  // Footnote labels are unique per message; uncited sources are listed
+  const body = renderMessageBody(
+    {
+      content: 'Fact[^1]. Other[^3].',
+      sources: [
+        { url: 'https://a.test', title: 'Page [A]' },
+        { url: 'https://b.test', title: '' }
+      ],
+      blocks: [
+        { kind: 'code', text: 'print(1)', language: 'python' },
+        { kind: 'output', text: '1' },
+        { kind: 'code', text: '# Notes', language: 'markdown', title: 'Notes' }
+      ],
+      attachments: [
+        {
+          name: 'chart.png',
+          url: 'https://x.test/c.png',
+          mimeType: 'image/png'
+        },
+        { name: 'data.csv', url: 'https://x.test/d', mimeType: 'text/csv' },
+        { name: 'notes.txt', text: 'line', size: 2048 },
+        { name: 'photo', fileId: 'file-1', size: 10 }
+      ]
+    },
+    4
+  );
+  assert.ok(body.startsWith('Fact[^4-1]. Other[^3].\n\n'));
+  assert.ok(body.includes('*Code run by tool:*\n\n```python\nprint(1)\n```'));
+  assert.ok(body.includes('*Output:*\n\n```\n1\n```'));
+  assert.ok(body.includes('*Notes:*\n\n```markdown\n# Notes\n```'));
+  assert.ok(body.includes('![chart.png](<https://x.test/c.png>)'));
+  assert.ok(body.includes('📎 [data.csv](<https://x.test/d>) (text/csv)'));
+  assert.ok(
+    body.includes(
+      '<details>\n<summary>📎 notes.txt (2 KB)</summary>\n\n```\nline\n```'
+    )
+  );
+  assert.ok(body.includes('📎 photo (10 B) · file-1'));
+  assert.ok(
+    body.includes('**Sources:**\n\n- [https://b.test](<https://b.test>)')
+  );
+  assert.ok(body.endsWith('[^4-1]: [Page \\[A\\]](<https://a.test>)'));
+  assert.equal(renderMessageBody({ text: 'Plain' }, 1), 'Plain');
+
+  // Names are escaped in HTML, URLs kept whole in <...>
+  const escaped = renderMessageBody(
+    {
+      content: 'Files',
+      attachments: [
+        { name: '<b>a&b</b>.txt', text: 'x' },
+        { name: 'shot (1).png', url: 'https://x.test/a b (1).png' },
+        { name: 'doc', url: 'https://x.test/<doc>', mimeType: 'text/plain' }
+      ]
+    },
+    1
+  );
+  assert.ok(
+    escaped.includes('<summary>📎 &lt;b&gt;a&amp;b&lt;/b&gt;.txt</summary>')
+  );
+  assert.ok(escaped.includes('[shot (1).png](<https://x.test/a b (1).png>)'));
+  assert.ok(escaped.includes('[doc](<https://x.test/%3Cdoc%3E>)'));
+
+  // ChatGPT: a code interpreter run, then a cited reply; the user sent an
+  // image only
+  const node = (id, parent, message) => ({
+    id,
+    parent,
+    message: message && { id, create_time: 10, ...message }
+  });
+  const mapping = Object.fromEntries(
+    [
+      node('root', null, null),
+      node('u1', 'root', {
+        author: { role: 'user' },
+        content: {
+          content_type: 'multimodal_text',
+          parts: [
+            {
+              content_type: 'image_asset_pointer',
+              asset_pointer: 'file-service://file-img',
+              size_bytes: 4096
+            }
+          ]
+        },
+        metadata: {
+          attachments: [
+            { id: 'file-img', name: 'plot.png', mime_type: 'image/png' }
+          ]
+        }
+      }),
+      node('code', 'u1', {
+        author: { role: 'assistant' },
+        recipient: 'python',
+        content: { content_type: 'code', language: 'unknown', text: 'x = 2' }
+      }),
+      node('out', 'code', {
+        author: { role: 'tool', name: 'python' },
+        content: { content_type: 'execution_output', text: '2' }
+      }),
+      node('a1', 'out', {
+        author: { role: 'assistant' },
+        content: {
+          content_type: 'text',
+          parts: ['It is two citeturn0search0. Done.']
+        },
+        metadata: {
+          content_references: [
+            {
+              matched_text: 'citeturn0search0',
+              type: 'grouped_webpages',
+              items: [{ url: 'https://two.test', title: 'Two' }]
+            },
+            { matched_text: ' ', type: 'sources_footnote', sources: [] }
+          ]
+        }
+      }),
+      node('u2', 'a1', {
+        author: { role: 'user' },
+        content: { content_type: 'text', parts: ['And older replies?'] }
+      }),
+      node('a2', 'u2', {
+        author: { role: 'assistant' },
+        content: { content_type: 'text', parts: ['Old【3†source】 style'] },
+        metadata: {
+          citations: [
+            {
+              start_ix: 3,
+              end_ix: 13,
+              metadata: { url: 'https://old.test', title: 'Old' }
+            }
+          ]
+        }
+      })
+    ].map((entry) => [entry.id, entry])
+  );
+  const adapter = Object.create(ChatGPTAdapter.prototype);
+  const path = adapter._extractMessagesForExport(mapping, 'a2');
+  assert.deepEqual(
+    path.map((msg) => msg.id),
+    ['u1', 'a1', 'u2', 'a2']
+  );
+  assert.deepEqual(path[0].attachments, [
+    { name: 'plot.png', mimeType: 'image/png', size: 0, fileId: 'file-img' }
+  ]);
+  assert.deepEqual(path[1].blocks, [
+    { kind: 'code', text: 'x = 2', language: 'python' },
+    { kind: 'output', text: '2' }
+  ]);
+  assert.equal(path[1].content, 'It is two [^1]. Done.');
+  assert.deepEqual(path[1].sources, [
+    { url: 'https://two.test', title: 'Two' }
+  ]);
+  assert.ok(!path[1].text.includes('[^1]'));
+  assert.equal(path[3].content, 'Old[^1] style');
+  assert.equal(path[3].sources[0].url, 'https://old.test');
+
+  const all = adapter._extractAllMessagesForExport(mapping);
+  assert.deepEqual(all.find((msg) => msg.id === 'a1').blocks, path[1].blocks);
+  assert.equal(all.find((msg) => msg.id === 'a1').parentId, 'u1');
+
+  const md = generateMarkdown({
+    title: 'Chat',
+    platformName: 'ChatGPT',
+    messages: path
+  });
+  assert.ok(md.includes('It is two [^2-1]. Done.'));
+  assert.ok(md.includes('[^2-1]: [Two](<https://two.test>)'));
+  assert.ok(md.includes('Old[^4-1] style'));
+  assert.ok(md.includes('📎 plot.png (image/png) · file-img'));
+
+  // Claude: cited text, an attachment, an uploaded image and an artifact
+  const claude = extractClaudeMessagesFromApi({
+    uuid: 'conv',
+    chat_messages: [
+      {
+        uuid: 'u1',
+        sender: 'human',
+        text: 'Summarise this',
+        attachments: [
+          {
+            file_name: 'notes.txt',
+            file_type: 'text/plain',
+            file_size: 5,
+            extracted_content: 'hello'
+          }
+        ],
+        files_v2: [
+          {
+            file_uuid: 'img-1',
+            file_kind: 'image',
+            file_name: 'photo.jpg',
+            preview_url: '/api/files/img-1/preview'
+          }
+        ],
+        files: [{ file_uuid: 'img-1', file_name: 'photo.jpg' }]
+      },
+      {
+        uuid: 'a1',
+        sender: 'assistant',
+        text: 'It says hello.',
+        parent_message_uuid: 'u1',
+        content: [
+          {
+            type: 'text',
+            text: 'It says hello.',
+            citations: [
+              { url: 'https://hello.test', title: 'Hello', end_index: 13 }
+            ]
+          },
+          {
+            type: 'tool_use',
+            name: 'artifacts',
+            input: { title: 'Greeting', language: 'js', content: 'hi()' }
+          },
+          { type: 'tool_result', name: 'artifacts', content: [{ text: 'OK' }] }
+        ]
+      }
+    ]
+  }).messages;
+  assert.deepEqual(claude[0].attachments, [
+    {
+      name: 'notes.txt',
+      mimeType: 'text/plain',
+      size: 5,
+      text: 'hello'
+    },
+    {
+      name: 'photo.jpg',
+      mimeType: 'image/*',
+      size: 0,
+      url: 'https://claude.ai/api/files/img-1/preview',
+      fileId: 'img-1'
+    }
+  ]);
+  assert.equal(claude[1].content, 'It says hello[^1].');
+  assert.equal(claude[1].text, 'It says hello.');
+  assert.deepEqual(claude[1].blocks, [
+    { kind: 'code', text: 'hi()', language: 'js', title: 'Greeting' }
+  ]);
+
+  // Perplexity: [n] citations point at the answer's search results
+  let cached = null;
+  const pplx = Object.create(PerplexityAdapter.prototype);
+  pplx.getConversationId = () => 'p1';
+  pplx.getPageTitle = () => 'Search';
+  pplx.updateRawCache = (data) => {
+    cached = data;
+  };
+  assert.equal(
+    pplx.handleApiResponse({
+      query: 'What is the answer?',
+      answer: 'It is 42 [2][1], see [link](https://x.test) and [9].',
+      web_results: [
+        { name: 'First', url: 'https://one.test' },
+        { name: 'Second', url: 'https://two.test' }
+      ]
+    }),
+    true
+  );
+  const answer = cached.messages.find((msg) => msg.role === 'assistant');
+  assert.equal(
+    answer.content,
+    'It is 42 [^2][^1], see [link](https://x.test) and [9].'
+  );
+  assert.ok(answer.text.startsWith('It is 42 [2][1]'));
+  assert.equal(answer.sources[1].title, 'Second');
+
+  console.log('export message tests passed');
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
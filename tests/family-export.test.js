@@ -0,0 +1,168 @@
+/* eslint-env node */
+/* global require, process */
+const assert = require('node:assert/strict');
+
+(async () => {
+  const {
+    findFamilyRoot,
+    collectBranchFamily,
+    flattenFamily,
+    splitSharedHistory,
+    familyAnchor,
+    generateFamilyMarkdown
+  } = await import('../core/family-export.js');
+
+  const entry = (childId, extra = {}) => ({
+    childId,
+    title: `Title ${childId}`,
+    firstMessage: null,
+    createdAt: 100,
+    forkMessageId: null,
+    platform: 'chatgpt',
+    updatedAt: 100000,
+    ...extra
+  });
+  const msg = (id, role, createTime = 0) => ({
+    id,
+    role,
+    content: `Content ${id}`,
+    createTime
+  });
+
+  // root -> a -> a1, root -> b
+  const branchData = {
+    version: 4,
+    branches: {
+      root: [entry('b', { createdAt: 300 }), entry('a', { createdAt: 200 })],
+      a: [entry('a1')]
+    },
+    titles: { root: 'Research', a: 'Idea A' },
+    deleted: {}
+  };
+
+  assert.equal(findFamilyRoot(branchData, 'a1'), 'root');
+  assert.equal(findFamilyRoot(branchData, 'root'), 'root');
+  assert.equal(findFamilyRoot(branchData, 'unknown'), 'unknown');
+
+  // A loop in old data doesn't hang
+  const looped = {
+    branches: { x: [entry('y')], y: [entry('x')] },
+    titles: {}
+  };
+  assert.ok(['x', 'y'].includes(findFamilyRoot(looped, 'x')));
+  assert.equal(flattenFamily(collectBranchFamily(looped, 'x')).length, 2);
+
+  const root = collectBranchFamily(branchData, 'root');
+  assert.deepEqual(
+    flattenFamily(root).map((node) => [node.conversationId, node.depth]),
+    [
+      ['root', 0],
+      ['a', 1],
+      ['a1', 2],
+      ['b', 1]
+    ]
+  );
+  assert.equal(root.children[0].title, 'Idea A');
+  assert.equal(root.children[1].title, 'Title b');
+  assert.equal(root.children[0].parentId, 'root');
+
+  // Shared history by message ID
+  const parentMessages = [
+    msg('m1', 'user'),
+    msg('m2', 'assistant'),
+    msg('m3', 'user'),
+    msg('m4', 'assistant')
+  ];
+  const byId = splitSharedHistory(
+    parentMessages,
+    [msg('m1', 'user'), msg('m2', 'assistant'), msg('c1', 'user')],
+    entry('a')
+  );
+  assert.equal(byId.sharedCount, 2);
+  assert.equal(byId.forkIndex, 1);
+  assert.deepEqual(
+    byId.messages.map((m) => m.id),
+    ['c1']
+  );
+
+  // Recorded fork message when IDs were not kept
+  const byFork = splitSharedHistory(
+    parentMessages,
+    [msg('x1', 'user'), msg('m2', 'assistant'), msg('c1', 'user')],
+    entry('a', { forkMessageId: 'm2' })
+  );
+  assert.equal(byFork.sharedCount, 2);
+  assert.equal(byFork.forkIndex, 1);
+
+  // Branch time as the last resort
+  const byTime = splitSharedHistory(
+    parentMessages,
+    [msg('x1', 'user', 10), msg('x2', 'assistant', 20), msg('c1', 'user', 500)],
+    entry('a', { createdAt: 100 })
+  );
+  assert.equal(byTime.sharedCount, 2);
+  assert.deepEqual(
+    byTime.messages.map((m) => m.id),
+    ['c1']
+  );
+
+  // Nothing shared when there is nothing to go on
+  const unrelated = splitSharedHistory(
+    parentMessages,
+    [msg('x1', 'user')],
+    entry('a', { createdAt: 0 })
+  );
+  assert.equal(unrelated.sharedCount, 0);
+  assert.equal(unrelated.forkIndex, -1);
+
+  // Document: shared history once, nested sections, links both ways
+  root.messages = parentMessages;
+  root.children[0].messages = [
+    msg('m1', 'user'),
+    msg('m2', 'assistant'),
+    msg('a-1', 'user'),
+    msg('a-2', 'assistant')
+  ];
+  root.children[0].children[0].error = 'This conversation was deleted.';
+  root.children[1].messages = [...parentMessages, msg('b-1', 'user')];
+
+  const md = generateFamilyMarkdown({ root, platformName: 'ChatGPT' });
+  assert.ok(md.startsWith('# Branch family: Research\n'));
+  assert.ok(md.includes('> **Conversations:** 4'));
+  assert.ok(md.includes(`- [Research](#${familyAnchor('root')})`));
+  assert.ok(md.includes(`    - [Title a1](#${familyAnchor('a1')})`));
+  assert.equal(md.split('Content m1').length, 2, 'shared message once');
+  assert.equal(md.split('Content m4').length, 2);
+  assert.ok(md.includes(`<a id="${familyAnchor('a')}"></a>\n\n### Idea A`));
+  assert.ok(md.includes('#### Title a1'));
+  assert.ok(
+    md.includes(
+      `> **Branched from:** [Research](#${familyAnchor('root')}) after message 2`
+    )
+  );
+  assert.ok(md.includes('*Messages 1–2 are shared with [Research]'));
+  assert.ok(md.includes('**User** (message 3)\n\nContent a-1'));
+  assert.ok(
+    md.includes(`> ↳ Branched here: [Idea A](#${familyAnchor('a')})`),
+    'parent links to the branch at its fork'
+  );
+  assert.ok(md.includes(`> ↳ Branched here: [Title b](#${familyAnchor('b')})`));
+  assert.ok(md.includes('*This conversation was deleted.*'));
+
+  // Link text is escaped
+  const odd = collectBranchFamily(
+    { branches: {}, titles: { r: 'A [draft]' } },
+    'r'
+  );
+  odd.messages = [msg('m1', 'user')];
+  assert.ok(
+    generateFamilyMarkdown({ root: odd, platformName: 'ChatGPT' }).includes(
+      '[A \\[draft\\]](#conversation-r)'
+    )
+  );
+
+  console.log('family-export tests passed');
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,130 @@
+/* eslint-env node */
+/* global require, process */
+const assert = require('node:assert/strict');
+
+(async () => {
+  const { diffMessages, isEmptyDiff, diffDisplayNodes, applyNodePatch } =
+    await import('../core/graph-diff.js');
+  const { ConversationGraph } = await import('../core/conversation-graph.js');
+  const { buildTreeFromGraph } = await import('../core/tree-builder.js');
+
+  const base = [
+    { id: 'u1', role: 'user', text: 'Question', createTime: 1 },
+    {
+      id: 'a1',
+      role: 'assistant',
+      text: 'Partial ans',
+      createTime: 2,
+      parentId: 'u1'
+    }
+  ];
+
+  // Streaming: the answer grows and a new prompt is appended
+  const streamed = [
+    base[0],
+    { ...base[1], text: 'Partial answer, now complete' },
+    { id: 'u2', role: 'user', text: 'Next', createTime: 3, parentId: 'a1' }
+  ];
+  const diff = diffMessages(base, streamed);
+  assert.deepEqual(
+    diff.changed.map((m) => m.id),
+    ['a1']
+  );
+  assert.deepEqual(
+    diff.added.map((m) => m.id),
+    ['u2']
+  );
+  assert.deepEqual(diff.removed, []);
+  assert.deepEqual(diff.path, ['u1', 'a1', 'u2']);
+  assert.equal(isEmptyDiff(diffMessages(base, base)), true);
+
+  const { graph } = await ConversationGraph.buildFromConversation(
+    'conv',
+    'chatgpt',
+    base
+  );
+  const before = buildTreeFromGraph(graph, 'conv', null);
+  assert.equal(graph.applyDiff('conv', diff), true);
+  assert.deepEqual(graph.getConversationPath('conv'), ['u1', 'a1', 'u2']);
+  assert.equal(graph.getNode('a1').text, 'Partial answer, now complete');
+  assert.ok(graph.getNode('a1').childIds.has('u2'));
+  assert.deepEqual(graph.validate(), []);
+
+  // Incremental result matches a full rebuild
+  const { graph: rebuilt } = await ConversationGraph.buildFromConversation(
+    'conv',
+    'chatgpt',
+    streamed
+  );
+  const after = buildTreeFromGraph(graph, 'conv', null);
+  assert.deepEqual(after, buildTreeFromGraph(rebuilt, 'conv', null));
+
+  // Removing the appended prompt again
+  assert.equal(graph.applyDiff('conv', diffMessages(streamed, base)), true);
+  assert.equal(graph.hasNode('u2'), false);
+  assert.equal(graph.getNode('a1').childIds.has('u2'), false);
+
+  // A regenerated answer changes edit groups: caller must rebuild
+  const regenerated = [
+    ...base,
+    {
+      id: 'a1b',
+      role: 'assistant',
+      text: 'Another answer',
+      createTime: 4,
+      parentId: 'u1'
+    }
+  ];
+  assert.equal(graph.applyDiff('conv', diffMessages(base, regenerated)), false);
+  assert.equal(graph.hasNode('a1b'), false);
+  assert.equal(graph.applyDiff('missing', diff), false);
+
+  // Display patches only carry what changed
+  const patch = diffDisplayNodes(before, after);
+  assert.deepEqual(patch.order, ['u1', 'a1', 'u2']);
+  assert.deepEqual(
+    patch.upserted.map((n) => n.id),
+    ['a1', 'u2']
+  );
+  assert.deepEqual(applyNodePatch(before, patch), after);
+
+  const textOnly = diffDisplayNodes(after, [
+    after[0],
+    { ...after[1], text: 'Edited' },
+    after[2]
+  ]);
+  assert.equal(textOnly.order, null);
+  assert.deepEqual(
+    textOnly.upserted.map((n) => n.id),
+    ['a1']
+  );
+  assert.deepEqual(diffDisplayNodes(after, after), {
+    upserted: [],
+    order: null
+  });
+
+  // ChatGPT reuses the last extraction while the cache returns the same
+  // response, and extracts again once it is refetched
+  const { ChatGPTAdapter } = await import('../platforms/chatgpt/adapter.js');
+  const adapter = Object.create(ChatGPTAdapter.prototype);
+  let response = { title: 'Chat', mapping: {}, current_node: 'a' };
+  let extractions = 0;
+  adapter.getConversationId = () => 'conv';
+  adapter.isPreBranch = () => false;
+  adapter.fetchConversation = async () => response;
+  adapter._extractTree = () => {
+    extractions++;
+    return [{ id: `m${extractions}` }];
+  };
+  const first = await adapter.extractConversation();
+  const reused = await adapter.extractConversation({ previous: first });
+  assert.equal(extractions, 1);
+  assert.equal(reused.messages, first.messages);
+  response = { ...response };
+  const fresh = await adapter.extractConversation({ previous: reused });
+  assert.equal(extractions, 2);
+  assert.deepEqual(fresh.messages, [{ id: 'm2' }]);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,173 @@
+/* eslint-env node */
+/* global require, process */
+const assert = require('node:assert/strict');
+
+(async () => {
+  const { ConversationGraph } = await import('../core/conversation-graph.js');
+  const {
+    GRAPH_EXPORT_FORMAT,
+    GRAPH_EXPORT_VERSION,
+    createGraphExport,
+    getGraphExportFilename,
+    parseGraphExport
+  } = await import('../core/graph-export.js');
+
+  const shared = [
+    { id: 's1', role: 'user', text: 'Shared question', createTime: 1 },
+    {
+      id: 's2',
+      role: 'assistant',
+      text: 'Shared answer',
+      createTime: 2,
+      parentId: 's1'
+    }
+  ];
+  const parentMessages = [
+    ...shared,
+    {
+      id: 'p3',
+      role: 'user',
+      text: 'Parent edit',
+      createTime: 4,
+      parentId: 's2',
+      hasEditVersions: true,
+      siblingIds: ['p3-old', 'p3']
+    },
+    {
+      id: 'edit-branch:p3-old',
+      type: 'editBranch',
+      role: 'user',
+      text: 'Parent original',
+      createTime: 3,
+      branchNodeId: 'p3-old',
+      siblingIds: ['p3-old', 'p3']
+    }
+  ];
+  const childMessages = [
+    ...shared,
+    { id: 'c3', role: 'user', text: 'Child', createTime: 5, parentId: 's2' }
+  ];
+
+  const { graph } = await ConversationGraph.buildFromConversation(
+    'parent',
+    'chatgpt',
+    parentMessages,
+    {
+      relatedConversations: [
+        { conversationId: 'child', messages: childMessages }
+      ]
+    }
+  );
+
+  const branchData = {
+    version: 4,
+    branches: {
+      parent: [
+        {
+          childId: 'child',
+          title: 'Child',
+          firstMessage: 'Child',
+          createdAt: 5,
+          forkMessageId: 's2',
+          platform: 'chatgpt',
+          updatedAt: 5000
+        }
+      ],
+      unrelated: [
+        {
+          childId: 'other',
+          title: 'Other',
+          firstMessage: null,
+          createdAt: 1,
+          forkMessageId: null,
+          platform: 'chatgpt',
+          updatedAt: 1000
+        }
+      ]
+    },
+    titles: { parent: 'Parent', child: 'Child' },
+    deleted: { child: 1234 }
+  };
+
+  const data = createGraphExport({
+    graph,
+    conversationId: 'parent',
+    platform: 'chatgpt',
+    branchData
+  });
+
+  assert.equal(data.format, GRAPH_EXPORT_FORMAT);
+  assert.equal(data.version, GRAPH_EXPORT_VERSION);
+  assert.equal(data.conversationId, 'parent');
+  assert.equal(data.platform, 'chatgpt');
+
+  const byId = Object.fromEntries(data.conversations.map((c) => [c.id, c]));
+  assert.deepEqual(byId.parent.path, ['s1', 's2', 'p3']);
+  assert.equal(byId.parent.title, 'Parent');
+  assert.equal(byId.parent.isCurrent, true);
+  assert.equal(byId.parent.platform, 'chatgpt');
+  assert.equal(byId.parent.deletedAt, null);
+  assert.deepEqual(byId.child.path, ['s1', 's2', 'c3']);
+  assert.equal(byId.child.isCurrent, false);
+  assert.equal(byId.child.deletedAt, 1234);
+
+  // Shared messages appear once, with both conversations
+  const messages = Object.fromEntries(data.messages.map((m) => [m.id, m]));
+  assert.equal(data.messages.filter((m) => m.id === 's1').length, 1);
+  assert.deepEqual([...messages.s1.conversationIds].sort(), [
+    'child',
+    'parent'
+  ]);
+  assert.equal(messages.s2.parentId, 's1');
+  assert.equal(messages.s2.createTime, 2);
+  assert.deepEqual([...messages.s2.childIds].sort(), ['c3', 'p3', 'p3-old']);
+  assert.equal(messages['p3-old'].role, 'user');
+  assert.equal(messages['p3-old'].editGroupId, 'p3');
+  assert.deepEqual(data.editGroups, [
+    { id: 'p3', messageIds: ['p3', 'p3-old'] }
+  ]);
+
+  // Only branch links touching the exported conversations
+  assert.deepEqual(data.branches, [
+    { parentId: 'parent', ...branchData.branches.parent[0] }
+  ]);
+
+  // The file reads back into the same graph
+  const parsed = parseGraphExport(JSON.stringify(data));
+  assert.equal(parsed.ok, true);
+  assert.deepEqual(
+    parsed.graph.toJSON(),
+    JSON.parse(JSON.stringify(graph.toJSON()))
+  );
+  assert.deepEqual(parsed.graph.validate(), []);
+  assert.equal(parsed.graph.findDivergencePoint('child', 'parent'), 's2');
+
+  assert.deepEqual(parseGraphExport('{'), {
+    ok: false,
+    error: 'File is not valid JSON'
+  });
+  assert.equal(parseGraphExport({ format: 'other' }).ok, false);
+  assert.equal(
+    parseGraphExport({ ...data, version: GRAPH_EXPORT_VERSION + 1 }).error,
+    'Graph export was made by a newer version'
+  );
+
+  // Without branch data
+  const bare = createGraphExport({
+    graph,
+    conversationId: 'parent',
+    platform: 'chatgpt'
+  });
+  assert.deepEqual(bare.branches, []);
+  assert.equal(bare.conversations[0].title, null);
+
+  assert.equal(
+    getGraphExportFilename('WEB:abc/1', new Date('2026-03-04T00:00:00Z')),
+    'conversation-graph_WEB-abc-1_2026-03-04.json'
+  );
+
+  console.log('graph-export tests passed');
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
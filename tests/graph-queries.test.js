@@ -0,0 +1,76 @@
+/* eslint-env node */
+/* global require, process */
+const assert = require('node:assert/strict');
+
+(async () => {
+  const { ConversationGraph } = await import('../core/conversation-graph.js');
+
+  //        u1
+  //        |
+  //        a1
+  //       /  \
+  //     u2    u2b (edit)
+  //     |      |
+  //     a2    a2b
+  const graph = new ConversationGraph();
+  [
+    { id: 'u1', role: 'user', createTime: 1 },
+    { id: 'a1', role: 'assistant', createTime: 2, parentId: 'u1' },
+    { id: 'u2b', role: 'user', createTime: 4, parentId: 'a1' },
+    { id: 'u2', role: 'user', createTime: 3, parentId: 'a1' },
+    { id: 'a2', role: 'assistant', createTime: 5, parentId: 'u2' },
+    { id: 'a2b', role: 'assistant', createTime: 6, parentId: 'u2b' }
+  ].forEach((msg) => graph.addMessage(msg, 'conv'));
+
+  assert.deepEqual(graph.getAncestors('a2'), ['u2', 'a1', 'u1']);
+  assert.deepEqual(graph.getAncestors('a2', { includeSelf: true }), [
+    'a2',
+    'u2',
+    'a1',
+    'u1'
+  ]);
+  assert.deepEqual(graph.getAncestors('u1'), []);
+
+  assert.deepEqual(graph.getDescendants('a1'), ['u2', 'a2', 'u2b', 'a2b']);
+  assert.deepEqual(graph.getDescendants('a2', { includeSelf: true }), ['a2']);
+
+  const subtree = graph.getSubtree('a1');
+  assert.equal(subtree.node.id, 'a1');
+  assert.deepEqual(
+    subtree.children.map((c) => [c.node.id, c.children.map((g) => g.node.id)]),
+    [
+      ['u2', ['a2']],
+      ['u2b', ['a2b']]
+    ]
+  );
+
+  assert.equal(graph.findLowestCommonAncestor('a2', 'a2b'), 'a1');
+  assert.equal(graph.findLowestCommonAncestor('u1', 'a2'), 'u1');
+  assert.equal(graph.findLowestCommonAncestor('a2', 'a2'), 'a2');
+
+  assert.deepEqual(graph.getPathBetween('a2', 'a2b'), [
+    'a2',
+    'u2',
+    'a1',
+    'u2b',
+    'a2b'
+  ]);
+  assert.deepEqual(graph.getPathBetween('u1', 'a2'), ['u1', 'a1', 'u2', 'a2']);
+
+  // Disconnected messages and cycles
+  graph.addMessage({ id: 'x', role: 'user', createTime: 9 }, 'other');
+  assert.equal(graph.findLowestCommonAncestor('x', 'a2'), null);
+  assert.deepEqual(graph.getPathBetween('x', 'a2'), []);
+
+  graph.getNode('u1').parentId = 'a2';
+  assert.deepEqual(graph.getAncestors('a1'), ['u1', 'a2', 'u2']);
+
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  assert.deepEqual(graph.getAncestors('missing'), []);
+  assert.equal(graph.getSubtree('missing'), null);
+  console.warn = originalWarn;
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,64 @@
+/* eslint-env node */
+/* global require, process */
+const assert = require('node:assert/strict');
+
+(async () => {
+  const { ConversationGraph } = await import('../core/conversation-graph.js');
+
+  // The first message's hidden system parent is the root, not an orphan
+  const { graph, errors, repairs } =
+    await ConversationGraph.buildFromConversation('conv', 'chatgpt', [
+      { id: 'u1', role: 'user', text: 'Q', createTime: 1, parentId: 'sys' },
+      { id: 'a1', role: 'assistant', text: 'A', createTime: 2, parentId: 'u1' },
+      // Parent was a hidden tool message the adapter skipped
+      { id: 'u2', role: 'user', text: 'Q2', createTime: 3, parentId: 'tool' },
+      { id: 'a2', role: 'assistant', text: 'A2', createTime: 4, parentId: 'u2' }
+    ]);
+  assert.deepEqual(
+    errors.map((e) => [e.type, e.messageId]),
+    [['orphaned_node', 'u2']]
+  );
+  assert.deepEqual(repairs, [
+    {
+      type: 'reattached',
+      messageId: 'u2',
+      parentId: 'a1',
+      previousParentId: 'tool'
+    }
+  ]);
+  assert.ok(graph.getNode('a1').childIds.has('u2'));
+  assert.deepEqual(graph.validate(), []);
+
+  // Cycles are broken without creating new ones
+  graph.getNode('u1').parentId = 'a2';
+  graph.getNode('a2').childIds.add('u1');
+  const cycleErrors = graph.validate();
+  assert.ok(cycleErrors.some((e) => e.type === 'circular_reference'));
+  const cycleRepairs = graph.repair(cycleErrors);
+  assert.equal(cycleRepairs[0].type, 'cycle_broken');
+  assert.deepEqual(graph.validate(), []);
+
+  // Missing child links are restored
+  graph.getNode('u2').childIds.delete('a2');
+  assert.deepEqual(
+    graph.repair().map((r) => r.type),
+    ['linked_child']
+  );
+  assert.ok(graph.getNode('u2').childIds.has('a2'));
+
+  // Edit groups are rebuilt from the members that still exist
+  graph.addMessage(
+    { id: 'a1b', role: 'assistant', text: 'A again', parentId: 'u1' },
+    'conv'
+  );
+  graph._addEditGroup(['a1', 'a1b', 'gone']);
+  assert.ok(graph.validate().some((e) => e.type === 'missing_edit_sibling'));
+  assert.deepEqual(graph.repair(), [
+    { type: 'edit_groups_rebuilt', groupCount: 1 }
+  ]);
+  assert.deepEqual([...graph.getEditSiblings('a1')].sort(), ['a1', 'a1b']);
+  assert.deepEqual(graph.validate(), []);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,101 @@
+/* eslint-env node */
+/* global require, process */
+const assert = require('node:assert/strict');
+
+(async () => {
+  const { ConversationGraph, MessageNode, GRAPH_FORMAT_VERSION } = await import(
+    '../core/conversation-graph.js'
+  );
+
+  const shared = [
+    { id: 's1', role: 'user', text: 'Shared question', createTime: 1 },
+    {
+      id: 's2',
+      role: 'assistant',
+      text: 'Shared answer',
+      createTime: 2,
+      parentId: 's1'
+    }
+  ];
+  const childMessages = [
+    ...shared,
+    {
+      id: 'c3',
+      role: 'user',
+      text: 'Child edit',
+      createTime: 4,
+      parentId: 's2',
+      hasEditVersions: true,
+      siblingIds: ['c3-old', 'c3']
+    },
+    {
+      id: 'edit-branch:c3-old',
+      type: 'editBranch',
+      role: 'user',
+      text: 'Child original',
+      createTime: 3,
+      branchNodeId: 'c3-old',
+      siblingIds: ['c3-old', 'c3']
+    }
+  ];
+
+  // Round trip keeps nodes, paths and edit groups
+  const { graph: child } = await ConversationGraph.buildFromConversation(
+    'child',
+    'chatgpt',
+    childMessages
+  );
+  const json = JSON.parse(JSON.stringify(child.toJSON()));
+  assert.equal(json.version, GRAPH_FORMAT_VERSION);
+
+  const restored = ConversationGraph.fromJSON(json);
+  assert.deepEqual(restored.getConversationPath('child'), ['s1', 's2', 'c3']);
+  assert.deepEqual([...restored.getEditSiblings('c3')].sort(), [
+    'c3',
+    'c3-old'
+  ]);
+  assert.ok(restored.getNode('s1').childIds.has('s2'));
+  assert.ok(restored.getNode('c3') instanceof MessageNode);
+  assert.deepEqual(restored.validate(), []);
+  assert.deepEqual(restored.toJSON(), json);
+
+  // Unknown formats are rejected rather than half-loaded
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  assert.equal(ConversationGraph.fromJSON({ ...json, version: 999 }), null);
+  assert.equal(ConversationGraph.fromJSON(null), null);
+  console.warn = originalWarn;
+
+  // A persisted related graph merges like freshly fetched messages
+  const parentMessages = [
+    ...shared,
+    {
+      id: 'p3',
+      role: 'user',
+      text: 'Parent only',
+      createTime: 5,
+      parentId: 's2'
+    }
+  ];
+  const { graph: parent, errors } =
+    await ConversationGraph.buildFromConversation(
+      'parent',
+      'chatgpt',
+      parentMessages,
+      { relatedConversations: [{ conversationId: 'child', graph: restored }] }
+    );
+  assert.deepEqual(errors, []);
+  assert.equal(parent.findDivergencePoint('child', 'parent'), 's2');
+  assert.deepEqual(parent.getUniquePathAfter('s2', 'child'), ['c3']);
+  assert.equal(parent.getNode('s1').isShared(), true);
+  assert.deepEqual(
+    parent.getNode('s2').childIds,
+    new Set(['c3-old', 'c3', 'p3'])
+  );
+  assert.equal(parent.getEditSiblings('c3').size, 2);
+
+  assert.equal(parent.mergeConversation(restored, 'missing'), false);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
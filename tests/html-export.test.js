@@ -0,0 +1,150 @@
+/* eslint-env node */
+/* global require, process */
+const assert = require('node:assert/strict');
+
+(async () => {
+  const { generateConnectorPaths, renderConnectorMarkup, getColor } =
+    await import('../core/tree-connectors.js');
+  const { buildHtmlExport, collectMessageTurns } = await import(
+    '../core/html-export.js'
+  );
+  const { generateFilename } = await import('../core/markdown-export.js');
+
+  // Connector geometry is shared by the panel and the export
+  const row = (index, extra) => ({
+    index,
+    id: `n${index}`,
+    type: 'message',
+    depth: 0,
+    color: getColor(0),
+    colorIndex: undefined,
+    dotCenter: { x: 10, y: index * 40 + 10 },
+    isExpanded: false,
+    isTerminal: false,
+    hasPrevContext: false,
+    hasNextContext: false,
+    top: index * 40,
+    bottom: index * 40 + 30,
+    ...extra
+  });
+  const { paths, dots } = generateConnectorPaths([
+    row(0, { type: 'title' }),
+    row(1),
+    row(2, {
+      type: 'branch',
+      depth: 1,
+      color: '#10b981',
+      colorIndex: '3',
+      dotCenter: { x: 30, y: 90 }
+    }),
+    row(3)
+  ]);
+  assert.equal(dots.length, 4);
+  assert.equal(dots[0].type, 'title');
+  assert.equal(dots[2].type, 'branch');
+  assert.ok(paths.some((p) => p.type === 'l-curve' && p.color === '#10b981'));
+  assert.ok(paths.some((p) => p.type === 'vertical'));
+  const markup = renderConnectorMarkup(paths, dots);
+  assert.ok(markup.includes('class="connector-path connector-path--l-curve"'));
+  assert.ok(markup.includes('connector-dot--branch'));
+
+  const html = buildHtmlExport({
+    title: 'Plans <draft>',
+    platformName: 'ChatGPT',
+    styles: '.tree-node { display: flex; }',
+    treeHtml:
+      '<div class="tree-node has-full-text" data-type="message" data-full-text="Hello &lt;b&gt;"></div>',
+    bodyClass: 'theme-dark',
+    exportedAt: new Date('2026-03-04T00:00:00Z')
+  });
+
+  assert.ok(html.startsWith('<!doctype html>'));
+  assert.ok(html.includes('<title>Plans &lt;draft&gt;</title>'));
+  assert.ok(html.includes('<body class="html-export theme-dark">'));
+  assert.ok(html.includes('.tree-node { display: flex; }'));
+  assert.ok(html.includes('data-full-text="Hello &lt;b&gt;"'));
+  assert.ok(html.includes('2026-03-04T00:00:00.000Z'));
+
+  // Self-contained: no external resources, and the embedded script parses
+  assert.ok(!/<(script|link)[^>]+(src|href)=/.test(html));
+  const script = html.slice(
+    html.indexOf('<script>') + '<script>'.length,
+    html.indexOf('</script>')
+  );
+  assert.doesNotThrow(() => new Function(script));
+  for (const name of [
+    'const DEPTH_COLORS',
+    'const RAIL_SIZE',
+    'function measureNodePositions',
+    'function generateConnectorPaths',
+    'function renderConnectorMarkup',
+    'function exportRuntime'
+  ]) {
+    assert.ok(script.includes(name), name);
+  }
+
+  // Each row carries its prompt and the replies that follow it
+  const messages = collectMessageTurns(
+    [
+      { id: 'u1', role: 'user', content: 'Plan the trip' },
+      { id: 'a1', role: 'assistant', content: 'Day one: the <b>coast</b>' },
+      { id: 'a1b', role: 'assistant', content: 'Follow-up note' },
+      { id: 'u2', role: 'user', content: 'Shorter please' },
+      { id: 'a2', role: 'assistant', content: 'Coast, then hills' },
+      // Another branch, after the current path
+      { id: 'a1x', role: 'assistant', content: 'Other reply', parentId: 'u1' },
+      { id: 'u3', role: 'user', content: 'Edited ask', parentId: null },
+      { id: 'a3', role: 'assistant', content: 'Edited reply', parentId: 'u3' }
+    ],
+    ['title-node', 'u1', 'u2', 'a1x', 'u3', 'branch:c2']
+  );
+  assert.deepEqual(Object.keys(messages), ['u1', 'u2', 'a1x', 'u3']);
+  assert.deepEqual(messages.u1, [
+    { role: 'user', text: 'Plan the trip' },
+    { role: 'assistant', text: 'Day one: the <b>coast</b>' },
+    { role: 'assistant', text: 'Follow-up note' }
+  ]);
+  assert.deepEqual(messages.u2.at(-1), {
+    role: 'assistant',
+    text: 'Coast, then hills'
+  });
+  assert.deepEqual(messages.a1x, [{ role: 'assistant', text: 'Other reply' }]);
+  assert.equal(messages.u3[1].text, 'Edited reply');
+
+  const archive = buildHtmlExport({
+    title: 'Trip',
+    platformName: 'ChatGPT',
+    styles: '',
+    treeHtml:
+      '<div class="tree-node" data-type="message" data-node-id="u1"></div>',
+    messages: {
+      ...messages,
+      a1x: [{ role: 'assistant', text: 'Ends </script><!-- here' }]
+    }
+  });
+  const archiveScript = archive.slice(
+    archive.indexOf('<script>') + '<script>'.length,
+    archive.indexOf('</script>')
+  );
+  assert.ok(archiveScript.includes('Day one: the \\u003cb>coast'));
+  assert.ok(archiveScript.includes('Coast, then hills'));
+  assert.ok(!archiveScript.includes('<!--'));
+  // The embedded messages read back unchanged
+  const declaration = archiveScript.slice(0, archiveScript.indexOf('\n\n'));
+  const embedded = new Function(`${declaration} return EXPORT_MESSAGES;`)();
+  assert.equal(embedded.u1[1].text, 'Day one: the <b>coast</b>');
+  assert.equal(embedded.a1x[0].text, 'Ends </script><!-- here');
+
+  assert.equal(
+    generateFilename('A: plan / v2', 'chatgpt', {
+      date: new Date('2026-03-04T00:00:00Z'),
+      extension: '.html'
+    }),
+    'A-_plan_-_v2_chatgpt_2026-03-04.html'
+  );
+
+  console.log('html-export tests passed');
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,219 @@
+/* eslint-env node */
+/* global require, process */
+const assert = require('node:assert/strict');
+
+(async () => {
+  const { buildMessageTree, listBranches, generateMarkdown } = await import(
+    '../core/markdown-export.js'
+  );
+  const { ChatGPTAdapter } = await import('../platforms/chatgpt/adapter.js');
+  const { extractClaudeMessagesFromApi, selectClaudeCurrentPath } =
+    await import('../platforms/claude/adapter.js');
+
+  // ChatGPT mapping: u1 edited as u1b; a1 regenerated as a1b; system and
+  // hidden nodes are skipped when linking messages
+  const node = (id, parent, role, text, createTime, extra = {}) => ({
+    id,
+    parent,
+    message: role
+      ? {
+          id,
+          author: { role },
+          create_time: createTime,
+          content: { content_type: 'text', parts: [text] },
+          ...extra
+        }
+      : null
+  });
+  const mapping = Object.fromEntries(
+    [
+      node('root', null, null),
+      node('sys', 'root', 'system', '', 1),
+      node('u1', 'sys', 'user', 'First question', 10),
+      node('a1', 'u1', 'assistant', 'First answer', 11),
+      node('a1b', 'u1', 'assistant', 'Second answer', 12),
+      node('u2', 'a1b', 'user', 'Follow-up', 13),
+      node('a2', 'u2', 'assistant', 'Follow-up answer', 14),
+      node('u1b', 'sys', 'user', 'Edited question', 20),
+      node('a3', 'u1b', 'assistant', 'Answer to the edit', 21)
+    ].map((entry) => [entry.id, entry])
+  );
+  const adapter = Object.create(ChatGPTAdapter.prototype);
+  const current = adapter._extractMessagesForExport(mapping, 'a2');
+  const all = adapter._extractAllMessagesForExport(mapping);
+
+  assert.deepEqual(
+    current.map((msg) => msg.id),
+    ['u1', 'a1b', 'u2', 'a2']
+  );
+  assert.deepEqual(
+    all.map((msg) => [msg.id, msg.parentId]),
+    [
+      ['u1', null],
+      ['a1', 'u1'],
+      ['a1b', 'u1'],
+      ['u2', 'a1b'],
+      ['a2', 'u2'],
+      ['u1b', null],
+      ['a3', 'u1b']
+    ]
+  );
+
+  const tree = buildMessageTree(all, current);
+  assert.deepEqual(
+    tree.children.get(null).map((msg) => msg.id),
+    ['u1', 'u1b']
+  );
+
+  // Every branch, the current path first, shared history counted once
+  assert.deepEqual(
+    listBranches(tree).map((branch) => ({
+      number: branch.number,
+      ids: branch.messages.map((msg) => msg.id),
+      sharedCount: branch.sharedCount,
+      parentNumber: branch.parentNumber,
+      isCurrent: branch.isCurrent
+    })),
+    [
+      {
+        number: 1,
+        ids: ['u1', 'a1b', 'u2', 'a2'],
+        sharedCount: 0,
+        parentNumber: null,
+        isCurrent: true
+      },
+      {
+        number: 2,
+        ids: ['u1', 'a1'],
+        sharedCount: 1,
+        parentNumber: 1,
+        isCurrent: false
+      },
+      {
+        number: 3,
+        ids: ['u1b', 'a3'],
+        sharedCount: 0,
+        parentNumber: null,
+        isCurrent: false
+      }
+    ]
+  );
+
+  const options = {
+    title: 'Chat',
+    platformName: 'ChatGPT',
+    conversationId: 'c1',
+    messages: current,
+    allMessages: all
+  };
+
+  // Current path only: unchanged, even with every branch available
+  const withoutDate = (md) => md.replace(/Exported:.*\n/, '');
+  const plain = generateMarkdown(options);
+  assert.equal(
+    withoutDate(plain),
+    withoutDate(generateMarkdown({ ...options, allMessages: null }))
+  );
+  assert.ok(!plain.includes('<details>'));
+  assert.ok(!plain.includes('First answer'));
+
+  // Alternates: other versions fold under the shown one with what followed
+  const folded = generateMarkdown({ ...options, mode: 'alternates' });
+  assert.ok(folded.includes('## User (version 1 of 2)\n\nFirst question'));
+  assert.ok(folded.includes('## Assistant (version 2 of 2)\n\nSecond answer'));
+  assert.ok(
+    folded.includes(
+      '<details>\n<summary>Other versions of this message (1)</summary>\n\n' +
+        '**User, version 2 of 2**\n\nEdited question\n\n' +
+        '**Assistant**\n\nAnswer to the edit\n\n</details>'
+    )
+  );
+  assert.ok(
+    folded.includes(
+      '**Assistant, version 1 of 2**\n\nFirst answer\n\n</details>'
+    )
+  );
+  assert.ok(folded.indexOf('First answer') < folded.indexOf('Follow-up'));
+  assert.ok(folded.includes('## User\n\nFollow-up'));
+
+  // Every branch as its own section
+  const everything = generateMarkdown({ ...options, mode: 'all' });
+  assert.ok(everything.includes('> **Branches:** 3  \n'));
+  assert.ok(everything.includes('## Branch 1 (shown on the page)\n\n### User'));
+  assert.ok(
+    everything.includes(
+      '## Branch 2\n\n*Continues Branch 1 after message 1.*\n\n' +
+        '### Assistant\n\nFirst answer'
+    )
+  );
+  assert.ok(everything.includes('## Branch 3\n\n### User\n\nEdited question'));
+  assert.equal(everything.split('First question').length, 2);
+
+  // Without every branch (DOM export), the modes fall back to the path
+  const fallback = generateMarkdown({
+    ...options,
+    allMessages: undefined,
+    mode: 'all'
+  });
+  assert.equal(withoutDate(fallback), withoutDate(plain));
+
+  // Claude: the API's sibling groups give the same folding
+  const ROOT = '00000000-0000-4000-8000-000000000000';
+  const extracted = extractClaudeMessagesFromApi({
+    uuid: 'conv',
+    current_leaf_message_uuid: 'a2',
+    chat_messages: [
+      {
+        uuid: 'u1',
+        sender: 'human',
+        text: 'Original',
+        created_at: '2026-01-01T00:00:00Z',
+        parent_message_uuid: ROOT
+      },
+      {
+        uuid: 'a1',
+        sender: 'assistant',
+        text: 'Reply to original',
+        created_at: '2026-01-01T00:00:10Z',
+        parent_message_uuid: 'u1'
+      },
+      {
+        uuid: 'u2',
+        sender: 'human',
+        text: 'Edited',
+        created_at: '2026-01-01T00:01:00Z',
+        parent_message_uuid: ROOT
+      },
+      {
+        uuid: 'a2',
+        sender: 'assistant',
+        text: 'Reply to edit',
+        created_at: '2026-01-01T00:01:10Z',
+        parent_message_uuid: 'u2'
+      }
+    ]
+  });
+  const claudePath = selectClaudeCurrentPath(
+    extracted.messages,
+    extracted.currentLeafId
+  );
+  const claude = generateMarkdown({
+    title: 'Claude chat',
+    platformName: 'Claude',
+    messages: claudePath,
+    allMessages: extracted.messages,
+    mode: 'alternates'
+  });
+  assert.ok(claude.includes('## User (version 2 of 2)\n\nEdited'));
+  assert.ok(
+    claude.includes(
+      '**User, version 1 of 2**\n\nOriginal\n\n' +
+        '**Assistant**\n\nReply to original'
+    )
+  );
+
+  console.log('markdown export tests passed');
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
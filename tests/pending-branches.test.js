@@ -0,0 +1,142 @@
+/* eslint-env node */
+/* global require, process */
+const assert = require('node:assert/strict');
+
+(async () => {
+  const {
+    PENDING_BRANCHES_KEY,
+    registerPendingBranch,
+    notePendingBranchTab,
+    claimPendingBranch,
+    removePendingBranchTab,
+    clearPendingBranches
+  } = await import('../core/pending-branches.js');
+
+  // In-memory stand-in for chrome.storage.session
+  const createArea = () => {
+    const items = {};
+    return {
+      items,
+      async get(keys) {
+        const list = Array.isArray(keys) ? keys : [keys];
+        return Object.fromEntries(
+          list.filter((key) => key in items).map((key) => [key, items[key]])
+        );
+      },
+      async set(values) {
+        Object.assign(items, JSON.parse(JSON.stringify(values)));
+      }
+    };
+  };
+
+  const now = () => Math.floor(Date.now() / 1000);
+  const click = (parentId, extra = {}) => ({
+    parentId,
+    timestamp: now(),
+    forkMessageId: null,
+    expiresAt: now() + 120,
+    ...extra
+  });
+  const tabA = { id: 1, windowId: 10 };
+  const tabB = { id: 2, windowId: 10 };
+
+  // Only the tab that clicked can claim, and not while on the parent
+  {
+    const area = createArea();
+    await registerPendingBranch(
+      tabA,
+      click('parent', { forkMessageId: 'm1' }),
+      area
+    );
+    assert.equal(await claimPendingBranch(tabB, 'other', area), null);
+    assert.equal(await claimPendingBranch(tabA, 'parent', area), null);
+
+    const claimed = await claimPendingBranch(tabA, 'child', area);
+    assert.equal(claimed.parentId, 'parent');
+    assert.equal(claimed.forkMessageId, 'm1');
+    assert.equal(claimed.tabId, 1);
+    assert.equal(await claimPendingBranch(tabA, 'child', area), null);
+    assert.deepEqual(area.items[PENDING_BRANCHES_KEY], {});
+  }
+
+  // Each tab keeps its own click
+  {
+    const area = createArea();
+    await registerPendingBranch(tabA, click('parent-a'), area);
+    await registerPendingBranch(tabB, click('parent-b'), area);
+    assert.equal(
+      (await claimPendingBranch(tabB, 'x', area)).parentId,
+      'parent-b'
+    );
+    assert.equal(
+      (await claimPendingBranch(tabA, 'y', area)).parentId,
+      'parent-a'
+    );
+  }
+
+  // A tab opened from the clicking tab in the same window can claim it
+  {
+    const area = createArea();
+    await registerPendingBranch(tabA, click('parent'), area);
+    assert.equal(
+      await notePendingBranchTab({ id: 3, windowId: 11, openerTabId: 1 }, area),
+      false
+    );
+    assert.equal(
+      await notePendingBranchTab({ id: 4, windowId: 10 }, area),
+      false
+    );
+    assert.equal(
+      await notePendingBranchTab({ id: 5, windowId: 10, openerTabId: 1 }, area),
+      true
+    );
+    assert.equal(await claimPendingBranch({ id: 3 }, 'child', area), null);
+    assert.equal(
+      (await claimPendingBranch({ id: 5 }, 'child', area)).parentId,
+      'parent'
+    );
+    assert.equal(await claimPendingBranch(tabA, 'child', area), null);
+  }
+
+  // Expired clicks are dropped
+  {
+    const area = createArea();
+    await registerPendingBranch(
+      tabA,
+      click('parent', { expiresAt: now() - 1 }),
+      area
+    );
+    assert.equal(await claimPendingBranch(tabA, 'child', area), null);
+  }
+
+  // Closing the clicking tab keeps the click for the tab it opened
+  {
+    const area = createArea();
+    await registerPendingBranch(tabA, click('parent'), area);
+    await notePendingBranchTab({ id: 5, windowId: 10, openerTabId: 1 }, area);
+    await removePendingBranchTab(1, area);
+    assert.equal(
+      (await claimPendingBranch({ id: 5 }, 'child', area)).parentId,
+      'parent'
+    );
+
+    await registerPendingBranch(tabB, click('parent'), area);
+    await removePendingBranchTab(2, area);
+    assert.deepEqual(area.items[PENDING_BRANCHES_KEY], {});
+  }
+
+  // Clearing drops every click
+  {
+    const area = createArea();
+    await registerPendingBranch(tabA, click('parent-a'), area);
+    await registerPendingBranch(tabB, click('parent-b'), area);
+    await clearPendingBranches(area);
+    assert.equal(await claimPendingBranch(tabA, 'x', area), null);
+    assert.equal(await claimPendingBranch(tabB, 'x', area), null);
+  }
+
+  console.log('pending-branches tests passed');
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
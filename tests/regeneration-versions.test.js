@@ -0,0 +1,129 @@
+/* eslint-env node */
+/* global require, process */
+const assert = require('node:assert/strict');
+
+(async () => {
+  const { buildDisplayList, buildTreeFromGraph } = await import(
+    '../core/tree-builder.js'
+  );
+  const { ConversationGraph } = await import('../core/conversation-graph.js');
+
+  // A prompt answered three times; the second answer is current
+  const responseIds = ['a1-first', 'a1', 'a1-third'];
+  const messages = [
+    { id: 'u1', role: 'user', text: 'Compare these', createTime: 100 },
+    {
+      id: 'a1',
+      role: 'assistant',
+      text: 'Second answer',
+      createTime: 120,
+      parentId: 'u1',
+      hasEditVersions: true,
+      editVersionIndex: 2,
+      totalVersions: 3,
+      siblingIds: responseIds
+    },
+    ...[
+      ['a1-first', 'First answer', 110, 1],
+      ['a1-third', 'Third answer', 130, 3]
+    ].map(([id, text, createTime, index]) => ({
+      id: `edit-branch:${id}`,
+      type: 'editBranch',
+      role: 'assistant',
+      text,
+      createTime,
+      depth: 1,
+      branchNodeId: id,
+      editVersionIndex: index,
+      totalVersions: 3,
+      siblingIds: responseIds,
+      editVersionLabel: `Response v${index}/3`,
+      icon: 'chat'
+    })),
+    {
+      id: 'u2',
+      role: 'user',
+      text: 'Follow up',
+      createTime: 200,
+      parentId: 'a1'
+    }
+  ];
+
+  // Flat list: response versions follow their prompt
+  const flat = buildDisplayList(messages, { conversationId: 'conv' });
+  assert.deepEqual(
+    flat.map((n) => [n.id, n.type, n.depth]),
+    [
+      ['u1', 'message', 0],
+      ['a1', 'message', 1],
+      ['edit-branch:a1-first', 'editBranch', 1],
+      ['edit-branch:a1-third', 'editBranch', 1],
+      ['u2', 'message', 0]
+    ]
+  );
+  const currentResponse = flat.find((n) => n.id === 'a1');
+  assert.equal(currentResponse.editVersionIndex, 2);
+  assert.equal(currentResponse.totalVersions, 3);
+  assert.equal(
+    flat.find((n) => n.id === 'edit-branch:a1-third').editVersionLabel,
+    'Response v3/3'
+  );
+
+  assert.deepEqual(
+    buildDisplayList(messages, {
+      conversationId: 'conv',
+      showRegenerations: false
+    }).map((n) => n.id),
+    ['u1', 'u2']
+  );
+
+  // Branches of the conversation are merged in by time, labelled, and
+  // grayed out once deleted
+  const withBranch = buildDisplayList(messages, {
+    conversationId: 'conv',
+    title: 'Chat',
+    branchData: {
+      branches: { conv: [{ childId: 'child', title: 'Side', createdAt: 1 }] },
+      deleted: { child: 123 }
+    }
+  });
+  assert.deepEqual(
+    withBranch.slice(0, 2).map((n) => [n.id, n.type]),
+    [
+      ['title-node', 'title'],
+      ['branch:child', 'branch']
+    ]
+  );
+  assert.equal(withBranch[1].branchLabel, 'Branch: Side');
+  assert.equal(withBranch[1].icon, 'branch');
+  assert.equal(withBranch[1].isDeleted, true);
+
+  // Graph tree: regenerations are labelled as responses, not edits
+  const { graph } = await ConversationGraph.buildFromConversation(
+    'conv',
+    'chatgpt',
+    messages
+  );
+  const nodes = buildTreeFromGraph(graph, 'conv', null);
+  const alternates = nodes.filter((n) => n.type === 'editBranch');
+  assert.deepEqual(
+    alternates.map((n) => [n.branchNodeId, n.editVersionLabel, n.icon]),
+    [
+      ['a1-first', 'Response v1/3', 'chat'],
+      ['a1-third', 'Response v3/3', 'chat']
+    ]
+  );
+  assert.equal(nodes.find((n) => n.id === 'a1').totalVersions, 3);
+
+  const hidden = buildTreeFromGraph(graph, 'conv', null, {
+    showRegenerations: false
+  });
+  assert.deepEqual(
+    hidden.map((n) => n.id),
+    ['u1', 'a1', 'u2']
+  );
+  assert.equal(hidden.find((n) => n.id === 'a1').hasEditVersions, undefined);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,155 @@
+/* eslint-env node */
+/* global require, process */
+const assert = require('node:assert/strict');
+
+(async () => {
+  const storage = await import('../core/storage.js');
+  const { branchDataToRecords, recordsToBranchData, keepUpdatedAt } = storage;
+  const { BRANCH_SCHEMA_VERSION } = await import('../core/branch-schema.js');
+
+  // Legacy chatgpt_branch_data shape
+  const legacy = {
+    branches: {
+      parent: [
+        {
+          childId: 'late',
+          title: 'Late branch',
+          firstMessage: 'Second try',
+          createdAt: 200,
+          forkMessageId: 'm2'
+        },
+        {
+          childId: 'early',
+          title: 'Early branch',
+          firstMessage: null,
+          createdAt: 100,
+          forkMessageId: null
+        }
+      ],
+      early: [{ childId: 'nested', title: 'Nested', createdAt: 300 }, null]
+    },
+    titles: { parent: 'Parent', early: 'Early branch' }
+  };
+
+  const { branches, titles } = branchDataToRecords(legacy, 'chatgpt');
+  assert.equal(branches.length, 3);
+  assert.deepEqual(
+    branches.map((r) => [r.parentId, r.childId, r.platform]),
+    [
+      ['parent', 'late', 'chatgpt'],
+      ['parent', 'early', 'chatgpt'],
+      ['early', 'nested', 'chatgpt']
+    ]
+  );
+  assert.deepEqual(titles, [
+    { conversationId: 'parent', title: 'Parent' },
+    { conversationId: 'early', title: 'Early branch' }
+  ]);
+
+  // Records assemble back into the shape consumers expect, oldest first
+  const data = recordsToBranchData(branches, titles);
+  assert.deepEqual(
+    data.branches.parent.map((b) => b.childId),
+    ['early', 'late']
+  );
+  assert.deepEqual(data.branches.parent[1], {
+    ...legacy.branches.parent[0],
+    platform: 'chatgpt'
+  });
+  assert.deepEqual(data.branches.early, [
+    { ...legacy.branches.early[0], platform: 'chatgpt' }
+  ]);
+  assert.deepEqual(data.titles, legacy.titles);
+
+  assert.deepEqual(branchDataToRecords(null), {
+    branches: [],
+    titles: [],
+    deleted: []
+  });
+  assert.deepEqual(recordsToBranchData([], []), {
+    version: BRANCH_SCHEMA_VERSION,
+    branches: {},
+    titles: {},
+    deleted: {}
+  });
+
+  // Conversation records marked deleted fill the deleted map and back
+  const conversations = [
+    { conversationId: 'parent', platform: 'chatgpt' },
+    { conversationId: 'early', platform: 'chatgpt', deletedAt: 5000 }
+  ];
+  const withDeleted = recordsToBranchData(branches, titles, conversations);
+  assert.deepEqual(withDeleted.deleted, { early: 5000 });
+  assert.deepEqual(branchDataToRecords(withDeleted).deleted, [
+    { conversationId: 'early', deletedAt: 5000 }
+  ]);
+
+  // Rewritten records keep their stored updatedAt unless they changed
+  const byId = (record) => record.conversationId;
+  assert.deepEqual(
+    keepUpdatedAt(
+      [
+        { conversationId: 'same', title: 'Same' },
+        { conversationId: 'renamed', title: 'New name' },
+        { conversationId: 'new', title: 'New' }
+      ],
+      [
+        { conversationId: 'same', title: 'Same', updatedAt: 10 },
+        { conversationId: 'renamed', title: 'Old name', updatedAt: 20 }
+      ],
+      byId,
+      99
+    ),
+    [
+      { conversationId: 'same', title: 'Same', updatedAt: 10 },
+      { conversationId: 'renamed', title: 'New name', updatedAt: 99 },
+      { conversationId: 'new', title: 'New', updatedAt: 99 }
+    ]
+  );
+  // A change keeps the updatedAt its caller set; an unchanged record missing
+  // a field stored as null is still unchanged
+  assert.deepEqual(
+    keepUpdatedAt(
+      [
+        { conversationId: 'edited', title: 'B', updatedAt: 50 },
+        { conversationId: 'stale', title: 'C', updatedAt: 30 },
+        { conversationId: 'upgraded', title: 'D', updatedAt: 5 }
+      ],
+      [
+        { conversationId: 'edited', title: 'A', updatedAt: 30 },
+        { conversationId: 'stale', title: 'Old', updatedAt: 30 },
+        { conversationId: 'upgraded', title: 'D', platform: null }
+      ],
+      byId,
+      99
+    ).map((record) => record.updatedAt),
+    [50, 99, 5]
+  );
+
+  // Without the background service worker, requests fall back to empty data
+  // instead of throwing; so does the data store without IndexedDB
+  const dataStore = await import('../core/data-store.js');
+  const originalError = console.error;
+  console.error = () => {};
+  assert.deepEqual(await storage.loadBranchData(), {
+    version: BRANCH_SCHEMA_VERSION,
+    branches: {},
+    titles: {},
+    deleted: {}
+  });
+  assert.equal(await storage.pruneDeletedConversations(), null);
+  assert.equal(await storage.getCachedConversation('missing'), null);
+  assert.equal(await dataStore.pruneDeletedConversations(), null);
+  assert.deepEqual(await dataStore.listGraphs(), []);
+  assert.equal(await dataStore.migrateLegacyStorage(), false);
+  console.error = originalError;
+
+  // Only the data store's own functions can be requested
+  await assert.rejects(
+    dataStore.handleDataStoreRequest('toString'),
+    /Unknown data store method/
+  );
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
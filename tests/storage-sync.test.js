@@ -0,0 +1,368 @@
+/* eslint-env node */
+/* global require, process */
+const assert = require('node:assert/strict');
+
+(async () => {
+  const {
+    SYNC_ITEM_BYTES,
+    SYNC_KEYS,
+    itemBytes,
+    chunkString,
+    joinChunks,
+    selectSyncRecords,
+    encodeSyncRecords,
+    decodeSyncRecords,
+    mergeSyncRecords,
+    DELETION_TTL,
+    readSyncedBranches,
+    writeSyncedBranches,
+    clearSyncedBranches,
+    syncSettings
+  } = await import('../core/sync.js');
+
+  // In-memory stand-in for a chrome.storage area
+  const createArea = (initial = {}) => {
+    const items = { ...initial };
+    return {
+      items,
+      async get(keys) {
+        if (keys === null) return { ...items };
+        const list = Array.isArray(keys) ? keys : [keys];
+        return Object.fromEntries(
+          list.filter((key) => key in items).map((key) => [key, items[key]])
+        );
+      },
+      async set(values) {
+        Object.assign(items, JSON.parse(JSON.stringify(values)));
+      },
+      async remove(keys) {
+        (Array.isArray(keys) ? keys : [keys]).forEach((key) => {
+          delete items[key];
+        });
+      }
+    };
+  };
+
+  const branch = (parentId, childId, extra = {}) => ({
+    parentId,
+    childId,
+    title: `Title ${childId}`,
+    firstMessage: null,
+    createdAt: 100,
+    forkMessageId: null,
+    platform: 'chatgpt',
+    updatedAt: 100000,
+    ...extra
+  });
+  const title = (conversationId, text, updatedAt = 100000) => ({
+    conversationId,
+    title: text,
+    updatedAt
+  });
+
+  // Chunks stay under the per-item quota, including multi-byte and escaped
+  // characters, and join back to the original text
+  const text = 'ab"c\\é😀中'.repeat(3000);
+  const chunks = chunkString(text, 'test');
+  assert.ok(Object.keys(chunks).length > 1);
+  for (const [key, value] of Object.entries(chunks)) {
+    assert.ok(itemBytes(key, value) <= SYNC_ITEM_BYTES);
+  }
+  assert.equal(joinChunks(chunks, 'test', Object.keys(chunks).length), text);
+  assert.equal(joinChunks({ test_0: 'a' }, 'test', 2), null);
+  assert.deepEqual(chunkString('', 'test'), {});
+
+  // Only titles of conversations in a branch relationship are synced
+  const selected = selectSyncRecords({
+    branches: [branch('p1', 'c1')],
+    titles: [title('p1', 'Parent'), title('other', 'Unrelated')]
+  });
+  assert.deepEqual(
+    selected.titles.map((record) => record.conversationId),
+    ['p1']
+  );
+
+  // Encoding round-trips and is independent of record order
+  const records = {
+    branches: [branch('p1', 'c2'), branch('p1', 'c1', { firstMessage: 'Hi' })],
+    titles: [title('p1', 'Parent')]
+  };
+  const decoded = decodeSyncRecords(encodeSyncRecords(records));
+  assert.deepEqual(decoded.titles, records.titles);
+  assert.deepEqual(
+    decoded.branches.map((record) => record.childId),
+    ['c1', 'c2']
+  );
+  assert.deepEqual(decoded.branches[0], records.branches[1]);
+  assert.deepEqual(
+    encodeSyncRecords(records),
+    encodeSyncRecords({
+      branches: [...records.branches].reverse(),
+      titles: records.titles
+    })
+  );
+  assert.equal(decodeSyncRecords({ v: 99, branches: [] }), null);
+
+  // Newer updatedAt wins per record; local wins ties
+  const merge = mergeSyncRecords(
+    {
+      branches: [
+        branch('p1', 'c1', { title: 'Local old', updatedAt: 1 }),
+        branch('p1', 'c2', { title: 'Local new', updatedAt: 5 }),
+        branch('p1', 'c3', { title: 'Local tie', updatedAt: 3 })
+      ],
+      titles: [title('p1', 'Local parent', 10)]
+    },
+    {
+      branches: [
+        branch('p1', 'c1', { title: 'Remote new', updatedAt: 2 }),
+        branch('p1', 'c2', { title: 'Remote old', updatedAt: 4 }),
+        branch('p1', 'c3', { title: 'Remote tie', updatedAt: 3 }),
+        branch('p2', 'c4', { title: 'Remote only' })
+      ],
+      titles: [title('p1', 'Remote parent', 9)]
+    }
+  );
+  const mergedTitles = Object.fromEntries(
+    merge.merged.branches.map((record) => [record.childId, record.title])
+  );
+  assert.deepEqual(mergedTitles, {
+    c1: 'Remote new',
+    c2: 'Local new',
+    c3: 'Local tie',
+    c4: 'Remote only'
+  });
+  assert.deepEqual(
+    merge.localUpdates.branches.map((record) => record.childId),
+    ['c1', 'c4']
+  );
+  assert.deepEqual(merge.localUpdates.titles, []);
+  assert.equal(merge.remoteOutdated, true);
+
+  const inSync = mergeSyncRecords(records, records);
+  assert.equal(inSync.remoteOutdated, false);
+  assert.equal(inSync.localUpdates.branches.length, 0);
+  assert.equal(
+    mergeSyncRecords({ branches: [], titles: [] }, null).remoteOutdated,
+    false
+  );
+
+  // Deletion records round-trip and drop older records on either side
+  const deletion = (conversationId, deletedAt) => ({
+    conversationId,
+    deletedAt
+  });
+  assert.deepEqual(
+    decodeSyncRecords(
+      encodeSyncRecords({ ...records, deletions: [deletion('gone', 7)] })
+    ).deletions,
+    [deletion('gone', 7)]
+  );
+  assert.deepEqual(decodeSyncRecords(encodeSyncRecords(records)).deletions, []);
+
+  // Cleared here: the synced copy's older records don't come back, newer
+  // ones do
+  const cleared = mergeSyncRecords(
+    { branches: [], titles: [], deletions: [deletion('c1', 50)] },
+    {
+      branches: [
+        branch('p1', 'c1', { updatedAt: 40 }),
+        branch('p1', 'c2', { updatedAt: 60 })
+      ],
+      titles: [title('c1', 'Old', 40), title('p1', 'Parent', 60)]
+    },
+    { now: 1000 }
+  );
+  assert.deepEqual(
+    cleared.merged.branches.map((record) => record.childId),
+    ['c2']
+  );
+  assert.deepEqual(
+    cleared.localUpdates.branches.map((record) => record.childId),
+    ['c2']
+  );
+  assert.deepEqual(
+    cleared.localUpdates.titles.map((record) => record.conversationId),
+    ['p1']
+  );
+  assert.deepEqual(cleared.merged.deletions, [deletion('c1', 50)]);
+  assert.equal(cleared.remoteOutdated, true);
+
+  // Pruned on another device: the local copies are removed, and a newer
+  // deletion replaces an older one
+  const pruned = mergeSyncRecords(
+    {
+      branches: [
+        branch('p1', 'c3', { updatedAt: 10 }),
+        branch('p2', 'c5', { updatedAt: 30 })
+      ],
+      titles: [title('p1', 'Parent', 10)],
+      deletions: [deletion('p1', 5)]
+    },
+    { branches: [], titles: [], deletions: [deletion('p1', 20)] },
+    { now: 1000 }
+  );
+  assert.deepEqual(pruned.localUpdates.deletions, [deletion('p1', 20)]);
+  assert.deepEqual(
+    pruned.localUpdates.removedBranches.map((record) => record.childId),
+    ['c3']
+  );
+  assert.deepEqual(
+    pruned.localUpdates.removedTitles.map((record) => record.conversationId),
+    ['p1']
+  );
+  assert.deepEqual(
+    pruned.merged.branches.map((record) => record.childId),
+    ['c5']
+  );
+
+  // Deletions alone are worth pushing
+  assert.equal(
+    mergeSyncRecords(
+      { branches: [], titles: [], deletions: [deletion('c1', 1)] },
+      null,
+      { now: 1000 }
+    ).remoteOutdated,
+    true
+  );
+
+  // Expired deletion records are dropped on both sides and no longer hide
+  // older records
+  const expired = mergeSyncRecords(
+    {
+      branches: [],
+      titles: [],
+      deletions: [deletion('c1', 50), deletion('c2', DELETION_TTL + 500)]
+    },
+    {
+      branches: [branch('p1', 'c1', { updatedAt: 40 })],
+      titles: [],
+      deletions: [deletion('c3', 60)]
+    },
+    { now: DELETION_TTL + 1000 }
+  );
+  assert.deepEqual(expired.merged.deletions, [
+    deletion('c2', DELETION_TTL + 500)
+  ]);
+  assert.deepEqual(expired.localUpdates.removedDeletions, [deletion('c1', 50)]);
+  assert.deepEqual(expired.localUpdates.deletions, []);
+  assert.deepEqual(
+    expired.localUpdates.branches.map((record) => record.childId),
+    ['c1']
+  );
+
+  // Writing splits into chunks under a manifest; a shorter rewrite removes
+  // the chunks it no longer uses
+  const area = createArea();
+  const large = {
+    branches: Array.from({ length: 200 }, (_, i) =>
+      branch('p1', `child-${i}`, { firstMessage: 'x'.repeat(200) })
+    ),
+    titles: []
+  };
+  const write = await writeSyncedBranches(large, area);
+  assert.equal(write.ok, true);
+  const manifest = area.items[SYNC_KEYS.BRANCHES];
+  assert.ok(manifest.chunks > 1);
+  assert.equal(manifest.bytes, write.bytes);
+  for (const [key, value] of Object.entries(area.items)) {
+    assert.ok(itemBytes(key, value) <= SYNC_ITEM_BYTES);
+  }
+
+  const read = await readSyncedBranches(area);
+  assert.equal(read.ok, true);
+  assert.equal(read.records.branches.length, 200);
+
+  assert.equal((await writeSyncedBranches(records, area)).ok, true);
+  assert.deepEqual(Object.keys(area.items).sort(), [
+    SYNC_KEYS.BRANCHES,
+    `${SYNC_KEYS.BRANCHES}_0`
+  ]);
+  assert.deepEqual((await readSyncedBranches(area)).records, decoded);
+
+  // A missing chunk is reported instead of read as empty data
+  const broken = createArea({
+    [SYNC_KEYS.BRANCHES]: { v: 1, chunks: 2, bytes: 10 },
+    [`${SYNC_KEYS.BRANCHES}_0`]: '{"v":1,'
+  });
+  assert.equal((await readSyncedBranches(broken)).ok, false);
+  assert.deepEqual(await readSyncedBranches(createArea()), {
+    ok: true,
+    records: null,
+    chunks: 0,
+    bytes: 0
+  });
+
+  // Data over the total quota is refused without touching the synced copy
+  const tooLarge = {
+    branches: Array.from({ length: 600 }, (_, i) =>
+      branch('p1', `child-${i}`, { firstMessage: 'x'.repeat(200) })
+    ),
+    titles: []
+  };
+  const refused = await writeSyncedBranches(tooLarge, area);
+  assert.equal(refused.ok, false);
+  assert.match(refused.error, /larger than the sync quota/);
+  assert.equal((await readSyncedBranches(area)).records.branches.length, 2);
+
+  // More deletion records than the quota fits: the oldest are left out
+  const deletions = Array.from({ length: 5000 }, (_, i) =>
+    deletion(`conversation-${String(i).padStart(6, '0')}`, 1000 + i)
+  );
+  const compacted = await writeSyncedBranches({ ...records, deletions }, area);
+  assert.equal(compacted.ok, true);
+  assert.ok(compacted.dropped.length > 0);
+  assert.ok(compacted.dropped.length < deletions.length);
+  const synced = (await readSyncedBranches(area)).records;
+  assert.equal(synced.branches.length, 2);
+  assert.equal(
+    synced.deletions.length + compacted.dropped.length,
+    deletions.length
+  );
+  const oldestKept = Math.min(...synced.deletions.map((d) => d.deletedAt));
+  assert.ok(compacted.dropped.every((d) => d.deletedAt < oldestKept));
+  assert.deepEqual(
+    (await writeSyncedBranches({ ...records, deletions: [] }, area)).dropped,
+    []
+  );
+
+  assert.equal(await clearSyncedBranches(area), true);
+  assert.deepEqual(area.items, {});
+
+  // Settings: disabled sync does nothing
+  const local = createArea({
+    branchTreeSettings: { theme: 'dark', syncEnabled: false }
+  });
+  const sync = createArea();
+  assert.equal((await syncSettings({ local, sync })).skipped, true);
+  assert.deepEqual(sync.items, {});
+
+  // First enable pushes, without the device-only syncEnabled flag
+  local.items.branchTreeSettings = { theme: 'dark', syncEnabled: true };
+  assert.equal((await syncSettings({ local, sync })).action, 'pushed');
+  assert.deepEqual(sync.items[SYNC_KEYS.SETTINGS].settings, { theme: 'dark' });
+  assert.equal((await syncSettings({ local, sync })).action, 'none');
+
+  // A newer synced copy is applied; syncEnabled stays as it was
+  sync.items[SYNC_KEYS.SETTINGS] = {
+    settings: { theme: 'light', syncEnabled: false },
+    updatedAt: Date.now() + 1000
+  };
+  assert.equal((await syncSettings({ local, sync })).action, 'applied');
+  assert.deepEqual(local.items.branchTreeSettings, {
+    theme: 'light',
+    syncEnabled: true
+  });
+
+  // A second device adopts the synced copy on first enable
+  const other = createArea({
+    branchTreeSettings: { theme: 'auto', syncEnabled: true }
+  });
+  assert.equal((await syncSettings({ local: other, sync })).action, 'applied');
+  assert.equal(other.items.branchTreeSettings.theme, 'light');
+
+  console.log('storage-sync tests passed');
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,186 @@
+/* eslint-env node */
+/* global require, process */
+const assert = require('node:assert/strict');
+
+function createGraph(messages) {
+  const nodes = new Map(
+    messages.map((m) => [m.id, { ...m, isShared: () => false }])
+  );
+  return {
+    getConversationPath: () => messages.map((m) => m.id),
+    getNode: (id) => nodes.get(id),
+    getEditSiblings: (id) => new Set([id]),
+    hasConversation: () => false
+  };
+}
+
+(async () => {
+  const { buildTreeFromGraph } = await import('../core/tree-builder.js');
+
+  const graph = createGraph([
+    { id: 'u1', role: 'user', text: 'First', createTime: 100 },
+    { id: 'a1', role: 'assistant', text: 'Reply one', createTime: 110 },
+    { id: 'u2', role: 'user', text: 'Second', createTime: 200 },
+    { id: 'a2', role: 'assistant', text: 'Reply two', createTime: 210 }
+  ]);
+
+  const branchData = {
+    branches: {
+      conv: [
+        { childId: 'byFork', title: 'A', createdAt: 500, forkMessageId: 'a1' },
+        { childId: 'byTime', title: 'B', createdAt: 150 },
+        { childId: 'early', title: 'C', createdAt: 50 },
+        {
+          childId: 'staleFork',
+          title: 'D',
+          createdAt: 300,
+          forkMessageId: 'missing'
+        }
+      ]
+    },
+    titles: {}
+  };
+
+  const nodes = buildTreeFromGraph(graph, 'conv', branchData);
+  const ids = nodes.map((n) => n.id);
+
+  // Each branch appears exactly once
+  for (const childId of ['byFork', 'byTime', 'early', 'staleFork']) {
+    assert.equal(ids.filter((id) => id === `branch:${childId}`).length, 1);
+  }
+
+  // Branches follow the message they forked from
+  assert.deepEqual(ids, [
+    'u1',
+    'branch:early',
+    'a1',
+    'branch:byFork',
+    'branch:byTime',
+    'u2',
+    'a2',
+    'branch:staleFork'
+  ]);
+
+  // Branches to deleted conversations stay listed, flagged for the panel
+  const deletedNodes = buildTreeFromGraph(graph, 'conv', {
+    ...branchData,
+    deleted: { byTime: 1000 }
+  });
+  assert.deepEqual(
+    deletedNodes.filter((n) => n.isDeleted).map((n) => n.id),
+    ['branch:byTime']
+  );
+
+  // No branch data leaves the path untouched
+  assert.deepEqual(
+    buildTreeFromGraph(graph, 'conv', null).map((n) => n.id),
+    ['u1', 'a1', 'u2', 'a2']
+  );
+
+  // Parent and child merged into one graph
+  const { ConversationGraph } = await import('../core/conversation-graph.js');
+  const shared = [
+    { id: 's1', role: 'user', text: 'Shared question', createTime: 1 },
+    {
+      id: 's2',
+      role: 'assistant',
+      text: 'Shared answer',
+      createTime: 2,
+      parentId: 's1'
+    }
+  ];
+  const parentMessages = [
+    ...shared,
+    {
+      id: 'p3',
+      role: 'user',
+      text: 'Parent only',
+      createTime: 3,
+      parentId: 's2'
+    }
+  ];
+  const childMessages = [
+    ...shared,
+    {
+      id: 'c3',
+      role: 'user',
+      text: 'Child only',
+      createTime: 4,
+      parentId: 's2'
+    },
+    {
+      id: 'c4',
+      role: 'assistant',
+      text: 'Child answer',
+      createTime: 5,
+      parentId: 'c3'
+    }
+  ];
+  const familyData = {
+    branches: {
+      parent: [{ childId: 'child', title: 'Child', createdAt: 4 }]
+    },
+    titles: { parent: 'Parent', child: 'Child' }
+  };
+
+  const parentView = await ConversationGraph.buildFromConversation(
+    'parent',
+    'chatgpt',
+    parentMessages,
+    {
+      relatedConversations: [
+        { conversationId: 'child', messages: childMessages }
+      ]
+    }
+  );
+  assert.equal(parentView.graph.getNode('s1').isShared(), true);
+  assert.equal(parentView.graph.getNode('c3').isShared(), false);
+
+  const parentNodes = buildTreeFromGraph(
+    parentView.graph,
+    'parent',
+    familyData
+  );
+  assert.deepEqual(
+    parentNodes.map((n) => n.id),
+    ['s1', 's2', 'branch:child', 'c3', 'c4', 'p3']
+  );
+  const childBranch = parentNodes.find((n) => n.id === 'branch:child');
+  assert.equal(childBranch.expanded, true);
+  const tailNode = parentNodes.find((n) => n.id === 'c3');
+  assert.equal(tailNode.depth, 2);
+  assert.equal(tailNode.targetConversationId, 'child');
+  assert.equal(tailNode.colorIndex, childBranch.colorIndex);
+
+  const childView = await ConversationGraph.buildFromConversation(
+    'child',
+    'chatgpt',
+    childMessages,
+    {
+      relatedConversations: [
+        { conversationId: 'parent', messages: parentMessages }
+      ]
+    }
+  );
+  const childNodes = buildTreeFromGraph(childView.graph, 'child', familyData, {
+    parentConversationId: 'parent',
+    title: 'Child'
+  });
+  assert.deepEqual(
+    childNodes.map((n) => n.id),
+    [
+      'ancestor-title:parent',
+      's1',
+      's2',
+      'branch-root:parent',
+      'branch:child',
+      'current-title:child',
+      'c3',
+      'c4'
+    ]
+  );
+  assert.equal(childNodes.find((n) => n.id === 'branch:child').isViewing, true);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
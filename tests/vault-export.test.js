@@ -0,0 +1,199 @@
+/* eslint-env node */
+/* global require, process, Buffer */
+const assert = require('node:assert/strict');
+const zlib = require('node:zlib');
+
+(async () => {
+  const { generateMarkdown, generateFilename } = await import(
+    '../core/markdown-export.js'
+  );
+  const { crc32, createZip } = await import('../core/zip.js');
+  const { collectBranchFamily } = await import('../core/family-export.js');
+  const {
+    getVaultNoteNames,
+    wikilink,
+    toFrontMatter,
+    buildVaultNotes,
+    createVaultArchive
+  } = await import('../core/vault-export.js');
+
+  // File names: link-safe mode also drops wikilink characters
+  const date = new Date('2026-03-04T12:00:00Z');
+  assert.equal(
+    generateFilename('a/b: c?', 'chatgpt', { date }),
+    'a-b-_c-_chatgpt_2026-03-04.md'
+  );
+  assert.equal(
+    generateFilename('[Draft] #1 ^x | y', 'chatgpt', {
+      linkSafe: true,
+      date: null,
+      extension: ''
+    }),
+    '-Draft-_-1_-x_-_y_chatgpt'
+  );
+  assert.equal(
+    generateFilename('...hidden', 'claude', { linkSafe: true, date: null }),
+    'hidden_claude.md'
+  );
+
+  // Notes are placed after their message
+  const md = generateMarkdown({
+    title: 'T',
+    platformName: 'ChatGPT',
+    conversationId: 'c1',
+    messages: [
+      { id: 'm1', role: 'user', content: 'Hello' },
+      { id: 'm2', role: 'assistant', content: 'Hi' }
+    ],
+    intro: 'Intro line',
+    messageNotes: new Map([['m1', 'After m1']])
+  });
+  assert.ok(md.includes('Intro line\n\n---'));
+  assert.ok(md.indexOf('After m1') > md.indexOf('Hello'));
+  assert.ok(md.indexOf('After m1') < md.indexOf('Hi'));
+
+  // Zip entries read back with the stored CRC and content
+  assert.equal(crc32(new TextEncoder().encode('hello')), zlib.crc32('hello'));
+  const zip = createZip(
+    [
+      { path: 'vault/a.md', content: 'Ünïcode note' },
+      { path: 'vault/b.md', content: '' }
+    ],
+    new Date(2026, 0, 2, 3, 4, 6)
+  );
+  const view = new DataView(zip.buffer);
+  const end = zip.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054b50);
+  assert.equal(view.getUint16(end + 10, true), 2);
+  let central = view.getUint32(end + 16, true);
+  const read = [];
+  for (let i = 0; i < 2; i++) {
+    assert.equal(view.getUint32(central, true), 0x02014b50);
+    const size = view.getUint32(central + 24, true);
+    const nameLength = view.getUint16(central + 28, true);
+    const offset = view.getUint32(central + 42, true);
+    const name = Buffer.from(
+      zip.slice(central + 46, central + 46 + nameLength)
+    );
+    assert.equal(view.getUint32(offset, true), 0x04034b50);
+    const dataStart = offset + 30 + view.getUint16(offset + 26, true);
+    const data = Buffer.from(zip.slice(dataStart, dataStart + size));
+    assert.equal(view.getUint32(central + 16, true), zlib.crc32(data));
+    read.push([name.toString(), data.toString()]);
+    central += 46 + nameLength;
+  }
+  assert.deepEqual(read, [
+    ['vault/a.md', 'Ünïcode note'],
+    ['vault/b.md', '']
+  ]);
+
+  // root -> a (forked after r1), root -> b (unknown fork); a and b share a title
+  const branchData = {
+    version: 4,
+    branches: {
+      root: [
+        { childId: 'a-123456789', title: 'Idea', createdAt: 1700000100 },
+        { childId: 'b-987654321', title: 'Idea', createdAt: 1700000200 }
+      ]
+    },
+    titles: { root: 'Research: [notes]' },
+    deleted: {}
+  };
+  const root = collectBranchFamily(branchData, 'root');
+  const [a, b] = root.children;
+  root.messages = [
+    { id: 'r1', role: 'user', content: 'Q1', createTime: 1699990000 },
+    { id: 'r2', role: 'assistant', content: 'A1', createTime: 1699990001 }
+  ];
+  a.messages = [
+    root.messages[0],
+    { id: 'a2', role: 'assistant', content: 'Other answer', createTime: 0 }
+  ];
+  b.error = 'This conversation was deleted.';
+
+  const names = getVaultNoteNames([root, a, b], 'chatgpt');
+  assert.equal(names.get('root'), 'Research-_-notes-_chatgpt');
+  assert.equal(names.get('a-123456789'), 'Idea_chatgpt');
+  assert.equal(names.get('b-987654321'), 'Idea_b-987654_chatgpt');
+  // A title that already ends like the suffix doesn't take the same name
+  const clashing = getVaultNoteNames(
+    [
+      { conversationId: 'x1', title: 'Idea' },
+      { conversationId: 'y1', title: 'Idea b-987654' },
+      { conversationId: 'b-987654321', title: 'Idea' }
+    ],
+    'chatgpt'
+  );
+  assert.deepEqual(
+    [...clashing.values()],
+    ['Idea_chatgpt', 'Idea_b-987654_chatgpt', 'Idea_b-987654_2_chatgpt']
+  );
+
+  assert.equal(wikilink('Idea_chatgpt', 'Idea'), '[[Idea_chatgpt|Idea]]');
+  assert.equal(wikilink('x', 'a|b]]'), '[[x|a b]]');
+  assert.equal(
+    toFrontMatter({ title: 'Say "hi"', parent: null, tags: ['a', 'b'] }),
+    '---\ntitle: "Say \\"hi\\""\ntags:\n  - "a"\n  - "b"\n---\n\n'
+  );
+
+  const notes = buildVaultNotes({
+    root,
+    platform: 'chatgpt',
+    platformName: 'ChatGPT'
+  });
+  assert.deepEqual(
+    notes.map((note) => note.name),
+    ['Research-_-notes-_chatgpt', 'Idea_chatgpt', 'Idea_b-987654_chatgpt']
+  );
+
+  const [rootNote, aNote, bNote] = notes.map((note) => note.content);
+  assert.ok(rootNote.startsWith('---\ntitle: "Research: [notes]"\n'));
+  assert.ok(rootNote.includes('conversation_id: "root"\n'));
+  assert.ok(rootNote.includes('created: "2023-11-14"\n'));
+  assert.ok(!rootNote.includes('parent:'));
+  assert.ok(rootNote.includes('branches:\n  - "[[Idea_chatgpt|Idea]]"\n'));
+  // a's link follows r1, the message it was forked after
+  const linkA = rootNote.indexOf('> ↳ Branched here: [[Idea_chatgpt|Idea]]');
+  assert.ok(linkA > rootNote.indexOf('Q1') && linkA < rootNote.indexOf('A1'));
+  // b's fork is unknown, so it is linked under the header
+  assert.ok(
+    rootNote.indexOf('> ↳ Branch: [[Idea_b-987654_chatgpt|Idea]]') <
+      rootNote.indexOf('Q1')
+  );
+
+  assert.ok(
+    aNote.includes('parent: "[[Research-_-notes-_chatgpt|Research: notes]]"\n')
+  );
+  assert.ok(aNote.includes('created: "2023-11-14"\n'));
+  assert.ok(aNote.includes('  - "branch"\n'));
+  const parentLink = aNote.indexOf('> ↳ Branched from [[Research-_-notes-_');
+  assert.ok(
+    parentLink > aNote.indexOf('Q1') &&
+      parentLink < aNote.indexOf('Other answer')
+  );
+  assert.ok(aNote.includes('after this message'));
+
+  assert.ok(bNote.includes('*This conversation was deleted.*'));
+  assert.ok(bNote.includes('> ↳ Branched from [[Research-_-notes-_'));
+
+  const archive = createVaultArchive({
+    root,
+    platform: 'chatgpt',
+    platformName: 'ChatGPT'
+  });
+  assert.match(
+    archive.filename,
+    /^Research-_-notes-_vault_chatgpt_\d{4}-\d{2}-\d{2}\.zip$/
+  );
+  assert.equal(archive.noteCount, 3);
+  assert.ok(
+    Buffer.from(archive.bytes).includes(
+      `${archive.filename.slice(0, -4)}/Idea_chatgpt.md`
+    )
+  );
+
+  console.log('vault export tests passed');
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});